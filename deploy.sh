@@ -32,6 +32,11 @@ wrangler deploy --config wrangler-research-agent.toml
 
 echo -e "${GREEN}✓ Research Agent deployed${NC}"
 
+echo -e "${BLUE}Step 5: Deploying Webhook Dispatcher worker...${NC}"
+wrangler deploy --config wrangler-webhook-dispatcher.toml
+
+echo -e "${GREEN}✓ Webhook Dispatcher deployed${NC}"
+
 echo -e "${GREEN}🎉 Deployment complete!${NC}"
 echo ""
 echo "Your CloudCurio site is now live!"
@@ -39,3 +44,6 @@ echo "Remember to update your wrangler.toml files with actual IDs for:"
 echo "  - D1 database_id"
 echo "  - KV namespace id"
 echo "  - Vectorize index_name"
+echo "and create the webhook queue once: wrangler queues create webhook-queue"
+echo "and give the blog generator the admin token for manual runs:"
+echo "  wrangler secret put ADMIN_TOKEN --config wrangler-blog-generator.toml"
@@ -0,0 +1,19 @@
+import { listTermsCached } from '../../../src/lib/taxonomy.js';
+
+// GET /api/blog/categories - List categories with the number of published posts using each
+// Response: [{ name, slug, count }], most used first
+export async function onRequestGet(context) {
+    try {
+        const { env } = context;
+
+        if (!env.DB) {
+            return Response.json([]);
+        }
+
+        const { terms, cacheStatus } = await listTermsCached(env, 'category');
+        return Response.json(terms, { headers: { 'X-Cache': cacheStatus } });
+    } catch (error) {
+        console.error('Error listing categories:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,78 @@
+import { requireAdmin } from '../../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../../src/lib/http.js';
+import { COMMENT_STATUSES, DEFAULT_MODERATOR, moderateComment } from '../../../../src/lib/comments.js';
+
+// PATCH /api/blog/comments/:id - Approve, reject or re-queue a comment (admin)
+// Body: { status: 'approved' | 'rejected' | 'pending', reason?, moderator? }
+export async function onRequestPatch(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const errors = [];
+        const { status, reason, moderator } = body || {};
+        if (!COMMENT_STATUSES.includes(status)) {
+            errors.push(`status must be one of: ${COMMENT_STATUSES.join(', ')}`);
+        }
+        if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+            errors.push('reason must be a string of at most 500 characters');
+        }
+        if (moderator !== undefined && moderator !== null && (typeof moderator !== 'string' || moderator.length > 100)) {
+            errors.push('moderator must be a string of at most 100 characters');
+        }
+        if (errors.length > 0) {
+            return badRequest('Invalid moderation decision', errors);
+        }
+
+        const found = await moderateComment(db, params.id, {
+            status,
+            reason: reason ? reason.trim() : null,
+            moderator: (moderator && moderator.trim()) || DEFAULT_MODERATOR
+        });
+        if (!found) {
+            return Response.json({ success: false, error: 'Comment not found' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, id: params.id, status });
+    } catch (error) {
+        console.error('Error moderating comment:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
+
+// DELETE /api/blog/comments/:id - Delete a comment and its replies (admin)
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const result = await db.prepare('DELETE FROM comments WHERE id = ?').bind(params.id).run();
+        if (!result.meta || result.meta.changes === 0) {
+            return Response.json({ success: false, error: 'Comment not found' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, id: params.id });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
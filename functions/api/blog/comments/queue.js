@@ -0,0 +1,44 @@
+import { requireAdmin } from '../../../../src/lib/auth.js';
+import { COMMENT_STATUSES, listModerationQueue } from '../../../../src/lib/comments.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// GET /api/blog/comments/queue?status=pending&limit= - Moderation queue (admin)
+// Oldest first, with the post title, the author's email and the AI screening
+// score and reason. `status` defaults to `pending`; `rejected` lists what the
+// screening (or a moderator) turned down.
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const params = new URL(request.url).searchParams;
+        const status = params.get('status') || 'pending';
+        const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_LIMIT;
+        const errors = [];
+
+        if (!COMMENT_STATUSES.includes(status)) {
+            errors.push(`status must be one of: ${COMMENT_STATUSES.join(', ')}`);
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+        }
+        if (errors.length > 0) {
+            return Response.json({ error: 'Invalid query parameters', details: errors.join('; ') }, { status: 400 });
+        }
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const comments = await listModerationQueue(db, { status, limit });
+        return Response.json({ status, comments });
+    } catch (error) {
+        console.error('Error listing moderation queue:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
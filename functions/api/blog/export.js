@@ -0,0 +1,52 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { exportBlog, validateExportParams } from '../../../src/lib/blog-export.js';
+import { siteUrl } from '../../../src/lib/site.js';
+
+// GET /api/blog/export - Download the whole blog as a zip archive (admin)
+// Query: format (markdown | site, default markdown), media (true | false, default true)
+// markdown: every post as posts/<slug>.md with front matter, plus R2 media under media/ and media.json
+// site: published posts as a static HTML site rendered with the post page templates
+// The archive is streamed as it is built (see src/lib/blog-export.js)
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        if (!env.DB) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const url = new URL(request.url);
+        const { errors, options } = validateExportParams(url.searchParams);
+        if (errors.length > 0) {
+            return Response.json({
+                error: 'Invalid query parameters',
+                details: errors.join('; ')
+            }, { status: 400 });
+        }
+
+        const now = new Date();
+        const body = exportBlog(env, {
+            ...options,
+            base: siteUrl(request, env),
+            assets: env.ASSETS ? path => env.ASSETS.fetch(new URL(path, request.url)) : null,
+            now
+        });
+
+        const filename = `cloudcurio-${options.format === 'site' ? 'site' : 'export'}-${now.toISOString().slice(0, 10)}.zip`;
+        console.log('[Export] Started', options);
+
+        return new Response(body, {
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (error) {
+        console.error('[Export] Error starting export:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
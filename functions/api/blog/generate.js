@@ -1,3 +1,19 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../src/lib/blog-cache.js';
+import { createPost, getPostById } from '../../../src/lib/blog-posts.js';
+import { logModerationFailure, moderatePost } from '../../../src/lib/content-moderation.js';
+import { attachFeaturedImage } from '../../../src/lib/featured-images.js';
+import {
+    generateDistinctPost,
+    logDroppedDuplicate,
+    similarityColumns
+} from '../../../src/lib/duplicate-detection.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import { GENERATION_MODEL, validateGenerationOptions } from '../../../src/lib/post-generator.js';
+import { siteUrl } from '../../../src/lib/site.js';
+import { suggestTaxonomy } from '../../../src/lib/taxonomy.js';
+import { postEventData, queueWebhookEvent } from '../../../src/lib/webhooks.js';
+
 /**
  * CloudCurio Blog Generation API - AI-Powered Post Creation
  * 
@@ -5,15 +21,30 @@
  * 
  * PURPOSE:
  * Generates a new blog post using Cloudflare Workers AI (Llama 3 8B Instruct model).
- * The generated post is automatically stored in D1 database and published.
+ * The generated post is stored in D1 as a draft so a human can review it
+ * before it is published (see the workflow in src/lib/blog-posts.js).
  * 
  * WORKFLOW:
- * 1. Validate AI and database bindings
- * 2. Generate blog post content using LLM
- * 3. Parse AI response (expects JSON format)
- * 4. Insert post into D1 database
- * 5. Invalidate KV cache to show new post
- * 6. Return success with post details
+ * 1. Require the admin token, validate AI and database bindings
+ * 2. Validate generation options from the request body
+ * 3. Generate blog post content and SEO metadata using LLM (single pass or
+ *    outline first, see src/lib/post-generator.js). JSON responses are
+ *    repaired, validated and re-prompted on failure (src/lib/structured-output.js).
+ *    A near-duplicate of an existing post is regenerated once with a
+ *    different angle, then dropped (409) if it is still too similar
+ *    (src/lib/duplicate-detection.js)
+ * 4. Run the content moderation gate (safety classifier + blocklists, see
+ *    src/lib/content-moderation.js)
+ * 5. Suggest tags and a category, reusing existing ones where they fit
+ * 6. Insert post into D1 database as a draft, with the moderation result.
+ *    A post that failed moderation is kept so an editor can see the
+ *    reasons, but it cannot be scheduled or published; the failure is
+ *    logged to agent_logs
+ * 7. Optionally (featuredImage) generate a featured image from the title and
+ *    excerpt and store it in R2 (src/lib/featured-images.js); a failed image
+ *    step leaves the post without one
+ * 8. Invalidate KV cache so admin listings include the draft
+ * 9. Return success with post details
  * 
  * AI MODEL USED:
  * - @cf/meta/llama-3-8b-instruct
@@ -28,17 +59,45 @@
  *   content TEXT NOT NULL,
  *   excerpt TEXT,
  *   author TEXT,
- *   status TEXT,
- *   created_at TEXT
+ *   status TEXT,        -- draft | review | scheduled | published
+ *   publish_at TEXT,
+ *   seo_title TEXT,     -- generated with the post
+ *   seo_description TEXT,
+ *   keywords TEXT,      -- comma-separated
+ *   moderation_status TEXT,  -- passed | failed
+ *   moderation_reasons TEXT, -- JSON array of strings
+ *   moderated_at TEXT,
+ *   similar_post_id TEXT,    -- closest existing post
+ *   similarity_score REAL,   -- embedding cosine similarity with it
+ *   title_overlap REAL,      -- share of title words in common with it
+ *   featured_image_key TEXT, -- R2 key, served by /api/media/:key
+ *   created_at TEXT,
+ *   updated_at TEXT
  * )
  * 
- * REQUEST: None (no body required)
+ * REQUEST BODY (optional, every field optional):
+ * {
+ *   topic: string (max 200 chars, defaults to technology/AI/cloud computing),
+ *   tone: 'professional' | 'conversational' | 'technical' | 'friendly' | 'persuasive',
+ *   audience: string (max 100 chars),
+ *   length: 'short' | 'medium' | 'long',
+ *   outlineFirst: boolean (plan an outline, then write each section),
+ *   featuredImage: boolean (also generate a featured image, default false)
+ * }
  * 
  * RESPONSE FORMAT (Success):
  * {
  *   success: true,
  *   postId: string,
- *   title: string
+ *   title: string,
+ *   status: 'draft',
+ *   tags: string[],
+ *   categories: string[],
+ *   moderation: { status: 'passed' | 'failed', reasons: string[] },
+ *   similarity: { similar_post_id, similarity_score, title_overlap, regenerations },
+ *   featured_image: { key, url } | { error } (featuredImage only),
+ *   outline: { title, excerpt, sections: [{ heading, summary }] } (outlineFirst only),
+ *   metadata: { generatedAt, duration, author, options }
  * }
  * 
  * RESPONSE FORMAT (Error):
@@ -49,40 +108,28 @@
  * }
  * 
  * ERROR SCENARIOS:
+ * - Invalid JSON body or generation options (400)
+ * - Still a near-duplicate after regenerating (409, nothing is stored)
  * - AI or Database not configured (500)
  * - AI inference timeout (500)
- * - Invalid AI response format (handled with fallback)
+ * - AI response still invalid after retries (500, nothing is stored)
  * - Database insertion failure (500)
  * - Cache invalidation failure (logged, non-fatal)
  * 
  * IMPROVEMENTS NEEDED:
- * - Accept custom topics via request body
- * - Support different writing styles/tones
- * - Add content moderation/filtering
- * - Implement draft mode (don't auto-publish)
- * - Add image generation for featured image
- * - Support multiple languages
- * - Add SEO metadata generation
- * - Implement post scheduling
  * - Add plagiarism detection
  * - Generate multiple variations to choose from
  * 
- * PSEUDO CODE for custom topics:
- * ```
- * const { topic, style, tone, length } = await request.json();
- * const prompt = `Write a ${tone} blog post about "${topic}" 
- *                 in ${style} style, approximately ${length} words.
- *                 Return JSON...`;
- * ```
- * 
  * SECURITY CONSIDERATIONS:
+ * - Admin only: every call spends AI quota and writes a post
  * - Rate limit to prevent abuse (TODO)
- * - Validate generated content for harmful material
- * - Sanitize input if accepting user-provided topics
+ * - Generated content is screened for harmful material before it can be published
+ * - User-provided topic/audience are sanitised before prompting
  * - Monitor AI usage costs
  * 
  * @param {Object} context - Cloudflare Pages Functions context
- * @param {Object} context.env - Environment bindings (AI, DB, BLOG_CACHE)
+ * @param {Object} context.env - Environment bindings (AI, DB, BLOG_CACHE, BUCKET, ADMIN_TOKEN)
+ * @param {Request} context.request - Incoming request with optional JSON body
  * @returns {Response} JSON response with success status and post details
  */
 export async function onRequestPost(context) {
@@ -91,7 +138,10 @@ export async function onRequestPost(context) {
     try {
         console.log('[Blog Generate API] POST request received');
         
-        const { env } = context;
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
         
         // Validate required bindings
         const ai = env.AI;
@@ -110,128 +160,110 @@ export async function onRequestPost(context) {
             }, { status: 500 });
         }
 
-        // TODO: Parse request body for custom options
-        // const { topic, style, tone, length } = await request.json();
-        
-        // Construct AI prompt
-        // TODO: Make this customizable via request parameters
-        const prompt = `Generate a professional blog post about technology, AI, or cloud computing. 
-        Format the response as JSON with the following structure:
-        {
-            "title": "Blog post title",
-            "content": "Full blog post content (500-800 words)",
-            "excerpt": "Brief excerpt (1-2 sentences)"
-        }`;
+        // Parse and validate generation options (an empty body uses defaults)
+        const { body, error: parseError } = await readJson(request, { optional: true });
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, options } = validateGenerationOptions(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid generation options', errors);
+        }
         
-        console.log('[Blog Generate API] Calling AI model: @cf/meta/llama-3-8b-instruct');
+        console.log(`[Blog Generate API] Calling AI model: ${GENERATION_MODEL}`);
 
-        // Call Cloudflare Workers AI
-        let aiResponse;
+        // Call Cloudflare Workers AI, regenerating near-duplicates of existing posts
+        let postData, check, regenerations;
         try {
-            aiResponse = await ai.run('@cf/meta/llama-3-8b-instruct', {
-                messages: [
-                    { 
-                        role: 'system', 
-                        content: 'You are a professional technical blog writer. Always respond with valid JSON.' 
-                    },
-                    { 
-                        role: 'user', 
-                        content: prompt 
-                    }
-                ]
-            });
-            
-            console.log('[Blog Generate API] AI response received', {
-                hasResponse: !!aiResponse,
-                responseType: typeof aiResponse
-            });
+            ({ postData, check, regenerations } = await generateDistinctPost(env, options));
         } catch (aiError) {
             console.error('[Blog Generate API] AI inference error:', aiError);
             throw new Error(`AI generation failed: ${aiError.message}`);
         }
 
-        // Parse AI response
-        // AI should return JSON, but we handle cases where it doesn't
-        let postData;
-        try {
-            // Try to parse AI response as JSON
-            const responseText = aiResponse.response || JSON.stringify(aiResponse);
-            postData = JSON.parse(responseText);
-            
-            console.log('[Blog Generate API] Successfully parsed AI response as JSON');
-            
-            // Validate required fields
-            if (!postData.title || !postData.content) {
-                throw new Error('AI response missing required fields');
-            }
-            
-        } catch (parseError) {
-            // Fallback if AI doesn't return valid JSON
-            console.warn('[Blog Generate API] Failed to parse AI response, using fallback:', parseError.message);
-            
-            postData = {
-                title: 'AI-Generated Blog Post',
-                content: aiResponse.response || 'Generated content',
-                excerpt: 'An AI-generated blog post about technology.'
-            };
+        if (check.duplicate) {
+            console.warn('[Blog Generate API] Dropping near-duplicate post', { title: postData.title, match: check.match });
+            await logDroppedDuplicate(db, {
+                title: postData.title,
+                source: 'api',
+                check,
+                regenerations,
+                durationMs: Date.now() - startTime
+            });
+            return Response.json({
+                success: false,
+                error: 'Generated post is too similar to an existing post',
+                details: `Closest post: "${check.match.title}" (similarity ${check.similarity_score ?? 'n/a'}, title overlap ${check.title_overlap})`,
+                similar_post: check.match
+            }, { status: 409 });
         }
         
-        // TODO: Content validation and filtering
-        // if (containsInappropriateContent(postData.content)) {
-        //   throw new Error('Generated content failed moderation checks');
-        // }
+        // Moderation gate (fails closed if the classifier is unavailable)
+        const moderation = await moderatePost(env, postData);
+        if (moderation.status === 'failed') {
+            console.warn('[Blog Generate API] Generated post failed moderation', {
+                title: postData.title,
+                reasons: moderation.reasons
+            });
+        }
         
-        // TODO: Generate SEO metadata
-        // postData.seoTitle = generateSEOTitle(postData.title);
-        // postData.seoDescription = generateSEODescription(postData.content);
-        // postData.keywords = extractKeywords(postData.content);
+        // Auto-tag (failures return no tags rather than failing generation)
+        const taxonomy = await suggestTaxonomy(ai, db, postData);
+        console.log('[Blog Generate API] Suggested taxonomy', {
+            tags: taxonomy.tags.map(tag => tag.name),
+            categories: taxonomy.categories.map(category => category.name)
+        });
 
-        // Generate unique post ID
-        const postId = `post_${Date.now()}`;
         const timestamp = new Date().toISOString();
         
-        console.log('[Blog Generate API] Inserting post into database', { postId });
+        console.log('[Blog Generate API] Inserting post into database');
 
         // Insert into D1 database
+        let postId;
         try {
-            await db.prepare(`
-                INSERT INTO blog_posts (id, title, content, excerpt, author, status, created_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `).bind(
-                postId,
-                postData.title,
-                postData.content,
-                postData.excerpt,
-                'AI Assistant',
-                'published',  // TODO: Support draft status
-                timestamp
-            ).run();
+            postId = await createPost(db, {
+                title: postData.title,
+                content: postData.content,
+                excerpt: postData.excerpt,
+                author: 'AI Assistant',
+                status: 'draft',  // Needs human review before publishing
+                seo_title: postData.seo_title,
+                seo_description: postData.seo_description,
+                keywords: postData.keywords,
+                moderation_status: moderation.status,
+                moderation_reasons: JSON.stringify(moderation.reasons),
+                moderated_at: moderation.moderated_at,
+                ...similarityColumns(check),
+                tags: taxonomy.tags,
+                categories: taxonomy.categories
+            }, {
+                author: 'AI Assistant',
+                reason: `Generated by AI (topic: ${options.topic})`
+            });
             
-            console.log('[Blog Generate API] Post inserted successfully');
+            console.log('[Blog Generate API] Post inserted successfully', { postId });
         } catch (dbError) {
             console.error('[Blog Generate API] Database insertion error:', dbError);
             throw new Error(`Failed to save post: ${dbError.message}`);
         }
 
-        // Invalidate cache to show new post immediately
-        if (env.BLOG_CACHE) {
-            try {
-                await env.BLOG_CACHE.delete('blog_posts');
-                console.log('[Blog Generate API] Cache invalidated');
-            } catch (cacheError) {
-                // Log but don't fail - post was created successfully
-                console.error('[Blog Generate API] Cache invalidation error:', cacheError.message);
-            }
+        if (moderation.status === 'failed') {
+            await logModerationFailure(db, { postId, title: postData.title, source: 'api', result: moderation });
         }
+
+        // Optional featured image in R2 (a failure leaves the post without one)
+        const featuredImage = options.featuredImage
+            ? await attachFeaturedImage(env, { id: postId, title: postData.title, excerpt: postData.excerpt })
+            : null;
+
+        // Invalidate cache so admin listings show the new draft immediately
+        // (errors are logged but don't fail - post was created successfully)
+        await invalidateBlogCache(env, '[Blog Generate API]');
         
-        // TODO: Generate and upload featured image
-        // if (env.AI) {
-        //   const image = await generateFeaturedImage(postData.title);
-        //   await env.R2.put(`blog/${postId}/featured.jpg`, image);
-        // }
-        
-        // TODO: Send notification (email, webhook, etc.)
-        // await notifyNewPost(postId, postData.title);
+        // Tell webhook subscribers there is a new draft to review
+        const post = await getPostById(db, postId);
+        queueWebhookEvent(context, 'post.created', postEventData(post, siteUrl(request, env)));
 
         const duration = Date.now() - startTime;
         console.log(`[Blog Generate API] Post generation completed in ${duration}ms`, {
@@ -244,10 +276,18 @@ export async function onRequestPost(context) {
             success: true,
             postId,
             title: postData.title,
+            status: 'draft',
+            tags: taxonomy.tags.map(tag => tag.name),
+            categories: taxonomy.categories.map(category => category.name),
+            moderation: { status: moderation.status, reasons: moderation.reasons },
+            similarity: { ...similarityColumns(check), regenerations },
+            ...(featuredImage && { featured_image: featuredImage }),
+            ...(postData.outline && { outline: postData.outline }),
             metadata: {
                 generatedAt: timestamp,
                 duration: `${duration}ms`,
-                author: 'AI Assistant'
+                author: 'AI Assistant',
+                options
             }
         });
         
@@ -0,0 +1,64 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../src/lib/blog-cache.js';
+import { badRequest } from '../../../src/lib/http.js';
+import { importPosts, MAX_IMPORT_BYTES, validateImportRequest } from '../../../src/lib/post-import.js';
+
+// POST /api/blog/import - Import posts from Markdown files, a WordPress WXR export or a Ghost JSON export (admin)
+// multipart/form-data: file (one or more), dry_run (true | false), on_conflict (skip | rename),
+// format (markdown | wxr | ghost; detected per file when omitted)
+// Response: { success, dry_run, summary: { found, created, conflicts, skipped }, created: [...], conflicts: [...],
+//             skipped: [...] } (201 when posts were created, otherwise 200).
+// With dry_run nothing is written and `created` lists the posts that would be created
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        // Refuse oversized bodies before buffering them
+        const contentLength = Number(request.headers.get('Content-Length'));
+        if (contentLength > MAX_IMPORT_BYTES) {
+            return Response.json({
+                success: false,
+                error: 'Import too large',
+                details: `files must be at most ${MAX_IMPORT_BYTES / (1024 * 1024)} MB in total; split the export`
+            }, { status: 413 });
+        }
+
+        let formData;
+        try {
+            formData = await request.formData();
+        } catch (parseError) {
+            return badRequest('Invalid request body', 'Expected multipart/form-data');
+        }
+
+        const { errors, options } = await validateImportRequest(formData);
+        if (errors.length > 0) {
+            return badRequest('Invalid import', errors);
+        }
+
+        const report = await importPosts(db, options.files, options);
+
+        console.log('[Import] Finished', { dryRun: report.dry_run, ...report.summary });
+
+        if (report.summary.created > 0 && !report.dry_run) {
+            await invalidateBlogCache(env, '[Import]');
+            return Response.json({ success: true, ...report }, { status: 201 });
+        }
+
+        return Response.json({ success: true, ...report });
+    } catch (error) {
+        console.error('[Import] Error importing posts:', error);
+        return Response.json({
+            success: false,
+            error: 'Failed to import posts',
+            details: error.message
+        }, { status: 500 });
+    }
+}
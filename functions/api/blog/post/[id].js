@@ -1,17 +1,70 @@
+import { isAdmin, requireAdmin } from '../../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../../src/lib/http.js';
+import { invalidateBlogCache } from '../../../../src/lib/blog-cache.js';
+import {
+    applyStatusChange,
+    getPostById,
+    resolvePostRef,
+    savePostChanges,
+    validatePostInput
+} from '../../../../src/lib/blog-posts.js';
+import {
+    checkPublicationGate,
+    logModerationFailure,
+    remoderateChanges
+} from '../../../../src/lib/content-moderation.js';
+import { renderMarkdown } from '../../../../src/lib/markdown.js';
+import { mediaUrl, queuePostMediaCleanup } from '../../../../src/lib/media.js';
+import { queueEmbeddingSync } from '../../../../src/lib/post-embeddings.js';
+import { DEFAULT_REVISION_AUTHOR, revisionStatement, validateRevisionMeta } from '../../../../src/lib/revisions.js';
+import { getSeriesNavigation } from '../../../../src/lib/series.js';
+import { getTermsForPosts } from '../../../../src/lib/taxonomy.js';
+import { siteUrl } from '../../../../src/lib/site.js';
+import { getTranslation, listTranslations, localizePost, parseLang } from '../../../../src/lib/translations.js';
+import { postEventData, queueWebhookEvent } from '../../../../src/lib/webhooks.js';
+
+// The :id segment accepts the post's slug or its legacy ID (post_<timestamp>);
+// see resolvePostRef() in src/lib/blog-posts.js
+
 // GET /api/blog/post/:id - Get a specific blog post
+// Posts that are not published are only visible to admins
+// Previous slugs of a renamed post redirect (301) to the current one
+// `content` is the Markdown source; `html` is the rendered, sanitised body
+// Admins also get the content moderation result of generated posts
+// Parts of a series get `series`: { id, title, position, total, previous, next }; readers
+// only see published parts, so position and total count those
+// ?lang=es serves the Spanish translation when there is one, otherwise the original; `lang` is the
+// language served and `translations` lists the languages available (see src/lib/translations.js)
 export async function onRequestGet(context) {
     try {
-        const { env, params } = context;
-        const postId = params.id;
+        const { env, params, request } = context;
 
         const db = env.DB;
         if (!db) {
             return Response.json({ error: 'Database not configured' }, { status: 500 });
         }
 
+        const { error: langError, lang } = parseLang(new URL(request.url).searchParams.get('lang'));
+        if (langError) {
+            return Response.json({ error: 'Invalid query parameters', details: langError }, { status: 400 });
+        }
+
+        const ref = await resolvePostRef(db, params.id);
+        if (!ref || (ref.status !== 'published' && !isAdmin(request, env))) {
+            return Response.json({ error: 'Post not found' }, { status: 404 });
+        }
+
+        if (ref.redirect) {
+            const url = new URL(request.url);
+            url.pathname = `/api/blog/post/${encodeURIComponent(ref.slug)}`;
+            return Response.redirect(url.toString(), 301);
+        }
+
+        const postId = ref.id;
         const { results } = await db.prepare(`
-            SELECT id, title, content, excerpt, author, created_at as date, status
-            FROM blog_posts 
+            SELECT id, slug, title, content, excerpt, author, created_at as date, updated_at, status, publish_at,
+                   seo_title, seo_description, keywords, moderation_status, moderation_reasons, moderated_at, series_id, featured_image_key
+            FROM blog_posts
             WHERE id = ?
         `).bind(postId).all();
 
@@ -19,9 +72,178 @@ export async function onRequestGet(context) {
             return Response.json({ error: 'Post not found' }, { status: 404 });
         }
 
-        return Response.json(results[0]);
+        const {
+            moderation_status, moderation_reasons, moderated_at, series_id, featured_image_key, ...original
+        } = results[0];
+        const translation = lang ? await getTranslation(db, postId, lang) : null;
+        const post = localizePost(original, translation, lang);
+        const translations = (await listTranslations(db, postId)).map(entry => entry.lang);
+        const { html, toc, wordCount, readingTime } = renderMarkdown(post.content);
+        const terms = (await getTermsForPosts(db, [postId])).get(postId);
+        const series = await getSeriesNavigation(db, { id: postId, series_id }, {
+            publishedOnly: !isAdmin(request, env)
+        });
+        return Response.json({
+            ...post,
+            html,
+            toc,
+            word_count: wordCount,
+            reading_time: readingTime,
+            featured_image: mediaUrl(featured_image_key),
+            ...terms,
+            series,
+            translations,
+            ...(isAdmin(request, env) && {
+                moderation_status,
+                moderation_reasons: moderation_reasons ? JSON.parse(moderation_reasons) : [],
+                moderated_at,
+                ...(translation && { translation_stale: translation.stale })
+            })
+        }, { headers: { 'Content-Language': post.lang } });
     } catch (error) {
         console.error('Error fetching post:', error);
         return Response.json({ error: error.message }, { status: 500 });
     }
 }
+
+// PUT /api/blog/post/:id - Replace a post (title and content required)
+export async function onRequestPut(context) {
+    return updatePost(context, { partial: false });
+}
+
+// PATCH /api/blog/post/:id - Update only the supplied fields
+export async function onRequestPatch(context) {
+    return updatePost(context, { partial: true });
+}
+
+// DELETE /api/blog/post/:id - Delete a post (and its files in R2)
+// The revision history is kept, ending with a "Deleted" revision; the post can be
+// brought back with POST /api/blog/post/:postId/revisions/:revision/restore
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const ref = await resolvePostRef(db, params.id);
+        const [, result] = ref
+            ? await db.batch([
+                revisionStatement(db, ref.id, { author: DEFAULT_REVISION_AUTHOR, reason: 'Deleted' }),
+                db.prepare('DELETE FROM blog_posts WHERE id = ?').bind(ref.id)
+            ])
+            : [];
+        if (!result || !result.meta || result.meta.changes === 0) {
+            return Response.json({ success: false, error: 'Post not found' }, { status: 404 });
+        }
+
+        await invalidateBlogCache(env, '[Blog Post API]');
+        queueEmbeddingSync(context, ref.id);
+        queuePostMediaCleanup(context, ref.id);
+
+        return Response.json({ success: true, id: ref.id });
+    } catch (error) {
+        console.error('Error deleting post:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
+
+/**
+ * Shared PUT/PATCH implementation
+ *
+ * Only the fields present in the validated payload are written, and
+ * `updated_at` is always refreshed. Status changes must follow the
+ * editorial workflow in blog-posts.js (STATUS_TRANSITIONS). A PUT that omits optional fields
+ * therefore leaves them unchanged rather than clearing them; send `null`
+ * explicitly to clear `excerpt`.
+ *
+ * Every update is recorded as a revision. The optional body fields
+ * `revision_author` and `revision_reason` describe who made it and why.
+ *
+ * AI-generated posts that failed content moderation cannot be scheduled or
+ * published, and editing their text re-runs the moderation gate (see
+ * src/lib/content-moderation.js).
+ *
+ * Publishing, unpublishing or editing a published post also re-syncs its
+ * related-posts embedding in the background. Publishing sends the
+ * `post.published` webhook event and editing a published post sends
+ * `post.updated` (see src/lib/webhooks.js).
+ *
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @param {Object} options
+ * @param {boolean} options.partial - True for PATCH semantics
+ * @returns {Promise<Response>}
+ */
+async function updatePost(context, { partial }) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validatePostInput(body, { partial });
+        const { errors: revisionErrors, revision } = validateRevisionMeta(body);
+        errors.push(...revisionErrors);
+        if (errors.length > 0) {
+            return badRequest('Invalid post data', errors);
+        }
+
+        const ref = await resolvePostRef(db, params.id);
+        const existing = ref && await getPostById(db, ref.id);
+        if (!existing) {
+            return Response.json({ success: false, error: 'Post not found' }, { status: 404 });
+        }
+
+        const statusErrors = applyStatusChange(existing.status, values);
+        if (statusErrors.length > 0) {
+            return badRequest('Invalid status change', statusErrors);
+        }
+
+        const moderation = await remoderateChanges(env, existing, values);
+        const gateErrors = checkPublicationGate(existing, values);
+        if (gateErrors.length > 0) {
+            return badRequest('Invalid status change', gateErrors);
+        }
+
+        await savePostChanges(db, existing, values, revision);
+        if (moderation && moderation.status === 'failed') {
+            await logModerationFailure(db, {
+                postId: existing.id,
+                title: values.title ?? existing.title,
+                source: 'edit',
+                result: moderation
+            });
+        }
+
+        await invalidateBlogCache(env, '[Blog Post API]');
+
+        const post = await getPostById(db, existing.id);
+        if (existing.status === 'published' || post.status === 'published') {
+            queueEmbeddingSync(context, existing.id);
+        }
+        if (post.status === 'published') {
+            const event = existing.status === 'published' ? 'post.updated' : 'post.published';
+            queueWebhookEvent(context, event, postEventData(post, siteUrl(request, env)));
+        }
+
+        return Response.json({ success: true, post });
+    } catch (error) {
+        console.error('Error updating post:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,89 @@
+import { isAdmin } from '../../../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../../../src/lib/http.js';
+import { getPostById, resolvePostRef } from '../../../../../src/lib/blog-posts.js';
+import {
+    checkReplyTarget,
+    classifyComment,
+    createComment,
+    getCommentThread,
+    validateCommentInput
+} from '../../../../../src/lib/comments.js';
+
+// GET /api/blog/post/:id/comments - Approved comments of a published post
+// Response: { post_id, count, comments: [{ id, parent_id, author_name, content, created_at, replies: [...] }] }
+// Top-level comments oldest first, each with its approved replies nested in `replies`
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const ref = await resolvePostRef(db, params.id);
+        if (!ref || (ref.status !== 'published' && !isAdmin(request, env))) {
+            return Response.json({ error: 'Post not found' }, { status: 404 });
+        }
+
+        if (ref.redirect) {
+            const url = new URL(request.url);
+            url.pathname = `/api/blog/post/${encodeURIComponent(ref.slug)}/comments`;
+            return Response.redirect(url.toString(), 301);
+        }
+
+        const { comments, count } = await getCommentThread(db, ref.id);
+        return Response.json({ post_id: ref.id, count, comments });
+    } catch (error) {
+        console.error('Error listing comments:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/blog/post/:id/comments - Submit a comment on a published post (public)
+// Body: { author_name, content, author_email?, parent_id? }
+// The comment is screened by the AI moderator first (see src/lib/comments.js);
+// the response says whether it was approved, queued for review or rejected
+export async function onRequestPost(context) {
+    try {
+        const { env, params, request } = context;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateCommentInput(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid comment', errors);
+        }
+
+        const ref = await resolvePostRef(db, params.id);
+        if (!ref || ref.status !== 'published') {
+            return Response.json({ success: false, error: 'Post not found' }, { status: 404 });
+        }
+
+        if (values.parent_id) {
+            const replyError = await checkReplyTarget(db, ref.id, values.parent_id);
+            if (replyError) {
+                return badRequest('Invalid comment', replyError);
+            }
+        }
+
+        const post = await getPostById(db, ref.id);
+        const screening = await classifyComment(env.AI, values, post);
+        const comment = await createComment(db, ref.id, values, screening);
+
+        console.log('[Comments] Comment stored', { id: comment.id, postId: ref.id, status: comment.status });
+
+        return Response.json({ success: true, comment }, { status: 201 });
+    } catch (error) {
+        console.error('Error creating comment:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
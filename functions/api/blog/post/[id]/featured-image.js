@@ -0,0 +1,75 @@
+import { requireAdmin } from '../../../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../../../src/lib/blog-cache.js';
+import { getPostById, resolvePostRef } from '../../../../../src/lib/blog-posts.js';
+import { generateFeaturedImage, removeFeaturedImage } from '../../../../../src/lib/featured-images.js';
+
+// POST /api/blog/post/:id/featured-image - Generate (or replace) the post's featured image (admin)
+// The image is drawn from the title and excerpt and stored in R2 (see src/lib/featured-images.js)
+// Response: { success, featured_image: { key, url, prompt, duration_ms } }
+export async function onRequestPost(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        if (!env.AI || !env.DB || !env.BUCKET) {
+            return Response.json({ success: false, error: 'AI, R2 bucket or database not configured' }, { status: 500 });
+        }
+
+        const ref = await resolvePostRef(env.DB, params.id);
+        const post = ref && await getPostById(env.DB, ref.id);
+        if (!post) {
+            return Response.json({ success: false, error: 'Post not found' }, { status: 404 });
+        }
+
+        let featuredImage;
+        try {
+            featuredImage = await generateFeaturedImage(env, post);
+        } catch (imageError) {
+            console.error('[Featured Images] Generation failed:', imageError);
+            return Response.json({
+                success: false,
+                error: 'Failed to generate featured image',
+                details: imageError.message
+            }, { status: 500 });
+        }
+
+        await invalidateBlogCache(env, '[Featured Images]');
+        return Response.json({ success: true, featured_image: featuredImage });
+    } catch (error) {
+        console.error('Error generating featured image:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
+
+// DELETE /api/blog/post/:id/featured-image - Remove the post's featured image (admin)
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const ref = await resolvePostRef(db, params.id);
+        const post = ref && await getPostById(db, ref.id);
+        if (!post) {
+            return Response.json({ success: false, error: 'Post not found' }, { status: 404 });
+        }
+
+        if (!await removeFeaturedImage(env, post)) {
+            return Response.json({ success: false, error: 'Post has no featured image' }, { status: 404 });
+        }
+
+        await invalidateBlogCache(env, '[Featured Images]');
+        return Response.json({ success: true, id: post.id });
+    } catch (error) {
+        console.error('Error removing featured image:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
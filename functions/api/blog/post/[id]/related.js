@@ -0,0 +1,57 @@
+import { isAdmin } from '../../../../../src/lib/auth.js';
+import { cachedText } from '../../../../../src/lib/blog-cache.js';
+import { getPostById, resolvePostRef } from '../../../../../src/lib/blog-posts.js';
+import { findRelatedPosts } from '../../../../../src/lib/post-embeddings.js';
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+// GET /api/blog/post/:id/related?limit= - Published posts most similar to this one
+// Response: [{ id, slug, title, excerpt, author, date, score }], most similar first
+// Similarity comes from the post embeddings in Vectorize (src/lib/post-embeddings.js);
+// an empty array is returned when Vectorize is not configured
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+        const url = new URL(request.url);
+
+        const limit = url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : DEFAULT_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return Response.json({
+                error: 'Invalid query parameters',
+                details: `limit must be an integer between 1 and ${MAX_LIMIT}`
+            }, { status: 400 });
+        }
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const ref = await resolvePostRef(db, params.id);
+        if (!ref || (ref.status !== 'published' && !isAdmin(request, env))) {
+            return Response.json({ error: 'Post not found' }, { status: 404 });
+        }
+
+        if (ref.redirect) {
+            url.pathname = `/api/blog/post/${encodeURIComponent(ref.slug)}/related`;
+            return Response.redirect(url.toString(), 301);
+        }
+
+        if (!env.AI || !env.VECTORS) {
+            return Response.json([]);
+        }
+
+        const { body, cacheStatus } = await cachedText(env, 'related', { id: ref.id, limit }, async () => {
+            const post = await getPostById(db, ref.id);
+            return JSON.stringify(await findRelatedPosts(env, post, limit));
+        }, '[Related Posts]');
+
+        return new Response(body, {
+            headers: { 'Content-Type': 'application/json', 'X-Cache': cacheStatus }
+        });
+    } catch (error) {
+        console.error('Error finding related posts:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,34 @@
+import { requireAdmin } from '../../../../../../src/lib/auth.js';
+import { resolvePostRef } from '../../../../../../src/lib/blog-posts.js';
+import { deletedPostRef, getRevision, parseRevisionNumber } from '../../../../../../src/lib/revisions.js';
+
+// GET /api/blog/post/:id/revisions/:revision - Get one revision in full
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const number = parseRevisionNumber(params.revision);
+        if (number === null) {
+            return Response.json({ error: 'Revision must be a positive integer' }, { status: 400 });
+        }
+
+        const ref = await resolvePostRef(db, params.id) || await deletedPostRef(db, params.id);
+        const revision = ref && await getRevision(db, ref.id, number);
+        if (!revision) {
+            return Response.json({ error: 'Revision not found' }, { status: 404 });
+        }
+
+        return Response.json({ post_id: ref.id, ...revision });
+    } catch (error) {
+        console.error('Error fetching revision:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,149 @@
+import { requireAdmin } from '../../../../../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../../../../../src/lib/http.js';
+import { invalidateBlogCache } from '../../../../../../../src/lib/blog-cache.js';
+import {
+    createPost,
+    getPostById,
+    MODERATION_COLUMNS,
+    resolvePostRef,
+    savePostChanges,
+    validatePostInput
+} from '../../../../../../../src/lib/blog-posts.js';
+import {
+    checkPublicationGate,
+    logModerationFailure,
+    remoderateChanges
+} from '../../../../../../../src/lib/content-moderation.js';
+import { queueEmbeddingSync } from '../../../../../../../src/lib/post-embeddings.js';
+import {
+    deletedPostRef,
+    getRevision,
+    parseRevisionNumber,
+    validateRevisionMeta
+} from '../../../../../../../src/lib/revisions.js';
+import { siteUrl } from '../../../../../../../src/lib/site.js';
+import { postEventData, queueWebhookEvent } from '../../../../../../../src/lib/webhooks.js';
+
+// POST /api/blog/post/:id/revisions/:revision/restore - Restore an old revision
+// Brings back the title, content, excerpt, author, tags and categories of
+// the revision as a new revision. The status is left alone, so restoring
+// never publishes or unpublishes a post. Generated posts are moderated again,
+// and a scheduled or published post cannot be restored to a revision that
+// fails moderation. Restoring a published post sends the `post.updated` webhook event.
+// A deleted post (addressed by its post ID) is recreated from the revision as a
+// draft under its old ID and creation date, continuing its history (201). It keeps
+// the moderation verdict it was deleted with, or is moderated again if the text differs
+// Optional body: { revision_author, revision_reason }
+export async function onRequestPost(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const number = parseRevisionNumber(params.revision);
+        if (number === null) {
+            return badRequest('Invalid revision', 'Revision must be a positive integer');
+        }
+
+        const { body, error: parseError } = await readJson(request, { optional: true });
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors: revisionErrors, revision } = validateRevisionMeta(body, `Restored revision ${number}`);
+        if (revisionErrors.length > 0) {
+            return badRequest('Invalid request body', revisionErrors);
+        }
+
+        const ref = await resolvePostRef(db, params.id) || await deletedPostRef(db, params.id);
+        const existing = ref && !ref.deleted ? await getPostById(db, ref.id) : null;
+        const snapshot = (existing || (ref && ref.deleted)) && await getRevision(db, ref.id, number);
+        if (!snapshot) {
+            return Response.json({ success: false, error: 'Revision not found' }, { status: 404 });
+        }
+
+        const { errors, values } = validatePostInput({
+            title: snapshot.title,
+            content: snapshot.content,
+            excerpt: snapshot.excerpt,
+            author: snapshot.post_author,
+            tags: snapshot.tags,
+            categories: snapshot.categories
+        }, { partial: true });
+        if (errors.length > 0) {
+            return badRequest('Revision cannot be restored', errors);
+        }
+
+        if (!existing) {
+            // The post as it was deleted: its moderation verdict carries over,
+            // and is renewed if the restored text differs from it
+            const last = await getRevision(db, ref.id, 0);
+            const deleted = {
+                id: ref.id,
+                title: last.title,
+                content: last.content,
+                excerpt: last.excerpt,
+                moderation_status: last.moderation_status,
+                moderation_reasons: last.moderation_reasons,
+                moderated_at: last.moderated_at
+            };
+            const moderation = await remoderateChanges(env, deleted, values);
+
+            const first = await getRevision(db, ref.id, 1);
+            await createPost(db, {
+                ...Object.fromEntries(MODERATION_COLUMNS.map(column => [column, deleted[column]])),
+                ...values,
+                id: ref.id,
+                status: 'draft',
+                created_at: last.post_created_at || (first || last).created_at,
+                updated_at: new Date().toISOString()
+            }, revision);
+            if (moderation && moderation.status === 'failed') {
+                await logModerationFailure(db, {
+                    postId: deleted.id,
+                    title: values.title ?? deleted.title,
+                    source: 'edit',
+                    result: moderation
+                });
+            }
+            await invalidateBlogCache(env, '[Blog Post API]');
+            const post = await getPostById(db, ref.id);
+            return Response.json({ success: true, restored: number, post }, { status: 201 });
+        }
+
+        const moderation = await remoderateChanges(env, existing, values);
+        const gateErrors = checkPublicationGate(existing, values);
+        if (gateErrors.length > 0) {
+            return badRequest('Revision cannot be restored', gateErrors);
+        }
+
+        await savePostChanges(db, existing, values, revision);
+        if (moderation && moderation.status === 'failed') {
+            await logModerationFailure(db, {
+                postId: existing.id,
+                title: values.title ?? existing.title,
+                source: 'edit',
+                result: moderation
+            });
+        }
+
+        await invalidateBlogCache(env, '[Blog Post API]');
+
+        const post = await getPostById(db, existing.id);
+        if (post.status === 'published') {
+            queueEmbeddingSync(context, existing.id);
+            queueWebhookEvent(context, 'post.updated', postEventData(post, siteUrl(request, env)));
+        }
+
+        return Response.json({ success: true, restored: number, post });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,60 @@
+import { requireAdmin } from '../../../../../../src/lib/auth.js';
+import { resolvePostRef } from '../../../../../../src/lib/blog-posts.js';
+import { deletedPostRef, diffRevisions, getRevision, parseRevisionNumber } from '../../../../../../src/lib/revisions.js';
+
+// GET /api/blog/post/:id/revisions/diff?from=1&to=3 - Compare two revisions
+// `to` defaults to the latest revision and `from` to the one before `to`,
+// so ?from=1 alone shows everything changed since the post was created
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const url = new URL(request.url);
+        const errors = [];
+        const numbers = {};
+        for (const name of ['from', 'to']) {
+            const value = url.searchParams.get(name);
+            if (value === null) continue;
+
+            numbers[name] = parseRevisionNumber(value);
+            if (numbers[name] === null) {
+                errors.push(`${name} must be a positive integer`);
+            }
+        }
+        if (errors.length > 0) {
+            return Response.json({ error: 'Invalid parameters', details: errors.join('; ') }, { status: 400 });
+        }
+
+        const ref = await resolvePostRef(db, params.id) || await deletedPostRef(db, params.id);
+        if (!ref) {
+            return Response.json({ error: 'Post not found' }, { status: 404 });
+        }
+
+        const to = await getRevision(db, ref.id, numbers.to || 0);
+        const fromNumber = numbers.from || (to ? to.revision - 1 : 0);
+        const from = fromNumber > 0 ? await getRevision(db, ref.id, fromNumber) : null;
+        if (!to || !from) {
+            return Response.json({ error: 'Revision not found' }, { status: 404 });
+        }
+
+        const describe = ({ revision, author, reason, created_at }) => ({ revision, author, reason, created_at });
+
+        return Response.json({
+            post_id: ref.id,
+            from: describe(from),
+            to: describe(to),
+            changes: diffRevisions(from, to)
+        });
+    } catch (error) {
+        console.error('Error diffing revisions:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,31 @@
+import { requireAdmin } from '../../../../../../src/lib/auth.js';
+import { resolvePostRef } from '../../../../../../src/lib/blog-posts.js';
+import { deletedPostRef, listRevisions } from '../../../../../../src/lib/revisions.js';
+
+// GET /api/blog/post/:id/revisions - List a post's revisions, newest first
+// Content is omitted; fetch a single revision or a diff to see it
+// A deleted post's history is found by its post ID, with `deleted: true`
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const ref = await resolvePostRef(db, params.id) || await deletedPostRef(db, params.id);
+        if (!ref) {
+            return Response.json({ error: 'Post not found' }, { status: 404 });
+        }
+
+        const revisions = await listRevisions(db, ref.id);
+        return Response.json({ post_id: ref.id, slug: ref.slug, deleted: Boolean(ref.deleted), revisions });
+    } catch (error) {
+        console.error('Error listing revisions:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,111 @@
+import { requireAdmin } from '../../../../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../../../../src/lib/blog-cache.js';
+import { resolvePostRef } from '../../../../../../src/lib/blog-posts.js';
+import { badRequest, readJson } from '../../../../../../src/lib/http.js';
+import {
+    deleteTranslation,
+    getTranslation,
+    parseLang,
+    saveTranslation,
+    validateTranslationInput
+} from '../../../../../../src/lib/translations.js';
+
+// GET /api/blog/post/:id/translations/:lang - One translation with its content (admin)
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { lang } = parseLang(params.lang);
+        const ref = await resolvePostRef(db, params.id);
+        const translation = ref && lang && await getTranslation(db, ref.id, lang);
+        if (!translation) {
+            return Response.json({ error: 'Translation not found' }, { status: 404 });
+        }
+
+        return Response.json(translation);
+    } catch (error) {
+        console.error('Error fetching translation:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// PATCH /api/blog/post/:id/translations/:lang - Edit a translation by hand (admin)
+// Body: any of { title, content, excerpt, seo_title, seo_description, keywords }, plus translated_by
+// (default "Admin"). A hand edit counts as checked against the current post, so it is no longer stale
+export async function onRequestPatch(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values, translatedBy } = validateTranslationInput(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid translation', errors);
+        }
+
+        const { lang } = parseLang(params.lang);
+        const ref = await resolvePostRef(db, params.id);
+        const existing = ref && lang && await getTranslation(db, ref.id, lang);
+        if (!existing) {
+            return Response.json({ success: false, error: 'Translation not found' }, { status: 404 });
+        }
+
+        const post = await db.prepare('SELECT updated_at FROM blog_posts WHERE id = ?').bind(ref.id).first();
+        await saveTranslation(db, ref.id, lang, { ...existing, ...values }, {
+            translatedBy,
+            sourceUpdatedAt: post.updated_at
+        });
+        await invalidateBlogCache(env, '[Translations]');
+
+        return Response.json({ success: true, translation: await getTranslation(db, ref.id, lang) });
+    } catch (error) {
+        console.error('Error updating translation:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
+
+// DELETE /api/blog/post/:id/translations/:lang - Delete a translation (admin); readers get the original again
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { lang } = parseLang(params.lang);
+        const ref = await resolvePostRef(db, params.id);
+        if (!ref || !lang || !await deleteTranslation(db, ref.id, lang)) {
+            return Response.json({ success: false, error: 'Translation not found' }, { status: 404 });
+        }
+        await invalidateBlogCache(env, '[Translations]');
+
+        return Response.json({ success: true, post_id: ref.id, lang });
+    } catch (error) {
+        console.error('Error deleting translation:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,100 @@
+import { requireAdmin } from '../../../../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../../../../src/lib/blog-cache.js';
+import { getPostById, resolvePostRef } from '../../../../../../src/lib/blog-posts.js';
+import { badRequest, readJson } from '../../../../../../src/lib/http.js';
+import {
+    getTranslation,
+    listTranslations,
+    MACHINE_TRANSLATOR,
+    parseLang,
+    saveTranslation,
+    translatePost
+} from '../../../../../../src/lib/translations.js';
+
+// GET /api/blog/post/:id/translations - List a post's translations (admin)
+// Content is omitted; `stale` is true when the post changed after the translation was made
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const ref = await resolvePostRef(db, params.id);
+        if (!ref) {
+            return Response.json({ error: 'Post not found' }, { status: 404 });
+        }
+
+        const translations = await listTranslations(db, ref.id);
+        return Response.json({ post_id: ref.id, slug: ref.slug, translations });
+    } catch (error) {
+        console.error('Error listing translations:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/blog/post/:id/translations - Machine-translate a post (admin)
+// Body: { lang } - one of TRANSLATION_LANGUAGES (see src/lib/translations.js)
+// Replaces an existing translation into that language, including hand edits
+// Response (201 when new): { success, translation: { post_id, lang, title, content, ..., stale }, duration_ms }
+export async function onRequestPost(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        if (!env.AI || !env.DB) {
+            return Response.json({ success: false, error: 'AI or database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { error: langError, lang } = parseLang(body && body.lang);
+        if (langError || !lang) {
+            return badRequest('Invalid translation request', langError || 'lang is required and must not be the original language');
+        }
+
+        const ref = await resolvePostRef(env.DB, params.id);
+        const post = ref && await getPostById(env.DB, ref.id);
+        if (!post) {
+            return Response.json({ success: false, error: 'Post not found' }, { status: 404 });
+        }
+
+        let translated;
+        try {
+            translated = await translatePost(env.AI, post, lang);
+        } catch (translateError) {
+            console.error('[Translations] Translation failed:', translateError);
+            return Response.json({
+                success: false,
+                error: 'Failed to translate post',
+                details: translateError.message
+            }, { status: 500 });
+        }
+
+        const existed = Boolean(await getTranslation(env.DB, post.id, lang));
+        await saveTranslation(env.DB, post.id, lang, translated.values, {
+            translatedBy: MACHINE_TRANSLATOR,
+            sourceUpdatedAt: post.updated_at
+        });
+        await invalidateBlogCache(env, '[Translations]');
+
+        return Response.json({
+            success: true,
+            translation: await getTranslation(env.DB, post.id, lang),
+            duration_ms: translated.duration_ms
+        }, { status: existed ? 200 : 201 });
+    } catch (error) {
+        console.error('Error translating post:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -1,17 +1,58 @@
+import { isAdmin, requireAdmin } from '../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import { BLOG_CACHE_TTL, buildCacheKey, invalidateBlogCache } from '../../../src/lib/blog-cache.js';
+import {
+    POST_STATUSES,
+    applyStatusChange,
+    createPost,
+    getPostById,
+    validatePostInput
+} from '../../../src/lib/blog-posts.js';
+import { mediaUrl } from '../../../src/lib/media.js';
+import { decodeCursor, paginateRows, paginationHeaders } from '../../../src/lib/pagination.js';
+import { validateRevisionMeta } from '../../../src/lib/revisions.js';
+import { siteUrl } from '../../../src/lib/site.js';
+import { slugify } from '../../../src/lib/slug.js';
+import { TAXONOMIES, getTermsForPosts, termId } from '../../../src/lib/taxonomy.js';
+import { getTranslationsForPosts, localizePost, parseLang } from '../../../src/lib/translations.js';
+import { postEventData, queueWebhookEvent } from '../../../src/lib/webhooks.js';
+
 /**
- * CloudCurio Blog Posts API - List All Published Posts
+ * CloudCurio Blog Posts API - List Published Posts
  * 
  * GET /api/blog/posts
  * 
  * PURPOSE:
- * Retrieves all published blog posts from the D1 database with caching support
- * for optimal performance.
+ * Retrieves published blog posts from the D1 database, one page at a time,
+ * with optional filtering and sorting and KV caching for optimal performance.
+ * 
+ * QUERY PARAMETERS:
+ * - limit:  Page size, 1-100 (default 50)
+ * - cursor: Opaque cursor from the previous page's X-Next-Cursor header
+ * - sort:   'newest' (default), 'oldest' or 'title'
+ * - author: Exact author name
+ * - tag:    Tag slug (or name), e.g. 'cloudflare-workers'
+ * - category: Category slug (or name)
+ * - from:   Only posts created at or after this date (ISO 8601)
+ * - to:     Only posts created at or before this date (ISO 8601)
+ * - status: 'published' (default), 'draft', 'review', 'scheduled' or 'all' -
+ *           anything other than 'published' requires an admin token
+ * - lang:   Language code, e.g. 'es' - translated titles and excerpts where a
+ *           translation exists, the original otherwise (see src/lib/translations.js)
+ * 
+ * PAGINATION:
+ * Keyset (cursor) pagination on the sort key plus `id` as a tie-breaker,
+ * so pages stay stable while new posts are being added. When more results
+ * exist the response carries:
+ * - X-Next-Cursor: cursor to pass as `?cursor=` for the next page
+ * - Link: <...>; rel="next" with the full URL of the next page
+ * A cursor is only valid with the sort order it was issued for.
  * 
  * CACHING STRATEGY:
- * 1. Check KV cache first (5-minute TTL)
+ * 1. Each combination of query parameters has its own KV entry (5-minute TTL)
  * 2. If cache miss, query D1 database
  * 3. Store results in KV for subsequent requests
- * 4. Cache invalidated on new post creation
+ * 4. All entries are invalidated together on any post write (see blog-cache.js)
  * 
  * CLOUDFLARE SERVICES USED:
  * - D1: SQLite database for structured blog data
@@ -25,71 +66,71 @@
  *     excerpt: string,
  *     author: string,
  *     date: ISO8601 timestamp,
- *     status: 'published'
+ *     status: 'published',
+ *     lang: string (language of title and excerpt),
+ *     featured_image: string | null (URL under /api/media),
+ *     tags: [{ name, slug }],
+ *     categories: [{ name, slug }]
  *   },
  *   ...
  * ]
  * 
  * ERROR HANDLING:
+ * - Returns 400 for invalid parameters or a malformed cursor
+ * - Returns 403 when a non-admin asks for non-published posts
  * - Returns empty array if database not configured
  * - Returns 500 on database errors with error details
  * - Continues without cache if KV unavailable
  * 
  * IMPROVEMENTS NEEDED:
- * - Add pagination support (page, perPage parameters)
- * - Add filtering by author, date range, tags
- * - Add sorting options (date, title, popularity)
- * - Implement search functionality
  * - Add ETag/Last-Modified headers for browser caching
  * - Include post statistics (views, likes, comments)
  * - Add rate limiting per IP
  * 
- * PSEUDO CODE for pagination:
- * ```
- * const page = parseInt(url.searchParams.get('page')) || 1;
- * const perPage = parseInt(url.searchParams.get('perPage')) || 20;
- * const offset = (page - 1) * perPage;
- * 
- * const query = `
- *   SELECT ... FROM blog_posts 
- *   WHERE status = 'published'
- *   ORDER BY created_at DESC
- *   LIMIT ? OFFSET ?
- * `;
- * ```
- * 
  * @param {Object} context - Cloudflare Pages Functions context
- * @param {Object} context.env - Environment bindings (DB, BLOG_CACHE)
+ * @param {Object} context.env - Environment bindings (DB, BLOG_CACHE, ADMIN_TOKEN)
  * @returns {Response} JSON array of blog posts or error
  */
 export async function onRequestGet(context) {
     const startTime = Date.now();
     
     try {
-        const { env } = context;
+        const { env, request } = context;
+        const url = new URL(request.url);
         
         // Log request for debugging
-        console.log('[Blog Posts API] GET request received');
+        console.log('[Blog Posts API] GET request received', url.search);
         
         // Validate environment bindings
         if (!env) {
             throw new Error('Environment bindings not available');
         }
+
+        // Validate query parameters before touching cache or database
+        const { errors, options } = parseListOptions(url.searchParams);
+        if (errors.length > 0) {
+            return Response.json({
+                error: 'Invalid query parameters',
+                details: errors.join('; ')
+            }, { status: 400 });
+        }
+
+        if (options.status !== 'published' && !isAdmin(request, env)) {
+            return Response.json({
+                error: 'Forbidden',
+                details: 'Only admins can list posts that are not published'
+            }, { status: 403 });
+        }
         
         // PERFORMANCE OPTIMIZATION: Try cache first
+        let cacheKey = null;
         try {
             if (env.BLOG_CACHE) {
-                const cached = await env.BLOG_CACHE.get('blog_posts');
+                cacheKey = await buildCacheKey(env.BLOG_CACHE, 'list', options);
+                const cached = await env.BLOG_CACHE.get(cacheKey, 'json');
                 if (cached) {
                     console.log('[Blog Posts API] Cache hit, returning cached data');
-                    const duration = Date.now() - startTime;
-                    return new Response(cached, {
-                        headers: { 
-                            'Content-Type': 'application/json',
-                            'X-Cache': 'HIT',
-                            'X-Response-Time': `${duration}ms`
-                        }
-                    });
+                    return listResponse(url, cached, 'HIT', startTime);
                 }
                 console.log('[Blog Posts API] Cache miss, querying database');
             } else {
@@ -107,46 +148,35 @@ export async function onRequestGet(context) {
             return Response.json([]);
         }
 
-        // Query database for published posts
-        // TODO: Add pagination, filtering, sorting
-        const query = `
-            SELECT 
-                id, 
-                title, 
-                excerpt, 
-                author, 
-                created_at as date, 
-                status
-            FROM blog_posts 
-            WHERE status = 'published'
-            ORDER BY created_at DESC
-            LIMIT 50
-        `;
+        const { sql, bindings } = buildListQuery(options);
         
         console.log('[Blog Posts API] Executing database query');
-        const { results } = await db.prepare(query).all();
+        const { results } = await db.prepare(sql).bind(...bindings).all();
 
-        // Validate results
-        const posts = results || [];
+        // The cursor uses the original title, so take it before translating
+        const { items: posts, nextCursor } = paginateRows(results, options.limit, row => cursorOf(options.sort, row));
         console.log(`[Blog Posts API] Retrieved ${posts.length} posts from database`);
-        
-        // TODO: Add data sanitization and validation
-        // posts.forEach(post => {
-        //   if (!post.id || !post.title) {
-        //     console.error('[Blog Posts API] Invalid post data:', post);
-        //   }
-        // });
+
+        // Attach tags and categories in one query per taxonomy, and translations in one more
+        const postIds = posts.map(post => post.id);
+        const terms = await getTermsForPosts(db, postIds);
+        const translations = options.lang ? await getTranslationsForPosts(db, postIds, options.lang) : new Map();
+        const page = {
+            posts: posts.map(row => {
+                const post = localizePost(row, translations.get(row.id) || null, options.lang);
+                post.featured_image = mediaUrl(post.featured_image_key);
+                delete post.featured_image_key;
+                return Object.assign(post, terms.get(post.id));
+            }),
+            nextCursor
+        };
         
         // Cache the results for future requests
-        if (env.BLOG_CACHE && posts.length > 0) {
+        if (cacheKey && posts.length > 0) {
             try {
-                await env.BLOG_CACHE.put(
-                    'blog_posts', 
-                    JSON.stringify(posts), 
-                    {
-                        expirationTtl: 300 // 5 minutes
-                    }
-                );
+                await env.BLOG_CACHE.put(cacheKey, JSON.stringify(page), {
+                    expirationTtl: BLOG_CACHE_TTL
+                });
                 console.log('[Blog Posts API] Results cached successfully');
             } catch (cacheError) {
                 // Log but don't fail the request
@@ -155,17 +185,8 @@ export async function onRequestGet(context) {
         }
 
         // Return successful response
-        const duration = Date.now() - startTime;
-        console.log(`[Blog Posts API] Request completed in ${duration}ms`);
-        
-        return new Response(JSON.stringify(posts), {
-            headers: { 
-                'Content-Type': 'application/json',
-                'X-Cache': 'MISS',
-                'X-Response-Time': `${duration}ms`,
-                'X-Post-Count': `${posts.length}`
-            }
-        });
+        console.log(`[Blog Posts API] Request completed in ${Date.now() - startTime}ms`);
+        return listResponse(url, page, 'MISS', startTime);
         
     } catch (error) {
         // Comprehensive error logging
@@ -188,3 +209,275 @@ export async function onRequestGet(context) {
         });
     }
 }
+
+/**
+ * Supported sort orders. `key` is the selected column used in cursors.
+ */
+const SORTS = {
+    newest: { column: 'created_at', key: 'date', direction: 'DESC' },
+    oldest: { column: 'created_at', key: 'date', direction: 'ASC' },
+    title: { column: 'title', key: 'title', direction: 'ASC' }
+};
+
+const LIST_STATUSES = [...POST_STATUSES, 'all'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse and validate listing query parameters
+ *
+ * @param {URLSearchParams} params - Request query string
+ * @returns {{ errors: string[], options: Object }}
+ */
+function parseListOptions(params) {
+    const errors = [];
+    const options = {
+        limit: DEFAULT_LIMIT,
+        sort: params.get('sort') || 'newest',
+        status: params.get('status') || 'published',
+        author: params.get('author') || null,
+        tag: params.get('tag') ? slugify(params.get('tag')) : null,
+        category: params.get('category') ? slugify(params.get('category')) : null,
+        from: null,
+        to: null,
+        cursor: null,
+        lang: null
+    };
+
+    if (params.has('limit')) {
+        const limit = Number(params.get('limit'));
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+        } else {
+            options.limit = limit;
+        }
+    }
+
+    if (!SORTS[options.sort]) {
+        errors.push(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    if (!LIST_STATUSES.includes(options.status)) {
+        errors.push(`status must be one of: ${LIST_STATUSES.join(', ')}`);
+    }
+
+    for (const field of ['from', 'to']) {
+        const value = params.get(field);
+        if (!value) continue;
+
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) {
+            errors.push(`${field} must be an ISO 8601 date`);
+        } else {
+            options[field] = new Date(time).toISOString();
+        }
+    }
+
+    const { error: langError, lang } = parseLang(params.get('lang'));
+    if (langError) {
+        errors.push(langError);
+    } else {
+        options.lang = lang;
+    }
+
+    if (params.get('cursor')) {
+        const cursor = decodeCursor(params.get('cursor'));
+        if (!cursor || typeof cursor.id !== 'string' || cursor.k === undefined) {
+            errors.push('cursor is malformed');
+        } else if (cursor.s !== options.sort) {
+            errors.push('cursor was issued for a different sort order');
+        } else {
+            options.cursor = { key: cursor.k, id: cursor.id };
+        }
+    }
+
+    return { errors, options };
+}
+
+/**
+ * Build the SQL for one page of the listing
+ *
+ * @param {Object} options - Validated options from parseListOptions
+ * @returns {{ sql: string, bindings: Array }}
+ */
+function buildListQuery(options) {
+    const sort = SORTS[options.sort];
+    const comparison = sort.direction === 'DESC' ? '<' : '>';
+    const conditions = [];
+    const bindings = [];
+
+    if (options.status !== 'all') {
+        conditions.push('status = ?');
+        bindings.push(options.status);
+    }
+    if (options.author) {
+        conditions.push('author = ?');
+        bindings.push(options.author);
+    }
+    for (const type of ['tag', 'category']) {
+        if (!options[type]) continue;
+
+        const { join, column } = TAXONOMIES[type];
+        conditions.push(`id IN (SELECT post_id FROM ${join} WHERE ${column} = ?)`);
+        bindings.push(termId(type, options[type]));
+    }
+    if (options.from) {
+        conditions.push('created_at >= ?');
+        bindings.push(options.from);
+    }
+    if (options.to) {
+        conditions.push('created_at <= ?');
+        bindings.push(options.to);
+    }
+    if (options.cursor) {
+        conditions.push(`(${sort.column} ${comparison} ? OR (${sort.column} = ? AND id ${comparison} ?))`);
+        bindings.push(options.cursor.key, options.cursor.key, options.cursor.id);
+    }
+
+    const sql = `
+        SELECT 
+            id, 
+            slug, 
+            title, 
+            excerpt, 
+            author, 
+            created_at as date, 
+            status,
+            featured_image_key
+        FROM blog_posts 
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${sort.column} ${sort.direction}, id ${sort.direction}
+        LIMIT ?
+    `;
+    bindings.push(options.limit + 1);
+
+    return { sql, bindings };
+}
+
+/**
+ * Cursor payload pointing just past a row
+ *
+ * @param {string} sortName - Sort order the cursor belongs to
+ * @param {Object} row - Last row of the current page
+ * @returns {Object} For encodeCursor()
+ */
+function cursorOf(sortName, row) {
+    return { s: sortName, k: row[SORTS[sortName].key], id: row.id };
+}
+
+/**
+ * Serialise a page of posts, exposing the next cursor through headers so the
+ * body stays a plain array for existing clients
+ *
+ * @param {URL} url - Request URL, used to build the `Link` header
+ * @param {{ posts: Object[], nextCursor: string|null }} page
+ * @param {'HIT'|'MISS'} cacheStatus
+ * @param {number} startTime - Request start timestamp
+ * @returns {Response}
+ */
+function listResponse(url, page, cacheStatus, startTime) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Cache': cacheStatus,
+        'X-Response-Time': `${Date.now() - startTime}ms`,
+        'X-Post-Count': `${page.posts.length}`,
+        ...paginationHeaders(url, page.nextCursor)
+    };
+
+    return new Response(JSON.stringify(page.posts), { headers });
+}
+
+/**
+ * CloudCurio Blog Posts API - Create a Hand-Written Post
+ *
+ * POST /api/blog/posts
+ *
+ * PURPOSE:
+ * Stores a post written by a human editor. Unlike /api/blog/generate no AI
+ * call is made; the request body is validated and inserted as-is.
+ *
+ * AUTHENTICATION:
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ * REQUEST BODY:
+ * {
+ *   title: string (required, max 200 chars),
+ *   content: string (required),
+ *   excerpt: string (optional, max 500 chars),
+ *   author: string (optional, defaults to 'Anonymous'),
+ *   status: 'draft' | 'review' (optional, defaults to 'draft'),
+ *   seo_title: string (optional, max 120 chars, defaults to title on post pages),
+ *   seo_description: string (optional, max 300 chars, defaults to excerpt),
+ *   keywords: string (optional, comma-separated, max 500 chars),
+ *   tags: string[] (optional, max 10, created if they don't exist),
+ *   categories: string[] (optional, max 3, created if they don't exist),
+ *   revision_author: string (optional, recorded on revision 1, defaults to 'Admin'),
+ *   revision_reason: string (optional, defaults to 'Created')
+ * }
+ *
+ * New posts cannot be created as scheduled or published; move them through
+ * the workflow with PATCH /api/blog/post/:id (see STATUS_TRANSITIONS).
+ *
+ * RESPONSE FORMAT (201 Created):
+ * {
+ *   success: true,
+ *   post: { id, slug, title, content, excerpt, author, status, publish_at,
+ *           seo_title, seo_description, keywords, created_at, updated_at, tags, categories }
+ * }
+ *
+ * ERROR SCENARIOS:
+ * - Missing/invalid admin token (401)
+ * - Invalid JSON or failed validation (400)
+ * - Database not configured or insertion failure (500)
+ *
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @param {Object} context.env - Environment bindings (DB, BLOG_CACHE, ADMIN_TOKEN)
+ * @returns {Response} JSON response with the created post
+ */
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+        console.log('[Blog Posts API] POST request received');
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({
+                success: false,
+                error: 'Database not configured'
+            }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validatePostInput(body);
+        const { errors: revisionErrors, revision } = validateRevisionMeta(body, 'Created');
+        errors.push(...applyStatusChange(null, values), ...revisionErrors);
+        if (errors.length > 0) {
+            return badRequest('Invalid post data', errors);
+        }
+
+        const postId = await createPost(db, values, revision);
+
+        console.log('[Blog Posts API] Post created', { postId });
+
+        await invalidateBlogCache(env, '[Blog Posts API]');
+
+        const post = await getPostById(db, postId);
+        queueWebhookEvent(context, 'post.created', postEventData(post, siteUrl(request, env)));
+
+        return Response.json({ success: true, post }, { status: 201 });
+    } catch (error) {
+        console.error('[Blog Posts API] Error creating post:', error);
+        return Response.json({
+            success: false,
+            error: 'Failed to create blog post',
+            details: error.message
+        }, { status: 500 });
+    }
+}
@@ -0,0 +1,55 @@
+import { cachedText } from '../../../src/lib/blog-cache.js';
+import { MAX_QUERY_LENGTH, buildFtsQuery, searchPosts } from '../../../src/lib/search.js';
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_OFFSET = 500;
+
+// GET /api/blog/search?q=&limit=&offset= - Full-text search over published posts
+// Response: [{ id, slug, title, excerpt, author, date, title_highlight, snippet, tags, categories }],
+// best match first. `title_highlight` and `snippet` are HTML with matches wrapped in <mark>.
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+        const params = new URL(request.url).searchParams;
+        const query = (params.get('q') || '').trim();
+        const errors = [];
+
+        if (!query) {
+            errors.push('q is required');
+        } else if (query.length > MAX_QUERY_LENGTH) {
+            errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+        }
+
+        const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+        }
+
+        const offset = params.has('offset') ? Number(params.get('offset')) : 0;
+        if (!Number.isInteger(offset) || offset < 0 || offset > MAX_OFFSET) {
+            errors.push(`offset must be an integer between 0 and ${MAX_OFFSET}`);
+        }
+
+        if (errors.length > 0) {
+            return Response.json({ error: 'Invalid query parameters', details: errors.join('; ') }, { status: 400 });
+        }
+
+        // Queries made only of punctuation cannot match anything
+        const ftsQuery = buildFtsQuery(query);
+        if (!env.DB || !ftsQuery) {
+            return Response.json([]);
+        }
+
+        const { body, cacheStatus } = await cachedText(env, 'search', { ftsQuery, limit, offset }, async () =>
+            JSON.stringify(await searchPosts(env.DB, ftsQuery, { limit, offset })),
+        '[Blog Search]');
+
+        return new Response(body, {
+            headers: { 'Content-Type': 'application/json', 'X-Cache': cacheStatus }
+        });
+    } catch (error) {
+        console.error('[Blog Search] Error:', error);
+        return Response.json({ error: 'Search failed', details: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,68 @@
+import { isAdmin, requireAdmin } from '../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../src/lib/blog-cache.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import {
+    checkSeriesPosts,
+    createSeries,
+    getSeries,
+    listSeries,
+    validateSeriesInput
+} from '../../../src/lib/series.js';
+
+// GET /api/blog/series - List series, newest first
+// Response: [{ id, title, description, part_count, created_at, updated_at }]
+// Public callers only see series with published parts, and only count those
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        return Response.json(await listSeries(db, { publishedOnly: !isAdmin(request, env) }));
+    } catch (error) {
+        console.error('Error listing series:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/blog/series - Create a series from existing posts (admin)
+// Body: { title, description?, post_ids?: [postId, ...] in reading order }
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateSeriesInput(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid series', errors);
+        }
+
+        const postErrors = await checkSeriesPosts(db, null, values.post_ids || []);
+        if (postErrors.length > 0) {
+            return badRequest('Invalid series', postErrors);
+        }
+
+        const seriesId = await createSeries(db, values);
+        await invalidateBlogCache(env, '[Series]');
+
+        return Response.json({ success: true, series: await getSeries(db, seriesId) }, { status: 201 });
+    } catch (error) {
+        console.error('Error creating series:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,102 @@
+import { isAdmin, requireAdmin } from '../../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../../src/lib/blog-cache.js';
+import { badRequest, readJson } from '../../../../src/lib/http.js';
+import {
+    checkSeriesPosts,
+    deleteSeries,
+    getSeries,
+    updateSeries,
+    validateSeriesInput
+} from '../../../../src/lib/series.js';
+
+// GET /api/blog/series/:id - A series with its parts in order
+// Response: { id, title, description, outline (admin), parts: [{ id, slug, title, excerpt, status (admin),
+//             publish_at, position }], created_at, updated_at }
+// Public callers only see published parts; a series without any is a 404
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const series = await getSeries(db, params.id, { publishedOnly: !isAdmin(request, env) });
+        if (!series) {
+            return Response.json({ error: 'Series not found' }, { status: 404 });
+        }
+        return Response.json(series);
+    } catch (error) {
+        console.error('Error fetching series:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// PATCH /api/blog/series/:id - Change a series (admin)
+// Body: any of { title, description, post_ids }; post_ids replaces the parts and their order
+export async function onRequestPatch(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateSeriesInput(body, { partial: true });
+        if (errors.length > 0) {
+            return badRequest('Invalid series', errors);
+        }
+
+        if (values.post_ids) {
+            const postErrors = await checkSeriesPosts(db, params.id, values.post_ids);
+            if (postErrors.length > 0) {
+                return badRequest('Invalid series', postErrors);
+            }
+        }
+
+        if (!await updateSeries(db, params.id, values)) {
+            return Response.json({ success: false, error: 'Series not found' }, { status: 404 });
+        }
+        await invalidateBlogCache(env, '[Series]');
+
+        return Response.json({ success: true, series: await getSeries(db, params.id) });
+    } catch (error) {
+        console.error('Error updating series:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
+
+// DELETE /api/blog/series/:id - Delete a series (admin); its posts are kept outside any series
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        if (!await deleteSeries(db, params.id)) {
+            return Response.json({ success: false, error: 'Series not found' }, { status: 404 });
+        }
+        await invalidateBlogCache(env, '[Series]');
+
+        return Response.json({ success: true, id: params.id });
+    } catch (error) {
+        console.error('Error deleting series:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
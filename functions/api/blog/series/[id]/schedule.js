@@ -0,0 +1,53 @@
+import { requireAdmin } from '../../../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../../../src/lib/blog-cache.js';
+import { badRequest, readJson } from '../../../../../src/lib/http.js';
+import { validateRevisionMeta } from '../../../../../src/lib/revisions.js';
+import { getSeries, scheduleSeries, validateScheduleInput } from '../../../../../src/lib/series.js';
+
+// POST /api/blog/series/:id/schedule - Release the unpublished parts one by one (admin)
+// Body: { start_at: ISO date (first part), interval_hours?: 1-720 (default 168, weekly),
+//        revision_author?, revision_reason? }
+// Every unpublished part must be in review or already scheduled; the blog generator cron
+// publishes each part once its publish_at has passed
+// Response: { success, scheduled: [{ id, position, publish_at }] }
+export async function onRequestPost(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateScheduleInput(body);
+        const { errors: revisionErrors, revision } = validateRevisionMeta(body);
+        errors.push(...revisionErrors);
+        if (errors.length > 0) {
+            return badRequest('Invalid schedule', errors);
+        }
+
+        const series = await getSeries(db, params.id);
+        if (!series) {
+            return Response.json({ success: false, error: 'Series not found' }, { status: 404 });
+        }
+
+        const { errors: scheduleErrors, scheduled } = await scheduleSeries(db, series, values, revision);
+        if (scheduleErrors.length > 0) {
+            return badRequest('Cannot schedule series', scheduleErrors);
+        }
+
+        await invalidateBlogCache(env, '[Series]');
+        return Response.json({ success: true, scheduled });
+    } catch (error) {
+        console.error('Error scheduling series:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,92 @@
+import { requireAdmin } from '../../../../src/lib/auth.js';
+import { invalidateBlogCache } from '../../../../src/lib/blog-cache.js';
+import { getPostById } from '../../../../src/lib/blog-posts.js';
+import { badRequest, readJson } from '../../../../src/lib/http.js';
+import { generateSeries, validateSeriesGenerationOptions } from '../../../../src/lib/series.js';
+import { siteUrl } from '../../../../src/lib/site.js';
+import { postEventData, queueWebhookEvent } from '../../../../src/lib/webhooks.js';
+
+// POST /api/blog/series/generate - Plan and write a multi-part series (admin)
+// Body (every field optional): the options of /api/blog/generate plus
+//   parts: 3-5 (default 3)
+// The outline is planned once, then each part is written with the earlier parts
+// summarised in its prompt. Parts are checked for near-duplicates outside the series,
+// moderated and stored as drafts; review them, then release them with
+// POST /api/blog/series/:id/schedule. Each stored part sends a `post.created` webhook event
+// Response: { success, series: { id, title, description },
+//             parts: [{ id, title, position, moderation: { status, reasons }, similarity }], metadata }
+// If a part fails, the earlier parts stay stored: 500 with the same fields plus
+// `error: 'Series generation stopped'` and `details` naming the part
+export async function onRequestPost(context) {
+    const startTime = Date.now();
+
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        if (!env.AI || !env.DB) {
+            return Response.json({
+                success: false,
+                error: 'AI or Database not configured',
+                details: !env.AI ? 'AI binding missing' : 'Database binding missing'
+            }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request, { optional: true });
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, options, parts } = validateSeriesGenerationOptions(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid generation options', errors);
+        }
+
+        console.log('[Series Generator] Generating series', { topic: options.topic, parts });
+        const result = await generateSeries(env, options, parts);
+
+        // The series and any stored parts exist even if a later part failed
+        await invalidateBlogCache(env, '[Series Generator]');
+
+        const base = siteUrl(request, env);
+        for (const part of result.parts) {
+            const post = await getPostById(env.DB, part.id);
+            queueWebhookEvent(context, 'post.created', postEventData(post, base));
+        }
+
+        const duration = Date.now() - startTime;
+        const metadata = {
+            generatedAt: new Date().toISOString(),
+            duration: `${duration}ms`,
+            options: { ...options, parts }
+        };
+
+        if (result.error) {
+            return Response.json({
+                success: false,
+                error: 'Series generation stopped',
+                details: result.error,
+                series: result.series,
+                parts: result.parts,
+                metadata
+            }, { status: 500 });
+        }
+
+        console.log(`[Series Generator] Series generated in ${duration}ms`, { seriesId: result.series.id });
+
+        return Response.json({
+            success: true,
+            ...result,
+            metadata
+        }, { status: 201 });
+    } catch (error) {
+        console.error('[Series Generator] Error:', error);
+        return Response.json({
+            success: false,
+            error: 'Failed to generate series',
+            details: error.message
+        }, { status: 500 });
+    }
+}
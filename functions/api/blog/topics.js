@@ -0,0 +1,67 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import { createTopic, findTopicId, listTopics, validateTopicInput } from '../../../src/lib/generation-topics.js';
+
+// GET /api/blog/topics - Topics of the scheduled blog generator (admin)
+// Response: [{ id, topic, weight, cooldown_hours, enabled, source, use_count,
+//              last_used_at, available_at, created_at, updated_at }]
+// `available_at` is when the topic's cooldown ends (null if it can be picked now)
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        return Response.json(await listTopics(db));
+    } catch (error) {
+        console.error('Error listing generation topics:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/blog/topics - Add a topic (admin)
+// Body: { topic, weight?: 1-100 (default 1), cooldown_hours?: 0-8760 (default 72), enabled?: boolean (default true) }
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateTopicInput(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid topic', errors);
+        }
+
+        const existingId = await findTopicId(db, values.topic);
+        if (existingId) {
+            return Response.json({
+                success: false,
+                error: 'Topic already exists',
+                details: `Topic ${existingId} has the same text`
+            }, { status: 409 });
+        }
+
+        const topic = await createTopic(db, values);
+        return Response.json({ success: true, topic }, { status: 201 });
+    } catch (error) {
+        console.error('Error creating generation topic:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,99 @@
+import { requireAdmin } from '../../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../../src/lib/http.js';
+import { findTopicId, getTopic, updateTopic, validateTopicInput } from '../../../../src/lib/generation-topics.js';
+
+// GET /api/blog/topics/:id - One generation topic (admin)
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const topic = await getTopic(db, params.id);
+        if (!topic) {
+            return Response.json({ error: 'Topic not found' }, { status: 404 });
+        }
+        return Response.json(topic);
+    } catch (error) {
+        console.error('Error fetching generation topic:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// PATCH /api/blog/topics/:id - Change a topic (admin)
+// Body: any of { topic, weight, cooldown_hours, enabled }; enable proposed topics with { enabled: true }
+export async function onRequestPatch(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateTopicInput(body, { partial: true });
+        if (errors.length > 0) {
+            return badRequest('Invalid topic', errors);
+        }
+
+        if (values.topic !== undefined) {
+            const existingId = await findTopicId(db, values.topic);
+            if (existingId && existingId !== params.id) {
+                return Response.json({
+                    success: false,
+                    error: 'Topic already exists',
+                    details: `Topic ${existingId} has the same text`
+                }, { status: 409 });
+            }
+        }
+
+        const topic = await updateTopic(db, params.id, values);
+        if (!topic) {
+            return Response.json({ success: false, error: 'Topic not found' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, topic });
+    } catch (error) {
+        console.error('Error updating generation topic:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
+
+// DELETE /api/blog/topics/:id - Remove a topic (admin)
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const result = await db.prepare('DELETE FROM generation_topics WHERE id = ?').bind(params.id).run();
+        if (!result.meta || result.meta.changes === 0) {
+            return Response.json({ success: false, error: 'Topic not found' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, id: params.id });
+    } catch (error) {
+        console.error('Error deleting generation topic:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,34 @@
+import { requireAdmin } from '../../../../src/lib/auth.js';
+import { MAX_PROPOSALS, proposeTopics } from '../../../../src/lib/generation-topics.js';
+
+// POST /api/blog/topics/propose?limit= - Propose topics from recent knowledge base entries (admin)
+// New topics are stored disabled with source 'knowledge_base'; enable them with PATCH
+// Response: { success, topics: [...] } (empty when there are no new entries)
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const params = new URL(request.url).searchParams;
+        const limit = params.has('limit') ? Number(params.get('limit')) : MAX_PROPOSALS;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PROPOSALS) {
+            return Response.json({
+                success: false,
+                error: 'Invalid query parameters',
+                details: `limit must be an integer between 1 and ${MAX_PROPOSALS}`
+            }, { status: 400 });
+        }
+
+        if (!env.AI || !env.DB) {
+            return Response.json({ success: false, error: 'AI or Database not configured' }, { status: 500 });
+        }
+
+        const topics = await proposeTopics(env, { limit });
+        return Response.json({ success: true, topics });
+    } catch (error) {
+        console.error('Error proposing generation topics:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
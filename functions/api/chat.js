@@ -1,3 +1,9 @@
+import { BLOG_POST_VECTOR_TYPE } from '../../src/lib/post-embeddings.js';
+
+/** Knowledge base entries added to the prompt as context */
+const CONTEXT_DOCS = 3;
+const CONTEXT_QUERY_TOP_K = 10;
+
 // POST /api/chat - AI chat with RAG (Retrieval Augmented Generation)
 export async function onRequestPost(context) {
     try {
@@ -29,16 +35,21 @@ export async function onRequestPost(context) {
                 const queryVector = embeddings.data[0];
 
                 // Search for relevant context
+                // Blog posts share the index; skip them so they cannot take
+                // the knowledge base's context slots
                 const searchResults = await vectors.query(queryVector, {
-                    topK: 3,
+                    topK: CONTEXT_QUERY_TOP_K,
                     returnValues: false,
                     returnMetadata: true
                 });
+                const matches = (searchResults.matches || [])
+                    .filter(match => !match.metadata || match.metadata.type !== BLOG_POST_VECTOR_TYPE)
+                    .slice(0, CONTEXT_DOCS);
 
                 // Get full content from knowledge base
-                if (searchResults.matches && searchResults.matches.length > 0) {
+                if (matches.length > 0) {
                     const contextDocs = await Promise.all(
-                        searchResults.matches.map(async (match) => {
+                        matches.map(async (match) => {
                             const { results } = await db.prepare(`
                                 SELECT title, content
                                 FROM knowledge_base
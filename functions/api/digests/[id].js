@@ -0,0 +1,26 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { getDigest } from '../../../src/lib/digests.js';
+
+// GET /api/digests/:id - A digest and its send counts (admin)
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const digest = await getDigest(db, params.id);
+        if (!digest) {
+            return Response.json({ error: 'Digest not found' }, { status: 404 });
+        }
+        return Response.json(digest);
+    } catch (error) {
+        console.error('Error fetching digest:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
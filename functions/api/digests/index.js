@@ -0,0 +1,114 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import {
+    compileDigest,
+    countDigestRecipients,
+    createDigest,
+    getSendingDigest,
+    listDigests,
+    queueDigestBatch,
+    renderDigestEmail,
+    validateDigestListParams,
+    validateDigestRequest
+} from '../../../src/lib/digests.js';
+import { unsubscribeUrl } from '../../../src/lib/newsletter.js';
+import { paginationHeaders } from '../../../src/lib/pagination.js';
+import { siteUrl } from '../../../src/lib/site.js';
+
+// GET /api/digests - Weekly digests, newest first (admin)
+// Query: limit (1-100, default 20), cursor
+// Response: [{ id, period_start, period_end, subject, intro, post_ids, status, sent_count, failed_count,
+//             created_at, completed_at }], next page in the X-Next-Cursor and Link headers
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const url = new URL(request.url);
+        const { errors, options } = validateDigestListParams(url.searchParams);
+        if (errors.length > 0) {
+            return Response.json({
+                error: 'Invalid query parameters',
+                details: errors.join('; ')
+            }, { status: 400 });
+        }
+
+        const page = await listDigests(db, options);
+
+        return Response.json(page.digests, { headers: paginationHeaders(url, page.nextCursor) });
+    } catch (error) {
+        console.error('Error listing digests:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/digests - Compile a digest now instead of waiting for the weekly run (admin)
+// Body (every field optional): { since (ISO date, default: end of the previous digest), dry_run }
+// With dry_run the digest is only rendered: { success, dry_run, digest: { ..., posts, text, html }, recipients }.
+// Otherwise it is stored and the first batch is sent in the background; the blog generator
+// worker sends the rest (201, or 200 with status "skipped" when nothing new was published).
+// 409 while another digest is still being sent
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request, { optional: true });
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, options } = validateDigestRequest(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid digest request', errors);
+        }
+
+        const sending = await getSendingDigest(db);
+        if (sending && !options.dryRun) {
+            return Response.json({
+                success: false,
+                error: 'A digest is still being sent',
+                details: `Wait for ${sending.id} to finish`
+            }, { status: 409 });
+        }
+
+        const base = siteUrl(request, env);
+        const compiled = await compileDigest(env, { since: options.since });
+
+        if (options.dryRun) {
+            const preview = compiled.posts.length > 0
+                ? renderDigestEmail(base, compiled, compiled.posts, unsubscribeUrl(base, 'preview'))
+                : { text: null, html: null };
+            return Response.json({
+                success: true,
+                dry_run: true,
+                digest: { ...compiled, ...preview },
+                recipients: await countDigestRecipients(db)
+            });
+        }
+
+        const digest = await createDigest(db, compiled);
+        if (digest.status === 'sending') {
+            queueDigestBatch(context, digest, base);
+        }
+
+        return Response.json({ success: true, digest }, { status: digest.status === 'sending' ? 201 : 200 });
+    } catch (error) {
+        console.error('Error creating digest:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
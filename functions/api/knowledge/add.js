@@ -1,4 +1,7 @@
+import { queueWebhookEvent } from '../../../src/lib/webhooks.js';
+
 // POST /api/knowledge/add - Add content to knowledge base with vectorization
+// Sends the `kb.entry.added` webhook event
 export async function onRequestPost(context) {
     try {
         const { env, request } = context;
@@ -32,11 +35,13 @@ export async function onRequestPost(context) {
         // Create unique ID
         const id = `kb_${Date.now()}`;
 
+        const createdAt = new Date().toISOString();
+
         // Store in D1 database
         await db.prepare(`
             INSERT INTO knowledge_base (id, title, content, created_at)
             VALUES (?, ?, ?, ?)
-        `).bind(id, title, content, new Date().toISOString()).run();
+        `).bind(id, title, content, createdAt).run();
 
         // Store embedding in Vectorize
         await vectors.insert([{
@@ -45,6 +50,8 @@ export async function onRequestPost(context) {
             metadata: { title, type: 'knowledge_base' }
         }]);
 
+        queueWebhookEvent(context, 'kb.entry.added', { id, title, created_at: createdAt });
+
         return Response.json({
             success: true,
             id
@@ -1,3 +1,10 @@
+import { BLOG_POST_VECTOR_TYPE } from '../../../src/lib/post-embeddings.js';
+
+// Blog posts share the index (see post-embeddings.js); fetch extra matches so
+// they cannot crowd knowledge base entries out of the results
+const RESULT_COUNT = 5;
+const QUERY_TOP_K = 20;
+
 // GET /api/knowledge/search - Search knowledge base using vector similarity
 export async function onRequestGet(context) {
     try {
@@ -26,14 +33,17 @@ export async function onRequestGet(context) {
 
         // Search in Vectorize
         const searchResults = await vectors.query(queryVector, {
-            topK: 5,
+            topK: QUERY_TOP_K,
             returnValues: false,
             returnMetadata: true
         });
+        const matches = searchResults.matches
+            .filter(match => !match.metadata || match.metadata.type !== BLOG_POST_VECTOR_TYPE)
+            .slice(0, RESULT_COUNT);
 
         // Get full content from D1
         const results = await Promise.all(
-            searchResults.matches.map(async (match) => {
+            matches.map(async (match) => {
                 const { results } = await db.prepare(`
                     SELECT id, title, content
                     FROM knowledge_base
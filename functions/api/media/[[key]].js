@@ -0,0 +1,105 @@
+import { isPublicMediaKey, MEDIA_CACHE_CONTROL, parseRangeHeader } from '../../../src/lib/media.js';
+
+// GET /api/media/:key - Serve a file from R2 (e.g. /api/media/blog/post_123/featured-1730000000000.jpg,
+// /api/media/uploads/media_<uuid>)
+// Only keys under PUBLIC_MEDIA_PREFIXES are served (see src/lib/media.js)
+// Keys never change content, so responses are cacheable for a year; If-None-Match returns 304
+// A single-range Range header returns 206 with Content-Range (416 if it starts past the end)
+export async function onRequestGet(context) {
+    return serveMedia(context, { includeBody: true });
+}
+
+// HEAD /api/media/:key - Headers of the GET response, without the body
+export async function onRequestHead(context) {
+    return serveMedia(context, { includeBody: false });
+}
+
+/**
+ * Serve a public object, honouring conditional and range requests
+ *
+ * @param {Object} context - Pages Functions context
+ * @param {{ includeBody: boolean }} options
+ * @returns {Promise<Response>}
+ */
+async function serveMedia(context, { includeBody }) {
+    try {
+        const { env, params, request } = context;
+
+        const bucket = env.BUCKET;
+        if (!bucket) {
+            return Response.json({ error: 'Media storage not configured' }, { status: 500 });
+        }
+
+        const key = Array.isArray(params.key) ? params.key.join('/') : params.key;
+        if (!isPublicMediaKey(key)) {
+            return Response.json({ error: 'Media not found' }, { status: 404 });
+        }
+
+        // The size is needed to resolve a range, so look the object up first
+        let range = null;
+        const rangeHeader = request.headers.get('Range');
+        if (rangeHeader || !includeBody) {
+            const head = await bucket.head(key);
+            if (!head) {
+                return Response.json({ error: 'Media not found' }, { status: 404 });
+            }
+
+            // If-Range: only send part of the object if it is the version the client has
+            const ifRange = request.headers.get('If-Range');
+            if (rangeHeader && (!ifRange || ifRange === head.httpEtag)) {
+                range = parseRangeHeader(rangeHeader, head.size);
+            }
+            if (range && range.unsatisfiable) {
+                return new Response(null, {
+                    status: 416,
+                    headers: { 'Content-Range': `bytes */${head.size}`, 'Accept-Ranges': 'bytes' }
+                });
+            }
+            if (!includeBody) {
+                const headers = objectHeaders(head);
+                headers.set('Content-Length', String(head.size));
+                return new Response(null, { headers });
+            }
+        }
+
+        const object = await bucket.get(key, { onlyIf: request.headers, ...(range ? { range } : {}) });
+        if (!object) {
+            return Response.json({ error: 'Media not found' }, { status: 404 });
+        }
+
+        const headers = objectHeaders(object);
+
+        // A matching If-None-Match leaves the object without a body
+        if (!('body' in object)) {
+            return new Response(null, { status: 304, headers });
+        }
+
+        if (range) {
+            headers.set('Content-Range', `bytes ${range.offset}-${range.offset + range.length - 1}/${object.size}`);
+            headers.set('Content-Length', String(range.length));
+            return new Response(object.body, { status: 206, headers });
+        }
+
+        headers.set('Content-Length', String(object.size));
+        return new Response(object.body, { headers });
+    } catch (error) {
+        console.error('[Media] Error serving file:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+/**
+ * Response headers describing an R2 object
+ *
+ * @param {R2Object} object
+ * @returns {Headers}
+ */
+function objectHeaders(object) {
+    const headers = new Headers();
+    object.writeHttpMetadata(headers);
+    headers.set('ETag', object.httpEtag);
+    headers.set('Cache-Control', MEDIA_CACHE_CONTROL);
+    headers.set('Accept-Ranges', 'bytes');
+    headers.set('X-Content-Type-Options', 'nosniff');
+    return headers;
+}
@@ -0,0 +1,121 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { resolvePostRef } from '../../../src/lib/blog-posts.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import {
+    deleteMedia,
+    findReferencingPosts,
+    getMedia,
+    updateMedia,
+    validateMediaInput
+} from '../../../src/lib/media-library.js';
+
+// GET /api/media/:id - Metadata of an uploaded file (admin)
+// The file itself is served from its `url` (/api/media/uploads/:id)
+// Response: { id, key, url, markdown, filename, content_type, size, width, height, alt_text, owner, post_id,
+//             created_at, updated_at, referenced_by: [{ id, slug, title, status }] }
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const media = await getMedia(db, params.id);
+        if (!media) {
+            return Response.json({ error: 'Media not found' }, { status: 404 });
+        }
+
+        return Response.json({ ...media, referenced_by: await findReferencingPosts(db, media.id) });
+    } catch (error) {
+        console.error('Error fetching media:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// PATCH /api/media/:id - Change an uploaded file's metadata (admin)
+// Body: any of { alt_text, post_id } (post_id: slug or ID, or null to detach the file from its post)
+export async function onRequestPatch(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateMediaInput(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid media', errors);
+        }
+
+        const changes = { alt_text: values.alt_text };
+        if (values.post_ref !== undefined) {
+            const ref = values.post_ref && await resolvePostRef(db, values.post_ref);
+            if (values.post_ref && !ref) {
+                return badRequest('Invalid media', 'post_id does not match any post');
+            }
+            changes.post_id = ref ? ref.id : null;
+        }
+
+        if (!await updateMedia(db, params.id, changes)) {
+            return Response.json({ success: false, error: 'Media not found' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, media: await getMedia(db, params.id) });
+    } catch (error) {
+        console.error('Error updating media:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
+
+// DELETE /api/media/:id - Delete an uploaded file (admin)
+// Query: force=true to delete it even though posts still reference it (they will show a broken image)
+// Returns 409 with the referencing posts otherwise
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        if (!env.DB || !env.BUCKET) {
+            return Response.json({ success: false, error: 'Database or media storage not configured' }, { status: 500 });
+        }
+
+        const media = await getMedia(env.DB, params.id);
+        if (!media) {
+            return Response.json({ success: false, error: 'Media not found' }, { status: 404 });
+        }
+
+        const force = new URL(request.url).searchParams.get('force') === 'true';
+        const posts = await findReferencingPosts(env.DB, media.id);
+        if (posts.length > 0 && !force) {
+            return Response.json({
+                success: false,
+                error: 'Media is in use',
+                details: `Referenced by ${posts.length} post(s); pass ?force=true to delete it anyway`,
+                referenced_by: posts
+            }, { status: 409 });
+        }
+
+        await deleteMedia(env, media);
+
+        return Response.json({ success: true, id: media.id });
+    } catch (error) {
+        console.error('Error deleting media:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
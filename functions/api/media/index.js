@@ -0,0 +1,112 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { resolvePostRef } from '../../../src/lib/blog-posts.js';
+import { badRequest } from '../../../src/lib/http.js';
+import {
+    createMedia,
+    listMedia,
+    MAX_UPLOAD_BYTES,
+    validateListParams,
+    validateUpload
+} from '../../../src/lib/media-library.js';
+import { paginationHeaders } from '../../../src/lib/pagination.js';
+
+/** Room for the multipart boundaries and the other form fields */
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+// GET /api/media - List uploaded media, newest first (admin)
+// Query: post (slug or ID: only files uploaded for that post), limit (1-100, default 50), cursor
+// Response: [{ id, key, url, markdown, filename, content_type, size, width, height, alt_text, owner,
+//             post_id, created_at, updated_at }]
+// As with /api/blog/posts, the next page's cursor is in the X-Next-Cursor and Link headers
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const url = new URL(request.url);
+        const { errors, options } = validateListParams(url.searchParams);
+        if (errors.length > 0) {
+            return Response.json({
+                error: 'Invalid query parameters',
+                details: errors.join('; ')
+            }, { status: 400 });
+        }
+
+        let postId = null;
+        if (options.postRef) {
+            const ref = await resolvePostRef(db, options.postRef);
+            if (!ref) {
+                return Response.json({ error: 'Post not found' }, { status: 404 });
+            }
+            postId = ref.id;
+        }
+
+        const page = await listMedia(db, { ...options, postId });
+
+        return Response.json(page.media, { headers: paginationHeaders(url, page.nextCursor) });
+    } catch (error) {
+        console.error('Error listing media:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/media - Upload a file (admin)
+// Body: multipart/form-data with file (PNG, JPEG, GIF or WebP, at most 10 MB), alt_text?, owner?, post_id?
+// The type is detected from the file contents; 413 if the file is too large, 415 if it is not a supported image
+// Response (201): { success, media: { id, url, markdown, ... } } - put `markdown` in a post to show the file
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        if (!env.DB || !env.BUCKET) {
+            return Response.json({ success: false, error: 'Database or media storage not configured' }, { status: 500 });
+        }
+
+        // Refuse oversized bodies before buffering them
+        const contentLength = Number(request.headers.get('Content-Length'));
+        if (contentLength > MAX_UPLOAD_BYTES + MULTIPART_OVERHEAD_BYTES) {
+            return Response.json({
+                success: false,
+                error: 'File too large',
+                details: `file must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+            }, { status: 413 });
+        }
+
+        let formData;
+        try {
+            formData = await request.formData();
+        } catch (parseError) {
+            return badRequest('Invalid request body', 'Expected multipart/form-data');
+        }
+
+        const { errors, status, upload } = await validateUpload(formData);
+        if (errors.length > 0) {
+            const error = { 413: 'File too large', 415: 'Unsupported media type' }[status] || 'Invalid upload';
+            return Response.json({ success: false, error, details: errors.join('; ') }, { status });
+        }
+
+        if (upload.post_ref) {
+            const ref = await resolvePostRef(env.DB, upload.post_ref);
+            if (!ref) {
+                return badRequest('Invalid upload', 'post_id does not match any post');
+            }
+            upload.post_id = ref.id;
+        }
+
+        const media = await createMedia(env, upload);
+        return Response.json({ success: true, media }, { status: 201 });
+    } catch (error) {
+        console.error('Error uploading media:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
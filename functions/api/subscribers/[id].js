@@ -0,0 +1,51 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { deleteSubscriber, getSubscriber } from '../../../src/lib/newsletter.js';
+
+// GET /api/subscribers/:id - A subscriber (admin)
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const subscriber = await getSubscriber(db, params.id);
+        if (!subscriber) {
+            return Response.json({ error: 'Subscriber not found' }, { status: 404 });
+        }
+        return Response.json(subscriber);
+    } catch (error) {
+        console.error('Error fetching subscriber:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// DELETE /api/subscribers/:id - Delete a subscriber, e.g. on an erasure request (admin)
+// The suppression list is left alone; to stop mail to the address for good, suppress it too
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        if (!await deleteSubscriber(db, params.id)) {
+            return Response.json({ success: false, error: 'Subscriber not found' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, id: params.id });
+    } catch (error) {
+        console.error('Error deleting subscriber:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
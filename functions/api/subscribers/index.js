@@ -0,0 +1,90 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import {
+    listSubscribers,
+    SUBSCRIBER_STATUSES,
+    subscribe,
+    validateNewsletterListParams,
+    validateSubscribeInput
+} from '../../../src/lib/newsletter.js';
+import { paginationHeaders } from '../../../src/lib/pagination.js';
+import { siteUrl } from '../../../src/lib/site.js';
+
+// GET /api/subscribers - List newsletter subscribers, newest first (admin)
+// Query: status (pending | confirmed | unsubscribed), limit (1-100, default 50), cursor
+// Response: [{ id, email, status, created_at, confirmed_at, unsubscribed_at, last_digest_id, suppression_reason }]
+// As with /api/blog/posts, the next page's cursor is in the X-Next-Cursor and Link headers
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const url = new URL(request.url);
+        const { errors, options } = validateNewsletterListParams(url.searchParams, SUBSCRIBER_STATUSES, 'status');
+        if (errors.length > 0) {
+            return Response.json({
+                error: 'Invalid query parameters',
+                details: errors.join('; ')
+            }, { status: 400 });
+        }
+
+        const page = await listSubscribers(db, options);
+
+        return Response.json(page.subscribers, { headers: paginationHeaders(url, page.nextCursor) });
+    } catch (error) {
+        console.error('Error listing subscribers:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/subscribers - Subscribe to the weekly digest (public)
+// Body: { email }
+// Sends a confirmation link; nothing else is sent until it is followed (double opt-in).
+// Response (202): { success, message } - the same for new, pending, confirmed and
+// suppressed addresses, so it does not reveal who is subscribed
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateSubscribeInput(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid subscription', errors);
+        }
+
+        try {
+            await subscribe(env, values.email, siteUrl(request, env));
+        } catch (error) {
+            console.error('[Newsletter] Confirmation email failed:', error.message);
+            return Response.json({
+                success: false,
+                error: 'Could not send the confirmation email',
+                details: 'Please try again later'
+            }, { status: 500 });
+        }
+
+        return Response.json({
+            success: true,
+            message: 'Check your inbox for a link to confirm your subscription'
+        }, { status: 202 });
+    } catch (error) {
+        console.error('Error subscribing:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,80 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import {
+    addSuppression,
+    listSuppressions,
+    SUPPRESSION_REASONS,
+    validateNewsletterListParams,
+    validateSuppressionInput
+} from '../../../src/lib/newsletter.js';
+import { paginationHeaders } from '../../../src/lib/pagination.js';
+
+// GET /api/subscribers/suppressions - Addresses that are never emailed, newest first (admin)
+// Query: reason (unsubscribed | bounced | complained | manual), limit (1-100, default 50), cursor
+// Response: [{ email, reason, note, created_at }], next page in the X-Next-Cursor and Link headers
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const url = new URL(request.url);
+        const { errors, options } = validateNewsletterListParams(url.searchParams, SUPPRESSION_REASONS, 'reason');
+        if (errors.length > 0) {
+            return Response.json({
+                error: 'Invalid query parameters',
+                details: errors.join('; ')
+            }, { status: 400 });
+        }
+
+        const page = await listSuppressions(db, options);
+
+        return Response.json(page.suppressions, { headers: paginationHeaders(url, page.nextCursor) });
+    } catch (error) {
+        console.error('Error listing suppressions:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/subscribers/suppressions - Suppress an address (admin)
+// Body: { email, reason? (default "manual"), note? }
+// Use it for bounces and spam complaints reported by the mail provider. An address
+// already on the list gets the new reason and note.
+// Response: { success, suppression } (201 when the address was not suppressed before)
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateSuppressionInput(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid suppression', errors);
+        }
+
+        const { created, suppression } = await addSuppression(db, values);
+        console.log('[Newsletter] Address suppressed', { reason: values.reason });
+
+        return Response.json({ success: true, suppression }, { status: created ? 201 : 200 });
+    } catch (error) {
+        console.error('Error adding suppression:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,28 @@
+import { requireAdmin } from '../../../../src/lib/auth.js';
+import { normalizeEmail, removeSuppression } from '../../../../src/lib/newsletter.js';
+
+// DELETE /api/subscribers/suppressions/:email - Take an address off the suppression list (admin)
+// A confirmed subscriber gets digests again; an unsubscribed one has to subscribe again
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const email = normalizeEmail(params.email);
+        if (!email || !await removeSuppression(db, email)) {
+            return Response.json({ success: false, error: 'Address is not suppressed' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, email });
+    } catch (error) {
+        console.error('Error removing suppression:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,95 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import {
+    deleteSubscription,
+    getSubscription,
+    updateSubscription,
+    validateSubscriptionInput
+} from '../../../src/lib/webhooks.js';
+
+// GET /api/webhooks/:id - A webhook subscription, without its secret (admin)
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const webhook = await getSubscription(db, params.id);
+        if (!webhook) {
+            return Response.json({ error: 'Webhook not found' }, { status: 404 });
+        }
+        return Response.json(webhook);
+    } catch (error) {
+        console.error('Error fetching webhook:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// PATCH /api/webhooks/:id - Change a subscription (admin)
+// Body: any of { url, events, description, enabled, rotate_secret: true }
+// With rotate_secret the response includes the new `secret`; the old one stops working at once
+export async function onRequestPatch(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateSubscriptionInput(body, { partial: true });
+        if (errors.length > 0) {
+            return badRequest('Invalid webhook', errors);
+        }
+
+        const { found, secret } = await updateSubscription(db, params.id, values);
+        if (!found) {
+            return Response.json({ success: false, error: 'Webhook not found' }, { status: 404 });
+        }
+
+        const webhook = await getSubscription(db, params.id);
+        return Response.json({ success: true, webhook: secret ? { ...webhook, secret } : webhook });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
+
+// DELETE /api/webhooks/:id - Delete a subscription and its delivery log (admin)
+// Deliveries still queued are dropped when the dispatcher picks them up
+export async function onRequestDelete(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        if (!await deleteSubscription(db, params.id)) {
+            return Response.json({ success: false, error: 'Webhook not found' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, id: params.id });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,42 @@
+import { requireAdmin } from '../../../../src/lib/auth.js';
+import { paginationHeaders } from '../../../../src/lib/pagination.js';
+import { getSubscription, listDeliveries, validateDeliveryListParams } from '../../../../src/lib/webhooks.js';
+
+// GET /api/webhooks/:id/deliveries - Delivery log of a subscription, newest first (admin)
+// Query: status (pending | succeeded | failed), limit (1-100, default 50), cursor
+// Response: [{ id, event_id, event, payload, status, attempts, response_status, response_body, error,
+//             next_attempt_at, last_attempt_at, created_at }]
+// As with /api/blog/posts, the next page's cursor is in the X-Next-Cursor and Link headers
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        const url = new URL(request.url);
+        const { errors, options } = validateDeliveryListParams(url.searchParams);
+        if (errors.length > 0) {
+            return Response.json({
+                error: 'Invalid query parameters',
+                details: errors.join('; ')
+            }, { status: 400 });
+        }
+
+        if (!await getSubscription(db, params.id)) {
+            return Response.json({ error: 'Webhook not found' }, { status: 404 });
+        }
+
+        const page = await listDeliveries(db, params.id, options);
+
+        return Response.json(page.deliveries, { headers: paginationHeaders(url, page.nextCursor) });
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,34 @@
+import { requireAdmin } from '../../../../src/lib/auth.js';
+import { emitWebhookEvent, getSubscription, PING_EVENT } from '../../../../src/lib/webhooks.js';
+
+// POST /api/webhooks/:id/test - Send a signed `ping` event to this subscription only (admin)
+// Works for disabled subscriptions too, so an endpoint can be checked before it is enabled
+// Response (202): { success, delivery_id } - follow the outcome in /api/webhooks/:id/deliveries
+export async function onRequestPost(context) {
+    try {
+        const { env, params, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const webhook = await getSubscription(db, params.id);
+        if (!webhook) {
+            return Response.json({ success: false, error: 'Webhook not found' }, { status: 404 });
+        }
+
+        const [deliveryId] = await emitWebhookEvent(env, PING_EVENT, {
+            webhook_id: webhook.id,
+            events: webhook.events
+        }, { subscriptionId: webhook.id });
+
+        return Response.json({ success: true, delivery_id: deliveryId }, { status: 202 });
+    } catch (error) {
+        console.error('Error sending test webhook:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,60 @@
+import { requireAdmin } from '../../../src/lib/auth.js';
+import { badRequest, readJson } from '../../../src/lib/http.js';
+import { createSubscription, listSubscriptions, validateSubscriptionInput } from '../../../src/lib/webhooks.js';
+
+// GET /api/webhooks - List webhook subscriptions, newest first (admin)
+// Response: [{ id, url, events, description, enabled, succeeded_24h, failed_24h, pending_24h, created_at, updated_at }]
+// Secrets are never listed
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ error: 'Database not configured' }, { status: 500 });
+        }
+
+        return Response.json(await listSubscriptions(db));
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+// POST /api/webhooks - Subscribe a URL to events (admin)
+// Body: { url (https), events: [...WEBHOOK_EVENTS], description?, enabled? (default true) }
+// Response (201): { success, webhook: { ..., secret } } - the only response that includes the secret
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const denied = requireAdmin(request, env);
+        if (denied) return denied;
+
+        const db = env.DB;
+        if (!db) {
+            return Response.json({ success: false, error: 'Database not configured' }, { status: 500 });
+        }
+
+        const { body, error: parseError } = await readJson(request);
+        if (parseError) {
+            return badRequest('Invalid request body', parseError);
+        }
+
+        const { errors, values } = validateSubscriptionInput(body);
+        if (errors.length > 0) {
+            return badRequest('Invalid webhook', errors);
+        }
+
+        const webhook = await createSubscription(db, values);
+        console.log('[Webhooks] Subscription created', { id: webhook.id, events: webhook.events });
+
+        return Response.json({ success: true, webhook }, { status: 201 });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
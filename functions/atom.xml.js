@@ -0,0 +1,6 @@
+import { feedResponse } from '../src/lib/feeds.js';
+
+// GET /atom.xml - Atom 1.0 feed of the latest published posts (see src/lib/feeds.js)
+export async function onRequestGet(context) {
+    return feedResponse(context, 'atom');
+}
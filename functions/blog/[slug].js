@@ -0,0 +1,68 @@
+import { cachedText } from '../../src/lib/blog-cache.js';
+import { getPostById, resolvePostRef } from '../../src/lib/blog-posts.js';
+import { findRelatedPosts } from '../../src/lib/post-embeddings.js';
+import { renderNotFoundPage, renderPostPage } from '../../src/lib/post-page.js';
+import { siteUrl } from '../../src/lib/site.js';
+
+const HTML_HEADERS = { 'Content-Type': 'text/html; charset=utf-8' };
+
+/** Number of "Read next" links under a post */
+const RELATED_LINKS = 3;
+
+// GET /blog/:slug - Server-rendered page for a published post (see src/lib/post-page.js)
+// Legacy IDs and previous slugs redirect (301) to the current /blog/:slug
+export async function onRequestGet(context) {
+    try {
+        const { env, params, request } = context;
+
+        const db = env.DB;
+        if (!db) {
+            return new Response('Database not configured', { status: 500 });
+        }
+
+        const ref = await resolvePostRef(db, params.slug);
+        if (!ref || ref.status !== 'published') {
+            return new Response(renderNotFoundPage(), { status: 404, headers: HTML_HEADERS });
+        }
+
+        if (ref.slug && ref.slug !== params.slug) {
+            const url = new URL(request.url);
+            url.pathname = `/blog/${encodeURIComponent(ref.slug)}`;
+            return Response.redirect(url.toString(), 301);
+        }
+
+        const base = siteUrl(request, env);
+        const { body, cacheStatus } = await cachedText(env, 'page', { id: ref.id, base }, async () => {
+            const post = await getPostById(db, ref.id);
+            return post ? renderPostPage(base, post, await relatedFor(env, post)) : null;
+        }, '[Post Page]');
+
+        if (body === null) {
+            return new Response(renderNotFoundPage(), { status: 404, headers: HTML_HEADERS });
+        }
+
+        return new Response(body, { headers: { ...HTML_HEADERS, 'X-Cache': cacheStatus } });
+    } catch (error) {
+        console.error('[Post Page] Error rendering post:', error);
+        return new Response('Failed to load post', { status: 500 });
+    }
+}
+
+/**
+ * "Read next" posts for a page; the page renders without them on failure
+ *
+ * @param {Object} env - Environment bindings (DB, AI, VECTORS)
+ * @param {Object} post
+ * @returns {Promise<Object[]>}
+ */
+async function relatedFor(env, post) {
+    if (!env.AI || !env.VECTORS) {
+        return [];
+    }
+    try {
+        return await findRelatedPosts(env, post, RELATED_LINKS);
+    } catch (error) {
+        console.error('[Post Page] Related posts unavailable:', error.message);
+        return [];
+    }
+}
@@ -0,0 +1,6 @@
+import { feedResponse } from '../src/lib/feeds.js';
+
+// GET /feed.json - JSON Feed 1.1 feed of the latest published posts (see src/lib/feeds.js)
+export async function onRequestGet(context) {
+    return feedResponse(context, 'json');
+}
@@ -0,0 +1,52 @@
+import { escapeHtml } from '../../src/lib/html.js';
+import { confirmSubscription, renderNewsletterPage } from '../../src/lib/newsletter.js';
+
+const HTML_HEADERS = { 'Content-Type': 'text/html; charset=utf-8' };
+
+// GET /newsletter/confirm?token= - Confirmation link from the subscription email
+// Only shows a button: link scanners in mail systems open links, and must not confirm anyone
+// (see src/lib/newsletter.js)
+export async function onRequestGet(context) {
+    const token = new URL(context.request.url).searchParams.get('token') || '';
+
+    return new Response(renderNewsletterPage('Confirm subscription',
+        `            <p>Get the weekly digest of new posts?</p>
+            <form method="post" action="/newsletter/confirm">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <button type="submit" class="btn btn-primary">Confirm subscription</button>
+            </form>`),
+    { headers: { ...HTML_HEADERS, 'X-Robots-Tag': 'noindex' } });
+}
+
+// POST /newsletter/confirm - Confirm the subscription (the form above)
+// The token comes from the query string or the form body
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const db = env.DB;
+        if (!db) {
+            return new Response('Database not configured', { status: 500 });
+        }
+
+        let token = new URL(request.url).searchParams.get('token');
+        if (!token) {
+            const form = await request.formData().catch(() => null);
+            token = form && form.get('token');
+        }
+
+        const subscriber = token ? await confirmSubscription(db, String(token)) : null;
+        if (!subscriber) {
+            return new Response(renderNewsletterPage('Link expired',
+                '            <p>This confirmation link is invalid, expired or already used. Subscribe again to get a new one.</p>'),
+            { status: 404, headers: HTML_HEADERS });
+        }
+
+        return new Response(renderNewsletterPage('Subscription confirmed',
+            '            <p>Thanks! You will get the weekly digest of new posts. Every email has a link to unsubscribe.</p>'),
+        { headers: HTML_HEADERS });
+    } catch (error) {
+        console.error('[Newsletter] Error confirming subscription:', error);
+        return new Response('Failed to confirm subscription', { status: 500 });
+    }
+}
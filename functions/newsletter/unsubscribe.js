@@ -0,0 +1,52 @@
+import { escapeHtml } from '../../src/lib/html.js';
+import { renderNewsletterPage, unsubscribe } from '../../src/lib/newsletter.js';
+
+const HTML_HEADERS = { 'Content-Type': 'text/html; charset=utf-8' };
+
+// GET /newsletter/unsubscribe?token= - Unsubscribe link from every email
+// Only shows a button: link scanners in mail systems open links, and must not unsubscribe anyone
+export async function onRequestGet(context) {
+    const token = new URL(context.request.url).searchParams.get('token') || '';
+
+    return new Response(renderNewsletterPage('Unsubscribe',
+        `            <p>Stop receiving the weekly digest?</p>
+            <form method="post" action="/newsletter/unsubscribe">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <button type="submit" class="btn btn-primary">Unsubscribe</button>
+            </form>`),
+    { headers: { ...HTML_HEADERS, 'X-Robots-Tag': 'noindex' } });
+}
+
+// POST /newsletter/unsubscribe - Unsubscribe (the form above, or one-click from the
+// mail client per RFC 8058, which posts "List-Unsubscribe=One-Click" to the link itself)
+// The token comes from the query string or the form body
+export async function onRequestPost(context) {
+    try {
+        const { env, request } = context;
+
+        const db = env.DB;
+        if (!db) {
+            return new Response('Database not configured', { status: 500 });
+        }
+
+        let token = new URL(request.url).searchParams.get('token');
+        if (!token) {
+            const form = await request.formData().catch(() => null);
+            token = form && form.get('token');
+        }
+
+        const subscriber = token ? await unsubscribe(db, String(token)) : null;
+        if (!subscriber) {
+            return new Response(renderNewsletterPage('Link not recognised',
+                '            <p>This unsubscribe link is not valid. Use the link in the most recent email you got from us.</p>'),
+            { status: 404, headers: HTML_HEADERS });
+        }
+
+        return new Response(renderNewsletterPage('Unsubscribed',
+            '            <p>You will not get any more emails from us. Changed your mind? Subscribe again from the blog.</p>'),
+        { headers: HTML_HEADERS });
+    } catch (error) {
+        console.error('[Newsletter] Error unsubscribing:', error);
+        return new Response('Failed to unsubscribe', { status: 500 });
+    }
+}
@@ -0,0 +1,23 @@
+import { siteUrl } from '../src/lib/site.js';
+
+// GET /robots.txt - Allow crawling of pages, keep crawlers out of the API
+// Served by a function so the Sitemap line can use an absolute URL
+export async function onRequestGet(context) {
+    const { env, request } = context;
+
+    const body = [
+        'User-agent: *',
+        'Disallow: /api/',
+        'Allow: /',
+        '',
+        `Sitemap: ${siteUrl(request, env)}/sitemap.xml`,
+        ''
+    ].join('\n');
+
+    return new Response(body, {
+        headers: {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Cache-Control': 'public, max-age=86400'
+        }
+    });
+}
@@ -0,0 +1,25 @@
+import { BLOG_CACHE_TTL, cachedText } from '../src/lib/blog-cache.js';
+import { siteUrl } from '../src/lib/site.js';
+import { renderSitemap } from '../src/lib/sitemap.js';
+
+// GET /sitemap.xml - Home page and all published post pages (see src/lib/sitemap.js)
+export async function onRequestGet(context) {
+    try {
+        const { env, request } = context;
+        const base = siteUrl(request, env);
+
+        const { body, cacheStatus } = await cachedText(env, 'sitemap', { base }, () =>
+            renderSitemap(env.DB, base), '[Sitemap]');
+
+        return new Response(body, {
+            headers: {
+                'Content-Type': 'application/xml; charset=utf-8',
+                'Cache-Control': `public, max-age=${BLOG_CACHE_TTL}`,
+                'X-Cache': cacheStatus
+            }
+        });
+    } catch (error) {
+        console.error('[Sitemap] Error building sitemap:', error);
+        return new Response('Sitemap temporarily unavailable', { status: 500 });
+    }
+}
@@ -18,6 +18,21 @@ const CONFIG = {
     API_TIMEOUT: 30000, // 30 seconds
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY: 1000, // 1 second
+    POSTS_PAGE_SIZE: 12,
+    SEARCH_DEBOUNCE: 300, // ms to wait after typing before searching
+    ADMIN_TOKEN_KEY: 'cloudcurio-admin-token', // sessionStorage key for the admin token
+};
+
+/**
+ * Blog listing state
+ * nextCursor is taken from the X-Next-Cursor header of the last page loaded
+ * tag is the slug of the tag currently used to filter the list (null = all)
+ * query is the current search box text; while set, search results replace the list
+ */
+const blogState = {
+    nextCursor: null,
+    tag: null,
+    query: ''
 };
 
 /**
@@ -36,12 +51,19 @@ document.addEventListener('DOMContentLoaded', () => {
         // Initialize all sections
         setupNavigation();
         setupBlogSection();
+        setupSubscribeForm();
         setupKnowledgeBase();
         setupChat();
         setupResearch();
         
+        // Deep links may forward to a post page or preselect a tag
+        if (applyDeepLinks()) {
+            return;
+        }
+        
         // Load initial data
         loadBlogPosts();
+        loadBlogTags();
         
         logDebug('CloudCurio application initialized successfully');
     } catch (error) {
@@ -60,7 +82,8 @@ document.addEventListener('DOMContentLoaded', () => {
  * 
  * IMPROVEMENTS NEEDED:
  * - Add browser history support (pushState/popState)
- * - Implement deep linking (allow direct navigation to sections via URL)
+ * - Update the URL when switching sections (deep links are only read on
+ *   load, see applyDeepLinks)
  * - Add loading states during section transitions
  * - Cache section content to avoid re-rendering
  * - Add keyboard shortcuts for power users (Alt+1, Alt+2, etc.)
@@ -158,8 +181,7 @@ function setupNavigation() {
  * @function setupBlogSection
  * 
  * IMPROVEMENTS NEEDED:
- * - Add pagination for large number of posts
- * - Implement post filtering by category/tags
+ * - Add category browsing alongside tags
  * - Add search functionality
  * - Implement post editing capabilities
  * - Add social sharing buttons
@@ -170,6 +192,8 @@ function setupBlogSection() {
         
         const refreshButton = document.getElementById('refresh-posts');
         const generateButton = document.getElementById('generate-post');
+        const loadMoreButton = document.getElementById('load-more-posts');
+        const searchInput = document.getElementById('blog-search');
         
         // Validate elements exist
         if (!refreshButton) {
@@ -179,9 +203,29 @@ function setupBlogSection() {
             throw new Error('Generate post button not found');
         }
         
-        refreshButton.addEventListener('click', loadBlogPosts);
+        refreshButton.addEventListener('click', () => {
+            if (blogState.query) {
+                searchBlogPosts(blogState.query);
+            } else {
+                loadBlogPosts();
+            }
+            loadBlogTags();
+        });
         generateButton.addEventListener('click', generateNewPost);
         
+        if (loadMoreButton) {
+            loadMoreButton.addEventListener('click', () => loadBlogPosts({ append: true }));
+        }
+        
+        if (searchInput) {
+            // Search as the user types, once they pause
+            let searchTimer = null;
+            searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => searchBlogPosts(searchInput.value), CONFIG.SEARCH_DEBOUNCE);
+            });
+        }
+        
         logDebug('Blog section setup complete');
     } catch (error) {
         logError('Failed to setup blog section', error);
@@ -189,16 +233,72 @@ function setupBlogSection() {
     }
 }
 
+/**
+ * Initialize the weekly digest subscription form
+ * 
+ * @function setupSubscribeForm
+ * 
+ * The API answers the same way whether or not the address is already
+ * subscribed, and nothing is sent until the reader follows the link in the
+ * confirmation email (double opt-in). Plain fetch() is used rather than
+ * fetchWithRetry() so a slow response does not send several emails.
+ */
+function setupSubscribeForm() {
+    const form = document.getElementById('subscribe-form');
+    if (!form) {
+        return;
+    }
+    
+    const status = form.querySelector('.subscribe-status');
+    const button = form.querySelector('button[type="submit"]');
+    
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const email = new FormData(form).get('email');
+        
+        button.disabled = true;
+        status.textContent = 'Subscribing…';
+        
+        try {
+            const response = await fetch('/api/subscribers', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+            
+            form.reset();
+            status.textContent = result.message;
+        } catch (error) {
+            logError('Failed to subscribe', error);
+            status.textContent = `Could not subscribe: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
 /**
  * Load and display blog posts from the API
  * 
  * @async
  * @function loadBlogPosts
+ * @param {Object} [options]
+ * @param {boolean} [options.append=false] - Load the next page and append it
+ *   instead of replacing the list
  * @returns {Promise<void>}
  * 
+ * PAGINATION:
+ * The API returns one page at a time and exposes the cursor for the next page
+ * in the X-Next-Cursor header. The "Load More" button is shown while a cursor
+ * is available.
+ * 
  * IMPROVEMENTS NEEDED:
  * - Add loading skeleton instead of plain text
- * - Implement infinite scroll or pagination
+ * - Replace "Load More" with infinite scroll
  * - Add post caching in localStorage
  * - Add sorting options (date, title, popularity)
  * - Implement optimistic UI updates
@@ -209,11 +309,13 @@ function setupBlogSection() {
  * - Empty result sets
  * - API errors (4xx, 5xx)
  */
-async function loadBlogPosts() {
+async function loadBlogPosts(options = {}) {
     const blogGrid = document.getElementById('blog-posts');
+    const loadMoreButton = document.getElementById('load-more-posts');
+    const append = options.append === true && Boolean(blogState.nextCursor);
     
     try {
-        logDebug('Loading blog posts');
+        logDebug('Loading blog posts', { append });
         
         // Validate container exists
         if (!blogGrid) {
@@ -221,7 +323,14 @@ async function loadBlogPosts() {
         }
         
         // Show loading state with better UX
-        blogGrid.innerHTML = '<p class="loading">Loading blog posts...</p>';
+        if (append) {
+            if (loadMoreButton) {
+                loadMoreButton.disabled = true;
+                loadMoreButton.textContent = 'Loading...';
+            }
+        } else {
+            blogGrid.innerHTML = '<p class="loading">Loading blog posts...</p>';
+        }
         
         // TODO: Check localStorage cache first
         // const cachedPosts = getCachedPosts();
@@ -230,8 +339,17 @@ async function loadBlogPosts() {
         //   return;
         // }
         
+        // Build the page URL
+        const params = new URLSearchParams({ limit: String(CONFIG.POSTS_PAGE_SIZE) });
+        if (blogState.tag) {
+            params.set('tag', blogState.tag);
+        }
+        if (append) {
+            params.set('cursor', blogState.nextCursor);
+        }
+        
         // Fetch posts with timeout and retry logic
-        const response = await fetchWithRetry('/api/blog/posts', {
+        const response = await fetchWithRetry(`/api/blog/posts?${params}`, {
             method: 'GET',
             timeout: CONFIG.API_TIMEOUT
         });
@@ -255,9 +373,11 @@ async function loadBlogPosts() {
             logError('Posts response is not an array', { posts });
             throw new Error('Invalid posts data structure');
         }
+        
+        blogState.nextCursor = response.headers.get('X-Next-Cursor');
 
         // Handle empty results
-        if (posts.length === 0) {
+        if (posts.length === 0 && !append) {
             blogGrid.innerHTML = `
                 <div class="empty-state">
                     <p>No blog posts yet.</p>
@@ -272,7 +392,7 @@ async function loadBlogPosts() {
         // setCachedPosts(posts);
 
         // Render posts with error handling for each post
-        blogGrid.innerHTML = posts.map((post, index) => {
+        const html = posts.map((post, index) => {
             try {
                 // Validate required post fields
                 if (!post.id || !post.title) {
@@ -290,12 +410,14 @@ async function loadBlogPosts() {
                 
                 return `
                     <div class="blog-post" data-post-id="${escapeHtml(post.id)}">
+                        ${post.featured_image ? `<img class="blog-post-image" src="${escapeHtml(post.featured_image)}" alt="" loading="lazy">` : ''}
                         <h3>${escapeHtml(post.title)}</h3>
                         <div class="meta">
                             ${formattedDate} • ${escapeHtml(post.author || 'Anonymous')}
                         </div>
                         <div class="excerpt">${escapeHtml(post.excerpt || 'No excerpt available')}</div>
-                        <button class="btn btn-primary" onclick="viewPost('${escapeHtml(post.id)}')">Read More</button>
+                        ${renderTagChips(post.tags)}
+                        <button class="btn btn-primary" onclick="viewPost('${escapeHtml(post.slug || post.id)}')">Read More</button>
                     </div>
                 `;
             } catch (renderError) {
@@ -304,12 +426,24 @@ async function loadBlogPosts() {
             }
         }).join('');
         
-        logDebug(`Successfully loaded ${posts.length} blog posts`);
+        if (append) {
+            blogGrid.insertAdjacentHTML('beforeend', html);
+        } else {
+            blogGrid.innerHTML = html;
+        }
+        
+        logDebug(`Successfully loaded ${posts.length} blog posts`, { hasMore: Boolean(blogState.nextCursor) });
         
     } catch (error) {
         logError('Error loading blog posts', error);
         
+        if (append) {
+            showUserError(`Could not load more posts: ${error.message}`);
+            return;
+        }
+        
         // Show user-friendly error message
+        blogState.nextCursor = null;
         blogGrid.innerHTML = `
             <div class="error-state">
                 <p>Error loading blog posts.</p>
@@ -320,6 +454,191 @@ async function loadBlogPosts() {
         
         // TODO: Send error to tracking service
         // trackError('load_blog_posts_failed', error);
+    } finally {
+        // Only offer "Load More" while the API reports another page
+        if (loadMoreButton) {
+            loadMoreButton.disabled = false;
+            loadMoreButton.textContent = 'Load More';
+            loadMoreButton.hidden = !blogState.nextCursor;
+        }
+    }
+}
+
+/**
+ * Render a post's tags as clickable filter chips
+ * 
+ * @function renderTagChips
+ * @param {Array<{name: string, slug: string}>} [tags] - Tags from the posts API
+ * @returns {string} HTML (empty string when the post has no tags)
+ */
+function renderTagChips(tags) {
+    if (!Array.isArray(tags) || tags.length === 0) {
+        return '';
+    }
+    
+    return `
+        <div class="post-tags">
+            ${tags.map(tag => `
+                <button class="tag-chip" onclick="filterByTag('${escapeHtml(tag.slug)}')">#${escapeHtml(tag.name)}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Load the tag list and render it as a filter bar above the posts
+ * 
+ * @async
+ * @function loadBlogTags
+ * @returns {Promise<void>}
+ */
+async function loadBlogTags() {
+    const container = document.getElementById('blog-tags');
+    if (!container) {
+        return;
+    }
+    
+    try {
+        const response = await fetchWithRetry('/api/blog/tags');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const tags = await response.json();
+        if (!Array.isArray(tags) || tags.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const chip = (slug, label) => `
+            <button class="tag-chip${blogState.tag === slug ? ' active' : ''}"
+                    onclick="filterByTag(${slug ? `'${escapeHtml(slug)}'` : 'null'})">${label}</button>
+        `;
+        
+        container.innerHTML = chip(null, 'All') + tags.map(tag =>
+            chip(tag.slug, `#${escapeHtml(tag.name)} <span class="tag-count">${Number(tag.count) || 0}</span>`)
+        ).join('');
+        
+        logDebug(`Loaded ${tags.length} tags`);
+    } catch (error) {
+        // The tag bar is optional - the posts list still works without it
+        logError('Error loading tags', error);
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Filter the blog list by tag
+ * 
+ * @function filterByTag
+ * @param {string|null} slug - Tag slug, or null to show all posts
+ */
+function filterByTag(slug) {
+    blogState.tag = slug || null;
+    blogState.nextCursor = null;
+    
+    // Tag filters apply to the list, not to search results
+    const searchInput = document.getElementById('blog-search');
+    if (searchInput) {
+        searchInput.value = '';
+    }
+    blogState.query = '';
+    
+    document.querySelectorAll('#blog-tags .tag-chip').forEach(chip => {
+        const onclick = chip.getAttribute('onclick') || '';
+        chip.classList.toggle('active', slug ? onclick.includes(`'${slug}'`) : onclick.includes('null'));
+    });
+    
+    loadBlogPosts();
+}
+
+/**
+ * Search published posts and show the results in place of the list
+ * 
+ * @async
+ * @function searchBlogPosts
+ * @param {string} query - Search box text; empty restores the normal list
+ * @returns {Promise<void>}
+ * 
+ * Results come from /api/blog/search (SQLite FTS5), best match first.
+ * `title_highlight` and `snippet` are HTML escaped by the server with
+ * matches wrapped in <mark>, so they are inserted as-is.
+ * 
+ * ERROR SCENARIOS HANDLED:
+ * - Network failures and API errors (4xx, 5xx)
+ * - Responses arriving after the query has changed (ignored)
+ */
+async function searchBlogPosts(query) {
+    const blogGrid = document.getElementById('blog-posts');
+    const loadMoreButton = document.getElementById('load-more-posts');
+    const trimmed = String(query || '').trim();
+    
+    if (!blogGrid) {
+        return;
+    }
+    
+    blogState.query = trimmed;
+    if (!trimmed) {
+        loadBlogPosts();
+        return;
+    }
+    
+    // Search results are not paginated
+    if (loadMoreButton) {
+        loadMoreButton.hidden = true;
+    }
+    
+    try {
+        logDebug('Searching blog posts', { query: trimmed });
+        
+        const response = await fetchWithRetry(`/api/blog/search?${new URLSearchParams({ q: trimmed })}`, {
+            method: 'GET',
+            timeout: CONFIG.API_TIMEOUT
+        });
+        
+        // A newer search has started while this one was in flight
+        if (blogState.query !== trimmed) {
+            return;
+        }
+        
+        const results = await response.json();
+        if (!response.ok) {
+            throw new Error(results.details || results.error || `HTTP ${response.status}`);
+        }
+        
+        if (results.length === 0) {
+            blogGrid.innerHTML = `
+                <div class="empty-state">
+                    <p>No posts match "${escapeHtml(trimmed)}".</p>
+                </div>
+            `;
+            return;
+        }
+        
+        blogGrid.innerHTML = results.map(post => `
+            <div class="blog-post search-result" data-post-id="${escapeHtml(post.id)}">
+                <h3>${post.title_highlight || escapeHtml(post.title)}</h3>
+                <div class="meta">
+                    ${post.date ? new Date(post.date).toLocaleDateString() : 'Unknown date'} • ${escapeHtml(post.author || 'Anonymous')}
+                </div>
+                <div class="excerpt">${post.snippet || escapeHtml(post.excerpt || '')}</div>
+                ${renderTagChips(post.tags)}
+                <button class="btn btn-primary" onclick="viewPost('${escapeHtml(post.slug || post.id)}')">Read More</button>
+            </div>
+        `).join('');
+        
+        logDebug(`Found ${results.length} matching posts`);
+    } catch (error) {
+        if (blogState.query !== trimmed) {
+            return;
+        }
+        logError('Error searching blog posts', error);
+        blogGrid.innerHTML = `
+            <div class="error-state">
+                <p>Search failed.</p>
+                <p class="error-details">${escapeHtml(error.message)}</p>
+            </div>
+        `;
     }
 }
 
@@ -332,14 +651,13 @@ async function loadBlogPosts() {
  * 
  * WORKFLOW:
  * 1. Disable button to prevent double-submission
- * 2. Call AI generation API
- * 3. Handle response and refresh post list
- * 4. Re-enable button
+ * 2. Read topic, audience, tone, length and outline options from the form
+ * 3. Call AI generation API
+ * 4. Handle response and refresh post list
+ * 5. Re-enable button
  * 
  * IMPROVEMENTS NEEDED:
- * - Add topic selection UI
  * - Show generation progress (streaming)
- * - Allow customization of tone/style
  * - Add post preview before publishing
  * - Implement draft saving
  * 
@@ -371,15 +689,33 @@ async function generateNewPost() {
         // TODO: Add loading animation
         // button.classList.add('loading');
         
+        // Generation is admin-only (it spends AI quota and writes posts)
+        const adminToken = getAdminToken();
+        if (!adminToken) {
+            return;
+        }
+
+        const options = getGenerationOptions();
+        logDebug('Generation options', options);
+        
         // Call API with retry logic
         const response = await fetchWithRetry('/api/blog/generate', {
             method: 'POST',
             headers: { 
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${adminToken}`
             },
-            timeout: 60000 // 60 seconds for AI generation
+            body: JSON.stringify(options),
+            // Outline-first mode makes one AI call per section; images add one more
+            timeout: (options.outlineFirst ? 180000 : 60000) + (options.featuredImage ? 30000 : 0)
         });
         
+        // A rejected token is forgotten so the next click asks again
+        if (response.status === 401) {
+            clearAdminToken();
+            throw new Error('The admin token was not accepted.');
+        }
+
         // Validate response
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -400,7 +736,14 @@ async function generateNewPost() {
             
             // Show success message
             // TODO: Replace alert with toast notification
-            alert(`Success! Generated post: "${result.title}"`);
+            if (result.moderation && result.moderation.status === 'failed') {
+                alert(`Generated post: "${result.title}"\n\nIt failed content moderation and cannot be published until it is fixed:\n- ${result.moderation.reasons.join('\n- ')}`);
+            } else {
+                alert(`Success! Generated post: "${result.title}"\n\nIt was saved as a draft and will appear here once an editor publishes it.`);
+            }
+            if (result.featured_image && result.featured_image.error) {
+                showUserError(`The post was saved without a featured image: ${result.featured_image.error}`);
+            }
             
             // Reload posts to show new one
             await loadBlogPosts();
@@ -446,76 +789,83 @@ async function generateNewPost() {
 }
 
 /**
- * View full blog post content
+ * Collect generation options from the blog controls
+ * Empty text fields are omitted so the API falls back to its defaults
  * 
- * @async
- * @function viewPost
- * @param {string} postId - ID of post to view
- * @returns {Promise<void>}
+ * @function getGenerationOptions
+ * @returns {Object} Request body for POST /api/blog/generate
+ */
+function getGenerationOptions() {
+    const options = {};
+    
+    const topic = document.getElementById('generate-topic')?.value.trim();
+    const audience = document.getElementById('generate-audience')?.value.trim();
+    const tone = document.getElementById('generate-tone')?.value;
+    const length = document.getElementById('generate-length')?.value;
+    const outline = document.getElementById('generate-outline');
+    const image = document.getElementById('generate-image');
+    
+    if (topic) options.topic = topic;
+    if (audience) options.audience = audience;
+    if (tone) options.tone = tone;
+    if (length) options.length = length;
+    if (outline) options.outlineFirst = outline.checked;
+    if (image) options.featuredImage = image.checked;
+    
+    return options;
+}
+
+/**
+ * Apply deep links from the page URL on load
  * 
- * IMPROVEMENTS NEEDED:
- * - Replace alert with proper modal dialog
- * - Add markdown rendering support
- * - Add syntax highlighting for code blocks
- * - Add sharing functionality
- * - Add print/export options
- * - Track post views for analytics
- * 
- * PSEUDO CODE for modal implementation:
- * ```
- * const modal = createModal({
- *   title: post.title,
- *   content: renderMarkdown(post.content),
- *   footer: [
- *     { label: 'Share', onClick: () => sharePost(post) },
- *     { label: 'Close', onClick: () => modal.close() }
- *   ]
- * });
- * modal.show();
- * ```
+ * - `#blog`, `#knowledge-base`, ...: open that section (post pages link back
+ *   to `/#blog`)
+ * - `?tag=<slug>`: filter the blog list by tag (tag chips on post pages)
+ * - `?post=<slug>`: old feed links; forwarded to the post page
+ * 
+ * @function applyDeepLinks
+ * @returns {boolean} True if the page is navigating away
  */
-async function viewPost(postId) {
-    try {
-        logDebug(`Viewing post: ${postId}`);
-        
-        // Validate postId
-        if (!postId || typeof postId !== 'string') {
-            throw new Error('Invalid post ID');
-        }
-        
-        // TODO: Show loading state
-        // showLoadingModal();
-        
-        // Fetch post details
-        const response = await fetchWithRetry(`/api/blog/post/${encodeURIComponent(postId)}`);
-        
-        if (!response.ok) {
-            if (response.status === 404) {
-                throw new Error('Post not found');
-            }
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const post = await response.json();
-        
-        // Validate post data
-        if (!post || !post.title || !post.content) {
-            throw new Error('Invalid post data received');
-        }
-        
-        logDebug('Post loaded successfully', { title: post.title });
-        
-        // TODO: Replace with proper modal
-        // For now, use alert (simple modal display)
-        alert(`${post.title}\n\n${post.content}`);
-        
-        // TODO: Track view
-        // trackEvent('blog', 'post_view', postId);
-        
-    } catch (error) {
-        logError(`Error viewing post ${postId}`, error);
-        alert(`Error loading post: ${error.message}`);
+function applyDeepLinks() {
+    const params = new URLSearchParams(window.location.search);
+    
+    const slug = params.get('post');
+    if (slug) {
+        window.location.replace(`/blog/${encodeURIComponent(slug)}`);
+        return true;
+    }
+    
+    const tag = params.get('tag');
+    if (tag) {
+        blogState.tag = tag;
     }
+    
+    const sectionId = tag ? 'blog' : window.location.hash.substring(1);
+    const link = sectionId && document.querySelector(`.nav-links a[href="#${CSS.escape(sectionId)}"]`);
+    if (link) {
+        link.click();
+    }
+    
+    return false;
+}
+
+/**
+ * Open the server-rendered page of a blog post
+ * 
+ * Posts live at /blog/:slug (functions/blog/[slug].js) so they can be
+ * shared, indexed and unfurled; legacy IDs redirect to the slug.
+ * 
+ * @function viewPost
+ * @param {string} postId - Slug (or legacy ID) of post to view
+ */
+function viewPost(postId) {
+    if (!postId || typeof postId !== 'string') {
+        logError('viewPost called without a post ID', postId);
+        return;
+    }
+    
+    logDebug(`Viewing post: ${postId}`);
+    window.location.href = `/blog/${encodeURIComponent(postId)}`;
 }
 
 /**
@@ -1646,6 +1996,31 @@ function showUserError(message) {
     // toast.show();
 }
 
+/**
+ * Admin token for admin-only API calls
+ * Asked for once per browser session and kept in sessionStorage
+ * 
+ * @returns {string|null} Token, or null if the user cancelled the prompt
+ */
+function getAdminToken() {
+    let token = sessionStorage.getItem(CONFIG.ADMIN_TOKEN_KEY);
+    if (!token) {
+        token = (prompt('Admin token:') || '').trim();
+        if (!token) {
+            return null;
+        }
+        sessionStorage.setItem(CONFIG.ADMIN_TOKEN_KEY, token);
+    }
+    return token;
+}
+
+/**
+ * Forget the stored admin token (after the API rejected it)
+ */
+function clearAdminToken() {
+    sessionStorage.removeItem(CONFIG.ADMIN_TOKEN_KEY);
+}
+
 /**
  * Fetch with retry logic and timeout
  * 
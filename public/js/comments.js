@@ -0,0 +1,174 @@
+/**
+ * CloudCurio post page comments
+ *
+ * Loaded by the server-rendered post pages (/blog/:slug). Fills the
+ * #comments section with the post's approved comments and handles the
+ * comment and reply forms. Comments are fetched separately so the page
+ * itself can stay cached.
+ *
+ * @requires ES6+ browser support
+ */
+
+(() => {
+    const section = document.getElementById('comments');
+    if (!section) {
+        return;
+    }
+
+    const postId = section.dataset.postId;
+    const list = section.querySelector('.comment-list');
+    const heading = section.querySelector('h2');
+
+    /** Messages shown after submitting, by the status the comment received */
+    const STATUS_MESSAGES = {
+        approved: 'Thanks! Your comment is published.',
+        pending: 'Thanks! Your comment will appear once a moderator has approved it.',
+        rejected: 'Your comment was not published because it looks like spam or abuse.'
+    };
+
+    /**
+     * Escape HTML special characters
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+        return String(text ?? '').replace(/[&<>"']/g, m => map[m]);
+    }
+
+    /**
+     * Render a comment and its replies
+     *
+     * @param {Object} comment - From GET /api/blog/post/:id/comments
+     * @returns {string}
+     */
+    function renderComment(comment) {
+        const paragraphs = comment.content
+            .split(/\n{2,}/)
+            .map(text => `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`)
+            .join('');
+        const replies = comment.replies.length > 0
+            ? `<ol class="comment-replies">${comment.replies.map(renderComment).join('')}</ol>`
+            : '';
+
+        return `
+            <li class="comment" id="${escapeHtml(comment.id)}">
+                <div class="comment-meta">
+                    <strong>${escapeHtml(comment.author_name)}</strong>
+                    <time datetime="${escapeHtml(comment.created_at)}">${escapeHtml(new Date(comment.created_at).toDateString())}</time>
+                </div>
+                <div class="comment-body">${paragraphs}</div>
+                <button type="button" class="comment-reply" data-comment-id="${escapeHtml(comment.id)}">Reply</button>
+                ${replies}
+            </li>`;
+    }
+
+    /**
+     * Load and render the approved comments
+     */
+    async function loadComments() {
+        try {
+            const response = await fetch(`/api/blog/post/${encodeURIComponent(postId)}/comments`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const { comments, count } = await response.json();
+
+            heading.textContent = count === 1 ? '1 comment' : `${count} comments`;
+            list.innerHTML = comments.length > 0
+                ? comments.map(renderComment).join('')
+                : '<li class="comment-empty">No comments yet. Start the conversation!</li>';
+        } catch (error) {
+            console.error('[Comments] Failed to load comments:', error);
+            list.innerHTML = '<li class="comment-empty">Comments could not be loaded.</li>';
+        }
+    }
+
+    /**
+     * Build a comment form
+     *
+     * @param {string|null} parentId - Comment being replied to
+     * @returns {HTMLFormElement}
+     */
+    function createForm(parentId = null) {
+        const form = document.createElement('form');
+        form.className = 'comment-form';
+        form.innerHTML = `
+            <input type="text" name="author_name" placeholder="Name" maxlength="100" required>
+            <input type="email" name="author_email" placeholder="Email (optional, never shown)" maxlength="200">
+            <textarea name="content" rows="4" placeholder="${parentId ? 'Write a reply…' : 'Join the discussion…'}" maxlength="5000" required></textarea>
+            <div class="comment-form-actions">
+                <button type="submit" class="btn btn-primary">${parentId ? 'Post reply' : 'Post comment'}</button>
+                ${parentId ? '<button type="button" class="btn btn-secondary comment-cancel">Cancel</button>' : ''}
+            </div>
+            <p class="comment-status" role="status"></p>`;
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            submitComment(form, parentId);
+        });
+        const cancel = form.querySelector('.comment-cancel');
+        if (cancel) {
+            cancel.addEventListener('click', () => form.remove());
+        }
+        return form;
+    }
+
+    /**
+     * Submit a comment form
+     *
+     * @param {HTMLFormElement} form
+     * @param {string|null} parentId
+     */
+    async function submitComment(form, parentId) {
+        const status = form.querySelector('.comment-status');
+        const button = form.querySelector('button[type="submit"]');
+        const data = new FormData(form);
+
+        button.disabled = true;
+        status.textContent = 'Posting…';
+
+        try {
+            const response = await fetch(`/api/blog/post/${encodeURIComponent(postId)}/comments`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    author_name: data.get('author_name'),
+                    author_email: data.get('author_email') || null,
+                    content: data.get('content'),
+                    parent_id: parentId
+                })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+
+            form.reset();
+            status.textContent = STATUS_MESSAGES[result.comment.status] || STATUS_MESSAGES.pending;
+            if (result.comment.status === 'approved') {
+                await loadComments();
+            }
+        } catch (error) {
+            status.textContent = `Could not post your comment: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Reply buttons open a form under their comment
+    list.addEventListener('click', event => {
+        const button = event.target.closest('.comment-reply');
+        if (!button) {
+            return;
+        }
+        const comment = button.closest('.comment');
+        if (!comment.querySelector(':scope > .comment-form')) {
+            button.after(createForm(button.dataset.commentId));
+        }
+    });
+
+    section.appendChild(createForm());
+    loadComments();
+})();
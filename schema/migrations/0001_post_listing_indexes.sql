@@ -0,0 +1,5 @@
+-- Migration 0001: indexes for paginated / filtered post listings
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0001_post_listing_indexes.sql
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_status_created ON blog_posts(status, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_posts_author_created ON blog_posts(author, created_at DESC);
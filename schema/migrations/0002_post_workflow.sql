@@ -0,0 +1,11 @@
+-- Migration 0002: editorial workflow (draft -> review -> scheduled -> published)
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0002_post_workflow.sql
+
+ALTER TABLE blog_posts ADD COLUMN publish_at TEXT;
+
+-- Treat the creation time of already published posts as their publish time,
+-- as ISO 8601 like every publish_at the API writes (old rows have "YYYY-MM-DD HH:MM:SS")
+UPDATE blog_posts SET publish_at = COALESCE(strftime('%Y-%m-%dT%H:%M:%fZ', created_at), created_at)
+WHERE status = 'published' AND publish_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_status_publish ON blog_posts(status, publish_at);
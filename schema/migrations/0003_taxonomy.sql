@@ -0,0 +1,35 @@
+-- Migration 0003: tags and categories
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0003_taxonomy.sql
+
+-- Tags and categories (see src/lib/taxonomy.js)
+-- Term IDs are derived from the slug: tag_<slug> / cat_<slug>
+CREATE TABLE IF NOT EXISTS tags (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS categories (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+);
+
+-- Join tables; rows are removed with their post or term (D1 enforces foreign keys)
+CREATE TABLE IF NOT EXISTS blog_post_tags (
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    tag_id TEXT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (post_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_tags_tag ON blog_post_tags(tag_id);
+
+CREATE TABLE IF NOT EXISTS blog_post_categories (
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    category_id TEXT NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    PRIMARY KEY (post_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_categories_category ON blog_post_categories(category_id);
@@ -0,0 +1,18 @@
+-- Migration 0004: post slugs and permalinks
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0004_post_slugs.sql
+--
+-- Existing posts keep a NULL slug (and stay reachable by ID) until the blog
+-- generator worker backfills it on its next run.
+
+ALTER TABLE blog_posts ADD COLUMN slug TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_posts_slug ON blog_posts(slug);
+
+-- Previous slugs of renamed posts; they redirect to the current slug
+CREATE TABLE IF NOT EXISTS blog_post_slug_history (
+    slug TEXT PRIMARY KEY,
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_slug_history_post ON blog_post_slug_history(post_id);
@@ -0,0 +1,30 @@
+-- Migration 0005: post revision history
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0005_post_revisions.sql
+
+-- Revision history (see src/lib/revisions.js)
+-- One snapshot of the post after every change; revision 1 is the post as created
+CREATE TABLE IF NOT EXISTS blog_post_revisions (
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT,
+    post_author TEXT,
+    status TEXT,
+    tags TEXT,                          -- JSON array of tag names
+    categories TEXT,                    -- JSON array of category names
+    author TEXT NOT NULL,               -- who made the change
+    reason TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (post_id, revision)
+);
+
+-- Existing posts start their history at their current state
+INSERT OR IGNORE INTO blog_post_revisions
+    (post_id, revision, title, content, excerpt, post_author, status, tags, categories, author, reason, created_at)
+SELECT
+    p.id, 1, p.title, p.content, p.excerpt, p.author, p.status,
+    (SELECT json_group_array(t.name) FROM blog_post_tags j JOIN tags t ON t.id = j.tag_id WHERE j.post_id = p.id),
+    (SELECT json_group_array(c.name) FROM blog_post_categories j JOIN categories c ON c.id = j.category_id WHERE j.post_id = p.id),
+    'Migration', 'Existing post when revision history was added', COALESCE(p.updated_at, p.created_at)
+FROM blog_posts p;
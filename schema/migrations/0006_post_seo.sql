@@ -0,0 +1,8 @@
+-- Migration 0006: SEO fields for server-rendered post pages
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0006_post_seo.sql
+--
+-- Existing posts keep NULLs; post pages fall back to the title and excerpt.
+
+ALTER TABLE blog_posts ADD COLUMN seo_title TEXT;
+ALTER TABLE blog_posts ADD COLUMN seo_description TEXT;
+ALTER TABLE blog_posts ADD COLUMN keywords TEXT;
@@ -0,0 +1,36 @@
+-- Migration 0007: full-text search over blog posts
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0007_post_search.sql
+--
+-- Creates the index and its sync triggers, then indexes existing posts.
+
+-- Full-text search index over posts (see src/lib/search.js)
+-- A standalone FTS5 table keyed by post_id rather than an external-content
+-- table: blog_posts has no INTEGER PRIMARY KEY, so its rowids may change on VACUUM.
+-- Kept in sync by the triggers below, so every write path is covered.
+CREATE VIRTUAL TABLE IF NOT EXISTS blog_posts_fts USING fts5(
+    post_id UNINDEXED,
+    title,
+    excerpt,
+    content,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS blog_posts_fts_insert AFTER INSERT ON blog_posts BEGIN
+    INSERT INTO blog_posts_fts (post_id, title, excerpt, content)
+    VALUES (new.id, new.title, COALESCE(new.excerpt, ''), new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS blog_posts_fts_update AFTER UPDATE OF title, excerpt, content ON blog_posts BEGIN
+    UPDATE blog_posts_fts
+    SET title = new.title, excerpt = COALESCE(new.excerpt, ''), content = new.content
+    WHERE post_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS blog_posts_fts_delete AFTER DELETE ON blog_posts BEGIN
+    DELETE FROM blog_posts_fts WHERE post_id = old.id;
+END;
+
+INSERT INTO blog_posts_fts (post_id, title, excerpt, content)
+SELECT id, title, COALESCE(excerpt, ''), content
+FROM blog_posts
+WHERE id NOT IN (SELECT post_id FROM blog_posts_fts);
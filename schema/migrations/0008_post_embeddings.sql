@@ -0,0 +1,8 @@
+-- Migration 0008: track which posts are embedded in Vectorize
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0008_post_embeddings.sql
+--
+-- Existing posts start with NULL; the blog generator worker embeds
+-- published posts on its next runs. Also create the Vectorize metadata
+-- index described in schema/setup.md.
+
+ALTER TABLE blog_posts ADD COLUMN embedded_at TEXT;
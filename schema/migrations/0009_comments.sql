@@ -0,0 +1,23 @@
+-- Migration 0009: reader comments with moderation
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0009_comments.sql
+
+-- Reader comments (see src/lib/comments.js)
+-- Replies point at their parent with parent_id; deleting a comment removes its replies
+CREATE TABLE IF NOT EXISTS comments (
+    id TEXT PRIMARY KEY,
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    parent_id TEXT REFERENCES comments(id) ON DELETE CASCADE,
+    author_name TEXT NOT NULL,
+    author_email TEXT,                  -- never shown publicly
+    content TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending | approved | rejected
+    moderation_score REAL,              -- classifier score 0-1 (higher = worse), NULL if unavailable
+    moderation_reason TEXT,
+    moderated_by TEXT,                  -- 'AI' or the moderator who last changed the status
+    moderated_at TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_comments_post_status ON comments(post_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_status_created ON comments(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id);
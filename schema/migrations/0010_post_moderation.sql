@@ -0,0 +1,9 @@
+-- Migration 0010: content moderation results for generated posts
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0010_post_moderation.sql
+--
+-- Existing posts keep NULL and are treated like human-written posts: the
+-- moderation gate only applies to posts generated after this migration.
+
+ALTER TABLE blog_posts ADD COLUMN moderation_status TEXT;
+ALTER TABLE blog_posts ADD COLUMN moderation_reasons TEXT;
+ALTER TABLE blog_posts ADD COLUMN moderated_at TEXT;
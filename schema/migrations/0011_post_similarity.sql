@@ -0,0 +1,8 @@
+-- Migration 0011: record the closest existing post of generated posts
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0011_post_similarity.sql
+--
+-- Existing posts keep NULL; only posts generated from now on are compared.
+
+ALTER TABLE blog_posts ADD COLUMN similar_post_id TEXT REFERENCES blog_posts(id) ON DELETE SET NULL;
+ALTER TABLE blog_posts ADD COLUMN similarity_score REAL;
+ALTER TABLE blog_posts ADD COLUMN title_overlap REAL;
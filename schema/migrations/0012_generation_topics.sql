@@ -0,0 +1,32 @@
+-- Migration 0012: managed topics for the scheduled blog generator
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0012_generation_topics.sql
+--
+-- Starts with the topics that used to be hard-coded in
+-- src/workers/blog-generator.js; manage them with /api/blog/topics.
+
+-- Topics for the scheduled blog generator (see src/lib/generation-topics.js)
+-- The least recently used enabled topic, weighted by `weight`, is picked
+-- once its cooldown has passed
+CREATE TABLE IF NOT EXISTS generation_topics (
+    id TEXT PRIMARY KEY,
+    topic TEXT NOT NULL COLLATE NOCASE,
+    weight INTEGER NOT NULL DEFAULT 1,          -- 1-100, higher comes round more often
+    cooldown_hours INTEGER NOT NULL DEFAULT 72, -- minimum time between two uses
+    enabled INTEGER NOT NULL DEFAULT 1,
+    source TEXT NOT NULL DEFAULT 'manual',      -- manual | seed | knowledge_base (proposed, starts disabled)
+    use_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generation_topics_topic ON generation_topics(topic);
+CREATE INDEX IF NOT EXISTS idx_generation_topics_enabled ON generation_topics(enabled, last_used_at);
+
+INSERT OR IGNORE INTO generation_topics (id, topic, source, created_at)
+VALUES
+    ('topic_cloud_computing', 'Latest trends in cloud computing', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('topic_ai_ml', 'AI and machine learning advancements', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('topic_web_performance', 'Web performance optimization', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('topic_serverless', 'Serverless architecture patterns', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('topic_edge_computing', 'Edge computing innovations', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
@@ -0,0 +1,16 @@
+-- Migration 0013: multi-part series
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0013_series.sql
+
+CREATE TABLE IF NOT EXISTS series (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    description TEXT,
+    outline TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+ALTER TABLE blog_posts ADD COLUMN series_id TEXT REFERENCES series(id) ON DELETE SET NULL;
+ALTER TABLE blog_posts ADD COLUMN series_position INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_posts_series ON blog_posts(series_id, series_position);
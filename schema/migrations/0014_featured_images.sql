@@ -0,0 +1,4 @@
+-- Migration 0014: featured images stored in R2
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0014_featured_images.sql
+
+ALTER TABLE blog_posts ADD COLUMN featured_image_key TEXT;
@@ -0,0 +1,20 @@
+-- Migration 0015: media library for uploaded files
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0015_media.sql
+
+CREATE TABLE IF NOT EXISTS media (
+    id TEXT PRIMARY KEY,
+    key TEXT NOT NULL UNIQUE,           -- R2 object key, uploads/<id>
+    filename TEXT NOT NULL,             -- original file name, for display and downloads
+    content_type TEXT NOT NULL,         -- detected from the file contents
+    size INTEGER NOT NULL,              -- bytes
+    width INTEGER,
+    height INTEGER,
+    alt_text TEXT,
+    owner TEXT NOT NULL,                -- who uploaded it
+    post_id TEXT REFERENCES blog_posts(id) ON DELETE SET NULL,  -- post it was uploaded for, if any
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_created ON media(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_media_post ON media(post_id, created_at DESC);
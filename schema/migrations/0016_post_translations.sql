@@ -0,0 +1,18 @@
+-- Migration 0016: post translations
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0016_post_translations.sql
+
+CREATE TABLE IF NOT EXISTS blog_post_translations (
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    lang TEXT NOT NULL,                 -- ISO 639-1 code, e.g. 'es'
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT,
+    seo_title TEXT,
+    seo_description TEXT,
+    keywords TEXT,
+    translated_by TEXT NOT NULL,        -- 'AI' or the editor who last changed it
+    source_updated_at TEXT,             -- updated_at of the post it was made from; older means stale
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (post_id, lang)
+);
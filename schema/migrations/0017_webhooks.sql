@@ -0,0 +1,32 @@
+-- Migration 0017: outbound webhooks
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0017_webhooks.sql
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,                  -- https endpoint receiving the POSTs
+    events TEXT NOT NULL,               -- JSON array of event types
+    secret TEXT NOT NULL,               -- HMAC-SHA256 signing key, shown once on creation
+    description TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,             -- same for every subscription notified of one event
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,              -- JSON body, sent unchanged on every attempt
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending | succeeded | failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,            -- HTTP status of the last attempt
+    response_body TEXT,                 -- start of the last response body
+    error TEXT,                         -- why the last attempt failed
+    next_attempt_at TEXT,               -- when the queue retries a pending delivery
+    last_attempt_at TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at);
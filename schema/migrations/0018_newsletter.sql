@@ -0,0 +1,52 @@
+-- Migration 0018: newsletter subscribers, suppression list and weekly digests
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0018_newsletter.sql
+
+-- Newsletter subscribers (see src/lib/newsletter.js)
+-- Double opt-in: a subscriber stays pending until they follow the link in the
+-- confirmation email; only confirmed subscribers get digests
+CREATE TABLE IF NOT EXISTS subscribers (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL,                -- lower-cased
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending | confirmed | unsubscribed
+    confirm_token TEXT,                 -- in the confirmation link; cleared once used
+    confirm_expires_at TEXT,
+    confirm_sent_at TEXT,               -- last confirmation email, to limit resends
+    unsubscribe_token TEXT NOT NULL,    -- in the unsubscribe link of every email
+    last_digest_id TEXT,                -- newest digest sent to this subscriber
+    created_at TEXT NOT NULL,
+    confirmed_at TEXT,
+    unsubscribed_at TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscribers_email ON subscribers(email);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscribers_confirm_token ON subscribers(confirm_token);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscribers_unsubscribe_token ON subscribers(unsubscribe_token);
+CREATE INDEX IF NOT EXISTS idx_subscribers_status ON subscribers(status, created_at DESC, id DESC);
+
+-- Addresses that are never emailed, whatever their subscriber status
+-- Unsubscribing adds one; confirming a new subscription lifts only that kind
+CREATE TABLE IF NOT EXISTS email_suppressions (
+    email TEXT PRIMARY KEY,             -- lower-cased
+    reason TEXT NOT NULL,               -- unsubscribed | bounced | complained | manual
+    note TEXT,
+    created_at TEXT NOT NULL
+);
+
+-- Weekly digests of newly published posts (see src/lib/digests.js)
+-- A digest is sent in batches; subscribers.last_digest_id records who has it
+CREATE TABLE IF NOT EXISTS digests (
+    id TEXT PRIMARY KEY,
+    period_start TEXT NOT NULL,         -- posts published after this time...
+    period_end TEXT NOT NULL,           -- ...and up to this one
+    subject TEXT,
+    intro TEXT,                         -- written by the LLM
+    post_ids TEXT NOT NULL DEFAULT '[]',  -- JSON array, in digest order
+    status TEXT NOT NULL,               -- sending | sent | skipped (nothing new was published)
+    sent_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_digests_created ON digests(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_digests_status ON digests(status);
@@ -0,0 +1,6 @@
+-- Migration 0019: post import from Markdown, WordPress and Ghost
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0019_post_import.sql
+
+ALTER TABLE blog_posts ADD COLUMN import_ref TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_posts_import_ref ON blog_posts(import_ref);
@@ -0,0 +1,29 @@
+-- Migration 0020: keep revision history when a post is deleted
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0020_keep_revisions.sql
+
+-- SQLite cannot drop a foreign key, so the table is rebuilt without the
+-- ON DELETE CASCADE that removed a deleted post's history
+CREATE TABLE blog_post_revisions_new (
+    post_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT,
+    post_author TEXT,
+    status TEXT,
+    tags TEXT,                          -- JSON array of tag names
+    categories TEXT,                    -- JSON array of category names
+    author TEXT NOT NULL,               -- who made the change
+    reason TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (post_id, revision)
+);
+
+INSERT INTO blog_post_revisions_new
+    (post_id, revision, title, content, excerpt, post_author, status, tags, categories, author, reason, created_at)
+SELECT post_id, revision, title, content, excerpt, post_author, status, tags, categories, author, reason, created_at
+FROM blog_post_revisions;
+
+DROP TABLE blog_post_revisions;
+
+ALTER TABLE blog_post_revisions_new RENAME TO blog_post_revisions;
@@ -0,0 +1,17 @@
+-- Migration 0021: snapshot moderation and the post's creation date in revisions
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0021_revision_moderation.sql
+
+-- A deleted post restored from its history keeps its moderation verdict
+-- (so it cannot skip the publication gate) and its original created_at
+ALTER TABLE blog_post_revisions ADD COLUMN moderation_status TEXT;
+ALTER TABLE blog_post_revisions ADD COLUMN moderation_reasons TEXT;
+ALTER TABLE blog_post_revisions ADD COLUMN moderated_at TEXT;
+ALTER TABLE blog_post_revisions ADD COLUMN post_created_at TEXT;
+
+-- Existing revisions take the values of their post, where it still exists
+UPDATE blog_post_revisions
+SET moderation_status = (SELECT p.moderation_status FROM blog_posts p WHERE p.id = post_id),
+    moderation_reasons = (SELECT p.moderation_reasons FROM blog_posts p WHERE p.id = post_id),
+    moderated_at = (SELECT p.moderated_at FROM blog_posts p WHERE p.id = post_id),
+    post_created_at = (SELECT p.created_at FROM blog_posts p WHERE p.id = post_id)
+WHERE post_id IN (SELECT id FROM blog_posts);
@@ -0,0 +1,8 @@
+-- Migration 0022: ISO 8601 publish times for posts published before 0002
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0022_iso_publish_times.sql
+
+-- 0002 used to copy created_at into publish_at as is, and rows created with
+-- datetime('now') hold "YYYY-MM-DD HH:MM:SS" (UTC, no zone), which sorts
+-- before and parses differently from the ISO 8601 times the API writes
+UPDATE blog_posts SET publish_at = strftime('%Y-%m-%dT%H:%M:%fZ', publish_at)
+WHERE publish_at GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9] [0-9][0-9]:[0-9][0-9]*';
@@ -0,0 +1,7 @@
+-- Migration 0023: ISO 8601 creation times for the seeded generation topics
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0023_iso_topic_times.sql
+
+-- 0012 used to seed the default topics with datetime('now'), which stores
+-- "YYYY-MM-DD HH:MM:SS" instead of the ISO 8601 times the API writes
+UPDATE generation_topics SET created_at = strftime('%Y-%m-%dT%H:%M:%fZ', created_at)
+WHERE created_at GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9] [0-9][0-9]:[0-9][0-9]*';
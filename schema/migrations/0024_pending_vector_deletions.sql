@@ -0,0 +1,26 @@
+-- Migration 0024: retry removing the vectors of deleted posts
+-- Run with: wrangler d1 execute knowledge_base --file=schema/migrations/0024_pending_vector_deletions.sql
+--
+-- A deleted post's vector used to be removed only once, after the response;
+-- if that failed, the vector stayed in Vectorize for good.
+
+-- Vectors of deleted posts still to be removed from Vectorize (see src/lib/post-embeddings.js)
+-- Filled by the trigger below, so every delete path is covered; the blog generator
+-- cron retries each removal until it succeeds
+CREATE TABLE IF NOT EXISTS pending_vector_deletions (
+    post_id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL
+);
+
+CREATE TRIGGER IF NOT EXISTS blog_posts_vector_delete AFTER DELETE ON blog_posts
+WHEN old.embedded_at IS NOT NULL BEGIN
+    INSERT OR REPLACE INTO pending_vector_deletions (post_id, created_at)
+    VALUES (old.id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+END;
+
+-- Posts deleted before this migration may have left a vector behind;
+-- removing a vector that does not exist is harmless
+INSERT OR IGNORE INTO pending_vector_deletions (post_id, created_at)
+SELECT DISTINCT post_id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM blog_post_revisions
+WHERE post_id NOT IN (SELECT id FROM blog_posts);
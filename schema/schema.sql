@@ -3,17 +3,325 @@
 -- Blog posts table
 CREATE TABLE IF NOT EXISTS blog_posts (
     id TEXT PRIMARY KEY,
+    slug TEXT,                          -- permalink, unique (see idx_blog_posts_slug)
     title TEXT NOT NULL,
     content TEXT NOT NULL,
     excerpt TEXT,
     author TEXT DEFAULT 'Anonymous',
-    status TEXT DEFAULT 'draft',
+    status TEXT DEFAULT 'draft',        -- draft | review | scheduled | published
+    publish_at TEXT,                    -- scheduled publish time, or actual publish time once published
+    seo_title TEXT,                     -- <title> / og:title on post pages; falls back to title
+    seo_description TEXT,               -- meta description; falls back to excerpt
+    keywords TEXT,                      -- comma-separated
+    embedded_at TEXT,                   -- last sync to Vectorize (see src/lib/post-embeddings.js)
+    moderation_status TEXT,             -- passed | failed for generated posts, NULL for human-written ones
+    moderation_reasons TEXT,            -- JSON array of reasons the post failed (see src/lib/content-moderation.js)
+    moderated_at TEXT,
+    similar_post_id TEXT REFERENCES blog_posts(id) ON DELETE SET NULL,  -- closest existing post when generated
+    similarity_score REAL,              -- embedding cosine similarity with similar_post_id (see src/lib/duplicate-detection.js)
+    title_overlap REAL,                 -- share of title words in common with similar_post_id
+    series_id TEXT REFERENCES series(id) ON DELETE SET NULL,  -- multi-part series (see src/lib/series.js)
+    series_position INTEGER,            -- 1-based part number within series_id
+    featured_image_key TEXT,            -- R2 key of the featured image, served by /api/media/:key (see src/lib/featured-images.js)
+    import_ref TEXT,                    -- source of an imported post, e.g. 'wxr:old.example.com:123' (see src/lib/post-import.js)
     created_at TEXT NOT NULL,
     updated_at TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_blog_posts_status ON blog_posts(status);
 CREATE INDEX IF NOT EXISTS idx_blog_posts_created ON blog_posts(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_posts_status_created ON blog_posts(status, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_posts_author_created ON blog_posts(author, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_posts_status_publish ON blog_posts(status, publish_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_posts_slug ON blog_posts(slug);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_posts_series ON blog_posts(series_id, series_position);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blog_posts_import_ref ON blog_posts(import_ref);
+
+-- Multi-part series; parts are the posts with a matching series_id
+CREATE TABLE IF NOT EXISTS series (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    description TEXT,
+    outline TEXT,                       -- JSON array of { title, summary } planned for generated series
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+-- Previous slugs of renamed posts; they redirect to the current slug
+CREATE TABLE IF NOT EXISTS blog_post_slug_history (
+    slug TEXT PRIMARY KEY,
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_slug_history_post ON blog_post_slug_history(post_id);
+
+-- Tags and categories (see src/lib/taxonomy.js)
+-- Term IDs are derived from the slug: tag_<slug> / cat_<slug>
+CREATE TABLE IF NOT EXISTS tags (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS categories (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+);
+
+-- Join tables; rows are removed with their post or term (D1 enforces foreign keys)
+CREATE TABLE IF NOT EXISTS blog_post_tags (
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    tag_id TEXT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (post_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_tags_tag ON blog_post_tags(tag_id);
+
+CREATE TABLE IF NOT EXISTS blog_post_categories (
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    category_id TEXT NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    PRIMARY KEY (post_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_categories_category ON blog_post_categories(category_id);
+
+-- Revision history (see src/lib/revisions.js)
+-- One snapshot of the post after every change; revision 1 is the post as created.
+-- No foreign key: the history outlives a deleted post, which can be restored from it
+CREATE TABLE IF NOT EXISTS blog_post_revisions (
+    post_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT,
+    post_author TEXT,
+    status TEXT,
+    tags TEXT,                          -- JSON array of tag names
+    categories TEXT,                    -- JSON array of category names
+    author TEXT NOT NULL,               -- who made the change
+    reason TEXT,
+    created_at TEXT NOT NULL,
+    moderation_status TEXT,             -- the post's moderation columns at the time, so a
+    moderation_reasons TEXT,            -- restored post keeps its verdict
+    moderated_at TEXT,
+    post_created_at TEXT,               -- the post's own created_at
+    PRIMARY KEY (post_id, revision)
+);
+
+-- Translations of posts (see src/lib/translations.js)
+-- The post itself is in SITE_LANGUAGE; readers ask for another language with ?lang=
+CREATE TABLE IF NOT EXISTS blog_post_translations (
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    lang TEXT NOT NULL,                 -- ISO 639-1 code, e.g. 'es'
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT,
+    seo_title TEXT,
+    seo_description TEXT,
+    keywords TEXT,
+    translated_by TEXT NOT NULL,        -- 'AI' or the editor who last changed it
+    source_updated_at TEXT,             -- updated_at of the post it was made from; older means stale
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (post_id, lang)
+);
+
+-- Full-text search index over posts (see src/lib/search.js)
+-- A standalone FTS5 table keyed by post_id rather than an external-content
+-- table: blog_posts has no INTEGER PRIMARY KEY, so its rowids may change on VACUUM.
+-- Kept in sync by the triggers below, so every write path is covered.
+CREATE VIRTUAL TABLE IF NOT EXISTS blog_posts_fts USING fts5(
+    post_id UNINDEXED,
+    title,
+    excerpt,
+    content,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS blog_posts_fts_insert AFTER INSERT ON blog_posts BEGIN
+    INSERT INTO blog_posts_fts (post_id, title, excerpt, content)
+    VALUES (new.id, new.title, COALESCE(new.excerpt, ''), new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS blog_posts_fts_update AFTER UPDATE OF title, excerpt, content ON blog_posts BEGIN
+    UPDATE blog_posts_fts
+    SET title = new.title, excerpt = COALESCE(new.excerpt, ''), content = new.content
+    WHERE post_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS blog_posts_fts_delete AFTER DELETE ON blog_posts BEGIN
+    DELETE FROM blog_posts_fts WHERE post_id = old.id;
+END;
+
+-- Vectors of deleted posts still to be removed from Vectorize (see src/lib/post-embeddings.js)
+-- Filled by the trigger below, so every delete path is covered; the blog generator
+-- cron retries each removal until it succeeds
+CREATE TABLE IF NOT EXISTS pending_vector_deletions (
+    post_id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL
+);
+
+CREATE TRIGGER IF NOT EXISTS blog_posts_vector_delete AFTER DELETE ON blog_posts
+WHEN old.embedded_at IS NOT NULL BEGIN
+    INSERT OR REPLACE INTO pending_vector_deletions (post_id, created_at)
+    VALUES (old.id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+END;
+
+-- Reader comments (see src/lib/comments.js)
+-- Replies point at their parent with parent_id; deleting a comment removes its replies
+CREATE TABLE IF NOT EXISTS comments (
+    id TEXT PRIMARY KEY,
+    post_id TEXT NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    parent_id TEXT REFERENCES comments(id) ON DELETE CASCADE,
+    author_name TEXT NOT NULL,
+    author_email TEXT,                  -- never shown publicly
+    content TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending | approved | rejected
+    moderation_score REAL,              -- classifier score 0-1 (higher = worse), NULL if unavailable
+    moderation_reason TEXT,
+    moderated_by TEXT,                  -- 'AI' or the moderator who last changed the status
+    moderated_at TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_comments_post_status ON comments(post_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_status_created ON comments(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id);
+
+-- Files uploaded by editors (see src/lib/media-library.js)
+-- The file itself is in R2 under `key`; posts refer to it as media:<id>
+CREATE TABLE IF NOT EXISTS media (
+    id TEXT PRIMARY KEY,
+    key TEXT NOT NULL UNIQUE,           -- R2 object key, uploads/<id>
+    filename TEXT NOT NULL,             -- original file name, for display and downloads
+    content_type TEXT NOT NULL,         -- detected from the file contents
+    size INTEGER NOT NULL,              -- bytes
+    width INTEGER,
+    height INTEGER,
+    alt_text TEXT,
+    owner TEXT NOT NULL,                -- who uploaded it
+    post_id TEXT REFERENCES blog_posts(id) ON DELETE SET NULL,  -- post it was uploaded for, if any
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_created ON media(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_media_post ON media(post_id, created_at DESC);
+
+-- Outbound webhooks (see src/lib/webhooks.js)
+-- Subscribers get a signed POST for each event they subscribe to; every
+-- attempt to deliver one event to one subscription is tracked in webhook_deliveries
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,                  -- https endpoint receiving the POSTs
+    events TEXT NOT NULL,               -- JSON array of event types
+    secret TEXT NOT NULL,               -- HMAC-SHA256 signing key, shown once on creation
+    description TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,             -- same for every subscription notified of one event
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,              -- JSON body, sent unchanged on every attempt
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending | succeeded | failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,            -- HTTP status of the last attempt
+    response_body TEXT,                 -- start of the last response body
+    error TEXT,                         -- why the last attempt failed
+    next_attempt_at TEXT,               -- when the queue retries a pending delivery
+    last_attempt_at TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at);
+
+-- Newsletter subscribers (see src/lib/newsletter.js)
+-- Double opt-in: a subscriber stays pending until they follow the link in the
+-- confirmation email; only confirmed subscribers get digests
+CREATE TABLE IF NOT EXISTS subscribers (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL,                -- lower-cased
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending | confirmed | unsubscribed
+    confirm_token TEXT,                 -- in the confirmation link; cleared once used
+    confirm_expires_at TEXT,
+    confirm_sent_at TEXT,               -- last confirmation email, to limit resends
+    unsubscribe_token TEXT NOT NULL,    -- in the unsubscribe link of every email
+    last_digest_id TEXT,                -- newest digest sent to this subscriber
+    created_at TEXT NOT NULL,
+    confirmed_at TEXT,
+    unsubscribed_at TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscribers_email ON subscribers(email);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscribers_confirm_token ON subscribers(confirm_token);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscribers_unsubscribe_token ON subscribers(unsubscribe_token);
+CREATE INDEX IF NOT EXISTS idx_subscribers_status ON subscribers(status, created_at DESC, id DESC);
+
+-- Addresses that are never emailed, whatever their subscriber status
+-- Unsubscribing adds one; confirming a new subscription lifts only that kind
+CREATE TABLE IF NOT EXISTS email_suppressions (
+    email TEXT PRIMARY KEY,             -- lower-cased
+    reason TEXT NOT NULL,               -- unsubscribed | bounced | complained | manual
+    note TEXT,
+    created_at TEXT NOT NULL
+);
+
+-- Weekly digests of newly published posts (see src/lib/digests.js)
+-- A digest is sent in batches; subscribers.last_digest_id records who has it
+CREATE TABLE IF NOT EXISTS digests (
+    id TEXT PRIMARY KEY,
+    period_start TEXT NOT NULL,         -- posts published after this time...
+    period_end TEXT NOT NULL,           -- ...and up to this one
+    subject TEXT,
+    intro TEXT,                         -- written by the LLM
+    post_ids TEXT NOT NULL DEFAULT '[]',  -- JSON array, in digest order
+    status TEXT NOT NULL,               -- sending | sent | skipped (nothing new was published)
+    sent_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_digests_created ON digests(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_digests_status ON digests(status);
+
+-- Topics for the scheduled blog generator (see src/lib/generation-topics.js)
+-- The least recently used enabled topic, weighted by `weight`, is picked
+-- once its cooldown has passed
+CREATE TABLE IF NOT EXISTS generation_topics (
+    id TEXT PRIMARY KEY,
+    topic TEXT NOT NULL COLLATE NOCASE,
+    weight INTEGER NOT NULL DEFAULT 1,          -- 1-100, higher comes round more often
+    cooldown_hours INTEGER NOT NULL DEFAULT 72, -- minimum time between two uses
+    enabled INTEGER NOT NULL DEFAULT 1,
+    source TEXT NOT NULL DEFAULT 'manual',      -- manual | seed | knowledge_base (proposed, starts disabled)
+    use_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generation_topics_topic ON generation_topics(topic);
+CREATE INDEX IF NOT EXISTS idx_generation_topics_enabled ON generation_topics(enabled, last_used_at);
+
+-- Default topics; edit them with /api/blog/topics
+INSERT OR IGNORE INTO generation_topics (id, topic, source, created_at)
+VALUES
+    ('topic_cloud_computing', 'Latest trends in cloud computing', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('topic_ai_ml', 'AI and machine learning advancements', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('topic_web_performance', 'Web performance optimization', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('topic_serverless', 'Serverless architecture patterns', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ('topic_edge_computing', 'Edge computing innovations', 'seed', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
 
 -- Knowledge base table
 CREATE TABLE IF NOT EXISTS knowledge_base (
@@ -2,9 +2,11 @@
 -- Run with: wrangler d1 execute knowledge_base --file=schema/seed.sql
 
 -- Welcome blog post
-INSERT OR IGNORE INTO blog_posts (id, title, content, excerpt, author, status, created_at)
+-- Post timestamps are ISO 8601 like the ones the API writes, since publish_at is compared as text
+INSERT OR IGNORE INTO blog_posts (id, slug, title, content, excerpt, author, status, publish_at, created_at)
 VALUES (
     'post_welcome',
+    'welcome-to-cloudcurio',
     'Welcome to CloudCurio',
     'Welcome to CloudCurio - your AI-powered knowledge base and blog platform!
 
@@ -35,9 +37,16 @@ This platform is designed to be your personal AI-powered workspace for knowledge
     'Welcome to CloudCurio - your AI-powered knowledge base and blog platform built on Cloudflare infrastructure.',
     'CloudCurio Admin',
     'published',
-    datetime('now')
+    strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+    strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
 );
 
+-- First revision of the welcome post
+INSERT OR IGNORE INTO blog_post_revisions (post_id, revision, title, content, excerpt, post_author, status, tags, categories, author, reason, created_at, post_created_at)
+SELECT id, 1, title, content, excerpt, author, status, '[]', '[]', author, 'Created', created_at, created_at
+FROM blog_posts
+WHERE id = 'post_welcome';
+
 -- Sample knowledge base entries
 INSERT OR IGNORE INTO knowledge_base (id, title, content, created_at)
 VALUES (
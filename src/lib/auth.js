@@ -0,0 +1,80 @@
+/**
+ * Admin authentication helpers
+ *
+ * Write endpoints (creating, editing and deleting content) require a shared
+ * admin token sent as `Authorization: Bearer <token>`. The token is read from
+ * the `ADMIN_TOKEN` secret:
+ *
+ *   wrangler pages secret put ADMIN_TOKEN      (production)
+ *   echo 'ADMIN_TOKEN=dev-token' >> .dev.vars  (local development)
+ *
+ * When `ADMIN_TOKEN` is not configured every admin check fails, so a fresh
+ * deployment never exposes write endpoints by accident.
+ */
+
+/**
+ * Compare two strings without short-circuiting on the first mismatch
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+
+    let mismatch = 0;
+    for (let i = 0; i < a.length; i++) {
+        mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return mismatch === 0;
+}
+
+/**
+ * Check whether a request carries a valid admin token
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings (ADMIN_TOKEN)
+ * @returns {boolean} True if the request is authenticated as admin
+ */
+export function isAdmin(request, env) {
+    const expected = env && env.ADMIN_TOKEN;
+    if (!expected) {
+        return false;
+    }
+
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return false;
+    }
+
+    return timingSafeEqual(match[1].trim(), expected);
+}
+
+/**
+ * Guard for admin-only endpoints
+ *
+ * @example
+ * const denied = requireAdmin(request, env);
+ * if (denied) return denied;
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings (ADMIN_TOKEN)
+ * @returns {Response|null} 401 response if not authorised, otherwise null
+ */
+export function requireAdmin(request, env) {
+    if (isAdmin(request, env)) {
+        return null;
+    }
+
+    return Response.json({
+        success: false,
+        error: 'Unauthorized',
+        details: 'A valid admin token is required for this endpoint'
+    }, {
+        status: 401,
+        headers: { 'WWW-Authenticate': 'Bearer' }
+    });
+}
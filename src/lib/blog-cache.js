@@ -0,0 +1,113 @@
+/**
+ * KV caching for blog listings
+ *
+ * Every variant of a listing (filters, sort order, page cursor, ...) is
+ * cached under its own key. Instead of tracking and deleting each of those
+ * keys on write, all keys embed a cache "version" and invalidation simply
+ * bumps that version. Entries written under an old version are never read
+ * again and expire through their TTL.
+ *
+ * KEY FORMAT:
+ *   blog_posts:version                     → current version token
+ *   blog_posts:v<version>:<scope>:<hash>   → cached payload
+ */
+
+export const BLOG_CACHE_PREFIX = 'blog_posts';
+
+/** Default TTL for cached listings, in seconds */
+export const BLOG_CACHE_TTL = 300;
+
+const VERSION_KEY = `${BLOG_CACHE_PREFIX}:version`;
+
+/**
+ * Hash a cache variant into a short, stable hex string
+ *
+ * @param {Object} variant - Parameters that distinguish this cache entry
+ * @returns {Promise<string>}
+ */
+async function hashVariant(variant) {
+    const canonical = JSON.stringify(
+        Object.keys(variant).sort().map(key => [key, variant[key] ?? null])
+    );
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+    return [...new Uint8Array(digest)]
+        .slice(0, 16)
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Build the cache key for one listing variant
+ *
+ * @param {KVNamespace} cache - BLOG_CACHE binding
+ * @param {string} scope - Listing type, e.g. 'list' or 'feed'
+ * @param {Object} variant - Parameters that distinguish this cache entry
+ * @returns {Promise<string>}
+ */
+export async function buildCacheKey(cache, scope, variant) {
+    const version = (await cache.get(VERSION_KEY)) || '0';
+    return `${BLOG_CACHE_PREFIX}:v${version}:${scope}:${await hashVariant(variant)}`;
+}
+
+/**
+ * Invalidate cached blog listings after a write
+ *
+ * Failures are logged but never thrown: the write itself already succeeded
+ * and stale entries expire on their own after their TTL.
+ *
+ * @param {Object} env - Environment bindings (BLOG_CACHE)
+ * @param {string} [logPrefix] - Prefix used in log lines
+ * @returns {Promise<void>}
+ */
+export async function invalidateBlogCache(env, logPrefix = '[Blog Cache]') {
+    if (!env.BLOG_CACHE) {
+        return;
+    }
+
+    try {
+        await env.BLOG_CACHE.put(VERSION_KEY, Date.now().toString(36));
+        console.log(`${logPrefix} Cache invalidated`);
+    } catch (cacheError) {
+        console.error(`${logPrefix} Cache invalidation error:`, cacheError.message);
+    }
+}
+
+/**
+ * Read-through cache for rendered text (feeds, post pages, sitemaps)
+ *
+ * `render` is only called on a miss. Returning null from it skips caching,
+ * e.g. for a 404. Cache failures are logged and never fail the request.
+ *
+ * @param {Object} env - Environment bindings (BLOG_CACHE)
+ * @param {string} scope - Cache scope, e.g. 'feed' or 'page'
+ * @param {Object} variant - Parameters that distinguish this cache entry
+ * @param {() => Promise<string|null>} render - Builds the body on a miss
+ * @param {string} [logPrefix] - Prefix used in log lines
+ * @returns {Promise<{ body: string|null, cacheStatus: 'HIT'|'MISS' }>}
+ */
+export async function cachedText(env, scope, variant, render, logPrefix = '[Blog Cache]') {
+    let cacheKey = null;
+    try {
+        if (env.BLOG_CACHE) {
+            cacheKey = await buildCacheKey(env.BLOG_CACHE, scope, variant);
+            const cached = await env.BLOG_CACHE.get(cacheKey);
+            if (cached !== null && cached !== undefined) {
+                return { body: cached, cacheStatus: 'HIT' };
+            }
+        }
+    } catch (cacheError) {
+        console.error(`${logPrefix} Cache read error:`, cacheError.message);
+    }
+
+    const body = await render();
+
+    if (cacheKey && body !== null) {
+        try {
+            await env.BLOG_CACHE.put(cacheKey, body, { expirationTtl: BLOG_CACHE_TTL });
+        } catch (cacheError) {
+            console.error(`${logPrefix} Cache write error:`, cacheError.message);
+        }
+    }
+
+    return { body, cacheStatus: 'MISS' };
+}
@@ -0,0 +1,316 @@
+/**
+ * Blog export: the whole blog as a zip archive
+ *
+ * Two formats, both streamed through zip.js so the archive is never held
+ * in memory: posts are read from D1 a page at a time and R2 objects are
+ * piped straight from the bucket into the archive.
+ *
+ * `markdown` - every post, in any status, for keeping or moving content:
+ *   posts/<slug>.md     front matter (id, title, slug, status, dates,
+ *                       author, tags, categories, SEO fields, featured
+ *                       image, series) followed by the Markdown body
+ *   media/<key>         every R2 object under the public media prefixes
+ *   media.json          media library metadata; posts refer to uploads as
+ *                       `media:<id>`, stored at media/uploads/<id>
+ *   export.json         when, from where and how many
+ * The front matter is what POST /api/blog/import reads (post-import.js):
+ * imported again, posts keep their ID, slug, dates, featured image and
+ * series part (when the series still exists). The media files have to be
+ * put back in R2 separately, and revisions, translations, comments and
+ * moderation results are not exported.
+ *
+ * `site` - published posts as a static website, rendered with the same
+ * templates as /blog/:slug (post-page.js):
+ *   index.html, blog/<slug>/index.html, 404.html
+ *   feed.xml, atom.xml, feed.json, sitemap.xml
+ *   api/media/<key>     so the site-relative image URLs keep working
+ *   css/styles.css      from the Pages static assets, when available
+ * Comments need the API, so pages are rendered without them. Links are
+ * site-relative; serve the bundle from the root of a domain.
+ */
+
+import { FEED_FORMATS, getFeedPosts } from './feeds.js';
+import { stringifyFrontMatter } from './front-matter.js';
+import { mediaUrl, PUBLIC_MEDIA_PREFIXES } from './media.js';
+import { renderNotFoundPage, renderPostIndexPage, renderPostPage } from './post-page.js';
+import { renderSitemap } from './sitemap.js';
+import { getTermsForPosts } from './taxonomy.js';
+import { createZipStream } from './zip.js';
+
+export const EXPORT_FORMATS = ['markdown', 'site'];
+
+/** Posts loaded per query */
+const POST_BATCH = 50;
+
+/** Media library rows loaded per query */
+const MEDIA_BATCH = 100;
+
+/** Static assets the rendered pages link to */
+const SITE_ASSETS = ['/css/styles.css'];
+
+/**
+ * Validate GET /api/blog/export query parameters
+ *
+ * @param {URLSearchParams} params
+ * @returns {{ errors: string[], options: { format: string, media: boolean } }}
+ */
+export function validateExportParams(params) {
+    const errors = [];
+    const format = params.get('format') || 'markdown';
+    if (!EXPORT_FORMATS.includes(format)) {
+        errors.push(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const media = params.get('media') ?? 'true';
+    if (media !== 'true' && media !== 'false') {
+        errors.push('media must be true or false');
+    }
+
+    return { errors, options: { format, media: media !== 'false' } };
+}
+
+/**
+ * Read posts in creation order, a page at a time
+ *
+ * @param {D1Database} db
+ * @param {{ publishedOnly: boolean }} options
+ * @yields {Object} Post shaped like getPostById()
+ */
+async function* readPosts(db, { publishedOnly }) {
+    let after = null;
+
+    while (true) {
+        const conditions = [];
+        const bindings = [];
+        if (publishedOnly) {
+            conditions.push("status = 'published'");
+        }
+        if (after) {
+            conditions.push('(created_at > ? OR (created_at = ? AND id > ?))');
+            bindings.push(after.created_at, after.created_at, after.id);
+        }
+
+        const { results } = await db.prepare(`
+            SELECT id, slug, title, content, excerpt, author, status, publish_at,
+                   seo_title, seo_description, keywords, series_id, series_position,
+                   featured_image_key, created_at, updated_at
+            FROM blog_posts
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at, id
+            LIMIT ?
+        `).bind(...bindings, POST_BATCH).all();
+
+        const rows = results || [];
+        const terms = await getTermsForPosts(db, rows.map(row => row.id));
+        for (const row of rows) {
+            yield { ...row, featured_image: mediaUrl(row.featured_image_key), ...terms.get(row.id) };
+        }
+
+        if (rows.length < POST_BATCH) {
+            return;
+        }
+        after = rows[rows.length - 1];
+    }
+}
+
+/**
+ * Zip entries for every public R2 object
+ *
+ * @param {R2Bucket} bucket
+ * @param {string} folder - Path inside the archive, ending in "/"
+ * @param {{ count: number }} stats - Counts the objects written
+ * @yields {Object} Zip entry
+ */
+async function* mediaEntries(bucket, folder, stats) {
+    for (const prefix of PUBLIC_MEDIA_PREFIXES) {
+        let cursor;
+        do {
+            const listing = await bucket.list({ prefix, cursor });
+            for (const { key } of listing.objects) {
+                const object = await bucket.get(key);
+                // Deleted since it was listed
+                if (!object) continue;
+                stats.count++;
+                yield { name: `${folder}${key}`, data: object.body, modified: object.uploaded, compress: false };
+            }
+            cursor = listing.truncated ? listing.cursor : undefined;
+        } while (cursor);
+    }
+}
+
+/**
+ * Media library metadata as JSON, built a page at a time
+ *
+ * @param {D1Database} db
+ * @returns {Promise<string>}
+ */
+async function mediaIndex(db) {
+    const items = [];
+    let after = null;
+
+    while (true) {
+        const { results } = await db.prepare(`
+            SELECT id, key, filename, content_type, size, width, height, alt_text, owner, post_id, created_at, updated_at
+            FROM media
+            ${after ? 'WHERE created_at > ? OR (created_at = ? AND id > ?)' : ''}
+            ORDER BY created_at, id
+            LIMIT ?
+        `).bind(...(after ? [after.created_at, after.created_at, after.id] : []), MEDIA_BATCH).all();
+
+        const rows = results || [];
+        items.push(...rows.map(row => ({ ...row, path: `media/${row.key}` })));
+        if (rows.length < MEDIA_BATCH) {
+            return JSON.stringify(items, null, 2);
+        }
+        after = rows[rows.length - 1];
+    }
+}
+
+/**
+ * Render a post as Markdown with front matter
+ *
+ * @param {Object} post - From readPosts()
+ * @returns {string}
+ */
+function postToMarkdown(post) {
+    const frontMatter = stringifyFrontMatter({
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        status: post.status,
+        date: post.publish_at || post.created_at,
+        created_at: post.created_at,
+        updated: post.updated_at,
+        author: post.author,
+        tags: (post.tags || []).map(tag => tag.name),
+        categories: (post.categories || []).map(category => category.name),
+        excerpt: post.excerpt,
+        seo_title: post.seo_title,
+        description: post.seo_description,
+        keywords: post.keywords,
+        featured_image: post.featured_image_key ? `media/${post.featured_image_key}` : null,
+        series_id: post.series_id,
+        series_position: post.series_id ? post.series_position : null
+    });
+    return `${frontMatter}\n${post.content.trim()}\n`;
+}
+
+/**
+ * Entries of the Markdown archive
+ *
+ * @param {Object} env - Environment bindings (DB, BUCKET)
+ * @param {{ base: string, media: boolean, now: Date }} options
+ * @yields {Object} Zip entry
+ */
+async function* markdownEntries(env, { base, media, now }) {
+    let posts = 0;
+    for await (const post of readPosts(env.DB, { publishedOnly: false })) {
+        posts++;
+        yield {
+            name: `posts/${post.slug || post.id}.md`,
+            data: postToMarkdown(post),
+            modified: post.updated_at || post.created_at
+        };
+    }
+
+    const stats = { count: 0 };
+    if (media && env.BUCKET) {
+        yield* mediaEntries(env.BUCKET, 'media/', stats);
+        yield { name: 'media.json', data: await mediaIndex(env.DB), modified: now };
+    }
+
+    yield {
+        name: 'export.json',
+        data: JSON.stringify({ format: 'markdown', site: base, exported_at: now.toISOString(), posts, media: stats.count }, null, 2),
+        modified: now
+    };
+}
+
+/**
+ * Entries of the static site bundle
+ *
+ * @param {Object} env - Environment bindings (DB, BUCKET)
+ * @param {{ base: string, media: boolean, now: Date, assets: Function|null }} options
+ * @yields {Object} Zip entry
+ */
+async function* siteEntries(env, { base, media, now, assets }) {
+    // Only what the index page needs is kept per post
+    const index = [];
+    for await (const post of readPosts(env.DB, { publishedOnly: true })) {
+        index.push({
+            id: post.id,
+            slug: post.slug,
+            title: post.title,
+            excerpt: post.excerpt,
+            published: post.publish_at || post.created_at
+        });
+        yield {
+            name: `blog/${post.slug || post.id}/index.html`,
+            data: renderPostPage(base, post, [], { comments: false }),
+            modified: post.updated_at || post.created_at
+        };
+    }
+
+    index.sort((a, b) => b.published.localeCompare(a.published) || b.id.localeCompare(a.id));
+    yield { name: 'index.html', data: renderPostIndexPage(base, index), modified: now };
+    yield { name: '404.html', data: renderNotFoundPage(), modified: now };
+
+    const feedPosts = await getFeedPosts(env.DB);
+    for (const { path, render } of Object.values(FEED_FORMATS)) {
+        yield { name: path.slice(1), data: render({ base, feedUrl: `${base}${path}`, posts: feedPosts }), modified: now };
+    }
+    yield { name: 'sitemap.xml', data: await renderSitemap(env.DB, base), modified: now };
+
+    if (media && env.BUCKET) {
+        yield* mediaEntries(env.BUCKET, 'api/media/', { count: 0 });
+    }
+
+    if (assets) {
+        for (const path of SITE_ASSETS) {
+            const response = await assets(path);
+            if (response.ok) {
+                yield { name: path.slice(1), data: response.body, modified: now };
+            } else {
+                console.warn(`[Export] Asset ${path} not available (${response.status}); left out`);
+            }
+        }
+    }
+}
+
+/**
+ * Stream the export archive
+ *
+ * @param {Object} env - Environment bindings (DB, BUCKET)
+ * @param {Object} options
+ * @param {'markdown'|'site'} options.format
+ * @param {boolean} options.media - Include R2 media
+ * @param {string} options.base - Site base URL (siteUrl())
+ * @param {Function|null} [options.assets] - `path => Promise<Response>` for static assets (site format)
+ * @param {Date} [options.now]
+ * @returns {ReadableStream<Uint8Array>} Zip file
+ */
+export function exportBlog(env, { format, media, base, assets = null, now = new Date() }) {
+    const entries = format === 'site'
+        ? siteEntries(env, { base, media, now, assets })
+        : markdownEntries(env, { base, media, now });
+    return createZipStream(logFailure(entries, format));
+}
+
+/**
+ * Log an entry that fails to load
+ *
+ * The response status has been sent by then, so the client only sees the
+ * download break off.
+ *
+ * @param {AsyncIterable<Object>} entries
+ * @param {string} format
+ * @yields {Object} The same entries
+ */
+async function* logFailure(entries, format) {
+    try {
+        yield* entries;
+    } catch (error) {
+        console.error(`[Export] ${format} export failed part-way:`, error);
+        throw error;
+    }
+}
@@ -0,0 +1,516 @@
+import { mediaUrl } from './media.js';
+import { DEFAULT_REVISION_AUTHOR, revisionStatement } from './revisions.js';
+import { slugify } from './slug.js';
+import { getTermsForPosts, normalizeTerms, setPostTermsStatements } from './taxonomy.js';
+
+/**
+ * Shared blog post helpers
+ *
+ * Used by the Pages Functions under /functions/api/blog and by the background
+ * blog generator worker so that every code path writing to `blog_posts`
+ * validates input the same way. Cache invalidation lives in blog-cache.js.
+ */
+
+/**
+ * Editorial workflow
+ *
+ *   draft ──▶ review ──▶ scheduled ──▶ published
+ *     ▲          │  ▲         │             │
+ *     └──────────┘  └─────────┘             │
+ *     ▲                                     │
+ *     └─────────────── unpublish ───────────┘
+ *
+ * - draft:     being written or edited, not visible to readers
+ * - review:    waiting for a human to sign off
+ * - scheduled: approved, published automatically once `publish_at` passes
+ * - published: visible to readers; `publish_at` holds the publish time
+ *
+ * AI-generated posts always start as drafts so a human reviews them first,
+ * and cannot be scheduled or published if they failed content moderation.
+ */
+export const POST_STATUSES = ['draft', 'review', 'scheduled', 'published'];
+
+/** Statuses a post may be created with */
+export const INITIAL_STATUSES = ['draft', 'review'];
+
+/** Allowed status changes, keyed by current status */
+export const STATUS_TRANSITIONS = {
+    draft: ['review'],
+    review: ['draft', 'scheduled', 'published'],
+    scheduled: ['draft', 'review', 'published'],
+    published: ['draft']
+};
+
+/** Columns of `blog_posts` that can be set through the create/update endpoints */
+export const POST_COLUMNS = [
+    'title', 'content', 'excerpt', 'author', 'status', 'publish_at',
+    'seo_title', 'seo_description', 'keywords'
+];
+
+/**
+ * Columns holding the result of the content moderation gate
+ * (src/lib/content-moderation.js); set by the generators and by
+ * re-moderation on edit, never by request bodies
+ */
+export const MODERATION_COLUMNS = ['moderation_status', 'moderation_reasons', 'moderated_at'];
+
+/** Everything a create/update request may contain: columns plus taxonomy term lists */
+export const EDITABLE_FIELDS = [...POST_COLUMNS, 'tags', 'categories'];
+
+/** Limits applied to user-supplied post fields */
+export const FIELD_LIMITS = {
+    title: 200,
+    excerpt: 500,
+    author: 100,
+    content: 100000,
+    seo_title: 120,
+    seo_description: 300,
+    keywords: 500
+};
+
+/** Timestamp of the last generated post ID, so IDs made in the same millisecond stay unique */
+let lastPostIdTime = 0;
+
+/**
+ * Generate a new post ID
+ *
+ * @returns {string} ID in the form `post_<timestamp>`
+ */
+export function generatePostId() {
+    lastPostIdTime = Math.max(Date.now(), lastPostIdTime + 1);
+    return `post_${lastPostIdTime}`;
+}
+
+/**
+ * Validate and normalise a post payload from a request body
+ *
+ * With `partial: false` (create / full replace) `title` and `content` are
+ * required. With `partial: true` (PATCH) only the supplied fields are
+ * checked, but at least one editable field must be present.
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing fields
+ * @returns {{ errors: string[], values: Object }} Validation errors and cleaned values
+ */
+export function validatePostInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values };
+    }
+
+    for (const field of POST_COLUMNS) {
+        if (body[field] === undefined || field === 'publish_at') {
+            continue;
+        }
+
+        const value = body[field];
+        if (value !== null && typeof value !== 'string') {
+            errors.push(`${field} must be a string`);
+            continue;
+        }
+
+        const trimmed = value === null ? null : value.trim();
+        if (FIELD_LIMITS[field] && trimmed && trimmed.length > FIELD_LIMITS[field]) {
+            errors.push(`${field} must be at most ${FIELD_LIMITS[field]} characters`);
+            continue;
+        }
+
+        values[field] = trimmed;
+    }
+
+    if (body.publish_at !== undefined) {
+        const time = typeof body.publish_at === 'string' ? Date.parse(body.publish_at) : NaN;
+        if (Number.isNaN(time)) {
+            errors.push('publish_at must be an ISO 8601 date');
+        } else {
+            values.publish_at = new Date(time).toISOString();
+        }
+    }
+
+    for (const [type, field] of [['tag', 'tags'], ['category', 'categories']]) {
+        if (body[field] === undefined) continue;
+
+        const { errors: termErrors, terms } = normalizeTerms(body[field], type);
+        errors.push(...termErrors);
+        values[field] = terms;
+    }
+
+    if (!partial) {
+        if (!values.title) errors.push('title is required');
+        if (!values.content) errors.push('content is required');
+    } else {
+        if ('title' in values && !values.title) errors.push('title cannot be empty');
+        if ('content' in values && !values.content) errors.push('content cannot be empty');
+        if (Object.keys(values).length === 0 && errors.length === 0) {
+            errors.push(`At least one of ${EDITABLE_FIELDS.join(', ')} is required`);
+        }
+    }
+
+    if (values.status !== undefined && !POST_STATUSES.includes(values.status)) {
+        errors.push(`status must be one of: ${POST_STATUSES.join(', ')}`);
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Validate a status change and fill in the matching `publish_at`
+ *
+ * Mutates `values`:
+ * - on create, `status` defaults to 'draft'
+ * - moving to 'published' stamps `publish_at` with the current time
+ * - moving to 'draft' or 'review' clears `publish_at`
+ *
+ * @param {string|null} currentStatus - Stored status, or null when creating
+ * @param {Object} values - Validated values from validatePostInput
+ * @param {Date} [now] - Current time (injectable for the scheduler)
+ * @returns {string[]} Validation errors, empty if the change is allowed
+ */
+export function applyStatusChange(currentStatus, values, now = new Date()) {
+    const errors = [];
+    const nextStatus = values.status ?? currentStatus ?? 'draft';
+    const nowIso = now.toISOString();
+
+    if (currentStatus === null) {
+        if (!INITIAL_STATUSES.includes(nextStatus)) {
+            errors.push(`New posts must start as one of: ${INITIAL_STATUSES.join(', ')}`);
+        }
+        values.status = nextStatus;
+    } else if (nextStatus !== currentStatus) {
+        // Rows with a status from outside the workflow may move anywhere
+        const allowed = STATUS_TRANSITIONS[currentStatus] || POST_STATUSES;
+        if (!allowed.includes(nextStatus)) {
+            errors.push(`Cannot change status from ${currentStatus} to ${nextStatus}; allowed: ${allowed.join(', ')}`);
+        }
+    }
+
+    if (nextStatus === 'scheduled') {
+        if (values.publish_at === undefined && currentStatus !== 'scheduled') {
+            errors.push('publish_at is required when scheduling a post');
+        } else if (values.publish_at !== undefined && values.publish_at <= nowIso) {
+            errors.push('publish_at must be in the future');
+        }
+    } else if (values.publish_at !== undefined) {
+        errors.push('publish_at can only be set when scheduling a post');
+    }
+
+    if (errors.length === 0 && nextStatus !== currentStatus) {
+        if (nextStatus === 'published') {
+            values.publish_at = nowIso;
+        } else if (nextStatus !== 'scheduled') {
+            values.publish_at = null;
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Publish every scheduled post whose `publish_at` has passed
+ *
+ * @param {D1Database} db - D1 binding
+ * @param {Date} [now] - Current time
+ * @returns {Promise<string[]>} IDs of the posts that were published
+ */
+export async function publishDuePosts(db, now = new Date()) {
+    const nowIso = now.toISOString();
+    const { results } = await db.prepare(`
+        SELECT id FROM blog_posts
+        WHERE status = 'scheduled' AND publish_at <= ?
+          AND (moderation_status IS NULL OR moderation_status != 'failed')
+    `).bind(nowIso).all();
+
+    const ids = (results || []).map(row => row.id);
+    if (ids.length === 0) {
+        return ids;
+    }
+
+    // Re-check the status in the UPDATE so a post unscheduled in the
+    // meantime is left alone, and only record a revision when it changed
+    const published = [];
+    for (const id of ids) {
+        const result = await db.prepare(`
+            UPDATE blog_posts
+            SET status = 'published', updated_at = ?
+            WHERE id = ? AND status = 'scheduled'
+        `).bind(nowIso, id).run();
+        if (result.meta.changes === 0) continue;
+
+        await revisionStatement(db, id, { author: 'Scheduler', reason: 'Scheduled publish' }).run();
+        published.push(id);
+    }
+
+    return published;
+}
+
+/**
+ * Permalinks
+ *
+ * Every post has a unique `slug` derived from its title ("my-post",
+ * "my-post-2", ...). When a title edit changes the slug, the old one is kept
+ * in `blog_post_slug_history` so shared links redirect to the new URL.
+ *
+ * Slugs only contain [a-z0-9-] and post IDs always contain an underscore
+ * (`post_<timestamp>`), so a URL segment can never match both.
+ */
+
+/** Slug used when a title has no usable characters */
+const FALLBACK_SLUG = 'post';
+
+/**
+ * Find a free slug for a title
+ *
+ * Slugs held by other posts, current or historical, are taken; the post's
+ * own old slugs are free so renaming a post back reclaims its old URL.
+ *
+ * @param {D1Database} db - D1 binding
+ * @param {string} title - Post title
+ * @param {string|null} [postId] - Post being renamed, or null for a new post
+ * @param {Set<string>} [reserved] - Further slugs to treat as taken, e.g. by posts not stored yet
+ * @returns {Promise<string>}
+ */
+export async function uniqueSlug(db, title, postId = null, reserved = new Set()) {
+    const base = slugify(title) || FALLBACK_SLUG;
+    const { results } = await db.prepare(`
+        SELECT slug FROM blog_posts
+        WHERE (slug = ? OR slug LIKE ?) AND id != ?
+        UNION
+        SELECT slug FROM blog_post_slug_history
+        WHERE (slug = ? OR slug LIKE ?) AND post_id != ?
+    `).bind(base, `${base}-%`, postId || '', base, `${base}-%`, postId || '').all();
+
+    const taken = new Set([...(results || []).map(row => row.slug), ...reserved]);
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    return slug;
+}
+
+/**
+ * Resolve a URL segment to a post
+ *
+ * Accepts the current slug, a legacy post ID or a previous slug. Callers
+ * should redirect when `redirect` is true so old links converge on the
+ * current permalink.
+ *
+ * @param {D1Database} db - D1 binding
+ * @param {string} ref - Slug or ID from the URL
+ * @returns {Promise<{ id: string, slug: string|null, status: string, redirect: boolean }|null>}
+ */
+export async function resolvePostRef(db, ref) {
+    const post = await db.prepare(`
+        SELECT id, slug, status FROM blog_posts
+        WHERE slug = ? OR id = ?
+        LIMIT 1
+    `).bind(ref, ref).first();
+
+    if (post) {
+        return { ...post, redirect: false };
+    }
+
+    const renamed = await db.prepare(`
+        SELECT p.id, p.slug, p.status
+        FROM blog_post_slug_history h
+        JOIN blog_posts p ON p.id = h.post_id
+        WHERE h.slug = ?
+    `).bind(ref).first();
+
+    return renamed ? { ...renamed, redirect: true } : null;
+}
+
+/**
+ * Give slugs to posts created before slugs existed
+ *
+ * Called by the blog generator worker; a no-op once every post has one.
+ *
+ * @param {D1Database} db - D1 binding
+ * @returns {Promise<number>} Number of posts updated
+ */
+export async function assignMissingSlugs(db) {
+    const { results } = await db.prepare(`
+        SELECT id, title FROM blog_posts
+        WHERE slug IS NULL
+        ORDER BY created_at
+    `).all();
+
+    // One at a time: each slug must see the ones assigned before it
+    for (const post of results || []) {
+        const slug = await uniqueSlug(db, post.title, post.id);
+        await db.prepare('UPDATE blog_posts SET slug = ? WHERE id = ? AND slug IS NULL').bind(slug, post.id).run();
+    }
+
+    return (results || []).length;
+}
+
+/**
+ * Build the statements that write a post's tags and categories, if given
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @param {Object} values - Validated values; `tags` / `categories` are optional
+ * @returns {D1PreparedStatement[]}
+ */
+function termStatements(db, postId, values) {
+    return [
+        ...(values.tags ? setPostTermsStatements(db, postId, 'tag', values.tags) : []),
+        ...(values.categories ? setPostTermsStatements(db, postId, 'category', values.categories) : [])
+    ];
+}
+
+/**
+ * Insert a new post with its tags and categories in one batch
+ *
+ * Every path that creates posts (admin API, AI generation, cron worker)
+ * goes through here. The post as created is recorded as revision 1.
+ *
+ * @param {D1Database} db - D1 binding
+ * @param {Object} values - Validated values (title, content, excerpt, author, status, SEO fields, tags,
+ *   categories) plus, for generated posts, the MODERATION_COLUMNS and the closest existing post
+ *   (`similar_post_id`, `similarity_score`, `title_overlap`, see duplicate-detection.js), and
+ *   for series parts `series_id` and `series_position` (see series.js), and for imported posts
+ *   a free `slug`, the original `created_at` and `updated_at` and the `import_ref`, and from this
+ *   blog's own export also the `id` and `featured_image_key` (see post-import.js),
+ *   and for a deleted post restored from its revisions its old `id`, so the history continues
+ * @param {{ author?: string, reason?: string }} [revision] - Who created the post and why
+ * @returns {Promise<string>} ID of the new post
+ */
+export async function createPost(db, values, revision = {}) {
+    const postId = values.id || generatePostId();
+    const timestamp = new Date().toISOString();
+    const slug = values.slug || await uniqueSlug(db, values.title);
+
+    await db.batch([
+        db.prepare(`
+            INSERT INTO blog_posts (
+                id, slug, title, content, excerpt, author, status, publish_at,
+                seo_title, seo_description, keywords,
+                moderation_status, moderation_reasons, moderated_at,
+                similar_post_id, similarity_score, title_overlap,
+                series_id, series_position, featured_image_key, import_ref, created_at, updated_at
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            postId,
+            slug,
+            values.title,
+            values.content,
+            values.excerpt || null,
+            values.author || 'Anonymous',
+            values.status || 'draft',
+            values.publish_at || null,
+            values.seo_title || null,
+            values.seo_description || null,
+            values.keywords || null,
+            values.moderation_status || null,
+            values.moderation_reasons || null,
+            values.moderated_at || null,
+            values.similar_post_id || null,
+            values.similarity_score ?? null,
+            values.title_overlap ?? null,
+            values.series_id || null,
+            values.series_position ?? null,
+            values.featured_image_key || null,
+            values.import_ref || null,
+            values.created_at || timestamp,
+            values.updated_at || values.created_at || timestamp
+        ),
+        ...termStatements(db, postId, values),
+        revisionStatement(db, postId, {
+            author: revision.author || values.author || DEFAULT_REVISION_AUTHOR,
+            reason: revision.reason || 'Created'
+        })
+    ]);
+
+    return postId;
+}
+
+/**
+ * Apply validated changes to an existing post and refresh `updated_at`
+ *
+ * A new title also moves the post to a new slug; the previous slug is
+ * recorded so it keeps resolving. The result is recorded as a new revision.
+ *
+ * @param {D1Database} db - D1 binding
+ * @param {Object} existing - Current post (from getPostById)
+ * @param {Object} values - Validated values; only the keys present are written
+ * @param {{ author?: string, reason?: string|null }} [revision] - Who made the change and why
+ * @returns {Promise<void>}
+ */
+export async function savePostChanges(db, existing, values, revision = {}) {
+    const postId = existing.id;
+    const timestamp = new Date().toISOString();
+    const changes = Object.fromEntries(
+        [...POST_COLUMNS, ...MODERATION_COLUMNS].filter(field => values[field] !== undefined).map(field => [field, values[field]])
+    );
+    const statements = [];
+
+    if (values.title !== undefined) {
+        const slug = await uniqueSlug(db, values.title, postId);
+        if (slug !== existing.slug) {
+            changes.slug = slug;
+            statements.push(db.prepare('DELETE FROM blog_post_slug_history WHERE slug = ?').bind(slug));
+            if (existing.slug) {
+                statements.push(db.prepare(`
+                    INSERT OR REPLACE INTO blog_post_slug_history (slug, post_id, created_at)
+                    VALUES (?, ?, ?)
+                `).bind(existing.slug, postId, timestamp));
+            }
+        }
+    }
+
+    const fields = Object.keys(changes);
+    const assignments = [...fields.map(field => `${field} = ?`), 'updated_at = ?'];
+
+    await db.batch([
+        ...statements,
+        db.prepare(`
+            UPDATE blog_posts
+            SET ${assignments.join(', ')}
+            WHERE id = ?
+        `).bind(
+            ...fields.map(field => changes[field]),
+            timestamp,
+            postId
+        ),
+        ...termStatements(db, postId, values),
+        revisionStatement(db, postId, {
+            author: revision.author || DEFAULT_REVISION_AUTHOR,
+            reason: revision.reason || null
+        })
+    ]);
+}
+
+/**
+ * Load a single post by ID, including its tags, categories and
+ * `featured_image` URL
+ *
+ * @param {D1Database} db - D1 binding
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} Post or null if not found
+ */
+export async function getPostById(db, postId) {
+    const post = await db.prepare(`
+        SELECT id, slug, title, content, excerpt, author, status, publish_at,
+               seo_title, seo_description, keywords,
+               moderation_status, moderation_reasons, moderated_at, series_id, series_position,
+               featured_image_key, created_at, updated_at
+        FROM blog_posts
+        WHERE id = ?
+    `).bind(postId).first();
+
+    if (!post) {
+        return null;
+    }
+
+    const terms = (await getTermsForPosts(db, [postId])).get(postId);
+    return {
+        ...post,
+        moderation_reasons: post.moderation_reasons ? JSON.parse(post.moderation_reasons) : [],
+        featured_image: mediaUrl(post.featured_image_key),
+        ...terms
+    };
+}
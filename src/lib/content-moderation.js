@@ -0,0 +1,287 @@
+/**
+ * Content moderation gate for AI-generated posts
+ *
+ * Both generators (/api/blog/generate and the blog generator worker) run
+ * every post through moderatePost() before storing it. A post fails if:
+ *
+ * - the safety classifier (Llama Guard) flags any part of it as unsafe
+ * - it contains a term from MODERATION_BLOCKED_TERMS
+ * - it links to a domain in MODERATION_BLOCKED_DOMAINS
+ * - the classifier cannot be reached: the gate fails closed, so nothing
+ *   unscreened can be published while Workers AI is down
+ *
+ * The result is stored on the post (`moderation_status`,
+ * `moderation_reasons`). A post whose moderation failed can still be edited
+ * as a draft, but it cannot be scheduled or published, and the scheduler
+ * skips it. Editing the text of a moderated post re-runs the gate, so fixing
+ * the flagged passages clears it. Failures are logged to `agent_logs`.
+ *
+ * Posts written by people (created through /api/blog/posts) are not
+ * moderated; their `moderation_status` stays NULL.
+ *
+ * Blocklists are environment variables holding comma- or newline-separated
+ * entries, e.g. in wrangler.toml:
+ *
+ *   MODERATION_BLOCKED_TERMS = "casino bonus, crypto giveaway"
+ *   MODERATION_BLOCKED_DOMAINS = "example-spam.com"
+ *
+ * Terms match whole words, case-insensitively. Domains also match their
+ * subdomains.
+ */
+
+/** Safety classifier on Workers AI */
+const SAFETY_MODEL = '@cf/meta/llama-guard-3-8b';
+
+/** Characters classified per call; long posts are checked in chunks */
+const CLASSIFIER_CHUNK_LENGTH = 6000;
+
+/** Fields a moderated post is checked on; editing any of them re-runs the gate */
+export const MODERATED_FIELDS = ['title', 'excerpt', 'content', 'seo_title', 'seo_description', 'keywords'];
+
+/** Statuses a failed post may not move to */
+const GATED_STATUSES = ['scheduled', 'published'];
+
+/** Llama Guard 3 hazard categories (MLCommons taxonomy) */
+const HAZARD_CATEGORIES = {
+    S1: 'Violent crimes',
+    S2: 'Non-violent crimes',
+    S3: 'Sex-related crimes',
+    S4: 'Child sexual exploitation',
+    S5: 'Defamation',
+    S6: 'Specialized advice',
+    S7: 'Privacy',
+    S8: 'Intellectual property',
+    S9: 'Indiscriminate weapons',
+    S10: 'Hate',
+    S11: 'Suicide and self-harm',
+    S12: 'Sexual content',
+    S13: 'Elections',
+    S14: 'Code interpreter abuse'
+};
+
+/**
+ * Split a blocklist variable into trimmed, lower-cased entries
+ *
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+    return String(value || '')
+        .split(/[,\n]/)
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check text against the configured blocklists
+ *
+ * @param {Object} env - Environment (MODERATION_BLOCKED_TERMS, MODERATION_BLOCKED_DOMAINS)
+ * @param {string} text
+ * @returns {string[]} One reason per blocklist entry found
+ */
+export function checkBlocklists(env, text) {
+    const reasons = [];
+    const lower = text.toLowerCase();
+
+    for (const term of parseList(env.MODERATION_BLOCKED_TERMS)) {
+        if (new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'u').test(lower)) {
+            reasons.push(`Blocked term: "${term}"`);
+        }
+    }
+
+    const domains = parseList(env.MODERATION_BLOCKED_DOMAINS).map(domain => domain.replace(/^www\./, ''));
+    if (domains.length > 0) {
+        const hosts = new Set();
+        for (const match of lower.matchAll(/\b(?:https?:\/\/|www\.)([a-z0-9.-]+)/g)) {
+            hosts.add(match[1].replace(/^www\./, '').replace(/\.$/, ''));
+        }
+        for (const domain of domains) {
+            if ([...hosts].some(host => host === domain || host.endsWith(`.${domain}`))) {
+                reasons.push(`Link to blocked domain: ${domain}`);
+            }
+        }
+    }
+
+    return reasons;
+}
+
+/**
+ * Read the verdict from a Llama Guard response
+ *
+ * With `response_format: json_object` the model returns
+ * `{ safe, categories }`; older deployments return the raw
+ * "safe" / "unsafe\nS1,S10" text, which is handled too.
+ *
+ * @param {Object} aiResponse
+ * @returns {{ safe: boolean, categories: string[] }}
+ */
+function parseVerdict(aiResponse) {
+    const response = aiResponse && aiResponse.response;
+
+    if (response && typeof response === 'object' && typeof response.safe === 'boolean') {
+        return { safe: response.safe, categories: Array.isArray(response.categories) ? response.categories : [] };
+    }
+
+    const text = typeof response === 'string' ? response.trim().toLowerCase() : '';
+    if (text.startsWith('safe')) {
+        return { safe: true, categories: [] };
+    }
+    if (text.startsWith('unsafe')) {
+        return { safe: false, categories: (text.match(/s\d+/g) || []).map(code => code.toUpperCase()) };
+    }
+    throw new Error('Unrecognised classifier response');
+}
+
+/**
+ * Classify text with the safety model, chunk by chunk
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {string} text
+ * @returns {Promise<string[]>} Names of the hazard categories found (empty if safe)
+ * @throws {Error} If the classifier fails
+ */
+async function classifyText(ai, text) {
+    const found = new Set();
+
+    for (let start = 0; start < text.length; start += CLASSIFIER_CHUNK_LENGTH) {
+        const aiResponse = await ai.run(SAFETY_MODEL, {
+            messages: [
+                { role: 'user', content: 'Write a blog post for a technology website.' },
+                { role: 'assistant', content: text.slice(start, start + CLASSIFIER_CHUNK_LENGTH) }
+            ],
+            response_format: { type: 'json_object' }
+        });
+
+        const verdict = parseVerdict(aiResponse);
+        if (!verdict.safe) {
+            const categories = verdict.categories.length > 0 ? verdict.categories : ['unspecified'];
+            categories.forEach(code => found.add(HAZARD_CATEGORIES[code] || code));
+        }
+    }
+
+    return [...found];
+}
+
+/**
+ * Run a post through the moderation gate
+ *
+ * Never throws: a classifier failure fails the post.
+ *
+ * @param {Object} env - Environment bindings (AI, blocklist variables)
+ * @param {Object} post - Post fields (see MODERATED_FIELDS)
+ * @returns {Promise<{ status: 'passed'|'failed', reasons: string[], moderated_at: string, duration_ms: number }>}
+ */
+export async function moderatePost(env, post) {
+    const startTime = Date.now();
+    const text = MODERATED_FIELDS
+        .map(field => post[field])
+        .filter(Boolean)
+        .join('\n\n');
+
+    const reasons = checkBlocklists(env, text);
+
+    if (!env.AI) {
+        reasons.push('Safety classifier unavailable: AI binding missing');
+    } else {
+        try {
+            const categories = await classifyText(env.AI, text);
+            if (categories.length > 0) {
+                reasons.push(`Safety classifier flagged: ${categories.join(', ')}`);
+            }
+        } catch (error) {
+            console.error('[Content Moderation] Classifier failed:', error.message);
+            reasons.push(`Safety classifier unavailable: ${error.message}`);
+        }
+    }
+
+    return {
+        status: reasons.length > 0 ? 'failed' : 'passed',
+        reasons,
+        moderated_at: new Date().toISOString(),
+        duration_ms: Date.now() - startTime
+    };
+}
+
+/**
+ * Record a failed moderation in `agent_logs`
+ *
+ * Never throws: logging must not stop the post from being stored.
+ *
+ * @param {D1Database} db
+ * @param {{ postId: string, title: string, source: string, result: Object }} entry
+ *   `source` names the code path ("api", "cron", "edit")
+ * @returns {Promise<void>}
+ */
+export async function logModerationFailure(db, { postId, title, source, result }) {
+    try {
+        await db.prepare(`
+            INSERT INTO agent_logs (id, agent_type, task, result, duration_ms, created_at)
+            VALUES (?, 'content_moderation', ?, ?, ?, ?)
+        `).bind(
+            `log_${crypto.randomUUID()}`,
+            `Moderate post ${postId} (${source})`,
+            JSON.stringify({ post_id: postId, title, status: result.status, reasons: result.reasons }),
+            result.duration_ms,
+            result.moderated_at
+        ).run();
+    } catch (error) {
+        console.error('[Content Moderation] Failed to write agent log:', error.message);
+    }
+}
+
+/**
+ * Re-run the gate when an edit changes the text of a moderated post
+ *
+ * Adds `moderation_status`, `moderation_reasons` and `moderated_at` to
+ * `values` so savePostChanges() stores the new result. Posts that were
+ * never moderated (written by people) are left alone.
+ *
+ * A failed result is not logged here: the caller logs it with
+ * logModerationFailure() once the change is saved, so an edit that the
+ * publication gate then rejects leaves no log entry.
+ *
+ * @param {Object} env - Environment bindings (DB, AI, blocklist variables)
+ * @param {Object} existing - Current post (from getPostById)
+ * @param {Object} values - Validated changes
+ * @returns {Promise<Object|null>} The new result, or null if the gate did not run
+ */
+export async function remoderateChanges(env, existing, values) {
+    if (!existing.moderation_status
+        || !MODERATED_FIELDS.some(field => values[field] !== undefined && values[field] !== existing[field])) {
+        return null;
+    }
+
+    const result = await moderatePost(env, { ...existing, ...values });
+    values.moderation_status = result.status;
+    values.moderation_reasons = JSON.stringify(result.reasons);
+    values.moderated_at = result.moderated_at;
+    return result;
+}
+
+/**
+ * Refuse to schedule or publish a post whose moderation failed
+ *
+ * Checks the state the post would be in after the change, so an edit that
+ * fails moderation cannot land on a scheduled or published post either.
+ *
+ * @param {Object} existing - Current post (from getPostById)
+ * @param {Object} values - Validated changes, after remoderateChanges()
+ * @returns {string[]} Errors, empty if the change is allowed
+ */
+export function checkPublicationGate(existing, values) {
+    const status = values.status ?? existing.status;
+    const moderationStatus = values.moderation_status ?? existing.moderation_status;
+
+    if (!GATED_STATUSES.includes(status) || moderationStatus !== 'failed') {
+        return [];
+    }
+
+    const reasons = values.moderation_reasons !== undefined
+        ? JSON.parse(values.moderation_reasons)
+        : existing.moderation_reasons;
+    return [`Post failed content moderation and cannot be ${status}: ${reasons.join('; ')}`];
+}
@@ -0,0 +1,183 @@
+/**
+ * Line-based text diff
+ *
+ * Myers' O(ND) algorithm, the same one `git diff` uses by default. The
+ * common prefix and suffix are trimmed first, so small edits to long posts
+ * stay cheap. When two texts differ in more than MAX_EDIT_DISTANCE lines
+ * (e.g. a post regenerated from scratch) the middle is reported as fully
+ * replaced instead of searching for a minimal diff.
+ */
+
+/** Edit distance beyond which the diff degrades to remove-all / add-all */
+const MAX_EDIT_DISTANCE = 1000;
+
+/** Unchanged lines shown around each change in unified output */
+const CONTEXT_LINES = 3;
+
+/**
+ * Split text into lines, treating null as empty
+ *
+ * @param {string|null} text
+ * @returns {string[]}
+ */
+function toLines(text) {
+    return text ? String(text).replace(/\r\n/g, '\n').split('\n') : [];
+}
+
+/**
+ * Shortest edit script between two line arrays
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{ type: 'equal'|'removed'|'added', text: string }>|null}
+ *   Operations, or null if the edit distance exceeds MAX_EDIT_DISTANCE
+ */
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    // trace[d] holds v[-d-1 .. d+1] as it was before round d
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Walk the Myers trace back from the end to recover the operations
+ *
+ * @param {Int32Array[]} trace
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<{ type: string, text: string }>}
+ */
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const at = k => trace[d][k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', text: a[--x] });
+            y--;
+        }
+        if (d > 0) {
+            ops.push(x === prevX
+                ? { type: 'added', text: b[--y] }
+                : { type: 'removed', text: a[--x] });
+        }
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Diff two texts line by line
+ *
+ * @param {string|null} oldText
+ * @param {string|null} newText
+ * @returns {Array<{ type: 'equal'|'removed'|'added', text: string }>}
+ */
+export function diffLines(oldText, newText) {
+    const a = toLines(oldText);
+    const b = toLines(newText);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const middle = myers(middleA, middleB) || [
+        ...middleA.map(text => ({ type: 'removed', text })),
+        ...middleB.map(text => ({ type: 'added', text }))
+    ];
+
+    return [
+        ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+        ...middle,
+        ...a.slice(endA).map(text => ({ type: 'equal', text }))
+    ];
+}
+
+/**
+ * Format diff operations as a unified diff (without file headers)
+ *
+ * @param {Array<{ type: string, text: string }>} ops - From diffLines
+ * @param {number} [context] - Unchanged lines around each change
+ * @returns {string} Unified diff, empty if nothing changed
+ */
+export function formatUnified(ops, context = CONTEXT_LINES) {
+    const hunks = [];
+    let hunk = null;
+    let oldLine = 1;
+    let newLine = 1;
+    let lastChange = -Infinity;
+
+    ops.forEach((op, i) => {
+        if (op.type !== 'equal') {
+            if (!hunk || i - lastChange > context * 2) {
+                // Start a new hunk with up to `context` lines before it
+                const before = ops.slice(Math.max(0, i - context), i);
+                hunk = {
+                    oldStart: oldLine - before.length,
+                    newStart: newLine - before.length,
+                    lines: before.map(line => ` ${line.text}`),
+                    end: i
+                };
+                hunks.push(hunk);
+            } else {
+                hunk.lines.push(...ops.slice(hunk.end + 1, i).map(line => ` ${line.text}`));
+            }
+            hunk.lines.push(`${op.type === 'added' ? '+' : '-'}${op.text}`);
+            hunk.end = i;
+            lastChange = i;
+        }
+
+        if (op.type !== 'added') oldLine++;
+        if (op.type !== 'removed') newLine++;
+    });
+
+    return hunks.map(h => {
+        const trailing = ops.slice(h.end + 1, h.end + 1 + context).filter(op => op.type === 'equal');
+        const lines = [...h.lines, ...trailing.map(line => ` ${line.text}`)];
+        const oldCount = lines.filter(line => line[0] !== '+').length;
+        const newCount = lines.filter(line => line[0] !== '-').length;
+        return `@@ -${h.oldStart},${oldCount} +${h.newStart},${newCount} @@\n${lines.join('\n')}`;
+    }).join('\n');
+}
@@ -0,0 +1,294 @@
+/**
+ * Near-duplicate detection for generated posts
+ *
+ * Before a generated post is stored it is compared with the existing posts
+ * in two ways:
+ *
+ * - embedding similarity: cosine similarity with the published posts in the
+ *   VECTORS index (see post-embeddings.js), and with the most recent
+ *   unpublished generated posts, which have no stored vector and are
+ *   embedded for the check (one batched model call); skipped without AI,
+ *   and the published side without VECTORS
+ * - title overlap: share of distinct title words two titles have in common
+ *   (Jaccard index, stop words ignored), against posts in any status, so
+ *   unpublished drafts on the same subject count too
+ *
+ * A post is a near-duplicate if either score reaches its threshold. The
+ * generators then regenerate it once with a "different angle" instruction,
+ * and drop it if it is still a near-duplicate (logged to `agent_logs`).
+ * Stored posts record their closest match in `similar_post_id`,
+ * `similarity_score` and `title_overlap`.
+ *
+ * Parts of a series (series.js) are only compared with posts outside their
+ * own series: parts of one series are meant to be close to each other.
+ */
+
+import { BLOG_POST_VECTOR_TYPE, embedPost, embedPosts } from './post-embeddings.js';
+import { generatePostContent } from './post-generator.js';
+
+/** Cosine similarity from which two posts count as the same subject */
+export const SIMILARITY_THRESHOLD = 0.92;
+
+/** Title overlap from which two posts count as the same subject */
+export const TITLE_OVERLAP_THRESHOLD = 0.6;
+
+/** Regenerations with a different angle before a near-duplicate is dropped */
+const MAX_REGENERATIONS = 1;
+
+/** Embedding matches considered */
+const SIMILARITY_TOP_K = 5;
+
+/** Most recent posts whose titles are compared */
+const TITLE_CANDIDATES = 1000;
+
+/** Most recent unpublished generated posts embedded for the comparison */
+const DRAFT_CANDIDATES = 20;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into', 'is', 'it',
+    'its', 'of', 'on', 'or', 'the', 'to', 'vs', 'what', 'when', 'why', 'with', 'you', 'your'
+]);
+
+/**
+ * Distinct significant words of a title
+ *
+ * Lower-cased, without stop words, with a trailing plural "s" removed so
+ * "Pattern" and "Patterns" match.
+ *
+ * @param {string} title
+ * @returns {Set<string>}
+ */
+function titleWords(title) {
+    return new Set((title.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => !STOP_WORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)));
+}
+
+/**
+ * Share of distinct title words two titles have in common
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing in common) to 1 (same words)
+ */
+export function titleOverlap(a, b) {
+    const wordsA = titleWords(a);
+    const wordsB = titleWords(b);
+    const union = new Set([...wordsA, ...wordsB]);
+    if (union.size === 0) {
+        return 0;
+    }
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / union.size;
+}
+
+/**
+ * Cosine similarity of two vectors
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Cosine similarity of a post with its closest published posts and with
+ * the recent unpublished generated posts
+ *
+ * Generated drafts waiting for review have no vector in VECTORS (only
+ * published posts do), so they are embedded here; otherwise two generator
+ * runs could store near-identical drafts with different titles.
+ *
+ * @param {Object} env - Environment bindings (DB, AI, VECTORS)
+ * @param {Object} post - Candidate post (title, excerpt, content)
+ * @param {string} excludeSeriesId - Series whose drafts are skipped, '' for none
+ * @returns {Promise<Map<string, number>>} Post ID → similarity, empty without AI
+ */
+async function embeddingMatches(env, post, excludeSeriesId) {
+    if (!env.AI) {
+        return new Map();
+    }
+
+    const values = await embedPost(env.AI, post);
+    const scores = new Map();
+
+    if (env.VECTORS) {
+        const { matches } = await env.VECTORS.query(values, {
+            topK: SIMILARITY_TOP_K,
+            filter: { type: BLOG_POST_VECTOR_TYPE },
+            returnValues: false,
+            returnMetadata: 'none'
+        });
+        for (const match of matches || []) {
+            scores.set(match.id, match.score);
+        }
+    }
+
+    const { results } = await env.DB.prepare(`
+        SELECT id, title, excerpt, content FROM blog_posts
+        WHERE status != 'published' AND moderation_status IS NOT NULL
+          AND (series_id IS NULL OR series_id != ?)
+        ORDER BY created_at DESC
+        LIMIT ?
+    `).bind(excludeSeriesId, DRAFT_CANDIDATES).all();
+
+    const drafts = results || [];
+    const draftValues = await embedPosts(env.AI, drafts);
+    drafts.forEach((draft, i) => scores.set(draft.id, cosineSimilarity(values, draftValues[i])));
+
+    return scores;
+}
+
+/**
+ * Find the existing post closest to a candidate post
+ *
+ * The closest post is the best embedding match, unless only the title
+ * comparison found a near-duplicate, in which case it is that post.
+ *
+ * @param {Object} env - Environment bindings (DB, AI, VECTORS)
+ * @param {{ title: string, excerpt?: string, content: string }} post - Candidate post
+ * @param {{ excludeSeriesId?: string|null }} [options] - Series whose posts are not compared
+ * @returns {Promise<{ duplicate: boolean, match: { id: string, slug: string, title: string }|null,
+ *     similarity_score: number|null, title_overlap: number|null }>}
+ */
+export async function findNearDuplicate(env, post, { excludeSeriesId = null } = {}) {
+    const none = { duplicate: false, match: null, similarity_score: null, title_overlap: null };
+    const seriesId = excludeSeriesId || '';
+
+    let scores = new Map();
+    try {
+        scores = await embeddingMatches(env, post, seriesId);
+    } catch (error) {
+        // Title overlap still applies; a Vectorize outage must not stop generation
+        console.error('[Duplicate Detection] Embedding comparison failed:', error.message);
+    }
+
+    const { results } = await env.DB.prepare(`
+        SELECT id, slug, title FROM blog_posts
+        WHERE series_id IS NULL OR series_id != ?
+        ORDER BY created_at DESC
+        LIMIT ?
+    `).bind(seriesId, TITLE_CANDIDATES).all();
+
+    const candidates = (results || []).map(row => ({
+        ...row,
+        similarity: scores.has(row.id) ? scores.get(row.id) : null,
+        overlap: titleOverlap(post.title, row.title)
+    }));
+    if (candidates.length === 0) {
+        return none;
+    }
+
+    const bySimilarity = candidates
+        .filter(candidate => candidate.similarity !== null)
+        .sort((a, b) => b.similarity - a.similarity)[0];
+    const byOverlap = [...candidates].sort((a, b) => b.overlap - a.overlap)[0];
+
+    const closest = bySimilarity && (bySimilarity.similarity >= SIMILARITY_THRESHOLD
+        || byOverlap.overlap < TITLE_OVERLAP_THRESHOLD)
+        ? bySimilarity
+        : byOverlap;
+    if (closest.similarity === null && closest.overlap === 0) {
+        return none;
+    }
+
+    return {
+        duplicate: (closest.similarity ?? 0) >= SIMILARITY_THRESHOLD || closest.overlap >= TITLE_OVERLAP_THRESHOLD,
+        match: { id: closest.id, slug: closest.slug, title: closest.title },
+        similarity_score: closest.similarity,
+        title_overlap: closest.overlap
+    };
+}
+
+/**
+ * Generate a post that is not a near-duplicate of an existing one
+ *
+ * A near-duplicate is regenerated with a different angle, up to
+ * MAX_REGENERATIONS times. A series part (`options.series`) is not compared
+ * with the other parts of its series.
+ *
+ * @param {Object} env - Environment bindings (DB, AI, VECTORS)
+ * @param {Object} options - Validated generation options, see generatePostContent()
+ * @returns {Promise<{ postData: Object, check: Object, regenerations: number }>}
+ *   The last post generated and its findNearDuplicate() result; the caller
+ *   drops the post if `check.duplicate` is still true
+ * @throws {Error} If generation fails
+ */
+export async function generateDistinctPost(env, options) {
+    const compare = { excludeSeriesId: options.series ? options.series.id : null };
+    let postData = await generatePostContent(env.AI, options);
+    let check = await findNearDuplicate(env, postData, compare);
+    let regenerations = 0;
+
+    while (check.duplicate && regenerations < MAX_REGENERATIONS) {
+        regenerations++;
+        console.log('[Duplicate Detection] Near-duplicate generated, trying a different angle', {
+            title: postData.title,
+            match: check.match.title,
+            similarity_score: check.similarity_score,
+            title_overlap: check.title_overlap
+        });
+
+        postData = await generatePostContent(env.AI, { ...options, avoid: check.match });
+        check = await findNearDuplicate(env, postData, compare);
+    }
+
+    return { postData, check, regenerations };
+}
+
+/**
+ * Record a dropped near-duplicate in `agent_logs`
+ *
+ * Never throws.
+ *
+ * @param {D1Database} db
+ * @param {{ title: string, source: string, check: Object, regenerations: number, durationMs: number }} entry
+ * @returns {Promise<void>}
+ */
+export async function logDroppedDuplicate(db, { title, source, check, regenerations, durationMs }) {
+    try {
+        await db.prepare(`
+            INSERT INTO agent_logs (id, agent_type, task, result, duration_ms, created_at)
+            VALUES (?, 'duplicate_detection', ?, ?, ?, ?)
+        `).bind(
+            `log_${crypto.randomUUID()}`,
+            `Drop near-duplicate generated post (${source})`,
+            JSON.stringify({
+                title,
+                similar_post_id: check.match.id,
+                similar_post_title: check.match.title,
+                similarity_score: check.similarity_score,
+                title_overlap: check.title_overlap,
+                regenerations
+            }),
+            durationMs,
+            new Date().toISOString()
+        ).run();
+    } catch (error) {
+        console.error('[Duplicate Detection] Failed to write agent log:', error.message);
+    }
+}
+
+/**
+ * Columns recording a stored post's closest match, for createPost()
+ *
+ * @param {Object} check - findNearDuplicate() result
+ * @returns {{ similar_post_id: string|null, similarity_score: number|null, title_overlap: number|null }}
+ */
+export function similarityColumns(check) {
+    return {
+        similar_post_id: check.match ? check.match.id : null,
+        similarity_score: check.similarity_score,
+        title_overlap: check.title_overlap
+    };
+}
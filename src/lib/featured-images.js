@@ -0,0 +1,163 @@
+/**
+ * Featured images for blog posts
+ *
+ * An optional step after a post is generated (`featuredImage: true`, or
+ * FEATURED_IMAGES = "true" for the blog generator worker), also available
+ * for any post through POST /api/blog/post/:id/featured-image:
+ *
+ * 1. buildImagePrompt() describes an illustration from the post's title and
+ *    excerpt; the text of the post is never drawn
+ * 2. a Workers AI text-to-image model renders it
+ * 3. the image is stored in R2 under blog/<postId>/ (see media.js) and its
+ *    key recorded in `blog_posts.featured_image_key`
+ *
+ * A replaced image gets a new key and the old object is deleted, so served
+ * images can be cached indefinitely. Images are not part of the post's
+ * revisions and do not change `updated_at`; callers invalidate the blog
+ * cache so listings and pages pick them up.
+ */
+
+import { mediaUrl, postMediaPrefix } from './media.js';
+import { sanitizePromptText } from './post-generator.js';
+
+/** Text-to-image model on Workers AI; returns a base64 JPEG */
+export const IMAGE_MODEL = '@cf/black-forest-labs/flux-1-schnell';
+
+/** Diffusion steps (the model allows 1-8; more is slower and sharper) */
+const IMAGE_STEPS = 6;
+
+/** Characters of the excerpt used in the prompt */
+const PROMPT_EXCERPT_LENGTH = 300;
+
+/**
+ * Describe the illustration for a post
+ *
+ * @param {{ title: string, excerpt?: string|null }} post
+ * @returns {string}
+ */
+export function buildImagePrompt(post) {
+    const excerpt = post.excerpt ? sanitizePromptText(post.excerpt).slice(0, PROMPT_EXCERPT_LENGTH) : '';
+    return [
+        `Editorial illustration for a technology blog article titled "${sanitizePromptText(post.title)}".`,
+        excerpt ? `The article is about: ${excerpt}` : null,
+        'Modern flat vector style, clean composition, muted colour palette, wide 16:9 framing.',
+        'No text, letters, words, logos or watermarks.'
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Read the image bytes from a model response
+ *
+ * FLUX returns `{ image: <base64 JPEG> }`; Stable Diffusion models return
+ * the PNG bytes directly. Both are accepted so IMAGE_MODEL can be swapped.
+ *
+ * @param {Object|ReadableStream|ArrayBuffer|Uint8Array} aiResponse
+ * @returns {Promise<{ bytes: Uint8Array, contentType: string, extension: string }>}
+ * @throws {Error} If the response holds no image
+ */
+async function readImage(aiResponse) {
+    if (aiResponse && typeof aiResponse.image === 'string') {
+        const binary = atob(aiResponse.image);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return { bytes, contentType: 'image/jpeg', extension: 'jpg' };
+    }
+
+    if (aiResponse instanceof ReadableStream || aiResponse instanceof ArrayBuffer || ArrayBuffer.isView(aiResponse)) {
+        const bytes = new Uint8Array(await new Response(aiResponse).arrayBuffer());
+        return { bytes, contentType: 'image/png', extension: 'png' };
+    }
+
+    throw new Error('Image model returned no image');
+}
+
+/**
+ * Generate a featured image for a post and store it in R2
+ *
+ * Replaces the post's previous image, if any.
+ *
+ * @param {Object} env - Environment bindings (AI, BUCKET, DB)
+ * @param {{ id: string, title: string, excerpt?: string|null, featured_image_key?: string|null }} post
+ * @returns {Promise<{ key: string, url: string, prompt: string, duration_ms: number }>}
+ * @throws {Error} If a binding is missing, or generation or storage fails
+ */
+export async function generateFeaturedImage(env, post) {
+    if (!env.AI || !env.BUCKET || !env.DB) {
+        throw new Error('AI, R2 bucket or database not configured');
+    }
+
+    const startTime = Date.now();
+    const prompt = buildImagePrompt(post);
+    console.log('[Featured Images] Generating image', { postId: post.id, model: IMAGE_MODEL });
+
+    const { bytes, contentType, extension } = await readImage(await env.AI.run(IMAGE_MODEL, {
+        prompt,
+        steps: IMAGE_STEPS
+    }));
+
+    const key = `${postMediaPrefix(post.id)}featured-${Date.now()}.${extension}`;
+    await env.BUCKET.put(key, bytes, {
+        httpMetadata: { contentType },
+        customMetadata: { model: IMAGE_MODEL, prompt }
+    });
+
+    await env.DB.prepare('UPDATE blog_posts SET featured_image_key = ? WHERE id = ?').bind(key, post.id).run();
+
+    if (post.featured_image_key && post.featured_image_key !== key) {
+        await deleteObject(env.BUCKET, post.featured_image_key);
+    }
+
+    return { key, url: mediaUrl(key), prompt, duration_ms: Date.now() - startTime };
+}
+
+/**
+ * Remove a post's featured image
+ *
+ * @param {Object} env - Environment bindings (BUCKET, DB)
+ * @param {{ id: string, featured_image_key?: string|null }} post
+ * @returns {Promise<boolean>} False if the post had no image
+ */
+export async function removeFeaturedImage(env, post) {
+    if (!post.featured_image_key) {
+        return false;
+    }
+
+    await env.DB.prepare('UPDATE blog_posts SET featured_image_key = NULL WHERE id = ?').bind(post.id).run();
+    if (env.BUCKET) {
+        await deleteObject(env.BUCKET, post.featured_image_key);
+    }
+    return true;
+}
+
+/**
+ * Run the optional image step for a newly generated post
+ *
+ * Never throws: the post is stored either way, it just has no image.
+ *
+ * @param {Object} env - Environment bindings (AI, BUCKET, DB)
+ * @param {{ id: string, title: string, excerpt?: string|null }} post
+ * @returns {Promise<{ key: string, url: string }|{ error: string }>}
+ */
+export async function attachFeaturedImage(env, post) {
+    try {
+        const { key, url } = await generateFeaturedImage(env, post);
+        return { key, url };
+    } catch (error) {
+        console.error(`[Featured Images] No image for post ${post.id}:`, error.message);
+        return { error: error.message };
+    }
+}
+
+/**
+ * Delete an object, logging failures
+ *
+ * @param {R2Bucket} bucket
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+async function deleteObject(bucket, key) {
+    try {
+        await bucket.delete(key);
+    } catch (error) {
+        console.error(`[Featured Images] Failed to delete ${key}:`, error.message);
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Blog syndication feeds
+ *
+ * Renders the latest published posts as RSS 2.0 (/feed.xml), Atom 1.0
+ * (/atom.xml) and JSON Feed 1.1 (/feed.json). Rendered feeds are cached in
+ * the blog KV cache alongside the posts list, so any post write (or the
+ * scheduler publishing a post) refreshes them.
+ *
+ * Every entry carries:
+ * - a stable ID built from the post ID, which never changes on rename
+ * - an absolute link to the post (see site.js)
+ * - published = publish time, updated = `updated_at`
+ * - the post body as sanitised HTML (markdown.js), like the post pages
+ * - a summary: the excerpt, else the SEO description, else the start of
+ *   the post as plain text
+ */
+
+import { BLOG_CACHE_TTL, cachedText } from './blog-cache.js';
+import { htmlToText } from './html-to-markdown.js';
+import { truncateText } from './html.js';
+import { renderMarkdown } from './markdown.js';
+import { SITE_DESCRIPTION, SITE_LANGUAGE, SITE_TITLE, postUrl, siteUrl } from './site.js';
+import { getTermsForPosts } from './taxonomy.js';
+
+/** Number of posts included in each feed */
+export const FEED_SIZE = 20;
+
+/** Length of a summary taken from the post body */
+const SUMMARY_LENGTH = 280;
+
+export const FEED_FORMATS = {
+    rss: { path: '/feed.xml', contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+    atom: { path: '/atom.xml', contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+    json: { path: '/feed.json', contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed }
+};
+
+/**
+ * Escape text for XML element content and attribute values
+ *
+ * Also drops characters that are not allowed in XML 1.0 at all (most
+ * control characters), which would otherwise make the whole feed invalid.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Load the newest published posts for a feed
+ *
+ * @param {D1Database} db
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>} Posts with `published`, `updated`, `html`, `summary` and `tags`
+ */
+export async function getFeedPosts(db, limit = FEED_SIZE) {
+    const { results } = await db.prepare(`
+        SELECT id, slug, title, excerpt, seo_description, content, author, created_at, updated_at, publish_at
+        FROM blog_posts
+        WHERE status = 'published'
+        ORDER BY COALESCE(publish_at, created_at) DESC, id DESC
+        LIMIT ?
+    `).bind(limit).all();
+
+    const posts = results || [];
+    const terms = await getTermsForPosts(db, posts.map(post => post.id));
+
+    return posts.map(post => {
+        const html = renderMarkdown(post.content).html;
+        return {
+            ...post,
+            published: post.publish_at || post.created_at,
+            updated: post.updated_at || post.publish_at || post.created_at,
+            html,
+            summary: post.excerpt || post.seo_description || truncateText(htmlToText(html), SUMMARY_LENGTH),
+            tags: terms.get(post.id).tags.map(tag => tag.name)
+        };
+    });
+}
+
+/**
+ * Most recent update across the feed, or now for an empty feed
+ *
+ * @param {Object[]} posts
+ * @returns {string} ISO 8601 timestamp
+ */
+function feedUpdated(posts) {
+    return posts.reduce((latest, post) => (post.updated > latest ? post.updated : latest), '')
+        || new Date().toISOString();
+}
+
+/**
+ * RSS 2.0
+ *
+ * @param {{ base: string, feedUrl: string, posts: Object[] }} feed
+ * @returns {string}
+ */
+function renderRss({ base, feedUrl, posts }) {
+    const items = posts.map(post => `
+    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${escapeXml(postUrl(base, post))}</link>
+      <guid isPermaLink="false">${escapeXml(post.id)}</guid>
+      <pubDate>${new Date(post.published).toUTCString()}</pubDate>
+      <atom:updated>${escapeXml(post.updated)}</atom:updated>
+      <dc:creator>${escapeXml(post.author || 'Anonymous')}</dc:creator>
+${post.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <description>${escapeXml(post.summary)}</description>
+      <content:encoded>${escapeXml(post.html)}</content:encoded>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(SITE_TITLE)}</title>
+    <link>${escapeXml(base)}/</link>
+    <description>${escapeXml(SITE_DESCRIPTION)}</description>
+    <language>${SITE_LANGUAGE}</language>
+    <lastBuildDate>${new Date(feedUpdated(posts)).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0
+ *
+ * @param {{ base: string, feedUrl: string, posts: Object[] }} feed
+ * @returns {string}
+ */
+function renderAtom({ base, feedUrl, posts }) {
+    const entries = posts.map(post => `
+  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(postUrl(base, post))}"/>
+    <id>${escapeXml(`${base}/api/blog/post/${post.id}`)}</id>
+    <published>${escapeXml(post.published)}</published>
+    <updated>${escapeXml(post.updated)}</updated>
+    <author><name>${escapeXml(post.author || 'Anonymous')}</name></author>
+${post.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <summary>${escapeXml(post.summary)}</summary>
+    <content type="html">${escapeXml(post.html)}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${SITE_LANGUAGE}">
+  <title>${escapeXml(SITE_TITLE)}</title>
+  <subtitle>${escapeXml(SITE_DESCRIPTION)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(base)}/"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <id>${escapeXml(feedUrl)}</id>
+  <updated>${escapeXml(feedUpdated(posts))}</updated>${entries}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+ *
+ * @param {{ base: string, feedUrl: string, posts: Object[] }} feed
+ * @returns {string}
+ */
+function renderJsonFeed({ base, feedUrl, posts }) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: SITE_TITLE,
+        description: SITE_DESCRIPTION,
+        home_page_url: `${base}/`,
+        feed_url: feedUrl,
+        language: SITE_LANGUAGE,
+        items: posts.map(post => ({
+            id: post.id,
+            url: postUrl(base, post),
+            title: post.title,
+            summary: post.summary || undefined,
+            content_html: post.html,
+            content_text: post.content,
+            date_published: post.published,
+            date_modified: post.updated,
+            authors: [{ name: post.author || 'Anonymous' }],
+            tags: post.tags.length > 0 ? post.tags : undefined
+        }))
+    }, null, 2);
+}
+
+/**
+ * Serve one feed format, from KV when cached
+ *
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @param {'rss'|'atom'|'json'} format
+ * @returns {Promise<Response>}
+ */
+export async function feedResponse(context, format) {
+    const { env, request } = context;
+    const { path, contentType, render } = FEED_FORMATS[format];
+    const base = siteUrl(request, env);
+    const headers = {
+        'Content-Type': contentType,
+        'Cache-Control': `public, max-age=${BLOG_CACHE_TTL}`
+    };
+
+    try {
+        // Links are absolute, so the base URL is part of the cache key
+        const { body, cacheStatus } = await cachedText(env, 'feed', { format, base }, async () => {
+            const posts = env.DB ? await getFeedPosts(env.DB) : [];
+            return render({ base, feedUrl: `${base}${path}`, posts });
+        }, '[Feeds]');
+
+        return new Response(body, { headers: { ...headers, 'X-Cache': cacheStatus } });
+    } catch (error) {
+        console.error(`[Feeds] Error building ${format} feed:`, error);
+        return new Response('Feed temporarily unavailable', {
+            status: 500,
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+        });
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * YAML front matter for imported and exported Markdown files
+ *
+ * Jekyll, Hugo, Eleventy and most static site generators start a post
+ * with a YAML block between `---` lines. parseFrontMatter() reads the part
+ * of YAML these blocks use:
+ *
+ * - `key: value` with plain, 'single' or "double" quoted scalars
+ * - true / false / null / ~, numbers (kept as strings) and dates
+ * - lists, inline (`[a, b]`) or as `- item` lines
+ * - one level of nested keys (`author:` followed by indented `name: ...`)
+ * - `|` and `>` block scalars
+ * - comments
+ *
+ * Anchors, multi-document files and deeper nesting are not supported; a
+ * line it cannot read is reported as an error rather than guessed at.
+ *
+ * stringifyFrontMatter() writes the subset back (double-quoted strings and
+ * inline lists), so exported posts import again unchanged.
+ */
+
+/**
+ * Parse one scalar
+ *
+ * @param {string} raw
+ * @returns {string|boolean|null}
+ */
+function parseScalar(raw) {
+    const value = raw.trim();
+    if (value.startsWith('"')) {
+        const end = value.match(/^"((?:[^"\\]|\\.)*)"/);
+        if (end) {
+            return end[1].replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, code) => {
+                if (code.length === 5) return String.fromCharCode(parseInt(code.slice(1), 16));
+                return { n: '\n', t: '\t', r: '\r', 0: '\0' }[code] ?? code;
+            });
+        }
+    }
+    if (value.startsWith("'")) {
+        const end = value.match(/^'((?:[^']|'')*)'/);
+        if (end) return end[1].replace(/''/g, "'");
+    }
+
+    const plain = value.replace(/\s+#.*$/, '');
+    if (/^(?:true|yes|on)$/i.test(plain)) return true;
+    if (/^(?:false|no|off)$/i.test(plain)) return false;
+    if (plain === '' || plain === '~' || /^null$/i.test(plain)) return null;
+    return plain;
+}
+
+/**
+ * Split an inline list (`[a, "b, c"]`) into items
+ *
+ * @param {string} raw - Text between the brackets
+ * @returns {Array<string|boolean|null>}
+ */
+function parseInlineList(raw) {
+    const items = raw.match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+    return items.map(parseScalar).filter(item => item !== null);
+}
+
+/**
+ * Parse the value after `key:` on the same line
+ *
+ * @param {string} raw
+ * @returns {*}
+ */
+function parseInlineValue(raw) {
+    const value = raw.trim();
+    const list = value.match(/^\[(.*)\]$/);
+    if (list) return parseInlineList(list[1]);
+    return parseScalar(value);
+}
+
+/**
+ * Read an indented block of lines
+ *
+ * @param {string[]} lines
+ * @param {number} start - First line after the key
+ * @param {number} indent - Indentation of the key
+ * @returns {{ block: string[], end: number }}
+ */
+function readBlock(lines, start, indent) {
+    const block = [];
+    let i = start;
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() && line.match(/^ */)[0].length <= indent && !/^ *- /.test(line)) break;
+        if (line.trim() && /^ *- /.test(line) && line.match(/^ */)[0].length < indent) break;
+        block.push(line);
+    }
+    while (block.length > 0 && !block[block.length - 1].trim()) block.pop();
+    return { block, end: i };
+}
+
+/**
+ * Parse YAML mapping lines
+ *
+ * @param {string[]} lines
+ * @param {number} depth - 0 at the top level, 1 inside a nested key
+ * @returns {{ data: Object, errors: string[] }}
+ */
+function parseMapping(lines, depth) {
+    const data = {};
+    const errors = [];
+    const indent = Math.min(...lines.filter(line => line.trim() && !/^\s*#/.test(line)).map(line => line.match(/^ */)[0].length));
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim() || /^\s*#/.test(line)) {
+            i++;
+            continue;
+        }
+
+        const match = line.match(/^( *)([^\s:#'"][^:]*?|"[^"]*"|'[^']*')\s*:(?:\s+(.*)|\s*)$/);
+        if (!match || match[1].length !== indent) {
+            errors.push(`Cannot read front matter line "${line.trim().slice(0, 60)}"`);
+            i++;
+            continue;
+        }
+
+        const key = parseScalar(match[2]);
+        const rest = (match[3] || '').replace(/^#.*$/, '').trim();
+        const { block, end } = readBlock(lines, i + 1, indent);
+        i = end;
+
+        if (/^[|>][+-]?$/.test(rest)) {
+            const content = block.map(blockLine => blockLine.trim() ? blockLine.replace(/^ +/, '') : '');
+            data[key] = rest[0] === '|' ? content.join('\n') : content.join(' ').replace(/\s+/g, ' ').trim();
+        } else if (rest) {
+            // Indented lines after a scalar continue it
+            data[key] = parseInlineValue([rest, ...block.map(blockLine => blockLine.trim())].filter(Boolean).join(' '));
+        } else if (block.some(blockLine => /^ *- /.test(blockLine))) {
+            data[key] = block
+                .filter(blockLine => blockLine.trim() && !/^\s*#/.test(blockLine))
+                .map(blockLine => parseScalar(blockLine.replace(/^ *- ?/, '')))
+                .filter(item => item !== null);
+        } else if (block.some(blockLine => blockLine.trim())) {
+            if (depth > 0) {
+                errors.push(`Front matter nested deeper than one level under "${key}" is not supported`);
+                continue;
+            }
+            const nested = parseMapping(block, depth + 1);
+            data[key] = nested.data;
+            errors.push(...nested.errors);
+        } else {
+            data[key] = null;
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Split a Markdown file into front matter and body
+ *
+ * @param {string} text - File contents
+ * @returns {{ data: Object, body: string, errors: string[] }} `data` is empty when the file has no front matter
+ */
+export function parseFrontMatter(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const match = source.match(/^---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+    if (!match) {
+        return { data: {}, body: source, errors: [] };
+    }
+
+    const lines = match[1].split('\n');
+    const { data, errors } = lines.some(line => line.trim() && !/^\s*#/.test(line))
+        ? parseMapping(lines, 0)
+        : { data: {}, errors: [] };
+    return { data, body: source.slice(match[0].length), errors };
+}
+
+/**
+ * Quote a scalar for front matter
+ *
+ * JSON string syntax is valid YAML double-quoted syntax.
+ *
+ * @param {string|number|boolean} value
+ * @returns {string}
+ */
+function formatScalar(value) {
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Write a front matter block
+ *
+ * Keys with null, undefined or empty values are left out.
+ *
+ * @param {Object} data - Scalars and lists of scalars
+ * @returns {string} Block including the `---` lines and a trailing newline
+ */
+export function stringifyFrontMatter(data) {
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '' &&
+            !(Array.isArray(value) && value.length === 0))
+        .map(([key, value]) => `${key}: ${Array.isArray(value)
+            ? `[${value.map(formatScalar).join(', ')}]`
+            : formatScalar(value)}`);
+    return `---\n${lines.join('\n')}\n---\n`;
+}
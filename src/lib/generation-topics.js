@@ -0,0 +1,343 @@
+/**
+ * Topics for the scheduled blog generator
+ *
+ * Topics live in the `generation_topics` table so editors can change them
+ * through /api/blog/topics without a redeploy. Each daily run picks one
+ * with pickTopic():
+ *
+ * - only enabled topics whose cooldown has passed are eligible
+ *   (`last_used_at` + `cooldown_hours` <= now)
+ * - topics never used come first, heaviest first
+ * - otherwise the topic with the highest weight × hours since last use wins,
+ *   so a topic with weight 2 comes round about twice as often as weight 1
+ *
+ * The picked topic is marked used straight away, so a failed generation
+ * does not retry the same topic on every run.
+ *
+ * proposeTopics() suggests new topics from recent knowledge base entries.
+ * Proposals are stored disabled (`source = 'knowledge_base'`) until an
+ * editor enables them.
+ */
+
+import { generateStructured } from './structured-output.js';
+
+const PROPOSAL_MODEL = '@cf/meta/llama-3-8b-instruct';
+
+export const TOPIC_LIMITS = {
+    topic: 200,
+    weight: { min: 1, max: 100 },
+    cooldown_hours: { min: 0, max: 24 * 365 }
+};
+
+/** Knowledge base entries read per proposal run */
+const PROPOSAL_SOURCE_ENTRIES = 10;
+
+/** Characters of each entry shown to the model */
+const PROPOSAL_EXCERPT_LENGTH = 500;
+
+/** Entries older than this are never used for proposals */
+const PROPOSAL_LOOKBACK_DAYS = 7;
+
+export const MAX_PROPOSALS = 5;
+
+const TOPIC_COLUMNS = `id, topic, weight, cooldown_hours, enabled, source, use_count,
+    last_used_at, created_at, updated_at`;
+
+/**
+ * Convert a row to the API shape
+ *
+ * @param {Object} row
+ * @param {Date} [now]
+ * @returns {Object} Topic with a boolean `enabled` and `available_at`
+ *   (when its cooldown ends; null if it is available now)
+ */
+function toTopic(row, now = new Date()) {
+    const availableAt = row.last_used_at
+        ? new Date(Date.parse(row.last_used_at) + row.cooldown_hours * 3600 * 1000)
+        : null;
+    return {
+        ...row,
+        enabled: Boolean(row.enabled),
+        available_at: availableAt && availableAt > now ? availableAt.toISOString() : null
+    };
+}
+
+/**
+ * Collapse whitespace and control characters in a topic
+ *
+ * Topics end up in generation prompts, see sanitizePromptText() in
+ * post-generator.js.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normaliseTopic(text) {
+    return text.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate a topic from a request body
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @param {{ partial?: boolean }} [options] - PATCH semantics: only supplied fields are checked
+ * @returns {{ errors: string[], values: Object }}
+ */
+export function validateTopicInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values };
+    }
+
+    if (body.topic !== undefined || !partial) {
+        const topic = typeof body.topic === 'string' ? normaliseTopic(body.topic) : '';
+        if (!topic) {
+            errors.push('topic is required');
+        } else if (topic.length > TOPIC_LIMITS.topic) {
+            errors.push(`topic must be at most ${TOPIC_LIMITS.topic} characters`);
+        } else {
+            values.topic = topic;
+        }
+    }
+
+    for (const field of ['weight', 'cooldown_hours']) {
+        if (body[field] === undefined) continue;
+        const { min, max } = TOPIC_LIMITS[field];
+        if (!Number.isInteger(body[field]) || body[field] < min || body[field] > max) {
+            errors.push(`${field} must be an integer between ${min} and ${max}`);
+        } else {
+            values[field] = body[field];
+        }
+    }
+
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled !== 'boolean') {
+            errors.push('enabled must be a boolean');
+        } else {
+            values.enabled = body.enabled ? 1 : 0;
+        }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+        errors.push('Provide at least one of: topic, weight, cooldown_hours, enabled');
+    }
+
+    return { errors, values };
+}
+
+/**
+ * List every topic, enabled ones first, then by name
+ *
+ * @param {D1Database} db
+ * @returns {Promise<Object[]>}
+ */
+export async function listTopics(db) {
+    const { results } = await db.prepare(`
+        SELECT ${TOPIC_COLUMNS}
+        FROM generation_topics
+        ORDER BY enabled DESC, topic COLLATE NOCASE
+    `).all();
+
+    const now = new Date();
+    return (results || []).map(row => toTopic(row, now));
+}
+
+/**
+ * Load one topic
+ *
+ * @param {D1Database} db
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getTopic(db, id) {
+    const row = await db.prepare(`SELECT ${TOPIC_COLUMNS} FROM generation_topics WHERE id = ?`).bind(id).first();
+    return row ? toTopic(row) : null;
+}
+
+/**
+ * Find a topic with the same text, ignoring case
+ *
+ * @param {D1Database} db
+ * @param {string} topic
+ * @returns {Promise<string|null>} ID of the existing topic
+ */
+export async function findTopicId(db, topic) {
+    const row = await db.prepare('SELECT id FROM generation_topics WHERE topic = ? COLLATE NOCASE')
+        .bind(topic).first();
+    return row ? row.id : null;
+}
+
+/**
+ * Insert a topic
+ *
+ * @param {D1Database} db
+ * @param {Object} values - From validateTopicInput
+ * @param {string} [source] - 'manual' or 'knowledge_base'
+ * @returns {Promise<Object>} The new topic
+ */
+export async function createTopic(db, values, source = 'manual') {
+    const id = `topic_${crypto.randomUUID()}`;
+    const timestamp = new Date().toISOString();
+
+    await db.prepare(`
+        INSERT INTO generation_topics (id, topic, weight, cooldown_hours, enabled, source, created_at, updated_at)
+        VALUES (?, ?, COALESCE(?, 1), COALESCE(?, 72), COALESCE(?, 1), ?, ?, ?)
+    `).bind(
+        id,
+        values.topic,
+        values.weight ?? null,
+        values.cooldown_hours ?? null,
+        values.enabled ?? null,
+        source,
+        timestamp,
+        timestamp
+    ).run();
+
+    return getTopic(db, id);
+}
+
+/**
+ * Apply validated changes to a topic
+ *
+ * @param {D1Database} db
+ * @param {string} id
+ * @param {Object} values - From validateTopicInput({ partial: true })
+ * @returns {Promise<Object|null>} The updated topic, or null if it does not exist
+ */
+export async function updateTopic(db, id, values) {
+    const fields = Object.keys(values);
+    const result = await db.prepare(`
+        UPDATE generation_topics
+        SET ${[...fields.map(field => `${field} = ?`), 'updated_at = ?'].join(', ')}
+        WHERE id = ?
+    `).bind(...fields.map(field => values[field]), new Date().toISOString(), id).run();
+
+    return result.meta && result.meta.changes > 0 ? getTopic(db, id) : null;
+}
+
+/**
+ * Pick the next topic to write about and mark it used
+ *
+ * @param {D1Database} db
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The topic, or null if none is eligible
+ */
+export async function pickTopic(db, now = new Date()) {
+    const nowIso = now.toISOString();
+    const nowMs = now.getTime();
+
+    const { results } = await db.prepare(`
+        SELECT ${TOPIC_COLUMNS}
+        FROM generation_topics
+        WHERE enabled = 1
+          AND (last_used_at IS NULL
+               OR julianday(last_used_at) + cooldown_hours / 24.0 <= julianday(?))
+    `).bind(nowIso).all();
+
+    const priority = row => (row.last_used_at
+        ? row.weight * (nowMs - Date.parse(row.last_used_at)) / 3600000
+        : Infinity);
+
+    const [topic] = (results || []).sort((a, b) =>
+        priority(b) - priority(a)
+        || b.weight - a.weight
+        || a.created_at.localeCompare(b.created_at));
+    if (!topic) {
+        return null;
+    }
+
+    // Guarded on last_used_at so two overlapping runs cannot both claim it
+    const result = await db.prepare(`
+        UPDATE generation_topics
+        SET last_used_at = ?, use_count = use_count + 1
+        WHERE id = ? AND last_used_at IS ?
+    `).bind(nowIso, topic.id, topic.last_used_at).run();
+    if (!result.meta || result.meta.changes === 0) {
+        return null;
+    }
+
+    return toTopic({ ...topic, last_used_at: nowIso, use_count: topic.use_count + 1 }, now);
+}
+
+/**
+ * Propose topics from recent knowledge base entries
+ *
+ * Reads entries added since the last proposal (at most
+ * PROPOSAL_LOOKBACK_DAYS ago), asks the model for blog topics based on them
+ * and stores new ones as disabled `knowledge_base` topics. Topics that
+ * already exist are skipped.
+ *
+ * @param {Object} env - Environment bindings (DB, AI)
+ * @param {{ limit?: number, now?: Date }} [options] - limit: most topics to propose
+ * @returns {Promise<Object[]>} The topics created
+ */
+export async function proposeTopics(env, { limit = MAX_PROPOSALS, now = new Date() } = {}) {
+    const db = env.DB;
+    const lookback = new Date(now.getTime() - PROPOSAL_LOOKBACK_DAYS * 24 * 3600 * 1000).toISOString();
+    const last = await db.prepare(`
+        SELECT MAX(created_at) AS created_at FROM generation_topics WHERE source = 'knowledge_base'
+    `).first();
+    const since = last && last.created_at && last.created_at > lookback ? last.created_at : lookback;
+
+    const { results } = await db.prepare(`
+        SELECT title, content FROM knowledge_base
+        WHERE created_at > ?
+        ORDER BY created_at DESC
+        LIMIT ?
+    `).bind(since, PROPOSAL_SOURCE_ENTRIES).all();
+
+    const entries = results || [];
+    if (entries.length === 0 || !env.AI) {
+        return [];
+    }
+
+    const notes = entries
+        .map((entry, i) => `${i + 1}. ${entry.title}\n${entry.content.slice(0, PROPOSAL_EXCERPT_LENGTH)}`)
+        .join('\n\n');
+    const existing = (await listTopics(db)).map(topic => `- ${topic.topic}`).join('\n');
+
+    const proposal = await generateStructured(env.AI, {
+        model: PROPOSAL_MODEL,
+        messages: [
+            {
+                role: 'system',
+                content: 'You are the editor of a technical blog. You suggest blog post topics. Always respond with valid JSON.'
+            },
+            {
+                role: 'user',
+                content: `These notes were recently added to our knowledge base:
+
+${notes}
+
+Suggest up to ${limit} blog post topics inspired by them. Each topic is a short phrase (at most 12 words), not a full title.
+Do not repeat these existing topics:
+${existing || '(none)'}
+
+Respond with JSON: { "topics": ["topic one", "topic two"] }`
+            }
+        ],
+        schema: {
+            type: 'object',
+            required: ['topics'],
+            properties: {
+                topics: {
+                    type: 'array',
+                    maxItems: 10,
+                    items: { type: 'string', minLength: 3, maxLength: TOPIC_LIMITS.topic }
+                }
+            }
+        },
+        maxAttempts: 2,
+        logPrefix: '[Generation Topics]'
+    });
+
+    const created = [];
+    for (const text of proposal.topics.map(normaliseTopic)) {
+        if (created.length >= limit) break;
+        if (!text || await findTopicId(db, text)) continue;
+        created.push(await createTopic(db, { topic: text, enabled: 0 }, 'knowledge_base'));
+    }
+
+    return created;
+}
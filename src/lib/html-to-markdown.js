@@ -0,0 +1,458 @@
+/**
+ * HTML to Markdown conversion for imported posts
+ *
+ * Posts are stored as Markdown, and renderMarkdown() escapes raw HTML, so
+ * the HTML bodies of WordPress and Ghost exports are converted on import
+ * (see post-import.js). The output sticks to the syntax markdown.js
+ * supports:
+ *
+ * - headings, paragraphs, line breaks, emphasis, strong, strikethrough,
+ *   inline code, links and images
+ * - <pre> becomes a fenced code block, keeping a `language-*` class
+ * - nested lists, blockquotes, horizontal rules and simple tables
+ * - an <iframe> (video embeds) becomes a link to its source
+ * - script-like elements and comments are dropped, other unknown tags are
+ *   unwrapped
+ *
+ * Like sanitize.js it is a small tokenizer, not a full HTML parser; it is
+ * meant for the HTML blogging platforms produce.
+ */
+
+import { decodeEntities } from './sanitize.js';
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/** Elements dropped with everything inside them */
+const DROP_WITH_CONTENT = ['script', 'style', 'noscript', 'template', 'textarea', 'title', 'svg', 'math', 'object', 'button', 'select'];
+
+/** Elements rendered as their own blocks */
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure', 'figcaption',
+    'address', 'details', 'summary', 'center', 'dl', 'dt', 'dd',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'pre', 'blockquote', 'ul', 'ol', 'li', 'table', 'iframe'
+]);
+
+/** Named entities common in blog exports beyond the ones decodeEntities() knows */
+const EXTRA_ENTITIES = {
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    laquo: '«', raquo: '»', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', times: '×', euro: '€'
+};
+
+const EMPHASIS = { strong: '**', b: '**', em: '*', i: '*', del: '~~', s: '~~', strike: '~~' };
+
+/**
+ * Decode entities, including the typographic ones WordPress writes
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeText(text) {
+    return decodeEntities(text.replace(/&([a-z]+);/gi, (match, name) => EXTRA_ENTITIES[name.toLowerCase()] ?? match));
+}
+
+/**
+ * Parse attributes of one tag
+ *
+ * @param {string} source - Raw attribute text
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const name = match[1].toLowerCase();
+        if (!(name in attrs)) {
+            attrs[name] = decodeText(match[2] ?? match[3] ?? match[4] ?? '');
+        }
+    }
+    return attrs;
+}
+
+/**
+ * Build an element tree
+ *
+ * Unclosed <p>, <li> and table cells are closed the way browsers do, and
+ * stray closing tags are ignored.
+ *
+ * @param {string} html
+ * @returns {{ tag: string, attrs: Object, children: Array }} Root node; text nodes are strings
+ */
+function parseHtml(html) {
+    const dropPattern = new RegExp(`<(${DROP_WITH_CONTENT.join('|')})\\b[\\s\\S]*?(?:<\\/\\1\\s*>|$)`, 'gi');
+    const source = String(html || '')
+        .replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+        .replace(dropPattern, '');
+
+    const root = { tag: '#root', attrs: {}, children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const closeTo = tag => {
+        const index = stack.map(node => node.tag).lastIndexOf(tag);
+        if (index > 0) stack.length = index;
+    };
+
+    const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+    let last = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+        if (match.index > last) {
+            current().children.push(source.slice(last, match.index));
+        }
+        last = tagPattern.lastIndex;
+
+        const tag = match[2].toLowerCase();
+        const open = stack.map(node => node.tag);
+
+        if (match[1] === '/') {
+            if (open.includes(tag)) closeTo(tag);
+            continue;
+        }
+
+        if (BLOCK_TAGS.has(tag) && current().tag === 'p') {
+            stack.pop();
+        }
+        if (tag === 'li' && open.lastIndexOf('li') > Math.max(open.lastIndexOf('ul'), open.lastIndexOf('ol'))) {
+            closeTo('li');
+        }
+        if ((tag === 'td' || tag === 'th' || tag === 'tr') && open.lastIndexOf('tr') > open.lastIndexOf('table')) {
+            const cell = Math.max(open.lastIndexOf('td'), open.lastIndexOf('th'));
+            if (cell > open.lastIndexOf('tr')) stack.length = cell;
+            if (tag === 'tr') closeTo('tr');
+        }
+
+        const node = { tag, attrs: parseAttributes(match[3]), children: [] };
+        current().children.push(node);
+        if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(match[3])) {
+            stack.push(node);
+        }
+    }
+
+    if (last < source.length) {
+        current().children.push(source.slice(last));
+    }
+    return root;
+}
+
+/**
+ * Escape characters Markdown would read as syntax
+ *
+ * Underscores inside words ("snake_case") are left alone since they never
+ * start emphasis.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return text
+        .replace(/[\\`*[\]<]/g, '\\$&')
+        .replace(/~~/g, '\\~\\~')
+        .replace(/_/g, (match, offset, string) =>
+            /\w/.test(string[offset - 1] || '') && /\w/.test(string[offset + 1] || '') ? '_' : '\\_');
+}
+
+/**
+ * Escape block markers at the start of a paragraph's lines
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLineStarts(text) {
+    return text.replace(/^(\d{1,9})([.)])(?=\s|$)/gm, '$1\\$2').replace(/^([#>+-])(?=\s|$|#)/gm, '\\$1');
+}
+
+/**
+ * Make a URL safe to put between Markdown parentheses
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function markdownUrl(url) {
+    return url.trim().replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Put emphasis markers around text, outside its leading and trailing spaces
+ *
+ * @param {string} text
+ * @param {string} marker
+ * @returns {string}
+ */
+function wrap(text, marker) {
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+}
+
+/**
+ * Raw text of a subtree, for code
+ *
+ * @param {Object|string} node
+ * @returns {string}
+ */
+function rawText(node) {
+    if (typeof node === 'string') return decodeText(node);
+    if (node.tag === 'br') return '\n';
+    return node.children.map(rawText).join('');
+}
+
+/**
+ * Find descendants with one of the given tags, not looking inside matches
+ *
+ * @param {Object} node
+ * @param {string[]} tags
+ * @returns {Object[]}
+ */
+function findAll(node, tags) {
+    return node.children.flatMap(child => {
+        if (typeof child === 'string') return [];
+        return tags.includes(child.tag) ? [child] : findAll(child, tags);
+    });
+}
+
+/**
+ * Shortest run of backticks not found in the text, at least `min` long
+ *
+ * @param {string} text
+ * @param {number} min
+ * @returns {string}
+ */
+function backtickFence(text, min) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(min, longest + 1));
+}
+
+/**
+ * Render inline content
+ *
+ * @param {Array} nodes
+ * @returns {string} Markdown; line breaks appear as a backslash and a newline
+ */
+function renderInline(nodes) {
+    return nodes.map(node => {
+        if (typeof node === 'string') {
+            return escapeMarkdown(decodeText(node).replace(/\s+/g, ' '));
+        }
+
+        const { tag, attrs, children } = node;
+        if (EMPHASIS[tag]) {
+            return wrap(renderInline(children), EMPHASIS[tag]);
+        }
+        switch (tag) {
+            case 'br':
+                return '\\\n';
+            case 'code': {
+                const code = rawText(node).replace(/\s+/g, ' ');
+                if (!code.trim()) return code;
+                const fence = backtickFence(code, 1);
+                return code.startsWith('`') || code.endsWith('`') ? `${fence} ${code} ${fence}` : `${fence}${code}${fence}`;
+            }
+            case 'a': {
+                const label = renderInline(children).trim();
+                const href = (attrs.href || '').trim();
+                if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return label;
+                if (!label) return /^https?:\/\//i.test(href) ? `<${href}>` : '';
+                const title = attrs.title ? ` "${attrs.title.replace(/"/g, "'")}"` : '';
+                return `[${label}](${markdownUrl(href)}${title})`;
+            }
+            case 'img': {
+                if (!attrs.src) return '';
+                const alt = (attrs.alt || '').replace(/[[\]\\]/g, '\\$&');
+                const title = attrs.title ? ` "${attrs.title.replace(/"/g, "'")}"` : '';
+                return `![${alt}](${markdownUrl(attrs.src)}${title})`;
+            }
+            case 'iframe':
+                return attrs.src && /^https?:\/\//i.test(attrs.src) ? ` <${attrs.src}> ` : '';
+            case 'input':
+            case 'wbr':
+                return '';
+            default:
+                // Unknown or block-level tags inside inline content are unwrapped
+                return BLOCK_TAGS.has(tag) ? ` ${renderInline(children)} ` : renderInline(children);
+        }
+    }).join('');
+}
+
+/**
+ * Turn collected inline Markdown into a paragraph
+ *
+ * @param {string} markdown
+ * @returns {string} Paragraph, or an empty string if there was no text
+ */
+function paragraph(markdown) {
+    const lines = markdown.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim());
+    const text = lines.join('\n').replace(/^(?:\\\n)+|(?:\\\n?)+$/g, '').trim();
+    return escapeLineStarts(text);
+}
+
+/**
+ * Text of one line (heading, table cell): line breaks become spaces
+ *
+ * @param {Array} nodes
+ * @returns {string}
+ */
+function singleLine(nodes) {
+    return renderInline(nodes).replace(/\\\n/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Indent every line but the first, for list item content
+ *
+ * @param {string} text
+ * @param {string} first - Prefix of the first line
+ * @param {string} rest - Prefix of the other non-empty lines
+ * @returns {string}
+ */
+function prefixLines(text, first, rest) {
+    return text.split('\n').map((line, i) => (i === 0 ? first : line ? rest : '') + line).join('\n');
+}
+
+/**
+ * Render a list
+ *
+ * @param {Object} node - <ul> or <ol>
+ * @returns {string}
+ */
+function renderList(node) {
+    const ordered = node.tag === 'ol';
+    const start = ordered && /^\d{1,9}$/.test(node.attrs.start || '') ? parseInt(node.attrs.start, 10) : 1;
+    const items = node.children.filter(child => typeof child !== 'string' && child.tag === 'li');
+
+    return items.map((item, i) => {
+        const marker = ordered ? `${start + i}. ` : '- ';
+        const blocks = renderBlocks(item.children);
+        // A nested list follows its text directly, as in a hand-written list
+        const content = blocks.reduce((out, block) =>
+            !out ? block : `${out}${/^(?:[-*+]|\d{1,9}[.)]) /.test(block) ? '\n' : '\n\n'}${block}`, '');
+        return prefixLines(content, marker, ' '.repeat(marker.length)).trimEnd();
+    }).join('\n');
+}
+
+/**
+ * Render a table as a GFM table
+ *
+ * @param {Object} node
+ * @returns {string}
+ */
+function renderTable(node) {
+    const rows = findAll(node, ['tr'])
+        .map(row => findAll(row, ['th', 'td']).map(cell => singleLine(cell.children).replace(/(?<!\\)\|/g, '\\|')))
+        .filter(cells => cells.length > 0);
+    if (rows.length === 0) {
+        return '';
+    }
+
+    const width = Math.max(...rows.map(cells => cells.length));
+    const line = cells => `| ${Array.from({ length: width }, (unused, i) => cells[i] || '').join(' | ')} |`;
+    return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Render a code block
+ *
+ * @param {Object} node - <pre>
+ * @returns {string}
+ */
+function renderPre(node) {
+    const code = rawText(node).replace(/^\n/, '').replace(/\s+$/, '');
+    const classes = [node.attrs.class, ...findAll(node, ['code']).map(child => child.attrs.class)].filter(Boolean).join(' ');
+    const language = (classes.match(/\b(?:language|lang)-([\w+#.-]+)/) || classes.match(/\bbrush:\s*([\w+#.-]+)/) || [])[1] || '';
+    const fence = backtickFence(code, 3);
+    return `${fence}${language.toLowerCase()}\n${code}\n${fence}`;
+}
+
+/**
+ * Render one block-level element
+ *
+ * @param {Object} node
+ * @returns {string[]} Markdown blocks
+ */
+function renderBlock(node) {
+    const { tag, attrs, children } = node;
+    switch (tag) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+            const text = singleLine(children);
+            return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+        }
+        case 'hr':
+            return ['---'];
+        case 'pre':
+            return [renderPre(node)];
+        case 'blockquote': {
+            const inner = renderBlocks(children).join('\n\n');
+            return inner ? [inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : [];
+        }
+        case 'ul':
+        case 'ol': {
+            const list = renderList(node);
+            return list ? [list] : [];
+        }
+        case 'table': {
+            const table = renderTable(node);
+            return table ? [table] : [];
+        }
+        case 'figcaption': {
+            const caption = singleLine(children);
+            return caption ? [`*${caption}*`] : [];
+        }
+        case 'iframe':
+            return attrs.src && /^https?:\/\//i.test(attrs.src) ? [`<${attrs.src}>`] : [];
+        default:
+            return renderBlocks(children);
+    }
+}
+
+/**
+ * Render a sequence of nodes as Markdown blocks
+ *
+ * Runs of text and inline elements between block elements become
+ * paragraphs.
+ *
+ * @param {Array} nodes
+ * @returns {string[]}
+ */
+function renderBlocks(nodes) {
+    const blocks = [];
+    let inline = [];
+    const flush = () => {
+        const text = paragraph(renderInline(inline));
+        if (text) blocks.push(text);
+        inline = [];
+    };
+
+    for (const node of nodes) {
+        if (typeof node !== 'string' && BLOCK_TAGS.has(node.tag)) {
+            flush();
+            blocks.push(...renderBlock(node));
+        } else {
+            inline.push(node);
+        }
+    }
+    flush();
+
+    return blocks;
+}
+
+/**
+ * Convert an HTML fragment to Markdown
+ *
+ * @param {string} html
+ * @returns {string} Markdown, empty if the HTML has no content
+ */
+export function htmlToMarkdown(html) {
+    return renderBlocks(parseHtml(html).children).join('\n\n').trim();
+}
+
+/**
+ * Visible text of an HTML fragment, for plain-text fields such as excerpts
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+    const dropPattern = new RegExp(`<(${DROP_WITH_CONTENT.join('|')})\\b[\\s\\S]*?(?:<\\/\\1\\s*>|$)`, 'gi');
+    return decodeText(String(html || '')
+        .replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+        .replace(dropPattern, '')
+        .replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
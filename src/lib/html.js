@@ -0,0 +1,50 @@
+/**
+ * Helpers for building HTML on the server
+ */
+
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Serialise data for a <script type="application/ld+json"> block
+ *
+ * `<` is escaped so content such as "</script>" cannot end the block early.
+ *
+ * @param {*} data
+ * @returns {string}
+ */
+export function jsonForScript(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Shorten text to at most `max` characters, cutting at a word boundary
+ *
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+export function truncateText(text, max) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= max) {
+        return clean;
+    }
+    const cut = clean.slice(0, max - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > max / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:]+$/, '')}…`;
+}
@@ -0,0 +1,38 @@
+/**
+ * Small HTTP helpers shared by the Pages Functions
+ */
+
+/**
+ * Parse a JSON request body without throwing
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false] - Treat an empty body as `{}`
+ * @returns {Promise<{ body: *, error: string|null }>} Parsed body or an error message
+ */
+export async function readJson(request, { optional = false } = {}) {
+    try {
+        const text = await request.text();
+        if (optional && text.trim() === '') {
+            return { body: {}, error: null };
+        }
+        return { body: JSON.parse(text), error: null };
+    } catch (parseError) {
+        return { body: null, error: `Invalid JSON body: ${parseError.message}` };
+    }
+}
+
+/**
+ * Build a 400 response in the `{ success, error, details }` format used by write endpoints
+ *
+ * @param {string} error - Short error description
+ * @param {string|string[]} [details] - Extra detail, arrays are joined with "; "
+ * @returns {Response}
+ */
+export function badRequest(error, details) {
+    return Response.json({
+        success: false,
+        error,
+        details: Array.isArray(details) ? details.join('; ') : details
+    }, { status: 400 });
+}
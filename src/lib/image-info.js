@@ -0,0 +1,117 @@
+/**
+ * Image type and dimensions from file contents
+ *
+ * Uploads are identified by their magic bytes rather than the declared
+ * Content-Type or file name, so a file can only be stored (and later
+ * served) as the image type it really is. Only the headers are read; the
+ * image is never decoded.
+ */
+
+/** Supported image types → file extension */
+export const IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+const startsWith = (bytes, signature, offset = 0) =>
+    signature.every((byte, i) => bytes[offset + i] === byte);
+
+const ascii = text => [...text].map(char => char.charCodeAt(0));
+
+const u16be = (bytes, i) => (bytes[i] << 8) | bytes[i + 1];
+const u16le = (bytes, i) => bytes[i] | (bytes[i + 1] << 8);
+const u24le = (bytes, i) => bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16);
+const u32be = (bytes, i) => ((bytes[i] << 24) >>> 0) + (bytes[i + 1] << 16) + (bytes[i + 2] << 8) + bytes[i + 3];
+
+/**
+ * Dimensions from the SOF segment of a JPEG
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{ width: number, height: number }|null}
+ */
+function jpegSize(bytes) {
+    let i = 2;
+    while (i + 9 < bytes.length) {
+        if (bytes[i] !== 0xFF) {
+            return null;
+        }
+        const marker = bytes[i + 1];
+        if (marker === 0xFF) {
+            i++;
+            continue;
+        }
+        // Standalone markers carry no length
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+            i += 2;
+            continue;
+        }
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { height: u16be(bytes, i + 5), width: u16be(bytes, i + 7) };
+        }
+        i += 2 + u16be(bytes, i + 2);
+    }
+    return null;
+}
+
+/**
+ * Dimensions from the first chunk of a WebP
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{ width: number, height: number }|null}
+ */
+function webpSize(bytes) {
+    if (startsWith(bytes, ascii('VP8 '), 12) && bytes.length >= 30) {
+        return { width: u16le(bytes, 26) & 0x3FFF, height: u16le(bytes, 28) & 0x3FFF };
+    }
+    if (startsWith(bytes, ascii('VP8L'), 12) && bytes.length >= 25) {
+        const [b0, b1, b2, b3] = bytes.subarray(21, 25);
+        return {
+            width: 1 + (((b1 & 0x3F) << 8) | b0),
+            height: 1 + (((b3 & 0x0F) << 10) | (b2 << 2) | ((b1 & 0xC0) >> 6))
+        };
+    }
+    if (startsWith(bytes, ascii('VP8X'), 12) && bytes.length >= 30) {
+        return { width: 1 + u24le(bytes, 24), height: 1 + u24le(bytes, 27) };
+    }
+    return null;
+}
+
+/**
+ * Identify an image and read its dimensions
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{ contentType: string, extension: string, width: number|null, height: number|null }|null}
+ *   Null if the file is not a supported image; width/height are null if the
+ *   header could not be read
+ */
+export function readImageInfo(bytes) {
+    let contentType = null;
+    let size = null;
+
+    if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        contentType = 'image/png';
+        size = bytes.length >= 24 ? { width: u32be(bytes, 16), height: u32be(bytes, 20) } : null;
+    } else if (startsWith(bytes, [0xFF, 0xD8, 0xFF])) {
+        contentType = 'image/jpeg';
+        size = jpegSize(bytes);
+    } else if (startsWith(bytes, ascii('GIF87a')) || startsWith(bytes, ascii('GIF89a'))) {
+        contentType = 'image/gif';
+        size = bytes.length >= 10 ? { width: u16le(bytes, 6), height: u16le(bytes, 8) } : null;
+    } else if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) {
+        contentType = 'image/webp';
+        size = webpSize(bytes);
+    }
+
+    if (!contentType) {
+        return null;
+    }
+    return {
+        contentType,
+        extension: IMAGE_TYPES[contentType],
+        width: size ? size.width : null,
+        height: size ? size.height : null
+    };
+}
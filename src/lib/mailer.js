@@ -0,0 +1,121 @@
+/**
+ * Outgoing email through a pluggable adapter
+ *
+ * Everything that sends mail (confirmation emails, digests) builds a
+ * message and hands it to createMailer(env).send(). The MAIL_ADAPTER
+ * variable picks the adapter:
+ *
+ * - `log` (default): prints the message to the console; nothing is sent
+ * - `file`: writes each message as JSON to R2 under MAIL_OUTBOX_PREFIX.
+ *   With `wrangler dev` the bucket is stored on disk, so messages can be
+ *   read from .wrangler/state
+ * - `http`: POSTs the message as JSON to MAIL_API_URL with MAIL_API_KEY as
+ *   a bearer token. The body ({ from, to, subject, html, text, headers })
+ *   matches the Resend API; other providers need a small relay or a new
+ *   adapter
+ *
+ * An adapter is a factory `env => ({ name, send(message) })`. send()
+ * resolves to `{ id }` (the provider's message ID, or null) and throws if
+ * the message was not accepted. To add a provider, add its factory to
+ * MAIL_ADAPTERS.
+ */
+
+import { SITE_TITLE } from './site.js';
+
+/** Sender used when MAIL_FROM is not set (fine for `log` and `file`) */
+const DEFAULT_FROM = `${SITE_TITLE} <newsletter@example.com>`;
+
+/** R2 prefix of the `file` adapter */
+export const MAIL_OUTBOX_PREFIX = 'mail-outbox/';
+
+/** Time the `http` adapter's provider has to accept a message */
+const HTTP_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} from
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text - Plain-text body
+ * @property {string} html - HTML body
+ * @property {Object<string, string>} [headers] - Extra headers, e.g. List-Unsubscribe
+ */
+
+export const MAIL_ADAPTERS = {
+    log: () => ({
+        name: 'log',
+        async send(message) {
+            console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}`);
+            console.log(message.text);
+            return { id: null };
+        }
+    }),
+
+    file: env => {
+        if (!env.BUCKET) {
+            throw new Error('MAIL_ADAPTER "file" needs the BUCKET binding');
+        }
+        return {
+            name: 'file',
+            async send(message) {
+                const id = `${new Date().toISOString().replace(/[:.]/g, '-')}_${crypto.randomUUID()}`;
+                await env.BUCKET.put(`${MAIL_OUTBOX_PREFIX}${id}.json`, JSON.stringify(message, null, 2), {
+                    httpMetadata: { contentType: 'application/json' }
+                });
+                return { id };
+            }
+        };
+    },
+
+    http: env => {
+        if (!env.MAIL_API_URL || !env.MAIL_API_KEY) {
+            throw new Error('MAIL_ADAPTER "http" needs MAIL_API_URL and MAIL_API_KEY');
+        }
+        return {
+            name: 'http',
+            async send(message) {
+                const response = await fetch(env.MAIL_API_URL, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${env.MAIL_API_KEY}`
+                    },
+                    body: JSON.stringify(message),
+                    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+                });
+                if (!response.ok) {
+                    const detail = (await response.text()).slice(0, 200);
+                    throw new Error(`Mail provider responded with HTTP ${response.status}: ${detail}`);
+                }
+                const result = await response.json().catch(() => ({}));
+                return { id: result.id ?? null };
+            }
+        };
+    }
+};
+
+/**
+ * Adapter selected by MAIL_ADAPTER
+ *
+ * @param {Object} env - Environment bindings (MAIL_ADAPTER and what the adapter needs)
+ * @returns {{ name: string, send: (message: MailMessage) => Promise<{ id: string|null }> }}
+ * @throws {Error} For an unknown adapter or missing configuration
+ */
+export function createMailer(env) {
+    const name = env.MAIL_ADAPTER || 'log';
+    const factory = MAIL_ADAPTERS[name];
+    if (!factory) {
+        throw new Error(`Unknown MAIL_ADAPTER "${name}"; expected one of: ${Object.keys(MAIL_ADAPTERS).join(', ')}`);
+    }
+    return factory(env);
+}
+
+/**
+ * Sender address
+ *
+ * @param {Object} env - Environment bindings (MAIL_FROM)
+ * @returns {string}
+ */
+export function mailFrom(env) {
+    return env.MAIL_FROM || DEFAULT_FROM;
+}
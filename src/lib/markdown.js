@@ -0,0 +1,294 @@
+/**
+ * Markdown rendering for post content
+ *
+ * Posts are stored as Markdown (what the model writes). renderMarkdown()
+ * turns it into HTML once, on the server, so the API, the post pages and
+ * the feeds all serve the same output:
+ *
+ * - headings get stable `id`s and are collected into a table of contents
+ * - fenced code blocks keep their language as `class="language-<lang>"`
+ *   for client-side highlighters
+ * - raw HTML in the source is escaped, not passed through
+ * - link and image targets of the form `media:<id>` point at uploaded
+ *   media (see media.js)
+ * - the result is run through the allow-list sanitiser (sanitize.js) as a
+ *   second line of defence
+ *
+ * Supported syntax: ATX headings, paragraphs, emphasis, strong,
+ * strikethrough, inline code, fenced code, blockquotes, nested lists,
+ * links, images, autolinks, horizontal rules, hard line breaks and GFM
+ * tables. Reference-style links and setext headings are not supported.
+ */
+
+import { escapeHtml } from './html.js';
+import { resolveMediaRef } from './media.js';
+import { decodeEntities, sanitizeHtml } from './sanitize.js';
+import { slugify } from './slug.js';
+
+/** Average adult silent reading speed used for reading time */
+const WORDS_PER_MINUTE = 200;
+
+/** Deepest heading level listed in the table of contents */
+const TOC_MAX_LEVEL = 3;
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^ {0,3}> ?/;
+const LIST_RE = /^( *)([-*+]|\d{1,9}[.)])(?:\s+(.*)|$)/;
+const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Strip tags and decode entities, leaving the visible text
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render inline Markdown (emphasis, code, links, ...) in one line of text
+ *
+ * Code spans, links and escapes are swapped for placeholders before the
+ * text is escaped, so emphasis rules never apply inside them.
+ *
+ * @param {string} text
+ * @param {string[]} [slots] - Placeholder contents, shared with nested calls
+ * @returns {string} HTML
+ */
+function renderInline(text, slots = []) {
+    const hold = html => `\u0000${slots.push(html) - 1}\u0000`;
+
+    let out = text
+        .replace(/\\([\\`*_{}[\]()#+\-.!~|<>])/g, (match, char) => hold(escapeHtml(char)))
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) =>
+            hold(`<img src="${escapeHtml(resolveMediaRef(src))}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`))
+        .replace(/\[([^\]]+)\]\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) =>
+            hold(`<a href="${escapeHtml(resolveMediaRef(href))}"${title ? ` title="${escapeHtml(title)}"` : ''}>${renderInline(label, slots)}</a>`))
+        .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/g, (match, href) =>
+            hold(`<a href="${escapeHtml(href)}">${escapeHtml(href.replace(/^mailto:/, ''))}</a>`));
+
+    out = escapeHtml(out)
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/ {2,}\n|\\\n/g, '<br>\n');
+
+    // Link labels are rendered by a nested call and can hold placeholders
+    // taken before the link was matched (e.g. escaped brackets)
+    while (/\u0000\d+\u0000/.test(out)) {
+        out = out.replace(/\u0000(\d+)\u0000/g, (match, index) => slots[index]);
+    }
+    return out;
+}
+
+/**
+ * Split a GFM table row into trimmed cells
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitRow(line) {
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim());
+}
+
+/**
+ * Does this line start a block that interrupts a paragraph?
+ *
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+    return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line)
+        || QUOTE_RE.test(line) || LIST_RE.test(line);
+}
+
+/**
+ * Collect the items of a list starting at lines[start]
+ *
+ * @param {string[]} lines
+ * @param {number} start
+ * @returns {{ ordered: boolean, first: number, loose: boolean, items: string[][], end: number }}
+ */
+function collectList(lines, start) {
+    const [, indent, marker] = lines[start].match(LIST_RE);
+    const ordered = /\d/.test(marker);
+    const items = [];
+    let item = null;
+    let contentIndent = 0;
+    let loose = false;
+    let blank = false;
+    let i = start;
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim()) {
+            blank = true;
+            item.push('');
+            continue;
+        }
+
+        const match = line.match(LIST_RE);
+        const lineIndent = line.match(/^ */)[0].length;
+
+        if (match && match[1].length <= indent.length + 1 && /\d/.test(match[2]) === ordered) {
+            // Next item of this list
+            loose = loose || (blank && items.length > 0);
+            contentIndent = match[1].length + match[2].length + 1;
+            item = [match[3] || ''];
+            items.push(item);
+        } else if (lineIndent > indent.length) {
+            // Continuation or nested block inside the current item
+            loose = loose || (blank && !LIST_RE.test(line));
+            item.push(line.slice(Math.min(lineIndent, contentIndent)));
+        } else if (!blank && !startsBlock(line)) {
+            // Lazy continuation of the item's paragraph
+            item.push(line.trim());
+        } else {
+            break;
+        }
+        blank = false;
+    }
+
+    return { ordered, first: ordered ? parseInt(marker, 10) : 1, loose, items, end: i };
+}
+
+/**
+ * Render a sequence of lines as block-level HTML
+ *
+ * @param {string[]} lines
+ * @param {Object} state - Shared render state (heading IDs, TOC)
+ * @returns {string[]} One HTML string per block
+ */
+function renderBlocks(lines, state) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        if ((match = line.match(FENCE_RE))) {
+            const closing = new RegExp(`^ {0,3}${match[1][0]}{${match[1].length},}\\s*$`);
+            const lang = match[2].toLowerCase().replace(/[^a-z0-9_+#.-]/g, '').slice(0, 30);
+            const code = [];
+            for (i++; i < lines.length && !closing.test(lines[i]); i++) {
+                code.push(lines[i]);
+            }
+            i++;
+            const attr = lang ? ` class="language-${lang}"` : '';
+            blocks.push(`<pre><code${attr}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        if ((match = line.match(HEADING_RE))) {
+            const level = match[1].length;
+            const html = renderInline(match[2] || '');
+            const text = htmlToText(html);
+            const base = slugify(text) || 'section';
+            let id = base;
+            for (let n = 2; state.ids.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            state.ids.add(id);
+            if (level <= TOC_MAX_LEVEL && text) {
+                state.toc.push({ level, id, text });
+            }
+            blocks.push(`<h${level} id="${id}">${html}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (HR_RE.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE_RE.test(line)) {
+            const quoted = [];
+            for (; i < lines.length && QUOTE_RE.test(lines[i]); i++) {
+                quoted.push(lines[i].replace(QUOTE_RE, ''));
+            }
+            blocks.push(`<blockquote>\n${renderBlocks(quoted, state).join('\n')}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_RE.test(line)) {
+            const list = collectList(lines, i);
+            const tag = list.ordered ? 'ol' : 'ul';
+            const start = list.ordered && list.first !== 1 ? ` start="${list.first}"` : '';
+            const items = list.items.map(item => {
+                let inner = renderBlocks(item, state);
+                if (!list.loose) {
+                    inner = inner.map(block => block.replace(/^<p>([\s\S]*)<\/p>$/, '$1'));
+                }
+                return `<li>${inner.join('\n')}</li>`;
+            });
+            blocks.push(`<${tag}${start}>\n${items.join('\n')}\n</${tag}>`);
+            i = list.end;
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const header = splitRow(line);
+            const rows = [];
+            for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) {
+                rows.push(splitRow(lines[i]));
+            }
+            const cells = (row, tag) => header.map((_, col) => `<${tag}>${renderInline(row[col] || '')}</${tag}>`).join('');
+            blocks.push(`<table>\n<thead>\n<tr>${cells(header, 'th')}</tr>\n</thead>\n<tbody>\n${
+                rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('\n')
+            }\n</tbody>\n</table>`);
+            continue;
+        }
+
+        const paragraph = [];
+        for (; i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i])); i++) {
+            paragraph.push(lines[i].replace(/^\s+/, ''));
+        }
+        blocks.push(`<p>${renderInline(paragraph.join('\n').replace(/\s+$/, ''))}</p>`);
+    }
+
+    return blocks;
+}
+
+/**
+ * Render post Markdown
+ *
+ * @param {string} markdown
+ * @returns {{
+ *   html: string,
+ *   toc: Array<{ level: number, id: string, text: string }>,
+ *   wordCount: number,
+ *   readingTime: number
+ * }} Sanitised HTML, headings up to TOC_MAX_LEVEL, and reading time in minutes
+ */
+export function renderMarkdown(markdown) {
+    const state = { ids: new Set(), toc: [] };
+    // NUL is reserved for renderInline() placeholders
+    const lines = String(markdown || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const html = sanitizeHtml(renderBlocks(lines, state).join('\n'));
+    const text = htmlToText(html);
+    const wordCount = text ? text.split(' ').length : 0;
+
+    return {
+        html,
+        toc: state.toc,
+        wordCount,
+        readingTime: wordCount > 0 ? Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)) : 0
+    };
+}
@@ -0,0 +1,368 @@
+/**
+ * Media library: files uploaded by editors
+ *
+ * Uploads (POST /api/media, multipart) are stored in R2 under
+ * uploads/<mediaId> (see media.js) with their metadata in the `media`
+ * table. Only raster images are accepted; the type is detected from the
+ * file contents (image-info.js), never taken from the client, and the
+ * dimensions are read from the image header.
+ *
+ * Posts use an upload by ID in their Markdown, `![Alt](media:<id>)`, which
+ * the renderer resolves to the served URL. `post_id` only records which
+ * post a file was uploaded for (to list a post's files); any post may
+ * reference any upload. Deleting a file still referenced by a post is
+ * refused unless forced, since the post would show a broken image.
+ */
+
+import { readImageInfo, IMAGE_TYPES } from './image-info.js';
+import { mediaUrl, MEDIA_REF_SCHEME, uploadKey } from './media.js';
+import { paginateRows, parseListParams } from './pagination.js';
+import { DEFAULT_REVISION_AUTHOR } from './revisions.js';
+
+/** Accepted content types */
+export const MEDIA_TYPES = Object.keys(IMAGE_TYPES);
+
+/** Largest accepted file, in bytes */
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+export const MEDIA_LIMITS = {
+    filename: 200,
+    alt_text: 500,
+    owner: 100
+};
+
+/** Page size bounds of listMedia() */
+export const MEDIA_PAGE_SIZE = { default: 50, max: 100 };
+
+const MEDIA_COLUMNS = `
+    id, key, filename, content_type, size, width, height, alt_text, owner, post_id, created_at, updated_at
+`;
+
+/**
+ * Validate an optional string field
+ *
+ * @param {*} value
+ * @param {string} field
+ * @param {string[]} errors - Collects error messages
+ * @returns {string|null|undefined} Trimmed value, null when empty, undefined when invalid
+ */
+function optionalText(value, field, errors) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        errors.push(`${field} must be a string`);
+        return undefined;
+    }
+    const text = value.trim();
+    if (text.length > MEDIA_LIMITS[field]) {
+        errors.push(`${field} must be at most ${MEDIA_LIMITS[field]} characters`);
+        return undefined;
+    }
+    return text || null;
+}
+
+/**
+ * Make an uploaded file name safe to store and send back in headers
+ *
+ * @param {string} name
+ * @param {string} extension - Extension matching the detected type
+ * @returns {string}
+ */
+function cleanFilename(name, extension) {
+    const base = String(name || '')
+        .split(/[\\/]/).pop()
+        .replace(/[^\w.\- ]+/g, '')
+        .replace(/\.[^.]*$/, '')
+        .trim()
+        .slice(0, MEDIA_LIMITS.filename - extension.length - 1);
+    return `${base || 'upload'}.${extension}`;
+}
+
+/**
+ * Validate a multipart upload
+ *
+ * Fields: `file` (required), `alt_text`, `owner` (defaults to "Admin") and
+ * `post_id` (slug or ID; the caller resolves it).
+ *
+ * @param {FormData} formData
+ * @returns {Promise<{ errors: string[], status: number, upload: Object|null }>}
+ *   `status` is the HTTP status for the errors: 413 for a file that is too
+ *   large, 415 for an unsupported type, otherwise 400
+ */
+export async function validateUpload(formData) {
+    const errors = [];
+    const file = formData.get('file');
+
+    if (!file || typeof file === 'string' || typeof file.arrayBuffer !== 'function') {
+        return { errors: ['file is required (multipart field "file")'], status: 400, upload: null };
+    }
+    if (file.size === 0) {
+        return { errors: ['file is empty'], status: 400, upload: null };
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+        return { errors: [`file must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`], status: 413, upload: null };
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const info = readImageInfo(bytes);
+    if (!info) {
+        return {
+            errors: [`Unsupported file type; accepted types are ${MEDIA_TYPES.join(', ')}`],
+            status: 415,
+            upload: null
+        };
+    }
+
+    const altText = optionalText(formData.get('alt_text'), 'alt_text', errors);
+    const owner = optionalText(formData.get('owner'), 'owner', errors);
+    const postRef = formData.get('post_id');
+    if (postRef !== null && typeof postRef !== 'string') {
+        errors.push('post_id must be a string');
+    }
+
+    if (errors.length > 0) {
+        return { errors, status: 400, upload: null };
+    }
+
+    return {
+        errors,
+        status: 200,
+        upload: {
+            bytes,
+            content_type: info.contentType,
+            width: info.width,
+            height: info.height,
+            filename: cleanFilename(file.name, info.extension),
+            alt_text: altText,
+            owner: owner || DEFAULT_REVISION_AUTHOR,
+            post_ref: postRef && postRef.trim() ? postRef.trim() : null
+        }
+    };
+}
+
+/**
+ * Validate metadata changes (PATCH)
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {{ errors: string[], values: { alt_text?: string|null, post_ref?: string|null } }}
+ *   `post_ref` is the slug or ID to resolve, null to detach the file
+ */
+export function validateMediaInput(body) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values };
+    }
+
+    if (body.alt_text !== undefined) {
+        const altText = optionalText(body.alt_text, 'alt_text', errors);
+        if (altText !== undefined) {
+            values.alt_text = altText;
+        }
+    }
+
+    if (body.post_id !== undefined) {
+        if (body.post_id !== null && (typeof body.post_id !== 'string' || !body.post_id.trim())) {
+            errors.push('post_id must be a post ID, slug or null');
+        } else {
+            values.post_ref = body.post_id ? body.post_id.trim() : null;
+        }
+    }
+
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+        errors.push('Provide at least one of: alt_text, post_id');
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Validate the query of a media listing
+ *
+ * @param {URLSearchParams} params - `post`, `limit`, `cursor`
+ * @returns {{ errors: string[], options: { postRef: string|null, limit: number, cursor: Object|null } }}
+ */
+export function validateListParams(params) {
+    const { errors, limit, cursor } = parseListParams(params, MEDIA_PAGE_SIZE);
+    const options = { postRef: params.get('post') || null, limit, cursor };
+
+    return { errors, options };
+}
+
+/**
+ * Shape a `media` row for the API
+ *
+ * @param {Object} row
+ * @returns {Object} Row plus `url` and a ready-to-paste Markdown `markdown` snippet
+ */
+export function toMedia(row) {
+    const alt = (row.alt_text || '').replace(/[[\]\\]/g, '\\$&');
+    return {
+        ...row,
+        url: mediaUrl(row.key),
+        markdown: `![${alt}](${MEDIA_REF_SCHEME}${row.id})`
+    };
+}
+
+/**
+ * Store an upload in R2 and record it
+ *
+ * @param {Object} env - Environment bindings (BUCKET, DB)
+ * @param {Object} upload - From validateUpload(), with `post_id` resolved
+ * @returns {Promise<Object>} The new media item (see toMedia)
+ */
+export async function createMedia(env, upload) {
+    const id = `media_${crypto.randomUUID()}`;
+    const key = uploadKey(id);
+    const timestamp = new Date().toISOString();
+
+    await env.BUCKET.put(key, upload.bytes, {
+        httpMetadata: {
+            contentType: upload.content_type,
+            contentDisposition: `inline; filename="${upload.filename.replace(/"/g, '')}"`
+        },
+        customMetadata: { mediaId: id, owner: upload.owner }
+    });
+
+    const row = {
+        id,
+        key,
+        filename: upload.filename,
+        content_type: upload.content_type,
+        size: upload.bytes.byteLength,
+        width: upload.width,
+        height: upload.height,
+        alt_text: upload.alt_text,
+        owner: upload.owner,
+        post_id: upload.post_id || null,
+        created_at: timestamp,
+        updated_at: timestamp
+    };
+
+    try {
+        await env.DB.prepare(`
+            INSERT INTO media (${MEDIA_COLUMNS})
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            row.id, row.key, row.filename, row.content_type, row.size, row.width, row.height,
+            row.alt_text, row.owner, row.post_id, row.created_at, row.updated_at
+        ).run();
+    } catch (error) {
+        // Don't leave an object no row points at
+        await env.BUCKET.delete(key).catch(() => {});
+        throw error;
+    }
+
+    console.log('[Media] Uploaded', { id, contentType: row.content_type, size: row.size });
+    return toMedia(row);
+}
+
+/**
+ * Load one media item
+ *
+ * @param {D1Database} db
+ * @param {string} mediaId
+ * @returns {Promise<Object|null>}
+ */
+export async function getMedia(db, mediaId) {
+    const row = await db.prepare(`SELECT ${MEDIA_COLUMNS} FROM media WHERE id = ?`).bind(mediaId).first();
+    return row ? toMedia(row) : null;
+}
+
+/**
+ * List media, newest first
+ *
+ * @param {D1Database} db
+ * @param {{ postId?: string|null, limit: number, cursor?: { key: string, id: string }|null }} options
+ * @returns {Promise<{ media: Object[], nextCursor: string|null }>}
+ */
+export async function listMedia(db, { postId = null, limit, cursor = null }) {
+    const conditions = [];
+    const bindings = [];
+
+    if (postId) {
+        conditions.push('post_id = ?');
+        bindings.push(postId);
+    }
+    if (cursor) {
+        conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+        bindings.push(cursor.key, cursor.key, cursor.id);
+    }
+
+    const { results } = await db.prepare(`
+        SELECT ${MEDIA_COLUMNS}
+        FROM media
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+    `).bind(...bindings, limit + 1).all();
+
+    const { items, nextCursor } = paginateRows(results, limit, row => ({ k: row.created_at, id: row.id }));
+    return { media: items.map(toMedia), nextCursor };
+}
+
+/**
+ * Apply validated metadata changes
+ *
+ * @param {D1Database} db
+ * @param {string} mediaId
+ * @param {{ alt_text?: string|null, post_id?: string|null }} values
+ * @returns {Promise<boolean>} False if the media item does not exist
+ */
+export async function updateMedia(db, mediaId, values) {
+    const fields = ['alt_text', 'post_id'].filter(field => values[field] !== undefined);
+    const result = await db.prepare(`
+        UPDATE media
+        SET ${[...fields.map(field => `${field} = ?`), 'updated_at = ?'].join(', ')}
+        WHERE id = ?
+    `).bind(...fields.map(field => values[field]), new Date().toISOString(), mediaId).run();
+
+    return Boolean(result.meta && result.meta.changes > 0);
+}
+
+/**
+ * Posts whose Markdown, or the Markdown of one of their translations,
+ * references a media item
+ *
+ * @param {D1Database} db
+ * @param {string} mediaId
+ * @returns {Promise<{ id: string, slug: string|null, title: string, status: string, translations: string[] }[]>}
+ *   `translations` lists the languages whose translation references it
+ */
+export async function findReferencingPosts(db, mediaId) {
+    const ref = `${MEDIA_REF_SCHEME}${mediaId}`;
+    const { results } = await db.prepare(`
+        SELECT p.id, p.slug, p.title, p.status,
+               (SELECT json_group_array(lang) FROM (
+                   SELECT t.lang FROM blog_post_translations t
+                   WHERE t.post_id = p.id AND instr(t.content, ?) > 0
+                   ORDER BY t.lang
+               )) AS translations
+        FROM blog_posts p
+        WHERE instr(p.content, ?) > 0
+           OR EXISTS (SELECT 1 FROM blog_post_translations t WHERE t.post_id = p.id AND instr(t.content, ?) > 0)
+        ORDER BY p.created_at DESC
+    `).bind(ref, ref, ref).all();
+
+    return (results || []).map(row => ({ ...row, translations: JSON.parse(row.translations) }));
+}
+
+/**
+ * Delete a media item and its file
+ *
+ * @param {Object} env - Environment bindings (BUCKET, DB)
+ * @param {{ id: string, key: string }} media
+ * @returns {Promise<void>}
+ */
+export async function deleteMedia(env, media) {
+    await env.DB.prepare('DELETE FROM media WHERE id = ?').bind(media.id).run();
+
+    try {
+        await env.BUCKET.delete(media.key);
+    } catch (error) {
+        // The row is gone, so the file is no longer listed or referenced by ID
+        console.error(`[Media] Failed to delete ${media.key}:`, error.message);
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * Media stored in R2 (the BUCKET binding)
+ *
+ * Objects are served by /api/media/:key. Only keys under
+ * PUBLIC_MEDIA_PREFIXES are served; anything else in the bucket stays
+ * private.
+ *
+ * Keys are never overwritten: a replaced file gets a new key, so responses
+ * can be cached for good (MEDIA_CACHE_CONTROL).
+ *
+ * Layout:
+ * - blog/<postId>/...: files belonging to one post (featured images);
+ *   removed with the post
+ * - uploads/<mediaId>: files uploaded by editors (see media-library.js);
+ *   outlive the posts that use them
+ *
+ * Post Markdown refers to uploads as `media:<mediaId>`, e.g.
+ * `![Diagram](media:media_123)`; resolveMediaRef() turns that into the
+ * served URL when the post is rendered.
+ */
+
+/** Key prefixes served by /api/media */
+export const PUBLIC_MEDIA_PREFIXES = ['blog/', 'uploads/'];
+
+/** Scheme of references to uploads in post Markdown */
+export const MEDIA_REF_SCHEME = 'media:';
+
+const MEDIA_ID_RE = /^media_[0-9a-f-]{36}$/;
+
+/** Cache-Control of served media; keys are immutable */
+export const MEDIA_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Key prefix of a post's files
+ *
+ * @param {string} postId
+ * @returns {string}
+ */
+export function postMediaPrefix(postId) {
+    return `blog/${postId}/`;
+}
+
+/**
+ * Key of an uploaded file
+ *
+ * @param {string} mediaId
+ * @returns {string}
+ */
+export function uploadKey(mediaId) {
+    return `uploads/${mediaId}`;
+}
+
+/**
+ * Whether a string has the shape of a media ID
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isMediaId(value) {
+    return typeof value === 'string' && MEDIA_ID_RE.test(value);
+}
+
+/**
+ * Resolve a `media:<id>` reference in post Markdown to its URL
+ *
+ * Anything else (including a malformed reference) is returned unchanged.
+ *
+ * @param {string} url - Link or image target
+ * @returns {string}
+ */
+export function resolveMediaRef(url) {
+    if (!url.startsWith(MEDIA_REF_SCHEME)) {
+        return url;
+    }
+    const mediaId = url.slice(MEDIA_REF_SCHEME.length);
+    return isMediaId(mediaId) ? mediaUrl(uploadKey(mediaId)) : url;
+}
+
+/**
+ * Whether a key may be served publicly
+ *
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isPublicMediaKey(key) {
+    return typeof key === 'string'
+        && !key.split('/').some(segment => segment === '' || segment === '.' || segment === '..')
+        && PUBLIC_MEDIA_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Site-relative URL serving a key
+ *
+ * @param {string|null} key
+ * @returns {string|null} Null when there is no key
+ */
+export function mediaUrl(key) {
+    return key ? `/api/media/${key.split('/').map(encodeURIComponent).join('/')}` : null;
+}
+
+/**
+ * Parse a `Range: bytes=...` request header against an object's size
+ *
+ * Only single ranges are supported (`start-end`, `start-` and `-suffix`);
+ * multipart ranges and other units are ignored, so the whole object is
+ * served, as RFC 9110 allows.
+ *
+ * @param {string|null} header - Range header value
+ * @param {number} size - Object size in bytes
+ * @returns {{ offset: number, length: number }|{ unsatisfiable: true }|null}
+ *   Null when the header should be ignored
+ */
+export function parseRangeHeader(header, size) {
+    const match = /^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const suffix = Number(match[2]);
+        if (suffix === 0) {
+            return { unsatisfiable: true };
+        }
+        start = Math.max(size - suffix, 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        if (match[2] !== '' && Number(match[2]) < start) {
+            return null;
+        }
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size) {
+        return { unsatisfiable: true };
+    }
+    return { offset: start, length: end - start + 1 };
+}
+
+/**
+ * Delete every object under a prefix
+ *
+ * @param {R2Bucket} bucket
+ * @param {string} prefix
+ * @returns {Promise<number>} Number of objects deleted
+ */
+export async function deleteMediaPrefix(bucket, prefix) {
+    let deleted = 0;
+    let cursor;
+
+    do {
+        const listing = await bucket.list({ prefix, cursor });
+        const keys = listing.objects.map(object => object.key);
+        if (keys.length > 0) {
+            await bucket.delete(keys);
+            deleted += keys.length;
+        }
+        cursor = listing.truncated ? listing.cursor : undefined;
+    } while (cursor);
+
+    return deleted;
+}
+
+/**
+ * Remove a deleted post's files after the response has been sent
+ *
+ * Never throws: the post is already gone, so a failure is only logged.
+ *
+ * @param {Object} context - Cloudflare Pages Functions context (env.BUCKET)
+ * @param {string} postId
+ * @returns {Promise<void>}
+ */
+export function queuePostMediaCleanup(context, postId) {
+    const bucket = context.env.BUCKET;
+    if (!bucket) {
+        return Promise.resolve();
+    }
+
+    const task = deleteMediaPrefix(bucket, postMediaPrefix(postId))
+        .then(count => {
+            if (count > 0) console.log(`[Media] Deleted ${count} file(s) of post ${postId}`);
+        })
+        .catch(error => {
+            console.error(`[Media] Failed to delete files of post ${postId}:`, error.message);
+        });
+
+    if (typeof context.waitUntil === 'function') {
+        context.waitUntil(task);
+    }
+    return task;
+}
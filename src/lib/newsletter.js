@@ -0,0 +1,537 @@
+/**
+ * Newsletter subscribers
+ *
+ * Readers subscribe with double opt-in:
+ *
+ * 1. subscribe() stores the address as `pending` and emails a confirmation
+ *    link (/newsletter/confirm?token=...), valid for CONFIRM_TOKEN_TTL_HOURS,
+ *    whose page asks the reader to press a button
+ * 2. confirmSubscription() marks it `confirmed`; from then on it gets the
+ *    weekly digest (see digests.js)
+ * 3. every email carries an unsubscribe link (/newsletter/unsubscribe?token=...)
+ *    and the List-Unsubscribe headers for one-click unsubscribing (RFC 8058)
+ *
+ * Addresses on the suppression list (`email_suppressions`) are never
+ * emailed. Unsubscribing adds the address with reason `unsubscribed`; admins
+ * add bounced or complaining addresses. Subscribing again and confirming
+ * lifts an `unsubscribed` suppression, since the reader asked for it, but
+ * never the other reasons.
+ *
+ * subscribe() gives the same answer whatever the address's state, so the
+ * endpoint cannot be used to find out who is subscribed.
+ */
+
+import { escapeHtml } from './html.js';
+import { createMailer, mailFrom } from './mailer.js';
+import { paginateRows, parseListParams } from './pagination.js';
+import { renderDocument } from './post-page.js';
+import { SITE_TITLE } from './site.js';
+
+export const SUBSCRIBER_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+
+export const SUPPRESSION_REASONS = ['unsubscribed', 'bounced', 'complained', 'manual'];
+
+/** How long a confirmation link works */
+const CONFIRM_TOKEN_TTL_HOURS = 48;
+
+/** An address gets at most one confirmation email per this many minutes */
+const CONFIRM_RESEND_MINUTES = 10;
+
+const NEWSLETTER_LIMITS = {
+    email: 254,
+    note: 500
+};
+
+/** Page size bounds of listSubscribers() and listSuppressions() */
+export const SUBSCRIBER_PAGE_SIZE = { default: 50, max: 100 };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SUBSCRIBER_COLUMNS = `
+    s.id, s.email, s.status, s.created_at, s.confirmed_at, s.unsubscribed_at, s.last_digest_id,
+    x.reason AS suppression_reason
+`;
+
+/**
+ * Lower-cased address, or null if it is not a plausible email address
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function normalizeEmail(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const email = value.trim().toLowerCase();
+    return email.length <= NEWSLETTER_LIMITS.email && EMAIL_PATTERN.test(email) ? email : null;
+}
+
+/**
+ * Validate a subscription request
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {{ errors: string[], values: { email?: string } }}
+ */
+export function validateSubscribeInput(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values: {} };
+    }
+    const email = normalizeEmail(body.email);
+    return email
+        ? { errors: [], values: { email } }
+        : { errors: ['email must be a valid email address'], values: {} };
+}
+
+/**
+ * Validate a suppression list entry
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {{ errors: string[], values: { email?: string, reason?: string, note?: string|null } }}
+ */
+export function validateSuppressionInput(body) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values };
+    }
+
+    const email = normalizeEmail(body.email);
+    if (!email) {
+        errors.push('email must be a valid email address');
+    } else {
+        values.email = email;
+    }
+
+    const reason = body.reason ?? 'manual';
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+        errors.push(`reason must be one of: ${SUPPRESSION_REASONS.join(', ')}`);
+    } else {
+        values.reason = reason;
+    }
+
+    const note = body.note;
+    if (note !== undefined && note !== null) {
+        if (typeof note !== 'string' || note.trim().length > NEWSLETTER_LIMITS.note) {
+            errors.push(`note must be a string of at most ${NEWSLETTER_LIMITS.note} characters`);
+        } else {
+            values.note = note.trim() || null;
+        }
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Validate the query of a subscriber or suppression listing
+ *
+ * @param {URLSearchParams} params
+ * @param {string[]} filters - Allowed values of `status` (subscriber statuses
+ *   or suppression reasons)
+ * @param {string} filterName - Name of the filter parameter
+ * @returns {{ errors: string[], options: { filter: string|null, limit: number, cursor: { key: string, id: string }|null } }}
+ */
+export function validateNewsletterListParams(params, filters, filterName) {
+    const { errors, limit, cursor } = parseListParams(params, SUBSCRIBER_PAGE_SIZE);
+    const options = { filter: params.get(filterName) || null, limit, cursor };
+
+    if (options.filter && !filters.includes(options.filter)) {
+        errors.push(`${filterName} must be one of: ${filters.join(', ')}`);
+    }
+
+    return { errors, options };
+}
+
+/**
+ * Random token for confirmation and unsubscribe links
+ *
+ * @returns {string} 64 hex characters
+ */
+function generateToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Confirmation link
+ *
+ * @param {string} base - Site base URL (see site.js)
+ * @param {string} token
+ * @returns {string}
+ */
+export function confirmUrl(base, token) {
+    return `${base}/newsletter/confirm?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Unsubscribe link
+ *
+ * @param {string} base - Site base URL (see site.js)
+ * @param {string} token - The subscriber's unsubscribe_token
+ * @returns {string}
+ */
+export function unsubscribeUrl(base, token) {
+    return `${base}/newsletter/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Headers that let mail clients offer one-click unsubscribing (RFC 8058)
+ *
+ * @param {string} link - From unsubscribeUrl()
+ * @returns {Object<string, string>}
+ */
+export function unsubscribeHeaders(link) {
+    return {
+        'List-Unsubscribe': `<${link}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+}
+
+/**
+ * Why an address must not be emailed
+ *
+ * @param {D1Database} db
+ * @param {string} email - Normalized address
+ * @returns {Promise<string|null>} Suppression reason, or null
+ */
+export async function getSuppressionReason(db, email) {
+    return db.prepare('SELECT reason FROM email_suppressions WHERE email = ?').bind(email).first('reason');
+}
+
+/**
+ * Wrap an email body in the shared layout
+ *
+ * @param {Object} email
+ * @param {string} email.title - Shown as the heading
+ * @param {string} email.body - HTML content
+ * @param {string} email.footer - HTML footer (e.g. the unsubscribe link)
+ * @returns {string} HTML document
+ */
+export function renderEmailHtml({ title, body, footer }) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f5f5f5;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#222;">
+<div style="max-width:600px;margin:0 auto;padding:24px;background:#ffffff;">
+<h1 style="font-size:22px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+${body}
+<hr style="border:none;border-top:1px solid #ddd;margin:32px 0 16px;">
+<p style="font-size:12px;color:#777;">${footer}</p>
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Confirmation email
+ *
+ * @param {string} link - From confirmUrl()
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderConfirmationEmail(link) {
+    const subject = `Confirm your subscription to ${SITE_TITLE}`;
+    const text = `Please confirm that you want the weekly digest of ${SITE_TITLE}:
+
+${link}
+
+The link works for ${CONFIRM_TOKEN_TTL_HOURS} hours. If you did not ask to subscribe, ignore this email and you will not hear from us again.
+`;
+    const html = renderEmailHtml({
+        title: subject,
+        body: `<p>Please confirm that you want the weekly digest of ${escapeHtml(SITE_TITLE)}.</p>
+<p><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 18px;background:#f38020;color:#ffffff;text-decoration:none;border-radius:4px;">Confirm subscription</a></p>
+<p style="font-size:13px;color:#555;">Or open this link: ${escapeHtml(link)}</p>`,
+        footer: `The link works for ${CONFIRM_TOKEN_TTL_HOURS} hours. If you did not ask to subscribe, ignore this email and you will not hear from us again.`
+    });
+    return { subject, text, html };
+}
+
+/**
+ * Start a subscription and send the confirmation email
+ *
+ * @param {Object} env - Environment bindings (DB and the mail adapter's)
+ * @param {string} email - Normalized address
+ * @param {string} base - Site base URL, for the confirmation link
+ * @param {Date} [now]
+ * @returns {Promise<'sent'|'confirmed'|'recently_sent'|'suppressed'>} What happened;
+ *   not for the reader, who gets the same answer every time
+ * @throws {Error} If the confirmation email could not be sent
+ */
+export async function subscribe(env, email, base, now = new Date()) {
+    const db = env.DB;
+
+    const reason = await getSuppressionReason(db, email);
+    if (reason && reason !== 'unsubscribed') {
+        console.log('[Newsletter] Subscription for a suppressed address ignored', { reason });
+        return 'suppressed';
+    }
+
+    const existing = await db.prepare(`
+        SELECT id, status, confirm_sent_at FROM subscribers WHERE email = ?
+    `).bind(email).first();
+
+    if (existing && existing.status === 'confirmed') {
+        return 'confirmed';
+    }
+    if (existing && existing.confirm_sent_at
+        && now - new Date(existing.confirm_sent_at) < CONFIRM_RESEND_MINUTES * 60 * 1000) {
+        return 'recently_sent';
+    }
+
+    const token = generateToken();
+    const expiresAt = new Date(now.getTime() + CONFIRM_TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    const id = existing ? existing.id : `sub_${crypto.randomUUID()}`;
+
+    if (existing) {
+        // An unsubscribed reader stays unsubscribed until they confirm again
+        await db.prepare(`
+            UPDATE subscribers SET confirm_token = ?, confirm_expires_at = ? WHERE id = ?
+        `).bind(token, expiresAt, id).run();
+    } else {
+        await db.prepare(`
+            INSERT INTO subscribers (id, email, status, confirm_token, confirm_expires_at, unsubscribe_token, created_at)
+            VALUES (?, ?, 'pending', ?, ?, ?, ?)
+        `).bind(id, email, token, expiresAt, generateToken(), now.toISOString()).run();
+    }
+
+    const message = renderConfirmationEmail(confirmUrl(base, token));
+    await createMailer(env).send({ from: mailFrom(env), to: email, ...message });
+
+    await db.prepare('UPDATE subscribers SET confirm_sent_at = ? WHERE id = ?').bind(now.toISOString(), id).run();
+    console.log('[Newsletter] Confirmation sent', { id });
+    return 'sent';
+}
+
+/**
+ * Confirm a subscription from its confirmation link
+ *
+ * @param {D1Database} db
+ * @param {string} token
+ * @param {Date} [now]
+ * @returns {Promise<{ id: string, email: string }|null>} Null for an unknown,
+ *   used or expired token
+ */
+export async function confirmSubscription(db, token, now = new Date()) {
+    const subscriber = await db.prepare(`
+        SELECT id, email, confirm_expires_at FROM subscribers WHERE confirm_token = ?
+    `).bind(token).first();
+
+    if (!subscriber || subscriber.confirm_expires_at < now.toISOString()) {
+        return null;
+    }
+
+    await db.batch([
+        db.prepare(`
+            UPDATE subscribers
+            SET status = 'confirmed', confirmed_at = ?, unsubscribed_at = NULL,
+                confirm_token = NULL, confirm_expires_at = NULL
+            WHERE id = ?
+        `).bind(now.toISOString(), subscriber.id),
+        db.prepare(`
+            DELETE FROM email_suppressions WHERE email = ? AND reason = 'unsubscribed'
+        `).bind(subscriber.email)
+    ]);
+
+    console.log('[Newsletter] Subscription confirmed', { id: subscriber.id });
+    return { id: subscriber.id, email: subscriber.email };
+}
+
+/**
+ * Unsubscribe from an unsubscribe link
+ *
+ * Idempotent: following the link again is not an error.
+ *
+ * @param {D1Database} db
+ * @param {string} token
+ * @param {Date} [now]
+ * @returns {Promise<{ id: string, email: string }|null>} Null for an unknown token
+ */
+export async function unsubscribe(db, token, now = new Date()) {
+    const subscriber = await db.prepare(`
+        SELECT id, email, status FROM subscribers WHERE unsubscribe_token = ?
+    `).bind(token).first();
+
+    if (!subscriber) {
+        return null;
+    }
+
+    const timestamp = now.toISOString();
+    await db.batch([
+        db.prepare(`
+            UPDATE subscribers
+            SET status = 'unsubscribed', unsubscribed_at = COALESCE(unsubscribed_at, ?),
+                confirm_token = NULL, confirm_expires_at = NULL
+            WHERE id = ?
+        `).bind(timestamp, subscriber.id),
+        db.prepare(`
+            INSERT INTO email_suppressions (email, reason, created_at)
+            VALUES (?, 'unsubscribed', ?)
+            ON CONFLICT(email) DO NOTHING
+        `).bind(subscriber.email, timestamp)
+    ]);
+
+    if (subscriber.status !== 'unsubscribed') {
+        console.log('[Newsletter] Unsubscribed', { id: subscriber.id });
+    }
+    return { id: subscriber.id, email: subscriber.email };
+}
+
+/**
+ * Subscribers, newest first
+ *
+ * @param {D1Database} db
+ * @param {{ filter?: string|null, limit: number, cursor?: { key: string, id: string }|null }} options
+ *   `filter` is a subscriber status
+ * @returns {Promise<{ subscribers: Object[], nextCursor: string|null }>}
+ */
+export async function listSubscribers(db, { filter = null, limit, cursor = null }) {
+    const conditions = [];
+    const bindings = [];
+
+    if (filter) {
+        conditions.push('s.status = ?');
+        bindings.push(filter);
+    }
+    if (cursor) {
+        conditions.push('(s.created_at < ? OR (s.created_at = ? AND s.id < ?))');
+        bindings.push(cursor.key, cursor.key, cursor.id);
+    }
+
+    const { results } = await db.prepare(`
+        SELECT ${SUBSCRIBER_COLUMNS}
+        FROM subscribers s
+        LEFT JOIN email_suppressions x ON x.email = s.email
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY s.created_at DESC, s.id DESC
+        LIMIT ?
+    `).bind(...bindings, limit + 1).all();
+
+    const { items, nextCursor } = paginateRows(results, limit, row => ({ k: row.created_at, id: row.id }));
+    return { subscribers: items, nextCursor };
+}
+
+/**
+ * One subscriber, without their tokens
+ *
+ * @param {D1Database} db
+ * @param {string} subscriberId
+ * @returns {Promise<Object|null>}
+ */
+export async function getSubscriber(db, subscriberId) {
+    return db.prepare(`
+        SELECT ${SUBSCRIBER_COLUMNS}
+        FROM subscribers s
+        LEFT JOIN email_suppressions x ON x.email = s.email
+        WHERE s.id = ?
+    `).bind(subscriberId).first();
+}
+
+/**
+ * Delete a subscriber (e.g. on an erasure request)
+ *
+ * The suppression list is left alone, so a suppressed address stays suppressed.
+ *
+ * @param {D1Database} db
+ * @param {string} subscriberId
+ * @returns {Promise<boolean>} False if there was no such subscriber
+ */
+export async function deleteSubscriber(db, subscriberId) {
+    const result = await db.prepare('DELETE FROM subscribers WHERE id = ?').bind(subscriberId).run();
+    return Boolean(result.meta && result.meta.changes > 0);
+}
+
+/**
+ * Suppression list, newest first
+ *
+ * @param {D1Database} db
+ * @param {{ filter?: string|null, limit: number, cursor?: { key: string, id: string }|null }} options
+ *   `filter` is a suppression reason
+ * @returns {Promise<{ suppressions: Object[], nextCursor: string|null }>}
+ */
+export async function listSuppressions(db, { filter = null, limit, cursor = null }) {
+    const conditions = [];
+    const bindings = [];
+
+    if (filter) {
+        conditions.push('reason = ?');
+        bindings.push(filter);
+    }
+    if (cursor) {
+        conditions.push('(created_at < ? OR (created_at = ? AND email < ?))');
+        bindings.push(cursor.key, cursor.key, cursor.id);
+    }
+
+    const { results } = await db.prepare(`
+        SELECT email, reason, note, created_at
+        FROM email_suppressions
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY created_at DESC, email DESC
+        LIMIT ?
+    `).bind(...bindings, limit + 1).all();
+
+    const { items, nextCursor } = paginateRows(results, limit, row => ({ k: row.created_at, id: row.email }));
+    return { suppressions: items, nextCursor };
+}
+
+/**
+ * Add an address to the suppression list, or change its reason
+ *
+ * @param {D1Database} db
+ * @param {{ email: string, reason: string, note?: string|null }} values
+ * @param {Date} [now]
+ * @returns {Promise<{ created: boolean, suppression: Object }>}
+ */
+export async function addSuppression(db, { email, reason, note = null }, now = new Date()) {
+    const existing = await getSuppressionReason(db, email);
+
+    await db.prepare(`
+        INSERT INTO email_suppressions (email, reason, note, created_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(email) DO UPDATE SET reason = excluded.reason, note = excluded.note
+    `).bind(email, reason, note, now.toISOString()).run();
+
+    const suppression = await db.prepare(`
+        SELECT email, reason, note, created_at FROM email_suppressions WHERE email = ?
+    `).bind(email).first();
+
+    return { created: existing === null, suppression };
+}
+
+/**
+ * Remove an address from the suppression list
+ *
+ * A confirmed subscriber gets digests again; an unsubscribed one stays
+ * unsubscribed until they subscribe again.
+ *
+ * @param {D1Database} db
+ * @param {string} email - Normalized address
+ * @returns {Promise<boolean>} False if it was not suppressed
+ */
+export async function removeSuppression(db, email) {
+    const result = await db.prepare('DELETE FROM email_suppressions WHERE email = ?').bind(email).run();
+    return Boolean(result.meta && result.meta.changes > 0);
+}
+
+/**
+ * Reader-facing page for the confirmation and unsubscribe links
+ *
+ * @param {string} heading
+ * @param {string} body - HTML content
+ * @returns {string} HTML document
+ */
+export function renderNewsletterPage(heading, body) {
+    return renderDocument({
+        title: `${heading} | ${SITE_TITLE}`,
+        head: '    <meta name="robots" content="noindex">',
+        body: `        <article class="post-article">
+            <h1>${escapeHtml(heading)}</h1>
+${body}
+        </article>
+        <p class="post-back"><a href="/#blog">← Back to the blog</a></p>`
+    });
+}
@@ -0,0 +1,117 @@
+/**
+ * Opaque cursor helpers for keyset pagination
+ *
+ * A cursor captures the sort key and ID of the last row on a page, so the
+ * next page can continue with `WHERE (key, id) > (?, ?)` instead of an
+ * OFFSET that gets slower and shifts when rows are inserted.
+ */
+
+/**
+ * Encode a cursor payload as a URL-safe string
+ *
+ * @param {Object} payload - Cursor fields (e.g. { s: sort, k: key, id })
+ * @returns {string}
+ */
+export function encodeCursor(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - Encoded cursor
+ * @returns {Object|null} Cursor payload, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+    try {
+        const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const payload = JSON.parse(new TextDecoder().decode(bytes));
+        return payload && typeof payload === 'object' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read `limit` and `cursor` from a list endpoint's query
+ *
+ * For lists ordered by a sort key and ID, with cursors written as
+ * `{ k: key, id }` (see paginateRows()).
+ *
+ * @param {URLSearchParams} params
+ * @param {{ default: number, max: number }} pageSize
+ * @returns {{ errors: string[], limit: number, cursor: { key: string, id: string }|null }}
+ */
+export function parseListParams(params, pageSize) {
+    const errors = [];
+    let limit = pageSize.default;
+    let cursor = null;
+
+    if (params.has('limit')) {
+        const value = Number(params.get('limit'));
+        if (!Number.isInteger(value) || value < 1 || value > pageSize.max) {
+            errors.push(`limit must be an integer between 1 and ${pageSize.max}`);
+        } else {
+            limit = value;
+        }
+    }
+
+    if (params.get('cursor')) {
+        const payload = decodeCursor(params.get('cursor'));
+        if (!payload || typeof payload.id !== 'string' || typeof payload.k !== 'string') {
+            errors.push('cursor is malformed');
+        } else {
+            cursor = { key: payload.k, id: payload.id };
+        }
+    }
+
+    return { errors, limit, cursor };
+}
+
+/**
+ * Split a query result into a page and the cursor for the next one
+ *
+ * The query asks for one row more than the page size: when that row comes
+ * back another page exists, and the cursor points after the last row kept.
+ *
+ * @param {Object[]|undefined} rows - Query results, fetched with `LIMIT limit + 1`
+ * @param {number} limit - Page size
+ * @param {Function} cursorOf - `row => payload` for encodeCursor(), given the last row on the page
+ * @returns {{ items: Object[], nextCursor: string|null }}
+ */
+export function paginateRows(rows, limit, cursorOf) {
+    const all = rows || [];
+    const items = all.slice(0, limit);
+    const nextCursor = all.length > limit ? encodeCursor(cursorOf(items[items.length - 1])) : null;
+    return { items, nextCursor };
+}
+
+/**
+ * Response headers announcing the next page
+ *
+ * The cursor goes in `X-Next-Cursor` and, as the request URL with
+ * `?cursor=` replaced, in a `Link: <...>; rel="next"` header, so list
+ * bodies stay plain arrays.
+ *
+ * @param {URL} url - Request URL
+ * @param {string|null} nextCursor - From paginateRows(); no headers when null
+ * @returns {Object} Headers to merge into the response
+ */
+export function paginationHeaders(url, nextCursor) {
+    if (!nextCursor) {
+        return {};
+    }
+    const next = new URL(url);
+    next.searchParams.set('cursor', nextCursor);
+    return {
+        'X-Next-Cursor': nextCursor,
+        'Link': `<${next.pathname}${next.search}>; rel="next"`
+    };
+}
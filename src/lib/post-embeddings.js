@@ -0,0 +1,238 @@
+/**
+ * Blog post embeddings in Vectorize
+ *
+ * Published posts are embedded into the same VECTORS index as the knowledge
+ * base, with `type: 'blog_post'` in their metadata and the post ID as the
+ * vector ID. The index powers related-post recommendations.
+ *
+ * Keeping the index in sync:
+ * - the write endpoints call queueEmbeddingSync() after publishing, editing,
+ *   restoring, unpublishing or deleting a post; it runs after the response
+ *   has been sent (waitUntil)
+ * - `blog_posts.embedded_at` records when a post was last embedded, so the
+ *   cron worker (syncStaleEmbeddings) picks up anything the endpoints missed:
+ *   posts published by the scheduler, failed syncs and posts that existed
+ *   before embeddings did
+ * - deleting an embedded post records it in `pending_vector_deletions` (a
+ *   trigger, see schema.sql), and the row is only cleared once the vector is
+ *   removed, so the cron worker retries removals that failed
+ *
+ * Vectors are only stored for published posts; syncing any other post
+ * removes its vector.
+ *
+ * Related-post queries filter on `type`, which needs a metadata index on
+ * the Vectorize index (see schema/setup.md).
+ */
+
+/** Embedding model; must match the dimensions of the VECTORS index (768) */
+export const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+export const BLOG_POST_VECTOR_TYPE = 'blog_post';
+
+/** The model reads at most 512 tokens; the start of a post is enough */
+const EMBEDDING_TEXT_LENGTH = 2000;
+
+/** Posts re-synced per cron run */
+const SYNC_BATCH_SIZE = 20;
+
+/** Extra matches fetched so that dropping the post itself and stale vectors still fills the list */
+const RELATED_QUERY_MARGIN = 5;
+
+/**
+ * Text embedded for a post: title, excerpt and the start of its content
+ *
+ * @param {{ title: string, excerpt?: string, content: string }} post
+ * @returns {string}
+ */
+function embeddingText(post) {
+    return [post.title, post.excerpt, post.content]
+        .filter(Boolean)
+        .join('\n\n')
+        .slice(0, EMBEDDING_TEXT_LENGTH);
+}
+
+/**
+ * Embed a post's title, excerpt and the start of its content
+ *
+ * Also used to compare newly generated posts with existing ones
+ * (duplicate-detection.js), so both sides are embedded the same way.
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {{ title: string, excerpt?: string, content: string }} post
+ * @returns {Promise<number[]>}
+ */
+export async function embedPost(ai, post) {
+    const embeddings = await ai.run(EMBEDDING_MODEL, { text: embeddingText(post) });
+    return embeddings.data[0];
+}
+
+/**
+ * Embed several posts in one model call, the same way as embedPost()
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {Array<{ title: string, excerpt?: string, content: string }>} posts - At most 100
+ * @returns {Promise<number[][]>} One vector per post, in order
+ */
+export async function embedPosts(ai, posts) {
+    if (posts.length === 0) {
+        return [];
+    }
+    const embeddings = await ai.run(EMBEDDING_MODEL, { text: posts.map(embeddingText) });
+    return embeddings.data;
+}
+
+/**
+ * Bring one post's vector in line with the database
+ *
+ * Published posts are (re-)embedded; unpublished or deleted posts have their
+ * vector removed.
+ *
+ * @param {Object} env - Environment bindings (DB, AI, VECTORS)
+ * @param {string} postId
+ * @returns {Promise<'embedded'|'removed'|'skipped'>} 'skipped' when Vectorize is not configured
+ */
+export async function syncPostEmbedding(env, postId) {
+    if (!env.DB || !env.AI || !env.VECTORS) {
+        return 'skipped';
+    }
+
+    // Taken before reading the post, so an edit made meanwhile stays stale
+    const syncedAt = new Date().toISOString();
+    const post = await env.DB.prepare(`
+        SELECT id, slug, title, excerpt, content, status
+        FROM blog_posts
+        WHERE id = ?
+    `).bind(postId).first();
+
+    // Either way the vector now matches the post, deleted or restored since
+    const clearPending = env.DB.prepare('DELETE FROM pending_vector_deletions WHERE post_id = ?').bind(postId);
+
+    if (!post || post.status !== 'published') {
+        await env.VECTORS.deleteByIds([postId]);
+        await env.DB.batch([
+            env.DB.prepare('UPDATE blog_posts SET embedded_at = NULL WHERE id = ?').bind(postId),
+            clearPending
+        ]);
+        return 'removed';
+    }
+
+    const values = await embedPost(env.AI, post);
+    await env.VECTORS.upsert([{
+        id: post.id,
+        values,
+        metadata: { type: BLOG_POST_VECTOR_TYPE, title: post.title, slug: post.slug }
+    }]);
+    await env.DB.batch([
+        env.DB.prepare('UPDATE blog_posts SET embedded_at = ? WHERE id = ?').bind(syncedAt, postId),
+        clearPending
+    ]);
+
+    return 'embedded';
+}
+
+/**
+ * Sync a post's vector after the response has been sent
+ *
+ * Never throws: a failed sync is logged and retried by the cron worker.
+ *
+ * @param {Object} context - Cloudflare Pages Functions context
+ * @param {string} postId
+ * @returns {Promise<void>}
+ */
+export function queueEmbeddingSync(context, postId) {
+    const task = syncPostEmbedding(context.env, postId).catch(error => {
+        console.error(`[Post Embeddings] Sync failed for ${postId}:`, error.message);
+    });
+
+    if (typeof context.waitUntil === 'function') {
+        context.waitUntil(task);
+    }
+    return task;
+}
+
+/**
+ * Sync posts whose vector is missing, outdated or should not exist
+ *
+ * Pending removals of deleted posts' vectors come first.
+ *
+ * @param {Object} env - Environment bindings (DB, AI, VECTORS)
+ * @param {number} [limit] - Maximum number of posts to sync
+ * @returns {Promise<{ embedded: number, removed: number, failed: number }>}
+ */
+export async function syncStaleEmbeddings(env, limit = SYNC_BATCH_SIZE) {
+    const counts = { embedded: 0, removed: 0, failed: 0 };
+    if (!env.DB || !env.AI || !env.VECTORS) {
+        return counts;
+    }
+
+    const { results: pending } = await env.DB.prepare(`
+        SELECT post_id AS id FROM pending_vector_deletions
+        ORDER BY created_at
+        LIMIT ?
+    `).bind(limit).all();
+
+    const { results: stale } = await env.DB.prepare(`
+        SELECT id FROM blog_posts
+        WHERE (status = 'published' AND (embedded_at IS NULL OR embedded_at < COALESCE(updated_at, created_at)))
+           OR (status != 'published' AND embedded_at IS NOT NULL)
+        ORDER BY COALESCE(updated_at, created_at) DESC
+        LIMIT ?
+    `).bind(limit - (pending || []).length).all();
+
+    const ids = new Set([...(pending || []), ...(stale || [])].map(row => row.id));
+    for (const id of ids) {
+        try {
+            counts[await syncPostEmbedding(env, id)]++;
+        } catch (error) {
+            console.error(`[Post Embeddings] Sync failed for ${id}:`, error.message);
+            counts.failed++;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Find the published posts most similar to a post
+ *
+ * Uses the post's stored vector, or embeds it on the fly if it has none
+ * yet (e.g. a draft being previewed by an admin).
+ *
+ * @param {Object} env - Environment bindings (DB, AI, VECTORS)
+ * @param {{ id: string, title: string, excerpt?: string, content: string }} post
+ * @param {number} limit
+ * @returns {Promise<Object[]>} Posts with a similarity `score`, most similar first
+ */
+export async function findRelatedPosts(env, post, limit) {
+    const [stored] = await env.VECTORS.getByIds([post.id]);
+    const values = stored && stored.values && stored.values.length > 0
+        ? stored.values
+        : await embedPost(env.AI, post);
+
+    const { matches } = await env.VECTORS.query(values, {
+        topK: limit + RELATED_QUERY_MARGIN,
+        filter: { type: BLOG_POST_VECTOR_TYPE },
+        returnValues: false,
+        returnMetadata: 'none'
+    });
+
+    const scores = new Map((matches || [])
+        .filter(match => match.id !== post.id)
+        .map(match => [match.id, match.score]));
+    if (scores.size === 0) {
+        return [];
+    }
+
+    // Vectors can briefly outlive a post being unpublished; D1 has the final say
+    const ids = [...scores.keys()];
+    const { results } = await env.DB.prepare(`
+        SELECT id, slug, title, excerpt, author, created_at AS date
+        FROM blog_posts
+        WHERE status = 'published' AND id IN (${ids.map(() => '?').join(', ')})
+    `).bind(...ids).all();
+
+    return (results || [])
+        .map(row => ({ ...row, score: scores.get(row.id) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
@@ -0,0 +1,451 @@
+/**
+ * AI blog post generation
+ *
+ * Shared by POST /api/blog/generate and the scheduled blog generator worker.
+ *
+ * MODES:
+ * - single pass (default): one LLM call returns title, excerpt and content
+ * - outline first: one call plans the post (title, excerpt, sections), then
+ *   one call per section writes it. Slower, but longer posts stay on topic
+ *   and the outline is returned for editors to review.
+ *
+ * Both modes also ask for an SEO title, meta description and keywords,
+ * returned as `seo_title`, `seo_description` and `keywords` (comma-separated)
+ * ready to store on the post.
+ *
+ * When a draft turns out too similar to an existing post
+ * (duplicate-detection.js), it is regenerated with `options.avoid` set to
+ * that post, which asks the model for a different angle.
+ *
+ * Parts of a multi-part series (series.js) are generated with
+ * `options.series`, which places the series plan and summaries of the
+ * earlier parts in the brief.
+ *
+ * All user-supplied text is normalised before being placed in a prompt so a
+ * topic cannot break out of its quotes or inject extra instructions on new
+ * lines.
+ *
+ * JSON responses go through generateStructured (structured-output.js), which
+ * repairs and validates them and re-prompts on failure. If the model still
+ * fails, generation throws instead of storing placeholder content.
+ */
+
+import { generateStructured, validateSchema } from './structured-output.js';
+
+export const GENERATION_MODEL = '@cf/meta/llama-3-8b-instruct';
+
+/** Workers AI defaults to 256 output tokens, far too few for a full post */
+const MAX_TOKENS = 2048;
+
+export const TONES = ['professional', 'conversational', 'technical', 'friendly', 'persuasive'];
+
+/** Target word counts per length option */
+export const LENGTHS = {
+    short: { min: 300, max: 500, sections: 3 },
+    medium: { min: 500, max: 800, sections: 4 },
+    long: { min: 1000, max: 1500, sections: 6 }
+};
+
+export const DEFAULT_TOPIC = 'technology, AI, or cloud computing';
+
+const DEFAULT_OPTIONS = {
+    topic: DEFAULT_TOPIC,
+    tone: 'professional',
+    audience: 'developers and technical decision makers',
+    length: 'medium',
+    outlineFirst: false,
+    featuredImage: false
+};
+
+const TEXT_LIMITS = {
+    topic: 200,
+    audience: 100
+};
+
+/**
+ * SEO fields requested alongside every post
+ *
+ * Not part of POST_SCHEMA / OUTLINE_SCHEMA: a response without them, or
+ * with an out-of-range value, is still usable. buildSeo() checks them on
+ * their own, drops invalid values and falls back to the title and excerpt.
+ */
+const SEO_PROPERTIES = {
+    seoTitle: { type: 'string', minLength: 5, maxLength: 120 },
+    seoDescription: { type: 'string', minLength: 20, maxLength: 300 },
+    keywords: { type: 'array', maxItems: 15, items: { type: 'string', minLength: 2, maxLength: 50 } }
+};
+
+/** Matches FIELD_LIMITS.keywords in blog-posts.js */
+const MAX_KEYWORDS_LENGTH = 500;
+
+/** JSON lines describing SEO_PROPERTIES in prompts */
+const SEO_PROMPT_FIELDS = `    "seoTitle": "Search result title, at most 60 characters",
+    "seoDescription": "Meta description, 120-155 characters",
+    "keywords": ["5-8", "search", "keywords"]`;
+
+/** Expected shape of a single-pass post */
+export const POST_SCHEMA = {
+    type: 'object',
+    required: ['title', 'content', 'excerpt'],
+    properties: {
+        title: { type: 'string', minLength: 5, maxLength: 200 },
+        content: { type: 'string', minLength: 200 },
+        excerpt: { type: 'string', minLength: 10, maxLength: 500 }
+    }
+};
+
+/** Expected shape of an outline */
+export const OUTLINE_SCHEMA = {
+    type: 'object',
+    required: ['title', 'excerpt', 'sections'],
+    properties: {
+        title: { type: 'string', minLength: 5, maxLength: 200 },
+        excerpt: { type: 'string', minLength: 10, maxLength: 500 },
+        sections: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 10,
+            items: {
+                type: 'object',
+                required: ['heading', 'summary'],
+                properties: {
+                    heading: { type: 'string', minLength: 3, maxLength: 150 },
+                    summary: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Collapse whitespace and strip characters that could escape a prompt
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function sanitizePromptText(text) {
+    return text
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/["`]/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Validate generation options from a request body
+ *
+ * Every option is optional; missing values fall back to DEFAULT_OPTIONS.
+ * `featuredImage` is not used for the text: the callers run the image step
+ * (featured-images.js) once the post is stored.
+ *
+ * @param {Object} body - Parsed JSON request body (may be empty)
+ * @returns {{ errors: string[], options: Object }}
+ */
+export function validateGenerationOptions(body) {
+    const errors = [];
+    const options = { ...DEFAULT_OPTIONS };
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], options };
+    }
+
+    for (const field of ['topic', 'audience']) {
+        if (body[field] === undefined) continue;
+
+        if (typeof body[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+            continue;
+        }
+
+        const value = sanitizePromptText(body[field]);
+        if (!value) {
+            errors.push(`${field} cannot be empty`);
+        } else if (value.length > TEXT_LIMITS[field]) {
+            errors.push(`${field} must be at most ${TEXT_LIMITS[field]} characters`);
+        } else {
+            options[field] = value;
+        }
+    }
+
+    if (body.tone !== undefined) {
+        if (!TONES.includes(body.tone)) {
+            errors.push(`tone must be one of: ${TONES.join(', ')}`);
+        } else {
+            options.tone = body.tone;
+        }
+    }
+
+    if (body.length !== undefined) {
+        if (!LENGTHS[body.length]) {
+            errors.push(`length must be one of: ${Object.keys(LENGTHS).join(', ')}`);
+        } else {
+            options.length = body.length;
+        }
+    }
+
+    for (const field of ['outlineFirst', 'featuredImage']) {
+        if (body[field] === undefined) continue;
+
+        if (typeof body[field] !== 'boolean') {
+            errors.push(`${field} must be a boolean`);
+        } else {
+            options[field] = body[field];
+        }
+    }
+
+    return { errors, options };
+}
+
+/**
+ * Build the stored SEO fields from a model response
+ *
+ * @param {Object} data - Validated model output (post or outline); the SEO fields are checked here
+ * @returns {{ seo_title: string, seo_description: string|null, keywords: string|null }}
+ */
+function buildSeo(data) {
+    const valid = field => data[field] !== undefined && data[field] !== null &&
+        validateSchema(data[field], SEO_PROPERTIES[field]).length === 0;
+    const seoTitle = valid('seoTitle') ? data.seoTitle : null;
+    const seoDescription = valid('seoDescription') ? data.seoDescription : null;
+
+    // Invalid keywords are dropped one by one rather than losing the list
+    const keywordSchema = SEO_PROPERTIES.keywords;
+    const candidates = Array.isArray(data.keywords)
+        ? data.keywords.filter(keyword => validateSchema(keyword, keywordSchema.items).length === 0)
+        : [];
+    const unique = [...new Set(candidates.map(keyword => keyword.trim().toLowerCase()))]
+        .slice(0, keywordSchema.maxItems);
+
+    // Stay within the limit editors have on `keywords`
+    const keywords = [];
+    for (const keyword of unique.filter(Boolean)) {
+        if ([...keywords, keyword].join(', ').length > MAX_KEYWORDS_LENGTH) break;
+        keywords.push(keyword);
+    }
+
+    return {
+        seo_title: (seoTitle || data.title).trim(),
+        seo_description: (seoDescription || data.excerpt || '').trim() || null,
+        keywords: keywords.join(', ') || null
+    };
+}
+
+/**
+ * Call the text generation model for free-form text
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {string} system - System prompt
+ * @param {string} user - User prompt
+ * @returns {Promise<string>} Raw model output
+ */
+async function runModel(ai, system, user) {
+    const aiResponse = await ai.run(GENERATION_MODEL, {
+        messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+        ],
+        max_tokens: MAX_TOKENS
+    });
+    return (aiResponse && aiResponse.response) || '';
+}
+
+/**
+ * Describe the requested post for inclusion in a prompt
+ *
+ * @param {Object} options - Validated generation options
+ * @returns {string}
+ */
+function describeBrief(options) {
+    const length = LENGTHS[options.length];
+    return [
+        `Topic: "${options.topic}"`,
+        `Tone: ${options.tone}`,
+        `Audience: ${options.audience}`,
+        `Length: ${length.min}-${length.max} words`,
+        options.avoid
+            ? `Angle: we already published "${sanitizePromptText(options.avoid.title)}". Take a clearly different angle on the topic, with a different title and different examples.`
+            : null,
+        options.series ? describeSeriesPart(options.series) : null
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Describe where a series part fits, for inclusion in a prompt
+ *
+ * @param {Object} series - `options.series`, see generatePostContent()
+ * @returns {string}
+ */
+function describeSeriesPart(series) {
+    const plan = series.parts
+        .map((part, i) => `${i + 1}. ${sanitizePromptText(part.title)}: ${sanitizePromptText(part.summary)}`)
+        .join('\n');
+    const previous = series.previous.length > 0
+        ? series.previous
+            .map(part => `Part ${part.position} "${sanitizePromptText(part.title)}": ${sanitizePromptText(part.summary)}`)
+            .join('\n')
+        : '(none, this is the first part)';
+    const current = series.parts[series.position - 1];
+
+    return `Series: this is part ${series.position} of ${series.parts.length} of the series "${sanitizePromptText(series.title)}".
+Series plan:
+${plan}
+Earlier parts:
+${previous}
+Write part ${series.position} ("${sanitizePromptText(current.title)}") so it builds on the earlier parts without repeating them, and leaves the later parts' subjects for later.`;
+}
+
+/**
+ * Generate a complete post in a single LLM call
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {Object} options - Validated generation options
+ * @returns {Promise<Object>} title, content, excerpt and SEO fields
+ */
+async function generateSinglePass(ai, options) {
+    const prompt = `Write a blog post for this brief:
+${describeBrief(options)}
+
+Use Markdown for headings and lists in the content.
+Format the response as JSON with the following structure:
+{
+    "title": "Blog post title",
+    "content": "Full blog post content",
+    "excerpt": "Brief excerpt (1-2 sentences)",
+${SEO_PROMPT_FIELDS}
+}`;
+
+    const postData = await generateStructured(ai, {
+        model: GENERATION_MODEL,
+        messages: [
+            { role: 'system', content: 'You are a professional technical blog writer. Always respond with valid JSON.' },
+            { role: 'user', content: prompt }
+        ],
+        schema: POST_SCHEMA,
+        maxTokens: MAX_TOKENS,
+        logPrefix: '[Post Generator]'
+    });
+
+    return {
+        title: postData.title.trim(),
+        content: postData.content.trim(),
+        excerpt: postData.excerpt.trim(),
+        ...buildSeo(postData)
+    };
+}
+
+/**
+ * Plan a post as a list of sections
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {Object} options - Validated generation options
+ * @returns {Promise<{ title: string, excerpt: string, sections: Array<{ heading: string, summary: string }>, seo: Object }>}
+ */
+async function generateOutline(ai, options) {
+    const sectionCount = LENGTHS[options.length].sections;
+    const prompt = `Plan a blog post for this brief:
+${describeBrief(options)}
+
+Split the post into ${sectionCount} sections, including an introduction and a conclusion.
+Format the response as JSON with the following structure:
+{
+    "title": "Blog post title",
+    "excerpt": "Brief excerpt (1-2 sentences)",
+    "sections": [
+        { "heading": "Section heading", "summary": "What this section covers" }
+    ],
+${SEO_PROMPT_FIELDS}
+}`;
+
+    const outline = await generateStructured(ai, {
+        model: GENERATION_MODEL,
+        messages: [
+            { role: 'system', content: 'You are an editor planning technical blog posts. Always respond with valid JSON.' },
+            { role: 'user', content: prompt }
+        ],
+        schema: OUTLINE_SCHEMA,
+        maxTokens: MAX_TOKENS,
+        logPrefix: '[Post Generator]'
+    });
+
+    return {
+        title: outline.title.trim(),
+        excerpt: outline.excerpt.trim(),
+        sections: outline.sections.map(section => ({
+            heading: section.heading.trim(),
+            summary: section.summary.trim()
+        })),
+        seo: buildSeo(outline)
+    };
+}
+
+/**
+ * Write a post section by section from an outline
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {Object} options - Validated generation options
+ * @returns {Promise<Object>} title, content, excerpt, SEO fields and outline
+ */
+async function generateFromOutline(ai, options) {
+    const { seo, ...outline } = await generateOutline(ai, options);
+    const length = LENGTHS[options.length];
+    const wordsPerSection = Math.round((length.min + length.max) / 2 / outline.sections.length);
+    const plan = outline.sections.map((section, i) => `${i + 1}. ${section.heading}`).join('\n');
+
+    const parts = [];
+    for (const section of outline.sections) {
+        const prompt = `You are writing the blog post "${outline.title}".
+${describeBrief(options)}
+
+Full outline:
+${plan}
+
+Write only the section "${section.heading}" (${section.summary}).
+Aim for about ${wordsPerSection} words. Use Markdown, but do not repeat the section heading.`;
+
+        const text = (await runModel(
+            ai,
+            'You are a professional technical blog writer. Respond with the section text only.',
+            prompt
+        )).trim();
+        if (!text) {
+            throw new Error(`Model returned an empty section for "${section.heading}"`);
+        }
+        parts.push(`## ${section.heading}\n\n${text}`);
+    }
+
+    return {
+        title: outline.title,
+        content: parts.join('\n\n'),
+        excerpt: outline.excerpt,
+        ...seo,
+        outline
+    };
+}
+
+/**
+ * Generate a blog post for the given options
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {Object} options - Validated options from validateGenerationOptions
+ * @param {{ title: string }} [options.avoid] - Existing post the new one must differ from
+ * @param {{ id: string, title: string, position: number, parts: Array<{ title: string, summary: string }>,
+ *     previous: Array<{ position: number, title: string, summary: string }> }} [options.series]
+ *     - Series context when writing one part of a series
+ * @returns {Promise<{ title: string, content: string, excerpt: string, seo_title: string,
+ *     seo_description: string|null, keywords: string|null, outline?: Object }>}
+ * @throws {Error} If the model does not produce a usable post
+ */
+export async function generatePostContent(ai, options) {
+    console.log('[Post Generator] Generating post', {
+        topic: options.topic,
+        tone: options.tone,
+        length: options.length,
+        outlineFirst: options.outlineFirst,
+        ...(options.avoid && { avoid: options.avoid.title }),
+        ...(options.series && { series: `${options.series.title} (${options.series.position}/${options.series.parts.length})` })
+    });
+
+    return options.outlineFirst
+        ? generateFromOutline(ai, options)
+        : generateSinglePass(ai, options);
+}
@@ -0,0 +1,942 @@
+/**
+ * Import posts from other blogs
+ *
+ * Three export formats are read, and each file is detected by its name and
+ * contents:
+ *
+ * - Markdown files with YAML front matter (Jekyll, Hugo, Eleventy, ...);
+ *   see front-matter.js for the YAML that is understood
+ * - WordPress WXR exports (Tools → Export)
+ * - Ghost JSON exports (Settings → Labs → Export)
+ *
+ * Every post keeps its original slug, dates, author(s), tags and
+ * categories. HTML bodies are converted to Markdown (html-to-markdown.js);
+ * images and links keep their original URLs. Published posts are imported
+ * as published with their original publish date, so the import bypasses
+ * the editorial workflow on purpose: the content was already reviewed on
+ * the old blog. Imported posts are not run through content moderation and
+ * send no webhook events.
+ *
+ * Each post records where it came from in `import_ref` (`wxr:<host>:<id>`,
+ * `ghost:<uuid>` or `markdown:<path>`), so running the same import
+ * again skips the posts it already created. A post whose slug is taken is
+ * a conflict: it is skipped, or with `on_conflict=rename` imported under
+ * the next free slug ("my-post-2").
+ *
+ * planImport() does everything but the writes, so a dry run returns the
+ * same report the real import would.
+ */
+
+import { createPost, uniqueSlug, validatePostInput } from './blog-posts.js';
+import { parseFrontMatter } from './front-matter.js';
+import { htmlToMarkdown, htmlToText } from './html-to-markdown.js';
+import { truncateText } from './html.js';
+import { isPublicMediaKey } from './media.js';
+import { slugify } from './slug.js';
+import { TAXONOMIES } from './taxonomy.js';
+
+export const IMPORT_FORMATS = ['markdown', 'wxr', 'ghost'];
+
+/** What to do with a post whose slug is taken */
+export const CONFLICT_MODES = ['skip', 'rename'];
+
+/** Largest request body accepted, across all files */
+export const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Posts created per request, to stay within the Worker's D1 query limit;
+ * the rest are reported as skipped and created by running the import again
+ */
+export const MAX_IMPORT_POSTS = 200;
+
+/** Fields that are shortened to FIELD_LIMITS instead of failing the post */
+const TRUNCATED_FIELDS = { excerpt: 500, author: 100, seo_title: 120, seo_description: 300, keywords: 500 };
+
+/** Number of values bound per lookup query (D1 allows 100) */
+const LOOKUP_CHUNK = 50;
+
+/** Post IDs kept from the front matter of this blog's own Markdown export */
+const POST_ID_PATTERN = /^post_[\w-]{1,100}$/;
+
+/** Display names of the formats, used in revision reasons */
+const FORMAT_LABELS = { markdown: 'Markdown', wxr: 'WordPress', ghost: 'Ghost' };
+
+/**
+ * @typedef {Object} ImportCandidate
+ * @property {string} source - File name, plus `#<id>` for items of an export
+ * @property {'markdown'|'wxr'|'ghost'} format
+ * @property {string} ref - Value stored in `import_ref`
+ * @property {string} title
+ * @property {string} slug - Original slug; may be empty
+ * @property {string} content - Markdown
+ * @property {string|null} excerpt
+ * @property {string|null} author
+ * @property {string} status - Post status (see POST_STATUSES)
+ * @property {string|null} publish_at - ISO dates, null when unknown
+ * @property {string|null} created_at
+ * @property {string|null} updated_at
+ * @property {string[]} tags
+ * @property {string[]} categories
+ * @property {string|null} [seo_title]
+ * @property {string|null} [seo_description]
+ * @property {string|null} [keywords]
+ * @property {string|null} [id] - Post ID, from this blog's own export
+ * @property {string|null} [featured_image_key] - R2 key, from this blog's own export
+ * @property {string|null} [series_id]
+ * @property {number|null} [series_position]
+ * @property {string[]} warnings - Things that did not carry over
+ */
+
+/**
+ * Validate the multipart fields of an import request
+ *
+ * Fields: `file` (one or more), `dry_run` ("true" / "false"), `on_conflict`
+ * (skip | rename) and `format` (to override detection).
+ *
+ * @param {FormData} formData
+ * @returns {Promise<{ errors: string[], options: Object|null }>}
+ */
+export async function validateImportRequest(formData) {
+    const errors = [];
+    const uploads = formData.getAll('file').filter(file => file && typeof file !== 'string');
+
+    if (uploads.length === 0) {
+        return { errors: ['At least one file is required (multipart field "file")'], options: null };
+    }
+    if (uploads.reduce((total, file) => total + file.size, 0) > MAX_IMPORT_BYTES) {
+        return { errors: [`files must be at most ${MAX_IMPORT_BYTES / (1024 * 1024)} MB in total`], options: null };
+    }
+
+    const dryRun = formData.get('dry_run');
+    if (dryRun !== null && !['true', 'false', '1', '0'].includes(dryRun)) {
+        errors.push('dry_run must be true or false');
+    }
+    const onConflict = formData.get('on_conflict') || 'skip';
+    if (!CONFLICT_MODES.includes(onConflict)) {
+        errors.push(`on_conflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+    }
+    const format = formData.get('format') || null;
+    if (format !== null && !IMPORT_FORMATS.includes(format)) {
+        errors.push(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+        return { errors, options: null };
+    }
+
+    const files = [];
+    for (const upload of uploads) {
+        files.push({ name: uploadPath(upload.name), text: await upload.text() });
+    }
+
+    return { errors, options: { files, dryRun: dryRun === 'true' || dryRun === '1', onConflict, format } };
+}
+
+/**
+ * Relative path of an uploaded file
+ *
+ * Clients may send the path inside the export as the file name (curl
+ * `;filename=content/posts/a/index.md`, or `file.webkitRelativePath` from a
+ * folder picker), which keeps same-named files in different folders apart.
+ *
+ * @param {string} name - File name from the upload
+ * @returns {string}
+ */
+function uploadPath(name) {
+    const path = String(name || '')
+        .replace(/\\/g, '/')
+        .split('/')
+        .filter(part => part && part !== '.' && part !== '..')
+        .join('/');
+    return path || 'upload';
+}
+
+/**
+ * Work out the format of an uploaded file
+ *
+ * @param {string} name - File name
+ * @param {string} text - File contents
+ * @returns {'markdown'|'wxr'|'ghost'|null}
+ */
+export function detectFormat(name, text) {
+    if (/\.(?:md|markdown|mdx)$/i.test(name)) {
+        return 'markdown';
+    }
+    const start = text.slice(0, 2000);
+    if (/<rss\b/.test(start) && /wordpress\.org\/export/.test(start)) {
+        return 'wxr';
+    }
+    if (/^\s*\{/.test(start) && /"(?:db|data|posts)"\s*:/.test(text.slice(0, 100000))) {
+        return 'ghost';
+    }
+    if (/^\uFEFF?---[ \t]*\r?\n/.test(start)) {
+        return 'markdown';
+    }
+    return null;
+}
+
+/**
+ * Read a date from an export
+ *
+ * Accepts ISO 8601, "YYYY-MM-DD HH:MM:SS" (UTC unless an offset follows),
+ * RFC 2822 and epoch milliseconds. WordPress's "0000-00-00 00:00:00" means
+ * no date.
+ *
+ * @param {*} value
+ * @returns {string|null} ISO date
+ */
+export function parseImportDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? new Date(value).toISOString() : null;
+    }
+
+    const text = String(value).trim();
+    if (/^0000-00-00/.test(text)) {
+        return null;
+    }
+
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+    const time = match
+        ? Date.parse(`${match[1]}T${(match[2] || '0').padStart(2, '0')}:${match[3] || '00'}:${match[4] || '00'}${
+            !match[5] || match[5].toUpperCase() === 'Z' ? 'Z' : match[5].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`)
+        : Date.parse(text);
+
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Turn a front matter or export value into a list of names
+ *
+ * @param {*} value - List, comma-separated string or nothing
+ * @returns {string[]}
+ */
+function nameList(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => (item && typeof item === 'object' ? item.name : item))
+            .filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+    }
+    if (typeof value === 'string' && value.trim()) {
+        // Jekyll separates tags with spaces when there are no commas
+        return value.split(value.includes(',') ? ',' : /\s+/).map(item => item.trim()).filter(Boolean);
+    }
+    return [];
+}
+
+/**
+ * Read a slug from an export, decoding percent-encoded characters
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function cleanSlug(value) {
+    if (typeof value !== 'string') return '';
+    try {
+        return slugify(decodeURIComponent(value));
+    } catch {
+        return slugify(value);
+    }
+}
+
+/**
+ * Build a candidate with the shared defaults
+ *
+ * @param {Object} fields
+ * @returns {ImportCandidate}
+ */
+function candidate(fields) {
+    return {
+        id: null,
+        excerpt: null,
+        author: null,
+        publish_at: null,
+        created_at: null,
+        updated_at: null,
+        tags: [],
+        categories: [],
+        featured_image_key: null,
+        series_id: null,
+        series_position: null,
+        warnings: [],
+        ...fields
+    };
+}
+
+/**
+ * Read one Markdown file
+ *
+ * The title comes from the front matter, or else from a leading `# `
+ * heading. The slug and date fall back to a Jekyll-style file name
+ * ("2019-05-01-my-post.md"), or for Hugo page bundles (`index.md`,
+ * `_index.md`) to the name of their folder.
+ *
+ * @param {string} name - Path of the file within the upload
+ * @param {string} text
+ * @returns {{ items: ImportCandidate[], skipped: Object[] }}
+ */
+export function parseMarkdownFile(name, text) {
+    const { data, body, errors } = parseFrontMatter(text);
+    if (errors.length > 0) {
+        return { items: [], skipped: [{ source: name, title: null, reason: `Front matter: ${errors.join('; ')}` }] };
+    }
+
+    let content = body.trim();
+    let title = typeof data.title === 'string' ? data.title.trim() : '';
+    if (!title) {
+        const heading = content.match(/^# +(.+?)(?: +#+)?\s*(?:\n|$)/);
+        if (heading) {
+            title = heading[1].trim();
+            content = content.slice(heading[0].length).trim();
+        }
+    }
+
+    const folders = name.split('/');
+    let base = folders.pop().replace(/\.(?:md|markdown|mdx)$/i, '');
+    if (/^_?index$/i.test(base)) {
+        base = folders.pop() || '';
+    }
+    const datePrefix = base.match(/^(\d{4}-\d{2}-\d{2})-/);
+    const warnings = [];
+
+    const prose = content.replace(/^(`{3,}|~{3,})[\s\S]*?^\1/gm, '').replace(/`[^`\n]*`/g, '');
+    if (/<\/?(?:p|div|span|img|a|br|table|iframe|figure)\b/i.test(prose)) {
+        warnings.push('Contains raw HTML, which posts show as text');
+    }
+
+    const rawDate = data.date ?? data.publish_at ?? data.published_at ?? data.publishDate ?? (datePrefix ? datePrefix[1] : null);
+    const date = parseImportDate(rawDate);
+    if (rawDate && !date) {
+        warnings.push(`Date "${rawDate}" could not be read`);
+    }
+
+    let status = 'published';
+    if (['draft', 'review', 'scheduled', 'published'].includes(data.status)) {
+        status = data.status;
+    } else if (data.draft === true || data.published === false) {
+        status = 'draft';
+    }
+
+    // Written by this blog's export (blog-export.js): the post ID, the
+    // featured image as `media/<key>` and the series part
+    const featuredImage = typeof data.featured_image === 'string' ? data.featured_image.replace(/^media\//, '') : null;
+    if (featuredImage && !isPublicMediaKey(featuredImage)) {
+        warnings.push(`Featured image "${data.featured_image}" is not a media file of this blog; left out`);
+    }
+    const seriesPosition = /^[1-9]\d*$/.test(String(data.series_position ?? '')) ? Number(data.series_position) : null;
+
+    const rawAuthor = data.author ?? data.authors;
+    let author = typeof rawAuthor === 'string' ? rawAuthor.trim() : nameList(rawAuthor).join(', ');
+    if (rawAuthor && typeof rawAuthor === 'object' && !Array.isArray(rawAuthor)) {
+        author = typeof rawAuthor.name === 'string' ? rawAuthor.name.trim() : '';
+    }
+
+    return {
+        items: [candidate({
+            source: name,
+            format: 'markdown',
+            ref: `markdown:${name}`,
+            title,
+            slug: cleanSlug(data.slug) || slugify(datePrefix ? base.slice(datePrefix[0].length) : base),
+            content,
+            excerpt: [data.excerpt, data.summary, data.description].find(value => typeof value === 'string') || null,
+            author: author || null,
+            status,
+            publish_at: status === 'published' || status === 'scheduled' ? date : null,
+            created_at: parseImportDate(data.created_at) || date,
+            updated_at: parseImportDate(data.updated ?? data.lastmod ?? data.updated_at ?? data.modified),
+            tags: nameList(data.tags),
+            categories: nameList(data.categories ?? data.category),
+            seo_title: typeof data.seo_title === 'string' ? data.seo_title : null,
+            seo_description: typeof data.description === 'string' ? data.description : null,
+            keywords: (typeof data.keywords === 'string' ? data.keywords : nameList(data.keywords).join(', ')) || null,
+            id: typeof data.id === 'string' && POST_ID_PATTERN.test(data.id) ? data.id : null,
+            featured_image_key: featuredImage && isPublicMediaKey(featuredImage) ? featuredImage : null,
+            series_id: typeof data.series_id === 'string' && seriesPosition ? data.series_id : null,
+            series_position: typeof data.series_id === 'string' ? seriesPosition : null,
+            warnings
+        })],
+        skipped: []
+    };
+}
+
+/**
+ * Minimal XML access for WXR files
+ *
+ * CDATA sections are swapped for placeholders first, so markup inside
+ * post content never confuses the element lookups.
+ *
+ * @param {string} text - XML document
+ * @returns {{ source: string, elements: Function, text: Function, value: Function }}
+ */
+function createXmlReader(text) {
+    const sections = [];
+    const source = text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => `\u0000${sections.push(data) - 1}\u0000`);
+
+    // Placeholders land at the odd indexes; entities only apply outside CDATA
+    const value = raw => raw
+        .split(/\u0000(\d+)\u0000/)
+        .map((part, i) => i % 2 === 1 ? sections[Number(part)] : part
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&amp;/g, '&'))
+        .join('')
+        .trim();
+
+    const elements = (block, tag) => {
+        const pattern = new RegExp(`<${tag}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+        return [...block.matchAll(pattern)].map(match => ({ attrs: match[1] || '', raw: match[2] || '' }));
+    };
+
+    return {
+        source,
+        elements,
+        text: (block, tag) => {
+            const [element] = elements(block, tag);
+            return element ? value(element.raw) : '';
+        },
+        value
+    };
+}
+
+/** WordPress statuses and the post status they map to; others are skipped */
+const WXR_STATUSES = { publish: 'published', draft: 'draft', pending: 'review', future: 'scheduled' };
+
+/**
+ * Wrap WordPress "classic editor" content in paragraphs, as WordPress's
+ * wpautop() does when it displays it: blank lines separate paragraphs and
+ * single newlines are line breaks
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function autop(html) {
+    if (/<!-- wp:|<p[\s>]/i.test(html)) {
+        return html;
+    }
+
+    const held = [];
+    const hold = match => `\u0000${held.push(match) - 1}\u0000`;
+    const paragraphs = html
+        .replace(/<pre[\s\S]*?<\/pre>/gi, hold)
+        .split(/\n\s*\n/)
+        .map(chunk => chunk.trim())
+        .filter(Boolean)
+        .map(chunk => /^(?:<\/?(?:div|ul|ol|li|h[1-6]|blockquote|table|figure|hr|iframe)\b|\u0000)/i.test(chunk)
+            ? chunk
+            : `<p>${chunk.replace(/\n/g, '<br>\n')}</p>`);
+
+    return paragraphs.join('\n').replace(/\u0000(\d+)\u0000/g, (match, index) => held[Number(index)]);
+}
+
+/**
+ * Remove the WordPress shortcodes that only wrap content
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function stripShortcodes(html) {
+    return html
+        .replace(/\[caption\b[^\]]*\]([\s\S]*?)\[\/caption\]/g, '<figure>$1</figure>')
+        .replace(/\[embed\b[^\]]*\]([\s\S]*?)\[\/embed\]/g, '<p><a href="$1">$1</a></p>');
+}
+
+/**
+ * Read a WordPress WXR export
+ *
+ * Only items of type `post` become posts. Pages are listed as skipped one
+ * by one; attachments, menu items and the like are summed up per type.
+ *
+ * @param {string} name
+ * @param {string} text
+ * @returns {{ items: ImportCandidate[], skipped: Object[] }}
+ */
+export function parseWxr(name, text) {
+    const xml = createXmlReader(text);
+    const [channel] = xml.elements(xml.source, 'channel');
+    if (!channel) {
+        return { items: [], skipped: [{ source: name, title: null, reason: 'Not a WordPress export: no <channel> element' }] };
+    }
+
+    let host = 'unknown';
+    try {
+        host = new URL(xml.text(channel.raw, 'wp:base_blog_url') || xml.text(channel.raw, 'link')).host || host;
+    } catch {
+        // Keep 'unknown'; refs still tell items of this export apart
+    }
+
+    const authors = new Map(xml.elements(channel.raw, 'wp:author').map(author => [
+        xml.text(author.raw, 'wp:author_login'),
+        xml.text(author.raw, 'wp:author_display_name') || xml.text(author.raw, 'wp:author_login')
+    ]));
+
+    const items = [];
+    const skipped = [];
+    const otherTypes = new Map();
+
+    for (const element of xml.elements(channel.raw, 'item')) {
+        const block = element.raw;
+        const id = xml.text(block, 'wp:post_id');
+        const source = `${name}#${id}`;
+        const type = xml.text(block, 'wp:post_type') || 'post';
+        const title = xml.text(block, 'title');
+
+        if (type !== 'post') {
+            if (type === 'page') {
+                skipped.push({ source, title, reason: 'Pages are not imported' });
+            } else {
+                otherTypes.set(type, (otherTypes.get(type) || 0) + 1);
+            }
+            continue;
+        }
+
+        const wpStatus = xml.text(block, 'wp:status');
+        const status = WXR_STATUSES[wpStatus];
+        if (!status) {
+            skipped.push({ source, title, reason: `WordPress status "${wpStatus}" is not imported` });
+            continue;
+        }
+
+        const terms = { category: [], post_tag: [] };
+        for (const category of xml.elements(block, 'category')) {
+            const domain = (category.attrs.match(/domain="([^"]*)"/) || [])[1];
+            if (terms[domain]) terms[domain].push(xml.value(category.raw));
+        }
+
+        const date = parseImportDate(xml.text(block, 'wp:post_date_gmt')) || parseImportDate(xml.text(block, 'wp:post_date'));
+        const login = xml.text(block, 'dc:creator');
+        const html = xml.text(block, 'content:encoded');
+        const excerpt = htmlToText(xml.text(block, 'excerpt:encoded'));
+
+        items.push(candidate({
+            source,
+            format: 'wxr',
+            ref: `wxr:${host}:${id}`,
+            title,
+            slug: cleanSlug(xml.text(block, 'wp:post_name')),
+            content: htmlToMarkdown(autop(stripShortcodes(html))),
+            excerpt: excerpt || null,
+            author: authors.get(login) || login || null,
+            status,
+            publish_at: status === 'published' || status === 'scheduled' ? date : null,
+            created_at: date,
+            updated_at: parseImportDate(xml.text(block, 'wp:post_modified_gmt')) || parseImportDate(xml.text(block, 'wp:post_modified')),
+            // "Uncategorized" is WordPress's placeholder, not a real category
+            categories: terms.category.filter(term => term.toLowerCase() !== 'uncategorized'),
+            tags: terms.post_tag
+        }));
+    }
+
+    for (const [type, count] of otherTypes) {
+        skipped.push({ source: name, title: null, reason: `${count} "${type}" item(s) are not posts` });
+    }
+
+    return { items, skipped };
+}
+
+/** Ghost statuses and the post status they map to; others are skipped */
+const GHOST_STATUSES = { published: 'published', draft: 'draft', scheduled: 'scheduled' };
+
+/**
+ * Markdown of a Ghost post
+ *
+ * Exports carry `html`; very old ones only have Markdown cards inside
+ * `mobiledoc`.
+ *
+ * @param {Object} post
+ * @returns {string}
+ */
+function ghostContent(post) {
+    if (typeof post.html === 'string' && post.html.trim()) {
+        return htmlToMarkdown(post.html);
+    }
+    if (typeof post.mobiledoc === 'string') {
+        try {
+            const cards = JSON.parse(post.mobiledoc).cards || [];
+            const markdown = cards
+                .filter(([type, payload]) => (type === 'markdown' || type === 'card-markdown') && payload)
+                .map(([, payload]) => payload.markdown || '')
+                .join('\n\n').trim();
+            if (markdown) return markdown;
+        } catch {
+            // Fall through to plaintext
+        }
+    }
+    return typeof post.plaintext === 'string' ? post.plaintext.trim() : '';
+}
+
+/**
+ * Names linked to a post through a Ghost join table, in `sort_order`
+ *
+ * @param {Object[]} rows - posts_tags or posts_authors
+ * @param {string} postId
+ * @param {string} column - tag_id or author_id
+ * @param {Map<string, string>} names
+ * @returns {string[]}
+ */
+function ghostLinked(rows, postId, column, names) {
+    return rows
+        .filter(row => row.post_id === postId)
+        .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0))
+        .map(row => names.get(row[column]))
+        .filter(Boolean);
+}
+
+/**
+ * Read a Ghost JSON export
+ *
+ * Internal tags (the ones starting with "#") are left out.
+ *
+ * @param {string} name
+ * @param {string} text
+ * @returns {{ items: ImportCandidate[], skipped: Object[] }}
+ */
+export function parseGhost(name, text) {
+    let root;
+    try {
+        root = JSON.parse(text);
+    } catch (error) {
+        return { items: [], skipped: [{ source: name, title: null, reason: `Invalid JSON: ${error.message}` }] };
+    }
+
+    const data = (Array.isArray(root.db) && root.db[0] && root.db[0].data) || root.data || root;
+    if (!data || !Array.isArray(data.posts)) {
+        return { items: [], skipped: [{ source: name, title: null, reason: 'Not a Ghost export: no posts array' }] };
+    }
+
+    const users = new Map((data.users || []).map(user => [user.id, user.name]));
+    const tags = new Map((data.tags || [])
+        .filter(tag => tag.visibility !== 'internal' && !String(tag.name || '').startsWith('#'))
+        .map(tag => [tag.id, tag.name]));
+
+    const items = [];
+    const skipped = [];
+
+    for (const post of data.posts) {
+        const source = `${name}#${post.id}`;
+        const type = post.type || (post.page ? 'page' : 'post');
+        if (type !== 'post') {
+            skipped.push({ source, title: post.title || null, reason: 'Pages are not imported' });
+            continue;
+        }
+
+        const status = GHOST_STATUSES[post.status];
+        if (!status) {
+            skipped.push({ source, title: post.title || null, reason: `Ghost status "${post.status}" is not imported` });
+            continue;
+        }
+
+        const authorNames = Array.isArray(post.authors)
+            ? nameList(post.authors)
+            : ghostLinked(data.posts_authors || [], post.id, 'author_id', users);
+        if (authorNames.length === 0 && users.has(post.author_id)) {
+            authorNames.push(users.get(post.author_id));
+        }
+
+        const content = ghostContent(post);
+        const warnings = content.includes('__GHOST_URL__')
+            ? ['Links and images use __GHOST_URL__ and point nowhere until it is replaced with the old site address']
+            : [];
+        const published = parseImportDate(post.published_at);
+
+        items.push(candidate({
+            source,
+            format: 'ghost',
+            ref: `ghost:${post.uuid || post.id}`,
+            title: typeof post.title === 'string' ? post.title : '',
+            slug: cleanSlug(post.slug),
+            content,
+            excerpt: post.custom_excerpt || null,
+            author: authorNames.join(', ') || null,
+            status,
+            publish_at: status === 'published' || status === 'scheduled' ? published : null,
+            created_at: parseImportDate(post.created_at) || published,
+            updated_at: parseImportDate(post.updated_at),
+            tags: Array.isArray(post.tags) ? nameList(post.tags) : ghostLinked(data.posts_tags || [], post.id, 'tag_id', tags),
+            seo_title: post.meta_title || null,
+            seo_description: post.meta_description || null,
+            warnings
+        }));
+    }
+
+    return { items, skipped };
+}
+
+const PARSERS = { markdown: parseMarkdownFile, wxr: parseWxr, ghost: parseGhost };
+
+/**
+ * Read every uploaded file
+ *
+ * @param {Array<{ name: string, text: string }>} files
+ * @param {string|null} [format] - Format of every file, instead of detecting it
+ * @returns {{ items: ImportCandidate[], skipped: Object[] }}
+ */
+export function parseImportFiles(files, format = null) {
+    const items = [];
+    const skipped = [];
+
+    for (const file of files) {
+        const fileFormat = format || detectFormat(file.name, file.text);
+        if (!fileFormat) {
+            skipped.push({ source: file.name, title: null, reason: 'Unrecognised file; expected Markdown, a WordPress WXR or a Ghost JSON export' });
+            continue;
+        }
+        const result = PARSERS[fileFormat](file.name, file.text);
+        items.push(...result.items);
+        skipped.push(...result.skipped);
+    }
+
+    return { items, skipped };
+}
+
+/**
+ * Map a candidate onto validated post values
+ *
+ * Optional fields that are too long are shortened and tag lists trimmed
+ * to the taxonomy limits, with a warning; a missing title or content, or
+ * content over the limit, fails the post.
+ *
+ * @param {ImportCandidate} item
+ * @param {Date} now
+ * @returns {{ errors: string[], values: Object }}
+ */
+function toPostValues(item, now) {
+    const body = { title: item.title, content: item.content };
+
+    for (const [field, max] of Object.entries(TRUNCATED_FIELDS)) {
+        const value = item[field];
+        if (typeof value !== 'string' || !value.trim()) continue;
+        body[field] = truncateText(value, max);
+        if (body[field] !== value.replace(/\s+/g, ' ').trim()) {
+            item.warnings.push(`${field} shortened to ${max} characters`);
+        }
+    }
+
+    for (const type of ['tag', 'category']) {
+        const { field, max } = TAXONOMIES[type];
+        body[field] = item[field].slice(0, max);
+        if (item[field].length > max) {
+            item.warnings.push(`Only the first ${max} of ${item[field].length} ${field} were kept`);
+        }
+    }
+
+    const { errors, values } = validatePostInput(body);
+
+    let status = item.status;
+    const nowIso = now.toISOString();
+    let publishAt = item.publish_at;
+    if (status === 'scheduled' && (!publishAt || publishAt <= nowIso)) {
+        if (publishAt) {
+            item.warnings.push('Scheduled date has passed; imported as published');
+            status = 'published';
+        } else {
+            item.warnings.push('Scheduled post without a date; imported as a draft');
+            status = 'draft';
+        }
+    }
+    if (status === 'published') {
+        if (!publishAt && !item.created_at) {
+            item.warnings.push('No publish date; the time of the import is used');
+        }
+        publishAt = publishAt || item.created_at || nowIso;
+    } else if (status !== 'scheduled') {
+        publishAt = null;
+    }
+
+    const createdAt = item.created_at || publishAt || nowIso;
+    Object.assign(values, {
+        status,
+        publish_at: publishAt,
+        created_at: createdAt,
+        updated_at: item.updated_at && item.updated_at > createdAt ? item.updated_at : createdAt,
+        import_ref: item.ref
+    });
+    for (const field of ['id', 'featured_image_key', 'series_id', 'series_position']) {
+        if (item[field] !== null && item[field] !== undefined) values[field] = item[field];
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Look up existing rows for a list of values, a chunk at a time
+ *
+ * @param {D1Database} db
+ * @param {string} sql - Query with a `(?)` placeholder for the value list
+ * @param {string[]} keys
+ * @returns {Promise<Object[]>}
+ */
+async function lookup(db, sql, keys) {
+    const rows = [];
+    const unique = [...new Set(keys)];
+    for (let i = 0; i < unique.length; i += LOOKUP_CHUNK) {
+        const chunk = unique.slice(i, i + LOOKUP_CHUNK);
+        const { results } = await db.prepare(sql.replace('(?)', `(${chunk.map(() => '?').join(', ')})`)).bind(...chunk).all();
+        rows.push(...(results || []));
+    }
+    return rows;
+}
+
+/**
+ * Decide what happens to every post, without writing anything
+ *
+ * @param {D1Database} db
+ * @param {{ items: ImportCandidate[], skipped: Object[] }} parsed - From parseImportFiles
+ * @param {Object} [options]
+ * @param {'skip'|'rename'} [options.onConflict='skip']
+ * @param {Date} [options.now]
+ * @returns {Promise<{ posts: Object[], conflicts: Object[], skipped: Object[] }>}
+ *   `posts` are the posts to create, each with its validated `values`
+ */
+export async function planImport(db, parsed, { onConflict = 'skip', now = new Date() } = {}) {
+    const posts = [];
+    const conflicts = [];
+    const skipped = [...parsed.skipped];
+
+    const imported = new Map((await lookup(db, 'SELECT id, slug, import_ref FROM blog_posts WHERE import_ref IN (?)',
+        parsed.items.map(item => item.ref))).map(row => [row.import_ref, row]));
+    const byId = new Map((await lookup(db, 'SELECT id, slug FROM blog_posts WHERE id IN (?)',
+        parsed.items.map(item => item.id).filter(Boolean))).map(row => [row.id, row]));
+
+    // Series parts keep their place when the series exists and the place is free
+    const seriesIds = parsed.items.map(item => item.series_id).filter(Boolean);
+    const knownSeries = new Set((await lookup(db, 'SELECT id FROM series WHERE id IN (?)', seriesIds)).map(row => row.id));
+    const takenParts = new Set((await lookup(db, 'SELECT series_id, series_position FROM blog_posts WHERE series_id IN (?)', seriesIds))
+        .map(row => `${row.series_id}:${row.series_position}`));
+    const claimedIds = new Set();
+
+    const valid = [];
+    for (const item of parsed.items) {
+        const existing = imported.get(item.ref) || byId.get(item.id);
+        if (existing) {
+            const reason = imported.has(item.ref) ? 'Already imported' : `Post ${existing.id} already exists`;
+            skipped.push({ source: item.source, title: item.title, reason: `${reason} as "${existing.slug}"`, post_id: existing.id });
+            continue;
+        }
+        if (item.id && claimedIds.has(item.id)) {
+            item.warnings.push(`Post ID ${item.id} is used by an earlier post in this import; a new one is given`);
+            item.id = null;
+        }
+        if (item.id) claimedIds.add(item.id);
+
+        if (item.series_id) {
+            const part = `${item.series_id}:${item.series_position}`;
+            if (!knownSeries.has(item.series_id) || takenParts.has(part)) {
+                item.warnings.push(knownSeries.has(item.series_id)
+                    ? `Part ${item.series_position} of series ${item.series_id} is taken; imported outside the series`
+                    : `Series ${item.series_id} does not exist; imported outside the series`);
+                item.series_id = null;
+                item.series_position = null;
+            } else {
+                takenParts.add(part);
+            }
+        }
+
+        const { errors, values } = toPostValues(item, now);
+        if (errors.length > 0) {
+            skipped.push({ source: item.source, title: item.title || null, reason: errors.join('; ') });
+            continue;
+        }
+        values.slug = item.slug || slugify(values.title) || 'post';
+        valid.push({ item, values });
+    }
+
+    const slugs = valid.map(({ values }) => values.slug);
+    const owners = new Map();
+    const current = await lookup(db, 'SELECT slug, id FROM blog_posts WHERE slug IN (?)', slugs);
+    const previous = await lookup(db, 'SELECT slug, post_id AS id FROM blog_post_slug_history WHERE slug IN (?)', slugs);
+    for (const row of [...current, ...previous]) {
+        if (!owners.has(row.slug)) owners.set(row.slug, row.id);
+    }
+
+    const claimed = new Set();
+    for (const { item, values } of valid) {
+        const slug = values.slug;
+        if (owners.has(slug) || claimed.has(slug)) {
+            const conflict = {
+                source: item.source,
+                title: values.title,
+                slug,
+                post_id: owners.get(slug) || null,
+                reason: owners.has(slug) ? 'Slug is used by an existing post' : 'Slug is used by an earlier post in this import',
+                resolution: onConflict === 'rename' ? 'renamed' : 'skipped'
+            };
+            conflicts.push(conflict);
+            if (onConflict !== 'rename') continue;
+
+            values.slug = await uniqueSlug(db, slug, null, claimed);
+            conflict.new_slug = values.slug;
+        }
+        claimed.add(values.slug);
+
+        if (posts.length >= MAX_IMPORT_POSTS) {
+            skipped.push({
+                source: item.source,
+                title: values.title,
+                reason: `Over the limit of ${MAX_IMPORT_POSTS} posts per import; run the import again to continue`
+            });
+            continue;
+        }
+        posts.push({ item, values });
+    }
+
+    return { posts, conflicts, skipped };
+}
+
+/**
+ * Import, or with `dryRun` only report what would be imported
+ *
+ * @param {D1Database} db
+ * @param {Array<{ name: string, text: string }>} files
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @param {'skip'|'rename'} [options.onConflict='skip']
+ * @param {string|null} [options.format] - Skip format detection
+ * @returns {Promise<Object>} Report: `summary` counts plus `created`, `conflicts` and `skipped` lists
+ */
+export async function importPosts(db, files, { dryRun = false, onConflict = 'skip', format = null } = {}) {
+    const parsed = parseImportFiles(files, format);
+    const plan = await planImport(db, parsed, { onConflict });
+    const created = [];
+    const skipped = plan.skipped;
+
+    for (const { item, values } of plan.posts) {
+        const entry = {
+            source: item.source,
+            title: values.title,
+            slug: values.slug,
+            status: values.status,
+            publish_at: values.publish_at,
+            author: values.author || null,
+            warnings: item.warnings
+        };
+
+        if (!dryRun) {
+            try {
+                entry.id = await createPost(db, values, {
+                    author: values.author,
+                    reason: `Imported from ${FORMAT_LABELS[item.format]}`
+                });
+            } catch (error) {
+                skipped.push({ source: item.source, title: values.title, reason: `Could not be stored: ${error.message}` });
+                continue;
+            }
+        }
+        created.push(entry);
+    }
+
+    return {
+        dry_run: dryRun,
+        summary: {
+            found: parsed.items.length,
+            created: created.length,
+            conflicts: plan.conflicts.length,
+            skipped: skipped.length
+        },
+        created,
+        conflicts: plan.conflicts,
+        skipped
+    };
+}
@@ -0,0 +1,265 @@
+/**
+ * Server-rendered blog post pages
+ *
+ * Renders a complete HTML document per post so search engines and link
+ * unfurlers (Slack, social networks, ...) see the content and metadata
+ * without running the SPA:
+ *
+ * - <title>, meta description and keywords (from the SEO fields, falling
+ *   back to the title / excerpt)
+ * - canonical link to /blog/:slug
+ * - OpenGraph and Twitter card tags
+ * - JSON-LD BlogPosting (https://schema.org/BlogPosting)
+ *
+ * The body is the post's Markdown rendered by markdown.js, with a table of
+ * contents when the post has enough headings to need one, followed by
+ * "Read next" links to related posts and the comments section. Comments
+ * are loaded by /js/comments.js, so new comments do not invalidate the
+ * cached page.
+ */
+
+import { escapeHtml, jsonForScript, truncateText } from './html.js';
+import { renderMarkdown } from './markdown.js';
+import { SITE_DESCRIPTION, SITE_LANGUAGE, SITE_TITLE, postUrl } from './site.js';
+
+/** Search engines show roughly this many characters of a description */
+const DESCRIPTION_LENGTH = 160;
+
+/** Minimum number of headings before a table of contents is shown */
+const TOC_MIN_ENTRIES = 3;
+
+/**
+ * Render the table of contents as a nested-by-indent list of anchors
+ *
+ * @param {Array<{ level: number, id: string, text: string }>} toc
+ * @returns {string}
+ */
+function renderToc(toc) {
+    if (toc.length < TOC_MIN_ENTRIES) {
+        return '';
+    }
+    const top = Math.min(...toc.map(entry => entry.level));
+    const items = toc.map(entry =>
+        `<li class="toc-level-${entry.level - top + 1}"><a href="#${entry.id}">${escapeHtml(entry.text)}</a></li>`
+    ).join('\n');
+    return `<nav class="post-toc" aria-label="Contents">
+                <h2>Contents</h2>
+                <ul>
+${items}
+                </ul>
+            </nav>`;
+}
+
+/**
+ * Shared document shell
+ *
+ * @param {Object} page
+ * @param {string} page.title - Full <title>
+ * @param {string} page.head - Extra tags for <head>
+ * @param {string} page.body - Contents of <main>
+ * @returns {string}
+ */
+export function renderDocument({ title, head, body }) {
+    return `<!DOCTYPE html>
+<html lang="${SITE_LANGUAGE}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+${head}
+    <link rel="stylesheet" href="/css/styles.css">
+    <link rel="alternate" type="application/rss+xml" title="${escapeHtml(SITE_TITLE)} (RSS)" href="/feed.xml">
+</head>
+<body>
+    <header>
+        <nav class="navbar">
+            <div class="container">
+                <div class="brand">
+                    <h1><a href="/">CloudCurio</a></h1>
+                    <p class="tagline">AI-Powered Knowledge Base &amp; Blog</p>
+                </div>
+                <ul class="nav-links">
+                    <li><a href="/#home">Home</a></li>
+                    <li><a href="/#blog" class="active">Blog</a></li>
+                    <li><a href="/#knowledge-base">Knowledge Base</a></li>
+                </ul>
+            </div>
+        </nav>
+    </header>
+
+    <main class="container post-page">
+${body}
+    </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the "Read next" list
+ *
+ * @param {string} base - Site base URL
+ * @param {Object[]} related - Posts from findRelatedPosts()
+ * @returns {string}
+ */
+function renderRelated(base, related) {
+    if (related.length === 0) {
+        return '';
+    }
+    const items = related.map(post => `                <li>
+                    <a href="${escapeHtml(postUrl(base, post))}">${escapeHtml(post.title)}</a>
+                    ${post.excerpt ? `<p>${escapeHtml(post.excerpt)}</p>` : ''}
+                </li>`).join('\n');
+    return `
+        <aside class="post-related">
+            <h2>Read next</h2>
+            <ul>
+${items}
+            </ul>
+        </aside>`;
+}
+
+/**
+ * Render the page for a published post
+ *
+ * @param {string} base - Site base URL (siteUrl())
+ * @param {Object} post - Post from getPostById (with tags, categories and featured_image)
+ * @param {Object[]} [related] - Related posts for the "Read next" list
+ * @param {Object} [options]
+ * @param {boolean} [options.comments=true] - Include the comments section (it needs the API)
+ * @returns {string} HTML document
+ */
+export function renderPostPage(base, post, related = [], { comments = true } = {}) {
+    const url = postUrl(base, post);
+    const title = post.seo_title || post.title;
+    const description = truncateText(post.seo_description || post.excerpt || post.content, DESCRIPTION_LENGTH);
+    const published = post.publish_at || post.created_at;
+    const modified = post.updated_at || published;
+    const author = post.author || 'Anonymous';
+    const tagNames = (post.tags || []).map(tag => tag.name);
+    const section = post.categories && post.categories[0] ? post.categories[0].name : null;
+    const { html, toc, wordCount, readingTime } = renderMarkdown(post.content);
+    const image = post.featured_image ? `${base}${post.featured_image}` : null;
+
+    const meta = (attribute, name, content) =>
+        `    <meta ${attribute}="${name}" content="${escapeHtml(content)}">`;
+
+    const structuredData = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: truncateText(post.title, 110),
+        description,
+        url,
+        mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+        datePublished: published,
+        dateModified: modified,
+        author: { '@type': 'Person', name: author },
+        publisher: { '@type': 'Organization', name: SITE_TITLE, url: `${base}/` },
+        wordCount,
+        timeRequired: `PT${readingTime}M`,
+        ...(post.keywords && { keywords: post.keywords }),
+        ...(section && { articleSection: section }),
+        ...(image && { image })
+    };
+
+    const head = [
+        meta('name', 'description', description),
+        post.keywords ? meta('name', 'keywords', post.keywords) : null,
+        `    <link rel="canonical" href="${escapeHtml(url)}">`,
+        meta('property', 'og:type', 'article'),
+        meta('property', 'og:site_name', SITE_TITLE),
+        meta('property', 'og:title', title),
+        meta('property', 'og:description', description),
+        meta('property', 'og:url', url),
+        image ? meta('property', 'og:image', image) : null,
+        meta('property', 'article:published_time', published),
+        meta('property', 'article:modified_time', modified),
+        meta('property', 'article:author', author),
+        section ? meta('property', 'article:section', section) : null,
+        ...tagNames.map(tag => meta('property', 'article:tag', tag)),
+        meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary'),
+        meta('name', 'twitter:title', title),
+        meta('name', 'twitter:description', description),
+        image ? meta('name', 'twitter:image', image) : null,
+        `    <script type="application/ld+json">${jsonForScript(structuredData)}</script>`
+    ].filter(Boolean).join('\n');
+
+    const tags = tagNames.length > 0
+        ? `<div class="post-tags">${post.tags.map(tag =>
+            `<a class="tag-chip" href="/?tag=${encodeURIComponent(tag.slug)}#blog">#${escapeHtml(tag.name)}</a>`
+        ).join('')}</div>`
+        : '';
+
+    const body = `        <article class="post-article">
+            <h1>${escapeHtml(post.title)}</h1>
+            <div class="meta">
+                <time datetime="${escapeHtml(published)}">${escapeHtml(new Date(published).toDateString())}</time>
+                • ${escapeHtml(author)}
+                ${readingTime > 0 ? `• ${readingTime} min read` : ''}
+            </div>
+            ${tags}
+            ${image ? `<img class="post-featured-image" src="${escapeHtml(post.featured_image)}" alt="">` : ''}
+            ${renderToc(toc)}
+            <div class="post-content">
+${html}
+            </div>
+        </article>${renderRelated(base, related)}${comments ? `
+        <section class="post-comments" id="comments" data-post-id="${escapeHtml(post.id)}">
+            <h2>Comments</h2>
+            <ol class="comment-list"></ol>
+            <noscript><p>Comments need JavaScript.</p></noscript>
+        </section>` : ''}
+        <p class="post-back"><a href="/#blog">← Back to the blog</a></p>${comments ? `
+        <script src="/js/comments.js" defer></script>` : ''}`;
+
+    return renderDocument({ title: `${title} | ${SITE_TITLE}`, head, body });
+}
+
+/**
+ * Render a list of all published posts, newest first
+ *
+ * Used as the home page of the static site export (blog-export.js), where
+ * the SPA's blog list is not available.
+ *
+ * @param {string} base - Site base URL (siteUrl())
+ * @param {Array<{ slug: string, title: string, excerpt: string|null, published: string }>} posts
+ * @returns {string} HTML document
+ */
+export function renderPostIndexPage(base, posts) {
+    const items = posts.map(post => `                <li>
+                    <a href="${escapeHtml(postUrl('', post))}">${escapeHtml(post.title)}</a>
+                    <p><time datetime="${escapeHtml(post.published)}">${escapeHtml(new Date(post.published).toDateString())}</time></p>
+                    ${post.excerpt ? `<p>${escapeHtml(post.excerpt)}</p>` : ''}
+                </li>`).join('\n');
+
+    return renderDocument({
+        title: SITE_TITLE,
+        head: [
+            `    <meta name="description" content="${escapeHtml(SITE_DESCRIPTION)}">`,
+            `    <link rel="canonical" href="${escapeHtml(`${base}/`)}">`
+        ].join('\n'),
+        body: `        <section class="post-related">
+            <h1>${escapeHtml(SITE_TITLE)}</h1>
+            <ul>
+${items}
+            </ul>
+        </section>`
+    });
+}
+
+/**
+ * Render the 404 page for unknown or unpublished posts
+ *
+ * @returns {string} HTML document
+ */
+export function renderNotFoundPage() {
+    return renderDocument({
+        title: `Post not found | ${SITE_TITLE}`,
+        head: '    <meta name="robots" content="noindex">',
+        body: `        <article class="post-article">
+            <h1>Post not found</h1>
+            <p>This post does not exist or is not published yet.</p>
+        </article>
+        <p class="post-back"><a href="/#blog">← Back to the blog</a></p>`
+    });
+}
@@ -0,0 +1,216 @@
+/**
+ * Post revision history
+ *
+ * Every write to a post (create, generate, edit, status change, scheduled
+ * publish, restore) appends a snapshot of the post *after* the change to
+ * `blog_post_revisions`, together with who made the change and why.
+ * Revision 1 is therefore the post exactly as it was created - for
+ * AI-generated posts, what the model wrote - and diffing it against the
+ * latest revision shows what editors changed.
+ *
+ * Snapshots are taken with INSERT ... SELECT from the live row, so the
+ * revision statement can simply be appended to the same db.batch() as the
+ * write it records.
+ *
+ * The history outlives the post: deleting a post records a last "Deleted"
+ * revision and keeps the rest, so the post can still be looked up by its
+ * ID (deletedPostRef) and restored from any revision. Snapshots also carry
+ * the post's moderation columns and created_at for that restore.
+ */
+
+import { diffLines, formatUnified } from './diff.js';
+
+/** Default change author for admin API requests (the token carries no identity) */
+export const DEFAULT_REVISION_AUTHOR = 'Admin';
+
+const REVISION_LIMITS = {
+    revision_author: 100,
+    revision_reason: 500
+};
+
+/** Snapshot fields compared by diffRevisions, in display order */
+const DIFF_FIELDS = ['title', 'excerpt', 'post_author', 'status', 'tags', 'categories', 'content'];
+
+/**
+ * Read the optional revision metadata from a request body
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @param {string} [defaultReason] - Reason used when none is supplied
+ * @returns {{ errors: string[], revision: { author: string, reason: string|null } }}
+ */
+export function validateRevisionMeta(body, defaultReason = null) {
+    const errors = [];
+    const meta = {};
+
+    for (const field of Object.keys(REVISION_LIMITS)) {
+        const value = body ? body[field] : undefined;
+        if (value === undefined || value === null) continue;
+
+        if (typeof value !== 'string') {
+            errors.push(`${field} must be a string`);
+        } else if (value.trim().length > REVISION_LIMITS[field]) {
+            errors.push(`${field} must be at most ${REVISION_LIMITS[field]} characters`);
+        } else if (value.trim()) {
+            meta[field] = value.trim();
+        }
+    }
+
+    return {
+        errors,
+        revision: {
+            author: meta.revision_author || DEFAULT_REVISION_AUTHOR,
+            reason: meta.revision_reason || defaultReason
+        }
+    };
+}
+
+/**
+ * Build the statement that snapshots a post as its next revision
+ *
+ * Must run after the write it records (i.e. last in the batch).
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @param {{ author: string, reason?: string|null }} revision
+ * @returns {D1PreparedStatement}
+ */
+export function revisionStatement(db, postId, { author, reason = null }) {
+    return db.prepare(`
+        INSERT INTO blog_post_revisions
+            (post_id, revision, title, content, excerpt, post_author, status, tags, categories, author, reason, created_at,
+             moderation_status, moderation_reasons, moderated_at, post_created_at)
+        SELECT
+            p.id,
+            (SELECT COALESCE(MAX(revision), 0) + 1 FROM blog_post_revisions WHERE post_id = p.id),
+            p.title, p.content, p.excerpt, p.author, p.status,
+            (SELECT json_group_array(name) FROM (
+                SELECT t.name FROM blog_post_tags j JOIN tags t ON t.id = j.tag_id
+                WHERE j.post_id = p.id ORDER BY t.name
+            )),
+            (SELECT json_group_array(name) FROM (
+                SELECT c.name FROM blog_post_categories j JOIN categories c ON c.id = j.category_id
+                WHERE j.post_id = p.id ORDER BY c.name
+            )),
+            ?, ?, ?,
+            p.moderation_status, p.moderation_reasons, p.moderated_at, p.created_at
+        FROM blog_posts p
+        WHERE p.id = ?
+    `).bind(author, reason, new Date().toISOString(), postId);
+}
+
+/**
+ * Reference to a deleted post that still has revisions
+ *
+ * Deleted posts no longer resolve by slug, so only the post ID works.
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @returns {Promise<{ id: string, slug: null, deleted: true }|null>}
+ */
+export async function deletedPostRef(db, postId) {
+    const row = await db.prepare('SELECT 1 AS found FROM blog_post_revisions WHERE post_id = ? LIMIT 1')
+        .bind(postId).first();
+    return row ? { id: postId, slug: null, deleted: true } : null;
+}
+
+/**
+ * Parse the JSON term lists stored on a revision row
+ *
+ * @param {Object} row - Raw `blog_post_revisions` row
+ * @returns {Object} Row with `tags` / `categories` as arrays
+ */
+function parseRevision(row) {
+    const parse = value => {
+        try {
+            return value ? JSON.parse(value) : [];
+        } catch (error) {
+            return [];
+        }
+    };
+    return { ...row, tags: parse(row.tags), categories: parse(row.categories) };
+}
+
+/**
+ * List a post's revisions, newest first, without their content
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @returns {Promise<Object[]>}
+ */
+export async function listRevisions(db, postId) {
+    const { results } = await db.prepare(`
+        SELECT revision, title, status, author, reason, created_at, length(content) AS content_length
+        FROM blog_post_revisions
+        WHERE post_id = ?
+        ORDER BY revision DESC
+    `).bind(postId).all();
+
+    return results || [];
+}
+
+/**
+ * Load one revision in full
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @param {number} revision - Revision number, or 0 for the latest
+ * @returns {Promise<Object|null>}
+ */
+export async function getRevision(db, postId, revision) {
+    const row = await db.prepare(`
+        SELECT revision, title, content, excerpt, post_author, status, tags, categories, author, reason, created_at,
+               moderation_status, moderation_reasons, moderated_at, post_created_at
+        FROM blog_post_revisions
+        WHERE post_id = ? AND (revision = ? OR (? = 0 AND revision = (
+            SELECT MAX(revision) FROM blog_post_revisions WHERE post_id = ?
+        )))
+    `).bind(postId, revision, revision, postId).first();
+
+    return row ? parseRevision(row) : null;
+}
+
+/**
+ * Compare two revisions field by field
+ *
+ * Short fields are returned as { from, to }; content is returned as a
+ * unified diff with added/removed line counts.
+ *
+ * @param {Object} from - Older revision (from getRevision)
+ * @param {Object} to - Newer revision
+ * @returns {Array<Object>} One entry per changed field
+ */
+export function diffRevisions(from, to) {
+    const changes = [];
+
+    for (const field of DIFF_FIELDS) {
+        const before = from[field];
+        const after = to[field];
+        if (JSON.stringify(before ?? null) === JSON.stringify(after ?? null)) {
+            continue;
+        }
+
+        if (field === 'content') {
+            const ops = diffLines(before, after);
+            changes.push({
+                field,
+                added: ops.filter(op => op.type === 'added').length,
+                removed: ops.filter(op => op.type === 'removed').length,
+                diff: formatUnified(ops)
+            });
+        } else {
+            changes.push({ field, from: before ?? null, to: after ?? null });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Parse a revision number from a URL
+ *
+ * @param {string|null} value
+ * @returns {number|null} Positive integer, or null if invalid
+ */
+export function parseRevisionNumber(value) {
+    return /^[1-9]\d{0,8}$/.test(value || '') ? Number(value) : null;
+}
@@ -0,0 +1,176 @@
+/**
+ * Allow-list HTML sanitiser
+ *
+ * Every piece of post HTML that leaves the server (API, post pages, feeds)
+ * passes through sanitizeHtml(). Only the tags and attributes listed below
+ * survive; everything else is dropped:
+ *
+ * - unknown tags are removed but their text is kept
+ * - script-like elements (script, style, iframe, ...) are removed with
+ *   their contents
+ * - comments are removed
+ * - href/src must be http(s), mailto or relative
+ * - unbalanced tags are closed or dropped so the output cannot break the
+ *   surrounding page
+ *
+ * It is a small tokenizer, not a full HTML parser: it is meant for the
+ * HTML produced by markdown.js, and errs on the side of dropping anything
+ * it does not understand.
+ */
+
+import { escapeHtml } from './html.js';
+
+/** Allowed tags and, per tag, the attributes they may keep */
+const ALLOWED = {
+    p: [], br: [], hr: [],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    strong: [], em: [], del: [], code: ['class'], pre: [],
+    blockquote: [],
+    ul: [], ol: ['start'], li: [],
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    table: [], thead: [], tbody: [], tr: [], th: [], td: []
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+/** Elements removed together with everything inside them */
+const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math'];
+
+/** Per-attribute value checks */
+const ATTRIBUTE_PATTERNS = {
+    id: /^[a-z0-9-]{1,100}$/,
+    class: /^language-[a-z0-9_+#.-]{1,30}$/,
+    start: /^\d{1,9}$/
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML entities that can hide a URL scheme ("jav&#97;script:")
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Check that a URL is safe to put in href/src
+ *
+ * @param {string} url - Decoded attribute value
+ * @returns {boolean}
+ */
+export function isSafeUrl(url) {
+    // Browsers ignore control characters and whitespace inside schemes
+    const compact = url.replace(/[\u0000- \u007f]/g, '');
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Keep the allowed attributes of one tag
+ *
+ * @param {string} tag
+ * @param {string} source - Raw attribute text
+ * @returns {string} Serialised attributes, each preceded by a space
+ */
+function sanitizeAttributes(tag, source) {
+    const allowed = ALLOWED[tag];
+    const kept = [];
+    const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        const name = match[1].toLowerCase();
+        if (!allowed.includes(name) || kept.some(([existing]) => existing === name)) {
+            continue;
+        }
+
+        const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+        if ((name === 'href' || name === 'src') && !isSafeUrl(value)) {
+            continue;
+        }
+        if (ATTRIBUTE_PATTERNS[name] && !ATTRIBUTE_PATTERNS[name].test(value)) {
+            continue;
+        }
+        kept.push([name, value]);
+    }
+
+    if (tag === 'a' && kept.some(([name, value]) => name === 'href' && /^https?:/i.test(value))) {
+        kept.push(['rel', 'nofollow noopener']);
+    }
+
+    return kept.map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+/**
+ * Escape stray markup characters in text, keeping existing entities
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function sanitizeText(text) {
+    return text
+        .replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Reduce HTML to the allow-list
+ *
+ * @param {string} html
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html) {
+    const dropPattern = new RegExp(`<(${DROP_WITH_CONTENT.join('|')})\\b[\\s\\S]*?(?:<\\/\\1\\s*>|$)`, 'gi');
+    const source = String(html || '')
+        .replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+        .replace(dropPattern, '');
+
+    const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+    const open = [];
+    let out = '';
+    let last = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+        out += sanitizeText(source.slice(last, match.index));
+        last = tagPattern.lastIndex;
+
+        const closing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+        if (!ALLOWED[tag]) {
+            continue;
+        }
+
+        if (!closing) {
+            out += `<${tag}${sanitizeAttributes(tag, match[3])}>`;
+            if (!VOID_TAGS.has(tag)) {
+                open.push(tag);
+            }
+        } else if (open.includes(tag)) {
+            // Close anything left open inside this element first
+            while (open.length > 0) {
+                const current = open.pop();
+                out += `</${current}>`;
+                if (current === tag) break;
+            }
+        }
+    }
+
+    out += sanitizeText(source.slice(last));
+    while (open.length > 0) {
+        out += `</${open.pop()}>`;
+    }
+
+    return out;
+}
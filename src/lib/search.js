@@ -0,0 +1,120 @@
+/**
+ * Full-text search over blog posts
+ *
+ * Posts are indexed in the `blog_posts_fts` FTS5 table, which triggers keep
+ * in sync with `blog_posts` (see schema.sql). Only published posts are
+ * returned. Results are ranked with BM25, weighting title matches above
+ * excerpt matches above content matches.
+ *
+ * User input is never passed to MATCH as-is: FTS5 query syntax (AND, NEAR,
+ * column filters, ...) would turn typos into errors. buildFtsQuery() turns
+ * it into a list of quoted terms instead, so every word must match,
+ * "quoted phrases" must match exactly and the last word also matches as a
+ * prefix (search-as-you-type).
+ */
+
+import { escapeHtml } from './html.js';
+import { getTermsForPosts } from './taxonomy.js';
+
+export const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+/** BM25 column weights: post_id (unindexed), title, excerpt, content */
+const RANK_WEIGHTS = '0.0, 10.0, 5.0, 1.0';
+
+/** Approximate number of words in each snippet */
+const SNIPPET_WORDS = 24;
+
+/** Highlight markers; control characters that never occur in post text */
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+/**
+ * Turn a search box query into a safe FTS5 MATCH expression
+ *
+ * @example
+ * buildFtsQuery('"Workers KV" cach') // '"workers kv" "cach"*'
+ *
+ * @param {string} input
+ * @returns {string|null} MATCH expression, or null if nothing searchable remains
+ */
+export function buildFtsQuery(input) {
+    const terms = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(input || ''))) !== null && terms.length < MAX_QUERY_TERMS) {
+        const quoted = match[1] !== undefined;
+        const words = (quoted ? match[1] : match[2]).toLowerCase().match(/[\p{L}\p{N}]+/gu);
+        if (words) {
+            terms.push({ text: words.join(' '), quoted });
+        }
+    }
+
+    if (terms.length === 0) {
+        return null;
+    }
+
+    return terms.map((term, i) => {
+        const prefix = !term.quoted && i === terms.length - 1 ? '*' : '';
+        return `"${term.text}"${prefix}`;
+    }).join(' ');
+}
+
+/**
+ * Escape FTS5 highlight output and turn the markers into <mark> tags
+ *
+ * Content is Markdown, so emphasis and heading markers are dropped from
+ * snippets.
+ *
+ * @param {string} text - highlight() / snippet() output
+ * @returns {string} HTML
+ */
+function markHighlights(text) {
+    const plain = String(text || '')
+        .replace(/[*`]+/g, '')
+        .replace(/(^|\s)#{1,6}\s/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return escapeHtml(plain)
+        .replaceAll(MARK_START, '<mark>')
+        .replaceAll(MARK_END, '</mark>');
+}
+
+/**
+ * Search published posts
+ *
+ * @param {D1Database} db
+ * @param {string} ftsQuery - From buildFtsQuery()
+ * @param {{ limit: number, offset: number }} page
+ * @returns {Promise<Object[]>} Posts with `title_highlight` and a content `snippet`, as HTML
+ */
+export async function searchPosts(db, ftsQuery, { limit, offset }) {
+    const { results } = await db.prepare(`
+        SELECT
+            p.id,
+            p.slug,
+            p.title,
+            p.excerpt,
+            p.author,
+            p.created_at AS date,
+            highlight(blog_posts_fts, 1, ?1, ?2) AS title_highlight,
+            snippet(blog_posts_fts, 3, ?1, ?2, '…', ${SNIPPET_WORDS}) AS snippet
+        FROM blog_posts_fts
+        JOIN blog_posts p ON p.id = blog_posts_fts.post_id
+        WHERE blog_posts_fts MATCH ?3 AND p.status = 'published'
+        ORDER BY bm25(blog_posts_fts, ${RANK_WEIGHTS}), p.created_at DESC
+        LIMIT ?4 OFFSET ?5
+    `).bind(MARK_START, MARK_END, ftsQuery, limit, offset).all();
+
+    const posts = results || [];
+    const terms = await getTermsForPosts(db, posts.map(post => post.id));
+
+    return posts.map(post => ({
+        ...post,
+        title_highlight: markHighlights(post.title_highlight),
+        snippet: markHighlights(post.snippet),
+        ...terms.get(post.id)
+    }));
+}
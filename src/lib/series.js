@@ -0,0 +1,604 @@
+/**
+ * Multi-part series
+ *
+ * A series is an ordered list of posts (`blog_posts.series_id` and
+ * `series_position`, 1-based). Series can be put together by hand from
+ * existing posts, or generated:
+ *
+ * 1. planSeries() asks the model once for the whole series: a title, a
+ *    description and one title + summary per part
+ * 2. each part is written with generateDistinctPost(), with the plan and
+ *    summaries of the parts written so far in its brief, so the parts
+ *    build on each other instead of repeating themselves
+ * 3. every part goes through near-duplicate detection (against posts
+ *    outside the series) and the content moderation gate, and is stored
+ *    as a draft, like any other generated post
+ *
+ * Once editors have reviewed the parts, scheduleSeries() gives them
+ * staggered `publish_at` times and the blog generator cron releases them
+ * one by one (publishDuePosts in blog-posts.js).
+ *
+ * Readers only see published parts: public series listings and the
+ * previous/next links in the post API skip everything else.
+ */
+
+import { applyStatusChange, createPost, getPostById, savePostChanges } from './blog-posts.js';
+import { checkPublicationGate, logModerationFailure, moderatePost } from './content-moderation.js';
+import { generateDistinctPost, logDroppedDuplicate, similarityColumns } from './duplicate-detection.js';
+import { attachFeaturedImage } from './featured-images.js';
+import {
+    GENERATION_MODEL,
+    sanitizePromptText,
+    validateGenerationOptions
+} from './post-generator.js';
+import { generateStructured } from './structured-output.js';
+import { suggestTaxonomy } from './taxonomy.js';
+
+/** Number of parts a generated series may have */
+export const SERIES_PARTS = { min: 3, max: 5, default: 3 };
+
+export const SERIES_LIMITS = {
+    title: 200,
+    description: 1000,
+    posts: 20
+};
+
+/** Release interval bounds for scheduleSeries(), in hours */
+export const RELEASE_INTERVAL = { min: 1, max: 24 * 30, default: 24 * 7 };
+
+const AUTHOR = 'AI Assistant';
+
+/**
+ * Validate a series from a request body
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @param {{ partial?: boolean }} [options] - PATCH semantics: only supplied fields are checked
+ * @returns {{ errors: string[], values: { title?: string, description?: string|null, post_ids?: string[] } }}
+ */
+export function validateSeriesInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values };
+    }
+
+    if (body.title !== undefined || !partial) {
+        const title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (!title) {
+            errors.push('title is required');
+        } else if (title.length > SERIES_LIMITS.title) {
+            errors.push(`title must be at most ${SERIES_LIMITS.title} characters`);
+        } else {
+            values.title = title;
+        }
+    }
+
+    if (body.description !== undefined) {
+        if (body.description !== null && typeof body.description !== 'string') {
+            errors.push('description must be a string or null');
+        } else if (body.description && body.description.trim().length > SERIES_LIMITS.description) {
+            errors.push(`description must be at most ${SERIES_LIMITS.description} characters`);
+        } else {
+            values.description = body.description ? body.description.trim() : null;
+        }
+    }
+
+    if (body.post_ids !== undefined) {
+        const ids = body.post_ids;
+        if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || !id.trim())) {
+            errors.push('post_ids must be an array of post IDs');
+        } else if (ids.length > SERIES_LIMITS.posts) {
+            errors.push(`A series can have at most ${SERIES_LIMITS.posts} posts`);
+        } else if (new Set(ids).size !== ids.length) {
+            errors.push('post_ids must not contain duplicates');
+        } else {
+            values.post_ids = ids.map(id => id.trim());
+        }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+        errors.push('Provide at least one of: title, description, post_ids');
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Validate the options of a series generation request
+ *
+ * Accepts the options of /api/blog/generate plus `parts`.
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {{ errors: string[], options: Object, parts: number }}
+ */
+export function validateSeriesGenerationOptions(body) {
+    const { errors, options } = validateGenerationOptions(body);
+    let parts = SERIES_PARTS.default;
+
+    if (body && typeof body === 'object' && body.parts !== undefined) {
+        if (!Number.isInteger(body.parts) || body.parts < SERIES_PARTS.min || body.parts > SERIES_PARTS.max) {
+            errors.push(`parts must be an integer between ${SERIES_PARTS.min} and ${SERIES_PARTS.max}`);
+        } else {
+            parts = body.parts;
+        }
+    }
+
+    return { errors, options, parts };
+}
+
+/**
+ * Validate the body of a release schedule request
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @returns {{ errors: string[], values: { start_at?: string, interval_hours?: number } }}
+ */
+export function validateScheduleInput(body) {
+    const errors = [];
+    const values = { interval_hours: RELEASE_INTERVAL.default };
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values };
+    }
+
+    const time = typeof body.start_at === 'string' ? Date.parse(body.start_at) : NaN;
+    if (Number.isNaN(time)) {
+        errors.push('start_at must be an ISO 8601 date');
+    } else {
+        values.start_at = new Date(time).toISOString();
+    }
+
+    if (body.interval_hours !== undefined) {
+        const { min, max } = RELEASE_INTERVAL;
+        if (!Number.isInteger(body.interval_hours) || body.interval_hours < min || body.interval_hours > max) {
+            errors.push(`interval_hours must be an integer between ${min} and ${max}`);
+        } else {
+            values.interval_hours = body.interval_hours;
+        }
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Check that posts can be put in a series
+ *
+ * @param {D1Database} db
+ * @param {string|null} seriesId - Series being edited, or null for a new one
+ * @param {string[]} postIds
+ * @returns {Promise<string[]>} Errors, empty if every post exists and is in no other series
+ */
+export async function checkSeriesPosts(db, seriesId, postIds) {
+    if (postIds.length === 0) {
+        return [];
+    }
+
+    const { results } = await db.prepare(`
+        SELECT id, series_id FROM blog_posts
+        WHERE id IN (${postIds.map(() => '?').join(', ')})
+    `).bind(...postIds).all();
+
+    const found = new Map((results || []).map(row => [row.id, row.series_id]));
+    const errors = [];
+    for (const id of postIds) {
+        if (!found.has(id)) {
+            errors.push(`Post ${id} does not exist`);
+        } else if (found.get(id) && found.get(id) !== seriesId) {
+            errors.push(`Post ${id} already belongs to series ${found.get(id)}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Build the statements that make `postIds` the series' posts, in order
+ *
+ * @param {D1Database} db
+ * @param {string} seriesId
+ * @param {string[]} postIds
+ * @returns {D1PreparedStatement[]}
+ */
+function seriesPostStatements(db, seriesId, postIds) {
+    return [
+        db.prepare('UPDATE blog_posts SET series_id = NULL, series_position = NULL WHERE series_id = ?').bind(seriesId),
+        ...postIds.map((id, i) => db.prepare(`
+            UPDATE blog_posts SET series_id = ?, series_position = ? WHERE id = ?
+        `).bind(seriesId, i + 1, id))
+    ];
+}
+
+/**
+ * Insert a series, optionally with its posts
+ *
+ * @param {D1Database} db
+ * @param {{ title: string, description?: string|null, outline?: Object[], post_ids?: string[] }} values
+ * @returns {Promise<string>} ID of the new series
+ */
+export async function createSeries(db, values) {
+    const id = `series_${crypto.randomUUID()}`;
+    const timestamp = new Date().toISOString();
+
+    await db.batch([
+        db.prepare(`
+            INSERT INTO series (id, title, description, outline, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(
+            id,
+            values.title,
+            values.description || null,
+            values.outline ? JSON.stringify(values.outline) : null,
+            timestamp,
+            timestamp
+        ),
+        ...(values.post_ids ? seriesPostStatements(db, id, values.post_ids) : [])
+    ]);
+
+    return id;
+}
+
+/**
+ * Apply validated changes to a series
+ *
+ * @param {D1Database} db
+ * @param {string} seriesId
+ * @param {Object} values - From validateSeriesInput({ partial: true })
+ * @returns {Promise<boolean>} False if the series does not exist
+ */
+export async function updateSeries(db, seriesId, values) {
+    if (!await db.prepare('SELECT id FROM series WHERE id = ?').bind(seriesId).first()) {
+        return false;
+    }
+
+    const fields = ['title', 'description'].filter(field => values[field] !== undefined);
+    await db.batch([
+        db.prepare(`
+            UPDATE series
+            SET ${[...fields.map(field => `${field} = ?`), 'updated_at = ?'].join(', ')}
+            WHERE id = ?
+        `).bind(...fields.map(field => values[field]), new Date().toISOString(), seriesId),
+        ...(values.post_ids ? seriesPostStatements(db, seriesId, values.post_ids) : [])
+    ]);
+
+    return true;
+}
+
+/**
+ * Delete a series; its posts stay, outside any series
+ *
+ * @param {D1Database} db
+ * @param {string} seriesId
+ * @returns {Promise<boolean>} False if the series does not exist
+ */
+export async function deleteSeries(db, seriesId) {
+    const [, result] = await db.batch([
+        db.prepare('UPDATE blog_posts SET series_id = NULL, series_position = NULL WHERE series_id = ?').bind(seriesId),
+        db.prepare('DELETE FROM series WHERE id = ?').bind(seriesId)
+    ]);
+    return Boolean(result.meta && result.meta.changes > 0);
+}
+
+/**
+ * List series, newest first
+ *
+ * @param {D1Database} db
+ * @param {{ publishedOnly?: boolean }} [options] - Only series with published
+ *   parts, counting published parts only
+ * @returns {Promise<Object[]>} Series with `part_count`
+ */
+export async function listSeries(db, { publishedOnly = false } = {}) {
+    const { results } = await db.prepare(`
+        SELECT s.id, s.title, s.description, s.created_at, s.updated_at, COUNT(p.id) AS part_count
+        FROM series s
+        LEFT JOIN blog_posts p ON p.series_id = s.id ${publishedOnly ? "AND p.status = 'published'" : ''}
+        GROUP BY s.id
+        ${publishedOnly ? 'HAVING COUNT(p.id) > 0' : ''}
+        ORDER BY s.created_at DESC, s.id DESC
+    `).all();
+
+    return results || [];
+}
+
+/**
+ * Load a series with its parts in order
+ *
+ * @param {D1Database} db
+ * @param {string} seriesId
+ * @param {{ publishedOnly?: boolean }} [options] - Only published parts; a
+ *   series without any is treated as missing
+ * @returns {Promise<Object|null>}
+ */
+export async function getSeries(db, seriesId, { publishedOnly = false } = {}) {
+    const series = await db.prepare(`
+        SELECT id, title, description, outline, created_at, updated_at
+        FROM series
+        WHERE id = ?
+    `).bind(seriesId).first();
+    if (!series) {
+        return null;
+    }
+
+    const { results } = await db.prepare(`
+        SELECT id, slug, title, excerpt, status, publish_at, series_position AS position
+        FROM blog_posts
+        WHERE series_id = ? ${publishedOnly ? "AND status = 'published'" : ''}
+        ORDER BY series_position
+    `).bind(seriesId).all();
+
+    const parts = results || [];
+    if (publishedOnly && parts.length === 0) {
+        return null;
+    }
+
+    const { outline, ...rest } = series;
+    return {
+        ...rest,
+        ...(!publishedOnly && { outline: outline ? JSON.parse(outline) : null }),
+        parts: publishedOnly ? parts.map(({ status, ...part }) => part) : parts
+    };
+}
+
+/**
+ * Previous/next links of a post within its series
+ *
+ * @param {D1Database} db
+ * @param {{ id: string, series_id: string|null }} post
+ * @param {{ publishedOnly?: boolean }} [options] - Skip parts that are not published
+ * @returns {Promise<Object|null>} `{ id, title, position, total, previous, next }`,
+ *   where previous/next are `{ id, slug, title }` or null; null if the post is in no series
+ */
+export async function getSeriesNavigation(db, post, { publishedOnly = false } = {}) {
+    if (!post.series_id) {
+        return null;
+    }
+
+    const series = await getSeries(db, post.series_id, { publishedOnly });
+    const index = series ? series.parts.findIndex(part => part.id === post.id) : -1;
+    if (index === -1) {
+        return null;
+    }
+
+    const link = part => (part ? { id: part.id, slug: part.slug, title: part.title } : null);
+    return {
+        id: series.id,
+        title: series.title,
+        position: index + 1,
+        total: series.parts.length,
+        previous: link(series.parts[index - 1]),
+        next: link(series.parts[index + 1])
+    };
+}
+
+/**
+ * Plan a series: title, description and one title + summary per part
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {Object} options - Validated generation options (topic, tone, audience)
+ * @param {number} partCount
+ * @returns {Promise<{ title: string, description: string, parts: Array<{ title: string, summary: string }> }>}
+ */
+export async function planSeries(ai, options, partCount) {
+    const plan = await generateStructured(ai, {
+        model: GENERATION_MODEL,
+        messages: [
+            { role: 'system', content: 'You are an editor planning multi-part technical blog series. Always respond with valid JSON.' },
+            {
+                role: 'user',
+                content: `Plan a ${partCount}-part blog series.
+Topic: "${sanitizePromptText(options.topic)}"
+Tone: ${options.tone}
+Audience: ${options.audience}
+
+Each part is a standalone post that builds on the previous ones, from fundamentals to advanced use.
+Format the response as JSON with the following structure:
+{
+    "title": "Series title",
+    "description": "What readers get from the whole series (1-2 sentences)",
+    "parts": [
+        { "title": "Part title", "summary": "What this part covers (1-2 sentences)" }
+    ]
+}
+"parts" must have exactly ${partCount} entries.`
+            }
+        ],
+        schema: {
+            type: 'object',
+            required: ['title', 'description', 'parts'],
+            properties: {
+                title: { type: 'string', minLength: 5, maxLength: SERIES_LIMITS.title },
+                description: { type: 'string', minLength: 10, maxLength: SERIES_LIMITS.description },
+                parts: {
+                    type: 'array',
+                    minItems: partCount,
+                    maxItems: partCount,
+                    items: {
+                        type: 'object',
+                        required: ['title', 'summary'],
+                        properties: {
+                            title: { type: 'string', minLength: 5, maxLength: 200 },
+                            summary: { type: 'string', minLength: 10, maxLength: 500 }
+                        }
+                    }
+                }
+            }
+        },
+        logPrefix: '[Series Generator]'
+    });
+
+    return {
+        title: plan.title.trim(),
+        description: plan.description.trim(),
+        parts: plan.parts.map(part => ({ title: part.title.trim(), summary: part.summary.trim() }))
+    };
+}
+
+/**
+ * Summarise a written part for the briefs of the later parts
+ *
+ * Uses the excerpt and the section headings, so no extra model call is needed.
+ *
+ * @param {Object} postData - From generatePostContent()
+ * @returns {string}
+ */
+function summarisePart(postData) {
+    const headings = (postData.content.match(/^#{2,3} .+$/gm) || [])
+        .map(heading => heading.replace(/^#+ /, '').trim());
+    return headings.length > 0
+        ? `${postData.excerpt} Sections: ${headings.join('; ')}.`
+        : postData.excerpt;
+}
+
+/**
+ * Plan and write a whole series, storing every part as a draft
+ *
+ * Parts are written in order. If a part fails, or is still a near-duplicate
+ * of a post outside the series after regenerating, no later part is written:
+ * the parts already stored stay in the series, and the result has an
+ * `error` naming the part.
+ *
+ * @param {Object} env - Environment bindings (AI, DB, BUCKET, VECTORS, moderation blocklists)
+ * @param {Object} options - Validated generation options
+ * @param {number} partCount
+ * @returns {Promise<{ series: Object, parts: Object[], error?: string }>} The series
+ *   and, per stored part, `{ id, title, position, moderation: { status, reasons },
+ *   similarity }`, plus `featured_image` when `options.featuredImage` is set
+ * @throws {Error} If planning the series fails (nothing is stored then)
+ */
+export async function generateSeries(env, options, partCount) {
+    const { AI: ai, DB: db } = env;
+    const plan = await planSeries(ai, options, partCount);
+    const seriesId = await createSeries(db, { title: plan.title, description: plan.description, outline: plan.parts });
+    console.log('[Series Generator] Planned series', { seriesId, title: plan.title, parts: partCount });
+
+    const series = { id: seriesId, title: plan.title, description: plan.description };
+    const parts = [];
+    const previous = [];
+    for (let position = 1; position <= partCount; position++) {
+        const startTime = Date.now();
+        try {
+            const { postData, check, regenerations } = await generateDistinctPost(env, {
+                ...options,
+                series: { id: seriesId, title: plan.title, position, parts: plan.parts, previous }
+            });
+
+            if (check.duplicate) {
+                await logDroppedDuplicate(db, {
+                    title: postData.title,
+                    source: 'series',
+                    check,
+                    regenerations,
+                    durationMs: Date.now() - startTime
+                });
+                throw new Error(`near-duplicate of "${check.match.title}" (${check.match.slug})`);
+            }
+
+            const moderation = await moderatePost(env, postData);
+            const taxonomy = await suggestTaxonomy(ai, db, postData);
+
+            const postId = await createPost(db, {
+                title: postData.title,
+                content: postData.content,
+                excerpt: postData.excerpt,
+                author: AUTHOR,
+                status: 'draft',
+                seo_title: postData.seo_title,
+                seo_description: postData.seo_description,
+                keywords: postData.keywords,
+                moderation_status: moderation.status,
+                moderation_reasons: JSON.stringify(moderation.reasons),
+                moderated_at: moderation.moderated_at,
+                ...similarityColumns(check),
+                series_id: seriesId,
+                series_position: position,
+                tags: taxonomy.tags,
+                categories: taxonomy.categories
+            }, {
+                author: AUTHOR,
+                reason: `Generated by AI as part ${position} of ${partCount} of "${plan.title}"`
+            });
+
+            if (moderation.status === 'failed') {
+                await logModerationFailure(db, { postId, title: postData.title, source: 'series', result: moderation });
+            }
+
+            const featuredImage = options.featuredImage
+                ? await attachFeaturedImage(env, { id: postId, title: postData.title, excerpt: postData.excerpt })
+                : null;
+
+            parts.push({
+                id: postId,
+                title: postData.title,
+                position,
+                moderation: { status: moderation.status, reasons: moderation.reasons },
+                similarity: { ...similarityColumns(check), regenerations },
+                ...(featuredImage && { featured_image: featuredImage })
+            });
+            previous.push({ position, title: postData.title, summary: summarisePart(postData) });
+        } catch (error) {
+            console.error(`[Series Generator] Part ${position} of series ${seriesId} failed:`, error.message);
+            return {
+                series,
+                parts,
+                error: `Part ${position} of ${partCount} failed (${parts.length} part(s) saved): ${error.message}`
+            };
+        }
+    }
+
+    return { series, parts };
+}
+
+/**
+ * Schedule the unpublished parts of a series, one every `interval_hours`
+ *
+ * The first unpublished part is scheduled at `start_at`. Every unpublished
+ * part must have been moved to `review` (or already be `scheduled`), and
+ * none may have failed content moderation; otherwise nothing is changed.
+ *
+ * @param {D1Database} db
+ * @param {Object} series - From getSeries()
+ * @param {{ start_at: string, interval_hours: number }} schedule
+ * @param {{ author?: string, reason?: string|null }} [revision]
+ * @returns {Promise<{ errors: string[], scheduled: Array<{ id: string, position: number, publish_at: string }> }>}
+ */
+export async function scheduleSeries(db, series, { start_at: startAt, interval_hours: intervalHours }, revision = {}) {
+    const pending = series.parts.filter(part => part.status !== 'published');
+    const errors = [];
+    const changes = [];
+
+    for (const [i, part] of pending.entries()) {
+        const existing = await getPostById(db, part.id);
+        const values = {
+            status: 'scheduled',
+            publish_at: new Date(Date.parse(startAt) + i * intervalHours * 3600 * 1000).toISOString()
+        };
+
+        if (!['review', 'scheduled'].includes(existing.status)) {
+            errors.push(`Part ${part.position} ("${existing.title}") is ${existing.status}; move it to review first`);
+            continue;
+        }
+        errors.push(
+            ...applyStatusChange(existing.status, values).map(error => `Part ${part.position}: ${error}`),
+            ...checkPublicationGate(existing, values).map(error => `Part ${part.position}: ${error}`)
+        );
+        changes.push({ existing, values });
+    }
+
+    if (errors.length > 0 || changes.length === 0) {
+        return { errors: errors.length > 0 ? errors : ['Every part of this series is already published'], scheduled: [] };
+    }
+
+    for (const { existing, values } of changes) {
+        await savePostChanges(db, existing, values, {
+            author: revision.author,
+            reason: revision.reason || `Scheduled as part ${existing.series_position} of "${series.title}"`
+        });
+    }
+
+    return {
+        errors: [],
+        scheduled: changes.map(({ existing, values }) => ({
+            id: existing.id,
+            position: existing.series_position,
+            publish_at: values.publish_at
+        }))
+    };
+}
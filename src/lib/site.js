@@ -0,0 +1,39 @@
+/**
+ * Public site metadata and absolute URLs
+ *
+ * Feeds, sitemaps and server-rendered pages need absolute links. The base
+ * URL comes from the SITE_URL variable when it is set (recommended, so
+ * links do not depend on which hostname a crawler used) and falls back to
+ * the origin of the current request.
+ */
+
+export const SITE_TITLE = 'CloudCurio Blog';
+
+export const SITE_DESCRIPTION = 'AI-assisted articles on cloud computing, AI and edge development';
+
+export const SITE_LANGUAGE = 'en';
+
+/**
+ * Absolute base URL of the site, without a trailing slash
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment bindings (SITE_URL)
+ * @returns {string}
+ */
+export function siteUrl(request, env) {
+    if (env && env.SITE_URL) {
+        return String(env.SITE_URL).replace(/\/+$/, '');
+    }
+    return new URL(request.url).origin;
+}
+
+/**
+ * Public URL of a post (the server-rendered page, functions/blog/[slug].js)
+ *
+ * @param {string} base - From siteUrl()
+ * @param {{ id: string, slug?: string|null }} post
+ * @returns {string}
+ */
+export function postUrl(base, post) {
+    return `${base}/blog/${encodeURIComponent(post.slug || post.id)}`;
+}
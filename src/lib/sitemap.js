@@ -0,0 +1,45 @@
+/**
+ * sitemap.xml for search engines
+ *
+ * Lists the home page and every published post page with its last
+ * modification time. A single sitemap may hold at most 50,000 URLs.
+ */
+
+import { escapeXml } from './feeds.js';
+import { postUrl } from './site.js';
+
+const MAX_SITEMAP_URLS = 50000;
+
+/**
+ * Build the sitemap for all published posts
+ *
+ * @param {D1Database|null} db
+ * @param {string} base - Site base URL (siteUrl())
+ * @returns {Promise<string>} XML document
+ */
+export async function renderSitemap(db, base) {
+    const { results } = db
+        ? await db.prepare(`
+            SELECT id, slug, COALESCE(updated_at, publish_at, created_at) AS lastmod
+            FROM blog_posts
+            WHERE status = 'published'
+            ORDER BY COALESCE(publish_at, created_at) DESC
+            LIMIT ?
+        `).bind(MAX_SITEMAP_URLS - 1).all()
+        : { results: [] };
+
+    const posts = results || [];
+    const urls = [
+        { loc: `${base}/`, lastmod: posts[0] ? posts[0].lastmod : null },
+        ...posts.map(post => ({ loc: postUrl(base, post), lastmod: post.lastmod }))
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(({ loc, lastmod }) => `  <url>
+    <loc>${escapeXml(loc)}</loc>${lastmod ? `
+    <lastmod>${escapeXml(lastmod)}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`;
+}
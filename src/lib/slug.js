@@ -0,0 +1,37 @@
+/**
+ * URL slug helpers
+ */
+
+/** Maximum slug length, leaving room for collision suffixes */
+export const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turn arbitrary text into a lowercase, hyphen-separated ASCII slug
+ *
+ * Accents are stripped ("Café" → "cafe") and anything that is not a letter
+ * or digit becomes a single hyphen.
+ *
+ * @example
+ * slugify('Edge Computing: What’s Next?') // 'edge-computing-whats-next'
+ *
+ * @param {string} text
+ * @param {number} [maxLength] - Truncate at a word boundary below this length
+ * @returns {string} Slug, or an empty string if nothing usable remains
+ */
+export function slugify(text, maxLength = MAX_SLUG_LENGTH) {
+    const slug = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= maxLength) {
+        return slug;
+    }
+
+    const cut = slug.slice(0, maxLength);
+    const lastHyphen = cut.lastIndexOf('-');
+    return (lastHyphen > maxLength / 2 ? cut.slice(0, lastHyphen) : cut).replace(/-+$/, '');
+}
@@ -0,0 +1,338 @@
+/**
+ * Structured (JSON) output from LLMs
+ *
+ * Llama 3 frequently wraps JSON in ```json fences, adds a sentence before or
+ * after it, leaves trailing commas, or puts raw newlines inside string
+ * values. This module:
+ *
+ * 1. extracts the JSON value from the surrounding text (extractJson)
+ * 2. repairs the common syntax problems above
+ * 3. validates the result against a small JSON-Schema-like schema
+ *    (validateSchema)
+ * 4. re-prompts the model with the parse/validation error a limited number
+ *    of times before giving up (generateStructured)
+ *
+ * Callers should treat a thrown error as "no usable output" rather than
+ * inventing placeholder content.
+ *
+ * SUPPORTED SCHEMA KEYWORDS:
+ *   type ('object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'),
+ *   required, properties, items, enum, minLength, maxLength, minItems,
+ *   maxItems, minimum, maximum
+ */
+
+/** Default number of model calls before giving up */
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+/** Opening brackets tried as the start of the JSON value before giving up */
+const MAX_JSON_STARTS = 20;
+
+/**
+ * Find the end index of the JSON value starting at `start`
+ *
+ * Scans while tracking strings and nesting. Returns the index just past the
+ * closing bracket, or -1 if the value is not closed (truncated output), in
+ * which case `unclosed` lists the brackets still open.
+ *
+ * @param {string} text
+ * @param {number} start - Index of the opening '{' or '['
+ * @returns {{ end: number, unclosed: string[], inString: boolean }}
+ */
+function scanValue(text, start) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+            if (stack.length === 0) {
+                return { end: i + 1, unclosed: [], inString: false };
+            }
+        }
+    }
+
+    return { end: -1, unclosed: stack.reverse(), inString };
+}
+
+/**
+ * Fix common LLM JSON mistakes
+ *
+ * - raw newlines / tabs / control characters inside strings are escaped
+ * - trailing commas before } or ] are removed (outside strings only)
+ *
+ * @param {string} json
+ * @returns {string}
+ */
+function repairJson(json) {
+    let out = '';
+    let inString = false;
+    let escaped = false;
+
+    for (const char of json) {
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            } else if (char === '\n') {
+                out += '\\n';
+                continue;
+            } else if (char === '\r') {
+                continue;
+            } else if (char === '\t') {
+                out += '\\t';
+                continue;
+            } else if (char < ' ') {
+                continue;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '}' || char === ']') {
+            let last = out.length - 1;
+            while (last >= 0 && /\s/.test(out[last])) last--;
+            if (out[last] === ',') {
+                out = out.slice(0, last) + out.slice(last + 1);
+            }
+        }
+        out += char;
+    }
+
+    return out;
+}
+
+/**
+ * Extract and parse a JSON value from free-form model output
+ *
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value
+ * @throws {Error} If no JSON value can be recovered
+ */
+export function extractJson(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('Response was empty');
+    }
+
+    const trimmed = text.trim();
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        // Fall through to extraction
+    }
+
+    // Prefer the contents of a fenced code block when there is one
+    const fence = trimmed.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)(?:```|$)/);
+    const candidate = fence && /[{[]/.test(fence[1]) ? fence[1] : trimmed;
+
+    // Prose before the JSON may contain brackets too ("[draft]"), so try each
+    // opening bracket until a value parses
+    let firstError = null;
+    let start = candidate.search(/[{[]/);
+    if (start === -1) {
+        throw new Error('Response did not contain a JSON object');
+    }
+
+    for (let tries = 0; start !== -1 && tries < MAX_JSON_STARTS; tries++) {
+        const { end, unclosed, inString } = scanValue(candidate, start);
+        const json = end === -1
+            ? candidate.slice(start) + (inString ? '"' : '') + unclosed.join('')
+            : candidate.slice(start, end);
+
+        try {
+            return JSON.parse(repairJson(json));
+        } catch (error) {
+            firstError = firstError || error;
+        }
+
+        const next = candidate.slice(start + 1).search(/[{[]/);
+        start = next === -1 ? -1 : start + 1 + next;
+    }
+
+    throw new Error(`Response contained malformed JSON: ${firstError.message}`);
+}
+
+/**
+ * Name the JSON type of a value the way schemas spell it
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (see supported keywords above)
+ * @param {string} [path] - Path used in error messages
+ * @returns {string[]} Errors, empty if the value is valid
+ */
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const matches = schema.type === 'number'
+            ? actual === 'number' || actual === 'integer'
+            : actual === schema.type;
+        if (!matches) {
+            return [`${path} must be ${schema.type}, got ${actual}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (actual === 'string') {
+        const length = value.trim().length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (actual === 'number' || actual === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+            });
+        }
+    }
+
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate one model response
+ *
+ * @param {string} text - Raw model output
+ * @param {Object} schema
+ * @returns {{ value: *, error: string|null }}
+ */
+export function parseStructured(text, schema) {
+    let value;
+    try {
+        value = extractJson(text);
+    } catch (error) {
+        return { value: null, error: error.message };
+    }
+
+    const errors = validateSchema(value, schema);
+    return errors.length > 0
+        ? { value: null, error: errors.join('; ') }
+        : { value, error: null };
+}
+
+/**
+ * Run a chat model until it returns JSON matching `schema`
+ *
+ * After an invalid response the model is shown its own answer and the
+ * parse/validation error, and asked to try again.
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {Object} request
+ * @param {string} request.model - Model name
+ * @param {Array<{ role: string, content: string }>} request.messages - Initial conversation
+ * @param {Object} request.schema - Expected shape of the response
+ * @param {number} [request.maxAttempts] - Maximum model calls (default 3)
+ * @param {number} [request.maxTokens] - Passed to the model as max_tokens
+ * @param {string} [request.logPrefix] - Prefix used in log lines
+ * @returns {Promise<*>} Validated value
+ * @throws {Error} If no valid response was produced within maxAttempts
+ */
+export async function generateStructured(ai, {
+    model,
+    messages,
+    schema,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    maxTokens,
+    logPrefix = '[Structured Output]'
+}) {
+    const conversation = [...messages];
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const aiResponse = await ai.run(model, {
+            messages: conversation,
+            ...(maxTokens && { max_tokens: maxTokens })
+        });
+        const text = (aiResponse && aiResponse.response) || '';
+
+        const { value, error } = parseStructured(text, schema);
+        if (!error) {
+            if (attempt > 1) {
+                console.log(`${logPrefix} Valid response after ${attempt} attempts`);
+            }
+            return value;
+        }
+
+        lastError = error;
+        console.warn(`${logPrefix} Attempt ${attempt}/${maxAttempts} invalid: ${error}`);
+
+        conversation.push(
+            { role: 'assistant', content: text },
+            {
+                role: 'user',
+                content: `Your previous response could not be used: ${error}\n` +
+                    'Reply again with only the corrected JSON object - no code fences, no explanations.'
+            }
+        );
+    }
+
+    throw new Error(`Model did not return valid JSON after ${maxAttempts} attempts: ${lastError}`);
+}
@@ -0,0 +1,288 @@
+/**
+ * Tags and categories for blog posts
+ *
+ * Both taxonomies have the same shape: a term table (`tags`, `categories`)
+ * and a many-to-many join table to `blog_posts`. Term IDs are derived from
+ * the slug (`tag_<slug>`, `cat_<slug>`), so "Cloudflare Workers" and
+ * "cloudflare workers" are the same tag and terms can be created with
+ * INSERT OR IGNORE without a lookup first.
+ *
+ * Posts are tagged through the posts API (`tags` / `categories` arrays of
+ * names) or automatically by suggestTaxonomy() for AI-generated posts.
+ */
+
+import { BLOG_CACHE_TTL, buildCacheKey } from './blog-cache.js';
+import { slugify } from './slug.js';
+import { generateStructured } from './structured-output.js';
+
+export const TAXONOMIES = {
+    tag: { table: 'tags', join: 'blog_post_tags', column: 'tag_id', prefix: 'tag', field: 'tags', max: 10 },
+    category: { table: 'categories', join: 'blog_post_categories', column: 'category_id', prefix: 'cat', field: 'categories', max: 3 }
+};
+
+const MAX_TERM_LENGTH = 50;
+
+/** Model used for tag suggestions */
+const TAGGING_MODEL = '@cf/meta/llama-3-8b-instruct';
+
+/** How many existing terms to offer the model to choose from */
+const SUGGESTION_CANDIDATES = 100;
+
+/**
+ * Build the ID of a term from its slug
+ *
+ * @param {'tag'|'category'} type
+ * @param {string} slug
+ * @returns {string}
+ */
+export function termId(type, slug) {
+    return `${TAXONOMIES[type].prefix}_${slug}`;
+}
+
+/**
+ * Validate a list of term names from a request body
+ *
+ * Names are trimmed and de-duplicated by slug; the first spelling wins.
+ *
+ * @param {*} input - Value of `tags` or `categories` from the body
+ * @param {'tag'|'category'} type
+ * @returns {{ errors: string[], terms: Array<{ name: string, slug: string }> }}
+ */
+export function normalizeTerms(input, type) {
+    const { field, max } = TAXONOMIES[type];
+    const errors = [];
+    const terms = [];
+
+    if (!Array.isArray(input)) {
+        return { errors: [`${field} must be an array of strings`], terms };
+    }
+
+    for (const value of input) {
+        if (typeof value !== 'string') {
+            errors.push(`${field} must be an array of strings`);
+            break;
+        }
+
+        const name = value.trim().replace(/\s+/g, ' ');
+        const slug = slugify(name, MAX_TERM_LENGTH);
+        if (!slug) {
+            continue;
+        }
+        if (name.length > MAX_TERM_LENGTH) {
+            errors.push(`${field} entries must be at most ${MAX_TERM_LENGTH} characters`);
+            break;
+        }
+        if (!terms.some(term => term.slug === slug)) {
+            terms.push({ name, slug });
+        }
+    }
+
+    if (terms.length > max) {
+        errors.push(`At most ${max} ${field} are allowed`);
+    }
+
+    return { errors, terms };
+}
+
+/**
+ * Build the statements that replace a post's terms of one type
+ *
+ * Returned rather than executed so callers can run them in the same
+ * db.batch() as the post write.
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @param {'tag'|'category'} type
+ * @param {Array<{ name: string, slug: string }>} terms - From normalizeTerms
+ * @returns {D1PreparedStatement[]}
+ */
+export function setPostTermsStatements(db, postId, type, terms) {
+    const { table, join, column } = TAXONOMIES[type];
+    const timestamp = new Date().toISOString();
+    const statements = [
+        db.prepare(`DELETE FROM ${join} WHERE post_id = ?`).bind(postId)
+    ];
+
+    for (const term of terms) {
+        const id = termId(type, term.slug);
+        statements.push(
+            db.prepare(`
+                INSERT OR IGNORE INTO ${table} (id, name, slug, created_at)
+                VALUES (?, ?, ?, ?)
+            `).bind(id, term.name, term.slug, timestamp),
+            db.prepare(`
+                INSERT OR IGNORE INTO ${join} (post_id, ${column})
+                VALUES (?, ?)
+            `).bind(postId, id)
+        );
+    }
+
+    return statements;
+}
+
+/**
+ * Load tags and categories for a set of posts
+ *
+ * @param {D1Database} db
+ * @param {string[]} postIds
+ * @returns {Promise<Map<string, { tags: Object[], categories: Object[] }>>}
+ */
+export async function getTermsForPosts(db, postIds) {
+    const byPost = new Map(postIds.map(id => [id, { tags: [], categories: [] }]));
+    if (postIds.length === 0) {
+        return byPost;
+    }
+
+    const placeholders = postIds.map(() => '?').join(', ');
+    const queries = Object.values(TAXONOMIES).map(({ table, join, column, field }) =>
+        db.prepare(`
+            SELECT j.post_id, t.name, t.slug
+            FROM ${join} j
+            JOIN ${table} t ON t.id = j.${column}
+            WHERE j.post_id IN (${placeholders})
+            ORDER BY t.name
+        `).bind(...postIds).all().then(({ results }) => {
+            for (const row of results || []) {
+                byPost.get(row.post_id)[field].push({ name: row.name, slug: row.slug });
+            }
+        })
+    );
+
+    await Promise.all(queries);
+    return byPost;
+}
+
+/**
+ * List terms with the number of published posts using each
+ *
+ * @param {D1Database} db
+ * @param {'tag'|'category'} type
+ * @returns {Promise<Array<{ name: string, slug: string, count: number }>>}
+ */
+export async function listTermsWithCounts(db, type) {
+    const { table, join, column } = TAXONOMIES[type];
+    const { results } = await db.prepare(`
+        SELECT t.name, t.slug, COUNT(p.id) AS count
+        FROM ${table} t
+        JOIN ${join} j ON j.${column} = t.id
+        JOIN blog_posts p ON p.id = j.post_id AND p.status = 'published'
+        GROUP BY t.id
+        ORDER BY count DESC, t.name
+    `).all();
+
+    return results || [];
+}
+
+/**
+ * listTermsWithCounts() behind the blog KV cache
+ *
+ * Shares the cache version with the posts list, so any post write also
+ * refreshes the counts.
+ *
+ * @param {Object} env - Environment bindings (DB, BLOG_CACHE)
+ * @param {'tag'|'category'} type
+ * @returns {Promise<{ terms: Object[], cacheStatus: 'HIT'|'MISS' }>}
+ */
+export async function listTermsCached(env, type) {
+    let cacheKey = null;
+    try {
+        if (env.BLOG_CACHE) {
+            cacheKey = await buildCacheKey(env.BLOG_CACHE, TAXONOMIES[type].field, {});
+            const cached = await env.BLOG_CACHE.get(cacheKey, 'json');
+            if (cached) {
+                return { terms: cached, cacheStatus: 'HIT' };
+            }
+        }
+    } catch (cacheError) {
+        console.error('[Taxonomy] Cache read error:', cacheError.message);
+    }
+
+    const terms = await listTermsWithCounts(env.DB, type);
+
+    if (cacheKey) {
+        try {
+            await env.BLOG_CACHE.put(cacheKey, JSON.stringify(terms), { expirationTtl: BLOG_CACHE_TTL });
+        } catch (cacheError) {
+            console.error('[Taxonomy] Cache write error:', cacheError.message);
+        }
+    }
+
+    return { terms, cacheStatus: 'MISS' };
+}
+
+/**
+ * Map suggested names onto existing terms where the slug matches
+ *
+ * @param {string[]} names - Names suggested by the model
+ * @param {Array<{ name: string, slug: string }>} existing
+ * @param {'tag'|'category'} type
+ * @returns {Array<{ name: string, slug: string }>}
+ */
+function matchExisting(names, existing, type) {
+    const { terms } = normalizeTerms(names.filter(name => typeof name === 'string'), type);
+    return terms
+        .slice(0, TAXONOMIES[type].max)
+        .map(term => existing.find(candidate => candidate.slug === term.slug) || term);
+}
+
+/**
+ * Ask the model to tag and categorise a post, preferring existing terms
+ *
+ * Never throws: tagging is a nice-to-have on top of generation, so failures
+ * are logged and an empty suggestion is returned.
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {D1Database} db
+ * @param {{ title: string, excerpt?: string, content: string }} post
+ * @returns {Promise<{ tags: Object[], categories: Object[] }>}
+ */
+export async function suggestTaxonomy(ai, db, post) {
+    try {
+        const [tagRows, categoryRows] = await Promise.all(['tags', 'categories'].map(table =>
+            db.prepare(`
+                SELECT name, slug FROM ${table}
+                ORDER BY created_at DESC
+                LIMIT ?
+            `).bind(SUGGESTION_CANDIDATES).all().then(({ results }) => results || [])
+        ));
+
+        const prompt = `Classify this blog post.
+
+Title: ${post.title}
+Excerpt: ${post.excerpt || ''}
+Content (start): ${post.content.slice(0, 1500)}
+
+Existing tags: ${tagRows.map(row => row.name).join(', ') || '(none)'}
+Existing categories: ${categoryRows.map(row => row.name).join(', ') || '(none)'}
+
+Pick 2-5 short tags and 1 category. Reuse existing tags and categories whenever they fit;
+only invent a new one when nothing existing describes the post.
+Respond with JSON: { "tags": ["..."], "category": "..." }`;
+
+        const suggestion = await generateStructured(ai, {
+            model: TAGGING_MODEL,
+            messages: [
+                { role: 'system', content: 'You are a blog editor who classifies posts. Always respond with valid JSON.' },
+                { role: 'user', content: prompt }
+            ],
+            schema: {
+                type: 'object',
+                required: ['tags', 'category'],
+                properties: {
+                    tags: { type: 'array', minItems: 1, maxItems: 8, items: { type: 'string', minLength: 2, maxLength: MAX_TERM_LENGTH } },
+                    category: { type: 'string', minLength: 2, maxLength: MAX_TERM_LENGTH }
+                }
+            },
+            maxAttempts: 2,
+            logPrefix: '[Taxonomy]'
+        });
+
+        return {
+            tags: matchExisting(suggestion.tags, tagRows, 'tag'),
+            categories: matchExisting([suggestion.category], categoryRows, 'category')
+        };
+    } catch (error) {
+        console.error('[Taxonomy] Tag suggestion failed:', error.message);
+        return { tags: [], categories: [] };
+    }
+}
@@ -0,0 +1,456 @@
+/**
+ * Post translations
+ *
+ * Posts are written in SITE_LANGUAGE. Translations into the languages in
+ * TRANSLATION_LANGUAGES are stored in `blog_post_translations`, one row per
+ * post and language, and served when readers pass `?lang=` to the posts
+ * list or a single post. Fields without a translation, and posts without
+ * one at all, fall back to the original.
+ *
+ * translatePost() uses two models:
+ * - the short plain-text fields (title, excerpt, SEO fields) go through
+ *   the m2m100 translation model
+ * - the Markdown content goes through the LLM, section by section, since
+ *   m2m100 does not keep Markdown intact. Fenced code blocks are swapped
+ *   for placeholders first, so code is never translated or reformatted
+ *
+ * A translation remembers the `updated_at` of the post it was made from;
+ * once the post changes it is reported as `stale` until it is translated
+ * again or an editor updates it by hand.
+ */
+
+import { FIELD_LIMITS } from './blog-posts.js';
+import { GENERATION_MODEL } from './post-generator.js';
+import { DEFAULT_REVISION_AUTHOR } from './revisions.js';
+import { SITE_LANGUAGE } from './site.js';
+
+/** Translation model on Workers AI (text in, `translated_text` out) */
+export const TRANSLATION_MODEL = '@cf/meta/m2m100-1.2b';
+
+/** Languages posts can be translated into: ISO 639-1 code → name used in prompts */
+export const TRANSLATION_LANGUAGES = {
+    de: 'German',
+    es: 'Spanish',
+    fr: 'French'
+};
+
+/** Fields translated with the translation model */
+const PLAIN_FIELDS = ['title', 'excerpt', 'seo_title', 'seo_description', 'keywords'];
+
+/** Every translatable field */
+export const TRANSLATION_FIELDS = [...PLAIN_FIELDS, 'content'];
+
+/** `translated_by` of machine translations */
+export const MACHINE_TRANSLATOR = 'AI';
+
+/** Sections are grouped into LLM requests of up to this many characters */
+const CHUNK_CHARS = 3000;
+
+/** Model calls per chunk before the translation fails */
+const CHUNK_ATTEMPTS = 2;
+
+/** Room for a translation that runs longer than its source */
+const MAX_TOKENS = 2048;
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_RE = /^ {0,3}#{1,6}(\s|$)/;
+const PLACEHOLDER_RE = /@@CODE(\d+)@@/g;
+
+const TRANSLATION_COLUMNS = `
+    t.post_id, t.lang, t.title, t.content, t.excerpt, t.seo_title, t.seo_description, t.keywords,
+    t.translated_by, t.source_updated_at, t.created_at, t.updated_at
+`;
+
+/** Whether the post changed after the translation was made (SQL, needs `t` and `p`) */
+const STALE_SQL = 'COALESCE(t.source_updated_at < p.updated_at, 0) AS stale';
+
+/**
+ * Parse a `lang` parameter
+ *
+ * Region subtags are dropped (`es-MX` → `es`). The site language means
+ * "the original" and yields null, as does a missing parameter.
+ *
+ * @param {string|null|undefined} value
+ * @returns {{ error: string|null, lang: string|null }}
+ */
+export function parseLang(value) {
+    if (value === null || value === undefined || value === '') {
+        return { error: null, lang: null };
+    }
+
+    const lang = String(value).trim().toLowerCase().split(/[-_]/)[0];
+    if (lang === SITE_LANGUAGE) {
+        return { error: null, lang: null };
+    }
+    if (!Object.hasOwn(TRANSLATION_LANGUAGES, lang)) {
+        return {
+            error: `lang must be one of: ${[SITE_LANGUAGE, ...Object.keys(TRANSLATION_LANGUAGES)].join(', ')}`,
+            lang: null
+        };
+    }
+    return { error: null, lang };
+}
+
+/**
+ * Validate a hand-edited translation (PATCH)
+ *
+ * @param {Object} body - Parsed JSON request body: any of TRANSLATION_FIELDS, plus `translated_by`
+ * @returns {{ errors: string[], values: Object, translatedBy: string }}
+ */
+export function validateTranslationInput(body) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values, translatedBy: DEFAULT_REVISION_AUTHOR };
+    }
+
+    for (const field of TRANSLATION_FIELDS) {
+        const value = body[field];
+        if (value === undefined) continue;
+
+        const required = field === 'title' || field === 'content';
+        if (value === null && !required) {
+            values[field] = null;
+        } else if (typeof value !== 'string' || (required && !value.trim())) {
+            errors.push(required ? `${field} must be a non-empty string` : `${field} must be a string or null`);
+        } else if (value.trim().length > FIELD_LIMITS[field]) {
+            errors.push(`${field} must be at most ${FIELD_LIMITS[field]} characters`);
+        } else {
+            values[field] = value.trim() || null;
+        }
+    }
+
+    let translatedBy = DEFAULT_REVISION_AUTHOR;
+    if (body.translated_by !== undefined) {
+        if (typeof body.translated_by !== 'string' || !body.translated_by.trim() || body.translated_by.length > FIELD_LIMITS.author) {
+            errors.push(`translated_by must be a string of at most ${FIELD_LIMITS.author} characters`);
+        } else {
+            translatedBy = body.translated_by.trim();
+        }
+    }
+
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+        errors.push(`Provide at least one of: ${TRANSLATION_FIELDS.join(', ')}`);
+    }
+
+    return { errors, values, translatedBy };
+}
+
+/**
+ * Translate one plain-text field with the translation model
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {string} text
+ * @param {string} lang - Target language code
+ * @returns {Promise<string>}
+ * @throws {Error} If the model returns nothing
+ */
+async function translateText(ai, text, lang) {
+    const aiResponse = await ai.run(TRANSLATION_MODEL, {
+        text,
+        source_lang: SITE_LANGUAGE,
+        target_lang: lang
+    });
+    const translated = aiResponse && typeof aiResponse.translated_text === 'string'
+        ? aiResponse.translated_text.trim()
+        : '';
+    if (!translated) {
+        throw new Error('Translation model returned no text');
+    }
+    return translated;
+}
+
+/**
+ * Swap fenced code blocks for placeholder lines
+ *
+ * @param {string} markdown
+ * @returns {{ text: string, blocks: string[] }}
+ */
+function protectCode(markdown) {
+    const blocks = [];
+    const lines = [];
+    let fence = null;
+    let block = [];
+
+    for (const line of markdown.split('\n')) {
+        if (fence) {
+            block.push(line);
+            const closing = FENCE_RE.exec(line);
+            if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length && !line.replace(FENCE_RE, '').trim()) {
+                lines.push(`@@CODE${blocks.push(block.join('\n')) - 1}@@`);
+                fence = null;
+            }
+            continue;
+        }
+
+        const opening = FENCE_RE.exec(line);
+        if (opening) {
+            fence = opening[1];
+            block = [line];
+        } else {
+            lines.push(line);
+        }
+    }
+
+    // An unclosed fence runs to the end of the document
+    if (fence) {
+        lines.push(`@@CODE${blocks.push(block.join('\n')) - 1}@@`);
+    }
+
+    return { text: lines.join('\n'), blocks };
+}
+
+/**
+ * Split Markdown at headings and group the sections into chunks of about
+ * CHUNK_CHARS (a single longer section is kept whole)
+ *
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+function chunkSections(markdown) {
+    const sections = [];
+    for (const line of markdown.split('\n')) {
+        if (HEADING_RE.test(line) || sections.length === 0) {
+            sections.push(line);
+        } else {
+            sections[sections.length - 1] += `\n${line}`;
+        }
+    }
+
+    const chunks = [];
+    for (const section of sections) {
+        const last = chunks.length - 1;
+        if (last >= 0 && chunks[last].length + section.length < CHUNK_CHARS) {
+            chunks[last] += `\n${section}`;
+        } else {
+            chunks.push(section);
+        }
+    }
+    return chunks.map(chunk => chunk.trim()).filter(Boolean);
+}
+
+/**
+ * Translate one chunk of Markdown with the LLM
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {string} chunk
+ * @param {string} lang - Target language code
+ * @returns {Promise<string>}
+ * @throws {Error} If no attempt keeps every code placeholder
+ */
+async function translateChunk(ai, chunk, lang) {
+    const placeholders = chunk.match(PLACEHOLDER_RE) || [];
+    const messages = [
+        { role: 'system', content: 'You are a professional translator of technical blog posts. Reply with the translation only.' },
+        {
+            role: 'user',
+            content: `Translate the following Markdown from English to ${TRANSLATION_LANGUAGES[lang]}.
+- Keep the Markdown formatting: headings, lists, tables, emphasis, links and images
+- Do not translate inline code, URLs, or link and image targets (such as media: references)
+- Copy placeholder lines like @@CODE0@@ unchanged, each on its own line
+- Do not add notes, explanations or code fences around the answer
+
+${chunk}`
+        }
+    ];
+
+    let problem = 'empty response';
+    for (let attempt = 1; attempt <= CHUNK_ATTEMPTS; attempt++) {
+        const aiResponse = await ai.run(GENERATION_MODEL, { messages, max_tokens: MAX_TOKENS });
+        const text = ((aiResponse && aiResponse.response) || '')
+            .trim()
+            .replace(/^```(?:markdown|md)?\n([\s\S]*)\n```$/, '$1')
+            .trim();
+
+        const missing = placeholders.filter(placeholder => !text.includes(placeholder));
+        if (text && missing.length === 0) {
+            return text;
+        }
+
+        problem = text ? `code placeholders missing: ${missing.join(', ')}` : 'empty response';
+        console.warn(`[Translations] Attempt ${attempt}/${CHUNK_ATTEMPTS} for ${lang} unusable: ${problem}`);
+    }
+
+    throw new Error(`Could not translate a section into ${TRANSLATION_LANGUAGES[lang]}: ${problem}`);
+}
+
+/**
+ * Translate Markdown, keeping fenced code blocks as they are
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {string} markdown
+ * @param {string} lang - Target language code
+ * @returns {Promise<string>}
+ */
+async function translateMarkdown(ai, markdown, lang) {
+    const { text, blocks } = protectCode(markdown);
+
+    const translated = [];
+    for (const chunk of chunkSections(text)) {
+        // Chunks of nothing but code need no model call
+        translated.push(chunk.replace(PLACEHOLDER_RE, '').trim() ? await translateChunk(ai, chunk, lang) : chunk);
+    }
+
+    return translated.join('\n\n').replace(PLACEHOLDER_RE, (match, index) => blocks[Number(index)] ?? match);
+}
+
+/**
+ * Machine-translate a post
+ *
+ * @param {Object} ai - Workers AI binding
+ * @param {Object} post - Post with the TRANSLATION_FIELDS
+ * @param {string} lang - Target language code (from parseLang)
+ * @returns {Promise<{ values: Object, duration_ms: number }>} Translated fields
+ * @throws {Error} If a model call fails
+ */
+export async function translatePost(ai, post, lang) {
+    const startTime = Date.now();
+    console.log('[Translations] Translating post', { postId: post.id, lang });
+
+    const values = {};
+    await Promise.all(PLAIN_FIELDS.map(async field => {
+        values[field] = post[field]
+            ? (await translateText(ai, post[field], lang)).slice(0, FIELD_LIMITS[field])
+            : null;
+    }));
+    values.content = await translateMarkdown(ai, post.content, lang);
+
+    return { values, duration_ms: Date.now() - startTime };
+}
+
+/**
+ * Insert or replace a translation
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @param {string} lang
+ * @param {Object} values - Every TRANSLATION_FIELD (title and content required)
+ * @param {{ translatedBy: string, sourceUpdatedAt: string|null }} meta
+ * @returns {Promise<void>}
+ */
+export async function saveTranslation(db, postId, lang, values, { translatedBy, sourceUpdatedAt }) {
+    const timestamp = new Date().toISOString();
+    await db.prepare(`
+        INSERT INTO blog_post_translations (
+            post_id, lang, ${TRANSLATION_FIELDS.join(', ')}, translated_by, source_updated_at, created_at, updated_at
+        )
+        VALUES (?, ?, ${TRANSLATION_FIELDS.map(() => '?').join(', ')}, ?, ?, ?, ?)
+        ON CONFLICT (post_id, lang) DO UPDATE SET
+            ${TRANSLATION_FIELDS.map(field => `${field} = excluded.${field}`).join(', ')},
+            translated_by = excluded.translated_by,
+            source_updated_at = excluded.source_updated_at,
+            updated_at = excluded.updated_at
+    `).bind(
+        postId,
+        lang,
+        ...TRANSLATION_FIELDS.map(field => values[field] ?? null),
+        translatedBy,
+        sourceUpdatedAt,
+        timestamp,
+        timestamp
+    ).run();
+}
+
+/**
+ * Load one translation
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @param {string} lang
+ * @returns {Promise<Object|null>} Translation with `stale`
+ */
+export async function getTranslation(db, postId, lang) {
+    const row = await db.prepare(`
+        SELECT ${TRANSLATION_COLUMNS}, ${STALE_SQL}
+        FROM blog_post_translations t
+        JOIN blog_posts p ON p.id = t.post_id
+        WHERE t.post_id = ? AND t.lang = ?
+    `).bind(postId, lang).first();
+
+    return row ? { ...row, stale: Boolean(row.stale) } : null;
+}
+
+/**
+ * List a post's translations, without their content
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @returns {Promise<Array<{ lang: string, title: string, translated_by: string, stale: boolean,
+ *   created_at: string, updated_at: string }>>}
+ */
+export async function listTranslations(db, postId) {
+    const { results } = await db.prepare(`
+        SELECT t.lang, t.title, t.translated_by, t.source_updated_at, t.created_at, t.updated_at, ${STALE_SQL}
+        FROM blog_post_translations t
+        JOIN blog_posts p ON p.id = t.post_id
+        WHERE t.post_id = ?
+        ORDER BY t.lang
+    `).bind(postId).all();
+
+    return (results || []).map(row => ({ ...row, stale: Boolean(row.stale) }));
+}
+
+/**
+ * Translated titles and excerpts for a page of posts
+ *
+ * @param {D1Database} db
+ * @param {string[]} postIds
+ * @param {string} lang
+ * @returns {Promise<Map<string, { title: string, excerpt: string|null }>>} Only posts with a translation
+ */
+export async function getTranslationsForPosts(db, postIds, lang) {
+    const translations = new Map();
+    if (postIds.length === 0) {
+        return translations;
+    }
+
+    const { results } = await db.prepare(`
+        SELECT post_id, title, excerpt
+        FROM blog_post_translations
+        WHERE lang = ? AND post_id IN (${postIds.map(() => '?').join(', ')})
+    `).bind(lang, ...postIds).all();
+
+    for (const row of results || []) {
+        translations.set(row.post_id, { title: row.title, excerpt: row.excerpt });
+    }
+    return translations;
+}
+
+/**
+ * Delete a translation
+ *
+ * @param {D1Database} db
+ * @param {string} postId
+ * @param {string} lang
+ * @returns {Promise<boolean>} False if there was none
+ */
+export async function deleteTranslation(db, postId, lang) {
+    const result = await db.prepare('DELETE FROM blog_post_translations WHERE post_id = ? AND lang = ?')
+        .bind(postId, lang).run();
+    return Boolean(result.meta && result.meta.changes > 0);
+}
+
+/**
+ * Overlay a translation on a post
+ *
+ * Fields the translation leaves empty keep the original.
+ *
+ * @param {Object} post
+ * @param {Object|null} translation - Translated fields, or null to serve the original
+ * @param {string|null} lang - Language of `translation`
+ * @returns {Object} Post with `lang` set to the language actually served
+ */
+export function localizePost(post, translation, lang) {
+    if (!translation) {
+        return { ...post, lang: SITE_LANGUAGE };
+    }
+
+    const localized = { ...post, lang };
+    for (const field of TRANSLATION_FIELDS) {
+        if (field in post && translation[field] !== null && translation[field] !== undefined) {
+            localized[field] = translation[field];
+        }
+    }
+    return localized;
+}
@@ -0,0 +1,544 @@
+/**
+ * Outbound webhooks
+ *
+ * Subscriptions (`webhook_subscriptions`) name an https URL and the events
+ * it wants. When an event happens:
+ *
+ * 1. emitWebhookEvent() stores one row in `webhook_deliveries` per enabled
+ *    subscription to the event, with the JSON payload to send
+ * 2. each delivery ID is sent to the WEBHOOK_QUEUE queue; the webhook
+ *    dispatcher worker (src/workers/webhook-dispatcher.js) consumes it and
+ *    calls deliverWebhook()
+ * 3. a delivery that does not get a 2xx response is retried through the
+ *    queue with exponential backoff (retryDelaySeconds), up to
+ *    MAX_DELIVERY_ATTEMPTS attempts, then marked failed
+ *
+ * Without a queue binding (e.g. local development) each delivery is
+ * attempted once, right away, and not retried.
+ *
+ * Every request is signed with the subscription's secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Receivers should recompute the HMAC over the raw body, compare it in
+ * constant time and reject old timestamps to stop replays. The body is the
+ * same on every attempt; only the timestamp and signature change.
+ */
+
+import { paginateRows, parseListParams } from './pagination.js';
+import { postUrl } from './site.js';
+
+/** Events subscriptions can ask for */
+export const WEBHOOK_EVENTS = [
+    'post.created',
+    'post.published',
+    'post.updated',
+    'kb.entry.added',
+    'research.completed'
+];
+
+/** Sent only by POST /api/webhooks/:id/test, to that subscription */
+export const PING_EVENT = 'ping';
+
+export const WEBHOOK_LIMITS = {
+    url: 2000,
+    description: 500
+};
+
+/** Attempts per delivery, including the first */
+export const MAX_DELIVERY_ATTEMPTS = 8;
+
+/** Delay before the first retry; doubled for every further retry */
+const RETRY_BASE_SECONDS = 60;
+
+/** Longest delay between two attempts */
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+/** Time a receiver has to answer */
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/** Characters of the response body kept in the delivery log */
+const RESPONSE_BODY_LENGTH = 1000;
+
+/** Page size bounds of listDeliveries() */
+export const DELIVERY_PAGE_SIZE = { default: 50, max: 100 };
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const USER_AGENT = 'CloudCurio-Webhooks/1.0';
+
+/** Queues accept at most 100 messages per sendBatch() call */
+const QUEUE_BATCH_SIZE = 100;
+
+/**
+ * Validate a subscription from a request body
+ *
+ * @param {Object} body - Parsed JSON request body
+ * @param {{ partial?: boolean }} [options] - PATCH semantics: only supplied fields are checked
+ * @returns {{ errors: string[], values: { url?: string, events?: string[], description?: string|null,
+ *   enabled?: boolean, rotate_secret?: boolean } }}
+ */
+export function validateSubscriptionInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['Request body must be a JSON object'], values };
+    }
+
+    if (body.url !== undefined || !partial) {
+        let url = null;
+        try {
+            url = typeof body.url === 'string' ? new URL(body.url.trim()) : null;
+        } catch (error) {
+            url = null;
+        }
+        if (!url) {
+            errors.push('url must be an absolute URL');
+        } else if (url.protocol !== 'https:') {
+            errors.push('url must use https');
+        } else if (url.href.length > WEBHOOK_LIMITS.url) {
+            errors.push(`url must be at most ${WEBHOOK_LIMITS.url} characters`);
+        } else {
+            values.url = url.href;
+        }
+    }
+
+    if (body.events !== undefined || !partial) {
+        const events = body.events;
+        if (!Array.isArray(events) || events.length === 0) {
+            errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+        } else {
+            const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+            if (unknown.length > 0) {
+                errors.push(`Unknown events: ${unknown.join(', ')}; allowed: ${WEBHOOK_EVENTS.join(', ')}`);
+            } else {
+                values.events = [...new Set(events)];
+            }
+        }
+    }
+
+    if (body.description !== undefined) {
+        if (body.description !== null && typeof body.description !== 'string') {
+            errors.push('description must be a string or null');
+        } else if (body.description && body.description.trim().length > WEBHOOK_LIMITS.description) {
+            errors.push(`description must be at most ${WEBHOOK_LIMITS.description} characters`);
+        } else {
+            values.description = body.description ? body.description.trim() : null;
+        }
+    }
+
+    for (const field of partial ? ['enabled', 'rotate_secret'] : ['enabled']) {
+        if (body[field] === undefined) continue;
+        if (typeof body[field] !== 'boolean') {
+            errors.push(`${field} must be a boolean`);
+        } else {
+            values[field] = body[field];
+        }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+        errors.push('Provide at least one of: url, events, description, enabled, rotate_secret');
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Generate a signing secret
+ *
+ * @returns {string} `whsec_` followed by 64 hex characters
+ */
+export function generateSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return `whsec_${[...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Sign a request body
+ *
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Exact request body
+ * @returns {Promise<string>} Value of the X-Webhook-Signature header
+ */
+export async function signPayload(secret, timestamp, body) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+    const hex = [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `t=${timestamp},v1=${hex}`;
+}
+
+/**
+ * Delay before the next attempt of a delivery
+ *
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Seconds
+ */
+export function retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Shape a subscription row for the API; the secret is never included
+ *
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toSubscription(row) {
+    const { secret, ...subscription } = row;
+    return {
+        ...subscription,
+        events: JSON.parse(row.events),
+        enabled: Boolean(row.enabled)
+    };
+}
+
+/**
+ * Create a subscription
+ *
+ * @param {D1Database} db
+ * @param {{ url: string, events: string[], description?: string|null, enabled?: boolean }} values
+ * @returns {Promise<Object>} The subscription, with its `secret` (the only time it is returned)
+ */
+export async function createSubscription(db, values) {
+    const id = `webhook_${crypto.randomUUID()}`;
+    const secret = generateSecret();
+    const timestamp = new Date().toISOString();
+
+    await db.prepare(`
+        INSERT INTO webhook_subscriptions (id, url, events, secret, description, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        id,
+        values.url,
+        JSON.stringify(values.events),
+        secret,
+        values.description || null,
+        values.enabled === false ? 0 : 1,
+        timestamp,
+        timestamp
+    ).run();
+
+    return { ...await getSubscription(db, id), secret };
+}
+
+/**
+ * Load a subscription, without its secret
+ *
+ * @param {D1Database} db
+ * @param {string} subscriptionId
+ * @returns {Promise<Object|null>}
+ */
+export async function getSubscription(db, subscriptionId) {
+    const row = await db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').bind(subscriptionId).first();
+    return row ? toSubscription(row) : null;
+}
+
+/**
+ * List subscriptions, newest first, with delivery counts from the last day
+ *
+ * @param {D1Database} db
+ * @returns {Promise<Object[]>}
+ */
+export async function listSubscriptions(db) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const { results } = await db.prepare(`
+        SELECT s.*,
+               COUNT(CASE WHEN d.status = 'succeeded' THEN 1 END) AS succeeded_24h,
+               COUNT(CASE WHEN d.status = 'failed' THEN 1 END) AS failed_24h,
+               COUNT(CASE WHEN d.status = 'pending' THEN 1 END) AS pending_24h
+        FROM webhook_subscriptions s
+        LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id AND d.created_at >= ?
+        GROUP BY s.id
+        ORDER BY s.created_at DESC, s.id DESC
+    `).bind(since).all();
+
+    return (results || []).map(toSubscription);
+}
+
+/**
+ * Apply validated changes to a subscription
+ *
+ * @param {D1Database} db
+ * @param {string} subscriptionId
+ * @param {Object} values - From validateSubscriptionInput({ partial: true })
+ * @returns {Promise<{ found: boolean, secret?: string }>} `secret` is set when it was rotated
+ */
+export async function updateSubscription(db, subscriptionId, values) {
+    const changes = {};
+    if (values.url !== undefined) changes.url = values.url;
+    if (values.events !== undefined) changes.events = JSON.stringify(values.events);
+    if (values.description !== undefined) changes.description = values.description;
+    if (values.enabled !== undefined) changes.enabled = values.enabled ? 1 : 0;
+    if (values.rotate_secret) changes.secret = generateSecret();
+
+    const fields = Object.keys(changes);
+    const result = await db.prepare(`
+        UPDATE webhook_subscriptions
+        SET ${[...fields.map(field => `${field} = ?`), 'updated_at = ?'].join(', ')}
+        WHERE id = ?
+    `).bind(...fields.map(field => changes[field]), new Date().toISOString(), subscriptionId).run();
+
+    const found = Boolean(result.meta && result.meta.changes > 0);
+    return found && changes.secret ? { found, secret: changes.secret } : { found };
+}
+
+/**
+ * Delete a subscription and its delivery log
+ *
+ * @param {D1Database} db
+ * @param {string} subscriptionId
+ * @returns {Promise<boolean>} False if the subscription does not exist
+ */
+export async function deleteSubscription(db, subscriptionId) {
+    const [, result] = await db.batch([
+        db.prepare('DELETE FROM webhook_deliveries WHERE subscription_id = ?').bind(subscriptionId),
+        db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?').bind(subscriptionId)
+    ]);
+    return Boolean(result.meta && result.meta.changes > 0);
+}
+
+/**
+ * Record and dispatch an event
+ *
+ * @param {Object} env - Environment bindings (DB, WEBHOOK_QUEUE)
+ * @param {string} event - One of WEBHOOK_EVENTS, or PING_EVENT
+ * @param {Object} data - Event-specific payload
+ * @param {{ subscriptionId?: string }} [options] - Only notify this subscription
+ *   (whatever its events), as the test endpoint does
+ * @returns {Promise<string[]>} IDs of the deliveries created
+ */
+export async function emitWebhookEvent(env, event, data, { subscriptionId = null } = {}) {
+    const db = env.DB;
+    if (!db) {
+        return [];
+    }
+
+    const { results } = subscriptionId
+        ? await db.prepare('SELECT id FROM webhook_subscriptions WHERE id = ?').bind(subscriptionId).all()
+        : await db.prepare(`
+            SELECT s.id FROM webhook_subscriptions s
+            WHERE s.enabled = 1 AND EXISTS (SELECT 1 FROM json_each(s.events) WHERE json_each.value = ?)
+        `).bind(event).all();
+
+    const subscriptions = results || [];
+    if (subscriptions.length === 0) {
+        return [];
+    }
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const timestamp = new Date().toISOString();
+    const payload = JSON.stringify({ id: eventId, type: event, created_at: timestamp, data });
+    const deliveryIds = subscriptions.map(() => `delivery_${crypto.randomUUID()}`);
+
+    await db.batch(subscriptions.map((subscription, i) => db.prepare(`
+        INSERT INTO webhook_deliveries (id, subscription_id, event_id, event, payload, status, next_attempt_at, created_at)
+        VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `).bind(deliveryIds[i], subscription.id, eventId, event, payload, timestamp, timestamp)));
+
+    console.log(`[Webhooks] ${event} → ${deliveryIds.length} delivery(ies)`, { eventId });
+
+    if (env.WEBHOOK_QUEUE) {
+        for (let i = 0; i < deliveryIds.length; i += QUEUE_BATCH_SIZE) {
+            await env.WEBHOOK_QUEUE.sendBatch(deliveryIds.slice(i, i + QUEUE_BATCH_SIZE).map(deliveryId => ({ body: { deliveryId } })));
+        }
+    } else {
+        console.warn('[Webhooks] WEBHOOK_QUEUE not configured; delivering once without retries');
+        for (const deliveryId of deliveryIds) {
+            await deliverWebhook(env, deliveryId, { finalAttempt: true });
+        }
+    }
+
+    return deliveryIds;
+}
+
+/**
+ * Emit an event after the response has been sent
+ *
+ * Never throws: the change that caused the event already happened, so a
+ * failure is only logged.
+ *
+ * @param {Object} context - Pages Functions context, or `{ env, waitUntil }` in a worker
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event-specific payload
+ * @returns {Promise<void>}
+ */
+export function queueWebhookEvent(context, event, data) {
+    const task = emitWebhookEvent(context.env, event, data)
+        .then(() => {})
+        .catch(error => {
+            console.error(`[Webhooks] Failed to emit ${event}:`, error.message);
+        });
+
+    if (typeof context.waitUntil === 'function') {
+        context.waitUntil(task);
+    }
+    return task;
+}
+
+/**
+ * Make one attempt at a delivery and record the outcome
+ *
+ * @param {Object} env - Environment bindings (DB)
+ * @param {string} deliveryId
+ * @param {{ finalAttempt?: boolean }} [options] - Mark the delivery failed
+ *   if this attempt fails, whatever the attempt count
+ * @returns {Promise<{ status: 'succeeded'|'failed'|'pending'|'missing', attempts?: number, retryDelaySeconds?: number }>}
+ *   `pending` means the caller should retry after `retryDelaySeconds`
+ */
+export async function deliverWebhook(env, deliveryId, { finalAttempt = false } = {}) {
+    const db = env.DB;
+    const delivery = await db.prepare(`
+        SELECT d.id, d.event, d.event_id, d.payload, d.status, d.attempts, s.url, s.secret, s.enabled
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        WHERE d.id = ?
+    `).bind(deliveryId).first();
+
+    // Deleted along with its subscription, or already settled by an earlier message
+    if (!delivery || delivery.status !== 'pending') {
+        return { status: delivery ? delivery.status : 'missing' };
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    if (!delivery.enabled && delivery.event !== PING_EVENT) {
+        error = 'Subscription is disabled';
+    } else {
+        try {
+            const timestamp = Math.floor(now.getTime() / 1000);
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Signature': await signPayload(delivery.secret, timestamp, delivery.payload)
+                },
+                body: delivery.payload,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+            responseStatus = response.status;
+            responseBody = (await response.text()).slice(0, RESPONSE_BODY_LENGTH);
+            if (!response.ok) {
+                error = `Receiver responded with HTTP ${response.status}`;
+            }
+        } catch (fetchError) {
+            error = fetchError.name === 'TimeoutError'
+                ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s`
+                : fetchError.message;
+        }
+    }
+
+    const retry = error !== null && delivery.enabled && !finalAttempt && attempts < MAX_DELIVERY_ATTEMPTS;
+    const status = error === null ? 'succeeded' : (retry ? 'pending' : 'failed');
+    const delay = retry ? retryDelaySeconds(attempts) : null;
+
+    await db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?,
+            last_attempt_at = ?, next_attempt_at = ?
+        WHERE id = ?
+    `).bind(
+        status,
+        attempts,
+        responseStatus,
+        responseBody,
+        error,
+        now.toISOString(),
+        retry ? new Date(now.getTime() + delay * 1000).toISOString() : null,
+        delivery.id
+    ).run();
+
+    if (error) {
+        console.warn(`[Webhooks] Delivery ${delivery.id} attempt ${attempts} failed: ${error}`);
+    }
+
+    return retry ? { status, attempts, retryDelaySeconds: delay } : { status, attempts };
+}
+
+/**
+ * Validate the query of a delivery log listing
+ *
+ * @param {URLSearchParams} params - `status`, `limit`, `cursor`
+ * @returns {{ errors: string[], options: { status: string|null, limit: number, cursor: Object|null } }}
+ */
+export function validateDeliveryListParams(params) {
+    const { errors, limit, cursor } = parseListParams(params, DELIVERY_PAGE_SIZE);
+    const options = { status: params.get('status') || null, limit, cursor };
+
+    if (options.status && !DELIVERY_STATUSES.includes(options.status)) {
+        errors.push(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+
+    return { errors, options };
+}
+
+/**
+ * A subscription's delivery log, newest first
+ *
+ * @param {D1Database} db
+ * @param {string} subscriptionId
+ * @param {{ status?: string|null, limit: number, cursor?: { key: string, id: string }|null }} options
+ * @returns {Promise<{ deliveries: Object[], nextCursor: string|null }>}
+ */
+export async function listDeliveries(db, subscriptionId, { status = null, limit, cursor = null }) {
+    const conditions = ['subscription_id = ?'];
+    const bindings = [subscriptionId];
+
+    if (status) {
+        conditions.push('status = ?');
+        bindings.push(status);
+    }
+    if (cursor) {
+        conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+        bindings.push(cursor.key, cursor.key, cursor.id);
+    }
+
+    const { results } = await db.prepare(`
+        SELECT id, event_id, event, payload, status, attempts, response_status, response_body, error,
+               next_attempt_at, last_attempt_at, created_at
+        FROM webhook_deliveries
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+    `).bind(...bindings, limit + 1).all();
+
+    const { items, nextCursor } = paginateRows(results, limit, row => ({ k: row.created_at, id: row.id }));
+    return { deliveries: items.map(row => ({ ...row, payload: JSON.parse(row.payload) })), nextCursor };
+}
+
+/**
+ * Payload of the post.* events
+ *
+ * @param {Object} post - Post row
+ * @param {string|null} base - Site base URL (see site.js), or null when unknown
+ * @returns {Object}
+ */
+export function postEventData(post, base) {
+    return {
+        id: post.id,
+        slug: post.slug,
+        title: post.title,
+        excerpt: post.excerpt ?? null,
+        author: post.author ?? null,
+        status: post.status,
+        publish_at: post.publish_at ?? null,
+        updated_at: post.updated_at ?? null,
+        url: base ? postUrl(base, post) : null
+    };
+}
@@ -0,0 +1,240 @@
+/**
+ * Streaming zip writer
+ *
+ * createZipStream() turns an (async) iterable of entries into a zip file
+ * as a ReadableStream, so an archive can be sent while it is built: only
+ * the entry being written and one central directory record per entry are
+ * held in memory, never the whole archive.
+ *
+ * Each entry is written as a local header, its data and a data descriptor
+ * (general purpose flag bit 3), because the CRC-32 and sizes are only
+ * known once the data has streamed through. Text is deflated with
+ * CompressionStream('deflate-raw'); already-compressed files such as
+ * images are better stored as they are (`compress: false`).
+ *
+ * ZIP64 is not written, so an archive is limited to 65,535 entries and
+ * 4 GB; going past either fails the stream rather than producing a
+ * corrupt file.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+/** Data descriptor follows the data (bit 3), names are UTF-8 (bit 11) */
+const FLAGS = 0x0808;
+const VERSION = 20;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Continue a CRC-32 over another chunk
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} crc - Result for the previous chunks (0 to start)
+ * @returns {number}
+ */
+function crc32(bytes, crc) {
+    let c = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return ~c >>> 0;
+}
+
+/**
+ * MS-DOS date and time fields (2-second resolution, 1980 or later)
+ *
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function dosDateTime(date) {
+    const year = Math.min(Math.max(date.getUTCFullYear(), 1980), 2107);
+    return {
+        time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+    };
+}
+
+/**
+ * Allocate a little-endian record
+ *
+ * @param {number} size - Fixed part in bytes
+ * @param {Uint8Array} [name] - Appended after the fixed part
+ * @returns {{ bytes: Uint8Array, view: DataView }}
+ */
+function record(size, name = new Uint8Array(0)) {
+    const bytes = new Uint8Array(size + name.length);
+    bytes.set(name, size);
+    return { bytes, view: new DataView(bytes.buffer) };
+}
+
+/**
+ * Entry data as a byte stream
+ *
+ * @param {string|Uint8Array|ArrayBuffer|ReadableStream} data
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function toStream(data) {
+    if (data instanceof ReadableStream) {
+        return data;
+    }
+    const bytes = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data);
+    return new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+        }
+    });
+}
+
+/**
+ * Generate the archive chunk by chunk
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} entries
+ * @yields {Uint8Array}
+ */
+async function* zipChunks(entries) {
+    const central = [];
+    let offset = 0;
+
+    for await (const entry of entries) {
+        if (central.length === MAX_ENTRIES) {
+            throw new Error(`Zip archives are limited to ${MAX_ENTRIES} entries`);
+        }
+
+        const name = encoder.encode(entry.name);
+        const method = entry.compress === false ? METHOD_STORE : METHOD_DEFLATE;
+        const { time, date } = dosDateTime(entry.modified ? new Date(entry.modified) : new Date());
+
+        const local = record(30, name);
+        local.view.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        local.view.setUint16(4, VERSION, true);
+        local.view.setUint16(6, FLAGS, true);
+        local.view.setUint16(8, method, true);
+        local.view.setUint16(10, time, true);
+        local.view.setUint16(12, date, true);
+        // CRC-32 and sizes (14-25) stay zero; they follow in the data descriptor
+        local.view.setUint16(26, name.length, true);
+        yield local.bytes;
+
+        let crc = 0;
+        let size = 0;
+        let compressedSize = 0;
+        const measured = toStream(entry.data).pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+                crc = crc32(bytes, crc);
+                size += bytes.length;
+                controller.enqueue(bytes);
+            }
+        }));
+        const output = method === METHOD_DEFLATE
+            ? measured.pipeThrough(new CompressionStream('deflate-raw'))
+            : measured;
+
+        const reader = output.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            compressedSize += value.length;
+            yield value;
+        }
+
+        if (size > MAX_SIZE || offset + local.bytes.length + compressedSize + 16 > MAX_SIZE) {
+            throw new Error('Zip archives are limited to 4 GB');
+        }
+
+        const descriptor = record(16);
+        descriptor.view.setUint32(0, DATA_DESCRIPTOR_SIGNATURE, true);
+        descriptor.view.setUint32(4, crc, true);
+        descriptor.view.setUint32(8, compressedSize, true);
+        descriptor.view.setUint32(12, size, true);
+        yield descriptor.bytes;
+
+        central.push({ name, method, time, date, crc, compressedSize, size, offset });
+        offset += local.bytes.length + compressedSize + descriptor.bytes.length;
+    }
+
+    const directoryOffset = offset;
+    for (const file of central) {
+        const header = record(46, file.name);
+        header.view.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+        header.view.setUint16(4, VERSION, true);
+        header.view.setUint16(6, VERSION, true);
+        header.view.setUint16(8, FLAGS, true);
+        header.view.setUint16(10, file.method, true);
+        header.view.setUint16(12, file.time, true);
+        header.view.setUint16(14, file.date, true);
+        header.view.setUint32(16, file.crc, true);
+        header.view.setUint32(20, file.compressedSize, true);
+        header.view.setUint32(24, file.size, true);
+        header.view.setUint16(28, file.name.length, true);
+        header.view.setUint32(42, file.offset, true);
+        offset += header.bytes.length;
+        yield header.bytes;
+    }
+
+    if (offset > MAX_SIZE) {
+        throw new Error('Zip archives are limited to 4 GB');
+    }
+
+    const end = record(22);
+    end.view.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.view.setUint16(8, central.length, true);
+    end.view.setUint16(10, central.length, true);
+    end.view.setUint32(12, offset - directoryOffset, true);
+    end.view.setUint32(16, directoryOffset, true);
+    yield end.bytes;
+}
+
+/**
+ * Stream a zip archive
+ *
+ * Entries are pulled one at a time as the consumer reads, so a generator
+ * can load each file (a database page, an R2 object) just before it is
+ * written. An error while producing an entry errors the stream.
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} entries - `{ name, data, modified?, compress? }` where
+ *   `data` is a string, bytes or a ReadableStream and `compress: false` stores the data as is
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createZipStream(entries) {
+    const chunks = zipChunks(entries);
+
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await chunks.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            } catch (error) {
+                controller.error(error);
+            }
+        },
+        async cancel() {
+            await chunks.return();
+        }
+    });
+}
@@ -1,87 +1,136 @@
 /**
  * Background worker for automatic blog post generation
  * Can be triggered by cron or queue
+ *
+ * CRON TRIGGERS (wrangler-blog-generator.toml):
+ * - GENERATION_CRON: generate a new post, saved as a draft for human review.
+ *   The topic is the next one due in `generation_topics` (see
+ *   src/lib/generation-topics.js); new topics are also proposed from recent
+ *   knowledge base entries, disabled until an editor enables them.
+ *   It goes through the content moderation gate first; a post that fails
+ *   is stored with the reasons and can never be scheduled or published
+ *   (see src/lib/content-moderation.js). A post too similar to an existing
+ *   one is regenerated with a different angle, then dropped
+ *   (see src/lib/duplicate-detection.js). With FEATURED_IMAGES = "true" it
+ *   also gets a featured image in R2 (see src/lib/featured-images.js)
+ * - DIGEST_CRON: compile the weekly digest of newly published posts for
+ *   newsletter subscribers (see src/lib/digests.js)
+ * - any other cron:  only publish scheduled posts whose publish_at has passed
+ *
+ * Due posts are published on every run, including the generation run.
+ * This is also how the parts of a series are released one by one (see
+ * scheduleSeries() in src/lib/series.js).
+ * Posts created before slugs existed are given one on the next run.
+ * Published posts whose Vectorize embedding is missing or outdated (e.g.
+ * just published by the scheduler) are re-embedded on every run.
+ *
+ * Webhook subscribers get `post.published` for every post the scheduler
+ * publishes and `post.created` for every generated draft (see
+ * src/lib/webhooks.js). Post links in the events need SITE_URL.
+ *
+ * A digest being sent gets its next batch of emails on every run, so a
+ * large subscriber list is worked through over several runs. Digests need
+ * SITE_URL for their links and are not sent without it.
+ *
+ * A POST to the worker's URL runs everything the generation cron does. It
+ * needs the admin token (`Authorization: Bearer <ADMIN_TOKEN>`), set with
+ * `wrangler secret put ADMIN_TOKEN --config wrangler-blog-generator.toml`.
  */
 
+import { requireAdmin } from '../lib/auth.js';
+import { invalidateBlogCache } from '../lib/blog-cache.js';
+import { assignMissingSlugs, createPost, getPostById, publishDuePosts } from '../lib/blog-posts.js';
+import { logModerationFailure, moderatePost } from '../lib/content-moderation.js';
+import { compileDigest, createDigest, getSendingDigest, sendDigestBatch } from '../lib/digests.js';
+import { attachFeaturedImage } from '../lib/featured-images.js';
+import { syncStaleEmbeddings } from '../lib/post-embeddings.js';
+import { generateDistinctPost, logDroppedDuplicate, similarityColumns } from '../lib/duplicate-detection.js';
+import { pickTopic, proposeTopics } from '../lib/generation-topics.js';
+import { validateGenerationOptions } from '../lib/post-generator.js';
+import { siteUrl } from '../lib/site.js';
+import { suggestTaxonomy } from '../lib/taxonomy.js';
+import { emitWebhookEvent, postEventData } from '../lib/webhooks.js';
+
+/** Cron expression that also generates a new post (must match wrangler config) */
+const GENERATION_CRON = '0 0 * * *';
+
+/** Cron expression that compiles the weekly digest (must match wrangler config) */
+const DIGEST_CRON = '0 8 * * 1';
+
 export default {
     async scheduled(event, env, ctx) {
-        // This worker runs on a schedule to auto-generate blog posts
-        console.log('Running scheduled blog generation');
-        
+        // This worker runs on a schedule to publish due posts and auto-generate blog posts
+        console.log('Running scheduled blog tasks', { cron: event ? event.cron : 'manual' });
+
+        const db = env.DB;
+        if (!db) {
+            console.error('Database not configured');
+            return;
+        }
+
+        let changed = false;
+
         try {
-            const ai = env.AI;
-            const db = env.DB;
+            const published = await publishDuePosts(db);
+            if (published.length > 0) {
+                console.log(`Published ${published.length} scheduled post(s): ${published.join(', ')}`);
+                changed = true;
+                await emitPostEvents(env, 'post.published', published);
+            }
+        } catch (error) {
+            console.error('Error publishing scheduled posts:', error);
+        }
 
-            if (!ai || !db) {
-                console.error('Services not configured');
-                return;
+        try {
+            const backfilled = await assignMissingSlugs(db);
+            if (backfilled > 0) {
+                console.log(`Assigned slugs to ${backfilled} post(s)`);
+                changed = true;
             }
+        } catch (error) {
+            console.error('Error assigning post slugs:', error);
+        }
 
-            // Define topics to generate posts about
-            const topics = [
-                'Latest trends in cloud computing',
-                'AI and machine learning advancements',
-                'Web performance optimization',
-                'Serverless architecture patterns',
-                'Edge computing innovations'
-            ];
-
-            // Pick a random topic
-            const topic = topics[Math.floor(Math.random() * topics.length)];
-
-            // Generate blog post
-            const prompt = `Write a professional, informative blog post about "${topic}". 
-            The post should be 500-800 words and include practical insights.
-            Return JSON with: {"title": "...", "content": "...", "excerpt": "..."}`;
-
-            const aiResponse = await ai.run('@cf/meta/llama-3-8b-instruct', {
-                messages: [
-                    { role: 'system', content: 'You are a professional tech blogger.' },
-                    { role: 'user', content: prompt }
-                ]
-            });
+        try {
+            const synced = await syncStaleEmbeddings(env);
+            if (synced.embedded + synced.removed + synced.failed > 0) {
+                console.log('Synced post embeddings', synced);
+            }
+            // Related-post lists are cached with the rest of the blog
+            changed = changed || synced.embedded + synced.removed > 0;
+        } catch (error) {
+            console.error('Error syncing post embeddings:', error);
+        }
 
-            let postData;
+        // Manual triggers (no event) always generate
+        if (!event || event.cron === GENERATION_CRON) {
             try {
-                postData = JSON.parse(aiResponse.response);
-            } catch (e) {
-                postData = {
-                    title: `Insights on ${topic}`,
-                    content: aiResponse.response || 'Generated content',
-                    excerpt: `An AI-generated post about ${topic}`
-                };
+                const proposed = await proposeTopics(env);
+                if (proposed.length > 0) {
+                    console.log(`Proposed ${proposed.length} topic(s): ${proposed.map(topic => topic.topic).join('; ')}`);
+                }
+            } catch (error) {
+                console.error('Error proposing generation topics:', error);
             }
 
-            // Insert into database
-            const postId = `post_${Date.now()}`;
-            await db.prepare(`
-                INSERT INTO blog_posts (id, title, content, excerpt, author, status, created_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `).bind(
-                postId,
-                postData.title,
-                postData.content,
-                postData.excerpt,
-                'AI Content Generator',
-                'published',
-                new Date().toISOString()
-            ).run();
-
-            console.log(`Generated post: ${postId} - ${postData.title}`);
-
-            // Invalidate cache
-            if (env.BLOG_CACHE) {
-                await env.BLOG_CACHE.delete('blog_posts');
-            }
+            changed = (await generatePost(env)) || changed;
+        }
 
-        } catch (error) {
-            console.error('Error in scheduled blog generation:', error);
+        await runDigest(env, Boolean(event && event.cron === DIGEST_CRON));
+
+        // Invalidate cache
+        if (changed) {
+            await invalidateBlogCache(env, '[Blog Generator]');
         }
     },
 
     async fetch(request, env) {
-        // Manual trigger endpoint
+        // Manual trigger endpoint; admin only, like /api/blog/generate, since a
+        // run spends AI quota, writes and publishes posts and sends email
         if (request.method === 'POST') {
+            const denied = requireAdmin(request, env);
+            if (denied) return denied;
+
             // Re-use the scheduled logic
             await this.scheduled(null, env, null);
             return new Response('Blog generation triggered', { status: 200 });
@@ -90,3 +139,148 @@ export default {
         return new Response('Blog Generator Worker - Use POST to trigger', { status: 200 });
     }
 };
+
+/**
+ * Generate one post and store it as a draft
+ *
+ * @param {Object} env - Worker bindings (AI, DB, VECTORS, BUCKET, moderation blocklist variables,
+ *   FEATURED_IMAGES)
+ * @returns {Promise<boolean>} True if a post was inserted
+ */
+async function generatePost(env) {
+    console.log('Running scheduled blog generation');
+
+    try {
+        const ai = env.AI;
+        const db = env.DB;
+
+        if (!ai) {
+            console.error('AI service not configured');
+            return false;
+        }
+
+        // Least recently used topic, weighted, whose cooldown has passed
+        const picked = await pickTopic(db);
+        if (!picked) {
+            console.log('No generation topic available (all disabled or cooling down); manage them with /api/blog/topics');
+            return false;
+        }
+        const topic = picked.topic;
+        console.log(`Picked topic ${picked.id}: ${topic}`);
+
+        // Generate blog post with the same pipeline as /api/blog/generate
+        const { options } = validateGenerationOptions({ topic, featuredImage: env.FEATURED_IMAGES === 'true' });
+        const startTime = Date.now();
+        const { postData, check, regenerations } = await generateDistinctPost(env, options);
+
+        if (check.duplicate) {
+            console.warn(`Dropped near-duplicate post "${postData.title}" (closest: ${check.match.id})`);
+            await logDroppedDuplicate(db, {
+                title: postData.title,
+                source: 'cron',
+                check,
+                regenerations,
+                durationMs: Date.now() - startTime
+            });
+            return false;
+        }
+
+        const moderation = await moderatePost(env, postData);
+
+        const taxonomy = await suggestTaxonomy(ai, db, postData);
+
+        // Insert into database as a draft - an editor moves it through review
+        const postId = await createPost(db, {
+            title: postData.title,
+            content: postData.content,
+            excerpt: postData.excerpt,
+            author: 'AI Content Generator',
+            status: 'draft',
+            seo_title: postData.seo_title,
+            seo_description: postData.seo_description,
+            keywords: postData.keywords,
+            moderation_status: moderation.status,
+            moderation_reasons: JSON.stringify(moderation.reasons),
+            moderated_at: moderation.moderated_at,
+            ...similarityColumns(check),
+            tags: taxonomy.tags,
+            categories: taxonomy.categories
+        }, {
+            author: 'AI Content Generator',
+            reason: `Generated by AI on schedule (topic: ${topic})`
+        });
+
+        if (moderation.status === 'failed') {
+            console.warn(`Generated post ${postId} failed moderation:`, moderation.reasons);
+            await logModerationFailure(db, { postId, title: postData.title, source: 'cron', result: moderation });
+        }
+
+        if (options.featuredImage) {
+            await attachFeaturedImage(env, { id: postId, title: postData.title, excerpt: postData.excerpt });
+        }
+
+        console.log(`Generated draft post: ${postId} - ${postData.title}`);
+        await emitPostEvents(env, 'post.created', [postId]);
+        return true;
+
+    } catch (error) {
+        console.error('Error in scheduled blog generation:', error);
+        return false;
+    }
+}
+
+/**
+ * Send a post.* webhook event for each post
+ *
+ * Never throws: the posts are already saved, so a failure is only logged.
+ *
+ * @param {Object} env - Worker bindings (DB, WEBHOOK_QUEUE, SITE_URL)
+ * @param {string} event - 'post.created' or 'post.published'
+ * @param {string[]} postIds
+ * @returns {Promise<void>}
+ */
+async function emitPostEvents(env, event, postIds) {
+    // Without a request there is no origin to fall back to
+    const base = env.SITE_URL ? siteUrl(null, env) : null;
+
+    for (const postId of postIds) {
+        try {
+            const post = await getPostById(env.DB, postId);
+            if (post) {
+                await emitWebhookEvent(env, event, postEventData(post, base));
+            }
+        } catch (error) {
+            console.error(`Error emitting ${event} for ${postId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Compile the weekly digest and send the next batch of a digest in progress
+ *
+ * Never throws: a failure is logged and the next run tries again.
+ *
+ * @param {Object} env - Worker bindings (DB, AI, SITE_URL and the mail adapter's)
+ * @param {boolean} compile - Compile a new digest (on DIGEST_CRON)
+ * @returns {Promise<void>}
+ */
+async function runDigest(env, compile) {
+    try {
+        let digest = await getSendingDigest(env.DB);
+        if (!digest && !compile) {
+            return;
+        }
+        if (!env.SITE_URL) {
+            console.error('Digest not sent: SITE_URL is not set, so emails would have no links');
+            return;
+        }
+        if (!digest) {
+            digest = await createDigest(env.DB, await compileDigest(env));
+        }
+        if (digest.status === 'sending') {
+            await sendDigestBatch(env, digest, siteUrl(null, env));
+        }
+    } catch (error) {
+        console.error('Error running the weekly digest:', error);
+    }
+}
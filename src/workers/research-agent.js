@@ -1,8 +1,11 @@
 /**
  * Dedicated research agent worker
  * Handles complex research tasks asynchronously
+ * Completed tasks send the `research.completed` webhook event
  */
 
+import { emitWebhookEvent } from '../lib/webhooks.js';
+
 export default {
     async queue(batch, env) {
         // Process research tasks from queue
@@ -56,17 +59,30 @@ export default {
                 });
 
                 // Save results
+                const completedAt = new Date().toISOString();
                 await env.DB.prepare(`
                     UPDATE research_tasks 
                     SET status = 'completed', result = ?, completed_at = ?
                     WHERE id = ?
                 `).bind(
                     finalReport.response,
-                    new Date().toISOString(),
+                    completedAt,
                     taskId
                 ).run();
 
                 console.log(`Completed research task: ${taskId}`);
+
+                // The task is done either way; a webhook failure is only logged
+                try {
+                    await emitWebhookEvent(env, 'research.completed', {
+                        task_id: taskId,
+                        query,
+                        type: type || null,
+                        completed_at: completedAt
+                    });
+                } catch (webhookError) {
+                    console.error('Failed to emit research.completed:', webhookError.message);
+                }
                 message.ack();
 
             } catch (error) {
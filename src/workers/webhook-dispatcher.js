@@ -0,0 +1,38 @@
+/**
+ * Worker delivering outbound webhooks
+ *
+ * Consumes delivery IDs from the webhook queue (sent by emitWebhookEvent()
+ * in src/lib/webhooks.js), makes one signed POST per message and records
+ * the outcome in `webhook_deliveries`. Failed attempts go back on the queue
+ * with an exponentially growing delay until MAX_DELIVERY_ATTEMPTS is
+ * reached; the attempt count lives in D1, not in the message, so it
+ * survives redeliveries by the queue itself.
+ */
+
+import { deliverWebhook } from '../lib/webhooks.js';
+
+export default {
+    async queue(batch, env) {
+        for (const message of batch.messages) {
+            try {
+                const { deliveryId } = message.body;
+                const result = await deliverWebhook(env, deliveryId);
+
+                if (result.status === 'pending') {
+                    message.retry({ delaySeconds: result.retryDelaySeconds });
+                } else {
+                    message.ack();
+                }
+            } catch (error) {
+                // D1 or signing failed, not the receiver: let the queue try again
+                console.error('Error delivering webhook:', error);
+                message.retry();
+            }
+        }
+    },
+
+    async fetch(request, env) {
+        // Health check endpoint
+        return new Response('Webhook Dispatcher Worker Active', { status: 200 });
+    }
+};